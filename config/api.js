@@ -0,0 +1,246 @@
+/**
+ * JSON API Helpers
+ *
+ * Shared by the versioned REST API (routes/apiRoutes.js):
+ * - errors: every failure is answered with
+ *   { error: { code: "NOT_FOUND", message: "...", details: [...] } }
+ * - pagination: ?page=1&limit=20 (limit up to 100); lists are answered
+ *   with { data: [...], pagination: { page, limit, total, totalPages } }
+ * - the public JSON shape of events and registrations
+ */
+
+const db = require('./db');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// HTTP status for error codes thrown by the repositories
+const REPOSITORY_ERROR_STATUS = {
+    EVENT_NOT_FOUND: 404,
+    ALREADY_REGISTERED: 409,
+    REGISTRATION_NOT_OPEN: 409,
+    REGISTRATION_CLOSED: 409,
+    NOT_CONFIRMED: 409,
+    TEAM_NOT_FOUND: 404,
+    TEAM_FULL: 409,
+    TEAM_NAME_TAKEN: 409,
+    TEAM_REQUIRED: 422,
+    INVALID_TEAM_NAME: 422,
+    EVENT_DELETE_INCOMPLETE: 500
+};
+
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Create an error that the API error handler answers with its status
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable code, e.g. "VALIDATION_FAILED"
+ * @param {string} message - Human-readable message
+ * @param {Array<string>} [details] - Individual problems, e.g. validation errors
+ * @returns {Error}
+ */
+function apiError(status, code, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Send a JSON error body
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable code
+ * @param {string} message - Human-readable message
+ * @param {Array<string>} [details] - Individual problems
+ */
+function sendApiError(res, status, code, message, details) {
+    const error = { code, message };
+    if (details && details.length > 0) {
+        error.details = details;
+    }
+    res.status(status).json({ error });
+}
+
+/**
+ * 404 for API paths that do not exist
+ */
+function apiNotFound(req, res) {
+    sendApiError(res, 404, 'NOT_FOUND', `No API endpoint ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+/**
+ * Error handler for API paths. Errors from apiError() and the known
+ * repository error codes keep their message; anything else is a 500.
+ */
+function apiErrorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendApiError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+    if (err.status && err.code) {
+        return sendApiError(res, err.status, err.code, err.message, err.details);
+    }
+    if (REPOSITORY_ERROR_STATUS[err.code]) {
+        return sendApiError(res, REPOSITORY_ERROR_STATUS[err.code], err.code, err.message);
+    }
+
+    console.error('❌ API error:', err);
+    sendApiError(res, 500, 'INTERNAL_ERROR', 'An internal server error occurred. Please try again later.');
+}
+
+// ============================================
+// PAGINATION
+// ============================================
+
+/**
+ * Read ?page and ?limit
+ * @param {Object} query - req.query
+ * @returns {{page: number, limit: number}}
+ * @throws {Error} 400 INVALID_PAGINATION for values out of range
+ */
+function parsePagination(query = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+    const details = [];
+    if (!Number.isInteger(page) || page < 1) {
+        details.push('page must be a whole number of at least 1');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        details.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    if (details.length > 0) {
+        throw apiError(400, 'INVALID_PAGINATION', 'Invalid pagination parameters', details);
+    }
+    return { page, limit };
+}
+
+/**
+ * One page of a list, in the API's list envelope
+ * @param {Array} items - The whole (filtered, sorted) list
+ * @param {{page: number, limit: number}} pagination - From parsePagination()
+ * @returns {{data: Array, pagination: Object}}
+ */
+function paginate(items, { page, limit }) {
+    const start = (page - 1) * limit;
+    return {
+        data: items.slice(start, start + limit),
+        pagination: {
+            page,
+            limit,
+            total: items.length,
+            totalPages: Math.ceil(items.length / limit)
+        }
+    };
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+/**
+ * Public JSON shape of an event. The last review (reviewer and comment)
+ * is only included for callers who manage the event.
+ * @param {Object} event - Event record
+ * @param {string} baseUrl - Site URL, from getBaseUrl()
+ * @param {Object|null} [viewer] - req.user of the caller, if authenticated
+ * @returns {Object}
+ */
+function serializeEvent(event, baseUrl, viewer = null) {
+    const posterUrl = event.posterUrl && event.posterUrl.startsWith('/')
+        ? `${baseUrl}${event.posterUrl}`
+        : event.posterUrl || null;
+    const registrationWindow = db.getRegistrationWindow(event);
+
+    return {
+        id: event.id,
+        title: event.title,
+        description: event.description || '',
+        date: event.date,
+        startTime: event.startTime || null,
+        endTime: event.endTime || null,
+        startsAt: db.getEventStart(event).toISOString(),
+        endsAt: db.getEventEnd(event).toISOString(),
+        venue: event.venue,
+        category: event.category || 'Other',
+        organizer: event.organizer || '',
+        clubId: event.clubId || null,
+        contact: event.contact || '',
+        posterUrl,
+        capacity: Number(event.capacity) || 0,
+        seatsTaken: event.seatsTaken || 0,
+        seatsRemaining: db.getSeatsRemaining(event),
+        waitlistCount: event.waitlistCount || 0,
+        attendeeVisibility: db.getAttendeeVisibility(event),
+        eligibility: db.getEligibilityRules(event),
+        registrationFields: db.getRegistrationFields(event),
+        feedbackQuestions: db.getFeedbackQuestions(event),
+        teamEvent: Boolean(event.teamEvent),
+        teamSize: db.getTeamSizeLimits(event),
+        archived: db.isEventArchived(event),
+        status: db.getEventStatus(event),
+        publishAt: event.publishAt || null,
+        publishedAt: event.publishedAt || null,
+        ...(db.canManageEvent(viewer, event) ? { review: event.review || null } : {}),
+        registrationOpensAt: event.registrationOpensAt || null,
+        registrationClosesAt: event.registrationClosesAt || null,
+        registrationWindow: {
+            state: registrationWindow.state,
+            opensAt: registrationWindow.opensAt ? registrationWindow.opensAt.toISOString() : null,
+            closesAt: registrationWindow.closesAt.toISOString()
+        },
+        url: `${baseUrl}/event/${event.id}`,
+        createdAt: event.createdAt || null,
+        updatedAt: event.updatedAt || null
+    };
+}
+
+/**
+ * Public JSON shape of a registration
+ * @param {Object} registration - Registration record
+ * @param {string} baseUrl - Site URL, from getBaseUrl()
+ * @param {Object} [extra] - Fields to add, e.g. waitlistPosition or event
+ * @returns {Object}
+ */
+function serializeRegistration(registration, baseUrl, extra = {}) {
+    const status = db.getRegistrationStatus(registration);
+    return {
+        id: registration.id,
+        eventId: registration.event_id,
+        name: registration.name,
+        email: registration.email,
+        status,
+        hideFromAttendees: Boolean(registration.hideFromAttendees),
+        answers: registration.answers || {},
+        team: registration.team_id
+            ? { id: registration.team_id, name: registration.teamName, role: registration.teamRole }
+            : null,
+        createdAt: registration.createdAt || null,
+        promotedAt: registration.promotedAt || null,
+        cancelledAt: registration.cancelledAt || null,
+        checkedInAt: registration.checkedInAt || null,
+        ticketUrl: status === db.REGISTRATION_STATUS.CONFIRMED
+            ? `${baseUrl}/tickets/${registration.id}`
+            : null,
+        ...extra
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    apiError,
+    sendApiError,
+    apiNotFound,
+    apiErrorHandler,
+    parsePagination,
+    paginate,
+    serializeEvent,
+    serializeRegistration
+};
@@ -7,6 +7,10 @@
 
 const { admin } = require('./firebase');
 const db = require('./db');
+const { sendApiError } = require('./api');
+
+// ID tokens older than this cannot start a session (Firebase's recommendation)
+const MAX_SIGN_IN_AGE_SECONDS = 5 * 60;
 
 /**
  * Verify Firebase ID token
@@ -23,9 +27,66 @@ async function verifyToken(idToken) {
 }
 
 /**
- * Get user role from local storage
+ * Exchange a freshly issued ID token for a long-lived Firebase session
+ * cookie. The user must have signed in within the last five minutes.
+ * @param {string} idToken - Firebase ID token from client
+ * @param {number} expiresIn - Session length in milliseconds
+ * @returns {Promise<{decodedToken: Object, sessionCookie: string}>}
+ */
+async function createSessionCookie(idToken, expiresIn) {
+    const decodedToken = await verifyToken(idToken);
+    if (Date.now() / 1000 - decodedToken.auth_time > MAX_SIGN_IN_AGE_SECONDS) {
+        throw new Error('Recent sign-in required');
+    }
+    const sessionCookie = await admin.auth().createSessionCookie(idToken, { expiresIn });
+    return { decodedToken, sessionCookie };
+}
+
+/**
+ * Verify a Firebase session cookie
+ * @param {string} sessionCookie - Cookie from createSessionCookie()
+ * @returns {Promise<Object>} Decoded claims with user info
+ */
+async function verifySessionCookie(sessionCookie) {
+    try {
+        return await admin.auth().verifySessionCookie(sessionCookie);
+    } catch (error) {
+        throw new Error('Invalid session');
+    }
+}
+
+/**
+ * Emails that are made admins when their account is first created.
+ * Configured with ADMIN_EMAILS (comma-separated) so the first admin
+ * can be bootstrapped without editing the database by hand.
+ * @returns {Array<string>} Lowercased admin emails
+ */
+function getBootstrapAdminEmails() {
+    return (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Decide the role of a newly created account.
+ * Roles are never taken from the client, and only a verified email
+ * address can claim a bootstrap admin email.
+ * @param {Object} decodedToken - Verified Firebase ID token of the new account
+ * @returns {string} 'admin' for verified bootstrap admin emails, otherwise 'student'
+ */
+function getInitialRole(decodedToken) {
+    if (!decodedToken || !decodedToken.email || !decodedToken.email_verified) {
+        return 'student';
+    }
+    const normalized = String(decodedToken.email).trim().toLowerCase();
+    return getBootstrapAdminEmails().includes(normalized) ? 'admin' : 'student';
+}
+
+/**
+ * Get user role from the database
  * @param {string} uid - Firebase user ID
- * @returns {Promise<string>} User role ('admin' or 'student')
+ * @returns {Promise<string>} User role (one of db.ROLES)
  */
 async function getUserRole(uid) {
     try {
@@ -38,34 +99,42 @@ async function getUserRole(uid) {
 
 /**
  * Middleware to check if user is authenticated
- * Expects Firebase ID token in session or cookie
+ * Expects a Firebase session cookie in the server-side session
  */
 async function requireAuth(req, res, next) {
     try {
-        // Get token from session or cookie
-        const idToken = req.session?.idToken || req.cookies?.idToken;
-        
-        if (!idToken) {
+        const sessionCookie = req.session?.sessionCookie;
+
+        if (!sessionCookie) {
             return res.redirect('/login?message=Please login to continue&type=warning');
         }
 
-        // Verify token
-        const decodedToken = await verifyToken(idToken);
+        // Verify the session cookie (checks its signature and expiry)
+        const decodedToken = await verifySessionCookie(sessionCookie);
         req.user = {
             uid: decodedToken.uid,
             email: decodedToken.email,
             name: decodedToken.name || decodedToken.email
         };
 
-        // Get user role
-        req.user.role = await getUserRole(decodedToken.uid);
+        // Get user role, re-read on every request so role changes apply immediately
+        const user = await db.getUserByUid(decodedToken.uid);
+        if (user && user.disabled) {
+            req.session.destroy();
+            return res.redirect('/login?message=Your account has been disabled. Contact an administrator&type=danger');
+        }
+        req.user.role = user ? user.role : 'student';
+        req.user.clubIds = db.getManagedClubIds(user);
+        // The name on the profile wins over the one from the login provider
+        if (user && user.name) {
+            req.user.name = user.name;
+        }
         req.session.user = req.user;
 
         next();
     } catch (error) {
         console.error('Auth error:', error);
         req.session.destroy();
-        res.clearCookie('idToken');
         return res.redirect('/login?message=Session expired. Please login again&type=danger');
     }
 }
@@ -85,12 +154,51 @@ async function requireAdmin(req, res, next) {
     });
 }
 
+/**
+ * Middleware to check if user is an organizer or admin, i.e. may use the
+ * event management pages. Organizers only see their own clubs' events
+ * there; use requireEventManager on routes for one event.
+ */
+async function requireOrganizer(req, res, next) {
+    await requireAuth(req, res, async () => {
+        if (req.user.role !== 'admin' && req.user.role !== 'organizer') {
+            return res.status(403).render('error', {
+                title: 'Access Denied',
+                message: 'You do not have permission to access this page. Organizer or admin access required.'
+            });
+        }
+        next();
+    });
+}
+
+/**
+ * Middleware for routes about one event (/admin/events/:id/...): lets
+ * admins through, and organizers of the club the event belongs to.
+ * Unknown events are passed on so the route can answer "not found".
+ */
+async function requireEventManager(req, res, next) {
+    await requireOrganizer(req, res, async () => {
+        try {
+            const event = await db.getEventById(req.params.id);
+            if (event && !db.canManageEvent(req.user, event)) {
+                return res.status(403).render('error', {
+                    title: 'Access Denied',
+                    message: 'You can only manage events of your own clubs.'
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+}
+
 /**
  * Middleware to check if user is student
  */
 async function requireStudent(req, res, next) {
     await requireAuth(req, res, async () => {
-        if (req.user.role !== 'student' && req.user.role !== 'admin') {
+        if (!['student', 'organizer', 'admin'].includes(req.user.role)) {
             return res.status(403).render('error', {
                 title: 'Access Denied',
                 message: 'You do not have permission to access this page.'
@@ -100,11 +208,84 @@ async function requireStudent(req, res, next) {
     });
 }
 
+/**
+ * Firebase ID token from an "Authorization: Bearer <token>" header
+ * @param {Object} req - Express request
+ * @returns {string|null} The token, or null if there is none
+ */
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Middleware for the JSON API: authenticates with a Firebase ID token
+ * sent as a bearer token, not the browser session. Answers with a JSON
+ * error instead of redirecting to the login page.
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Let requests without a token through (req.user is null)
+ * @param {string|Array<string>} [options.role] - Role required, e.g. 'admin', or a list of roles allowed
+ * @returns {Function} Express middleware
+ */
+function requireApiAuth({ optional = false, role = null } = {}) {
+    return async (req, res, next) => {
+        const idToken = getBearerToken(req);
+        if (!idToken) {
+            if (optional && !req.get('authorization')) {
+                req.user = null;
+                return next();
+            }
+            return sendApiError(res, 401, 'UNAUTHENTICATED', 'Send a Firebase ID token in an "Authorization: Bearer <token>" header');
+        }
+
+        let decodedToken;
+        try {
+            decodedToken = await verifyToken(idToken);
+        } catch (error) {
+            return sendApiError(res, 401, 'INVALID_TOKEN', 'The ID token is invalid or has expired');
+        }
+
+        try {
+            const user = await db.getUserByUid(decodedToken.uid);
+            if (user && user.disabled) {
+                return sendApiError(res, 403, 'ACCOUNT_DISABLED', 'Your account has been disabled. Contact an administrator.');
+            }
+            if (user && Boolean(user.emailVerified) !== Boolean(decodedToken.email_verified)) {
+                await db.setUserEmailVerified(user.uid, decodedToken.email_verified);
+            }
+            req.user = {
+                uid: decodedToken.uid,
+                email: decodedToken.email,
+                emailVerified: Boolean(decodedToken.email_verified),
+                name: (user && user.name) || decodedToken.name || decodedToken.email,
+                role: user ? user.role : 'student',
+                clubIds: db.getManagedClubIds(user)
+            };
+        } catch (error) {
+            return next(error);
+        }
+
+        const roles = [].concat(role || []);
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return sendApiError(res, 403, 'FORBIDDEN', `This endpoint requires the ${roles.join(' or ')} role`);
+        }
+        next();
+    };
+}
+
 module.exports = {
     requireAuth,
     requireAdmin,
+    requireOrganizer,
+    requireEventManager,
     requireStudent,
+    requireApiAuth,
+    getBearerToken,
     verifyToken,
-    getUserRole
+    createSessionCookie,
+    verifySessionCookie,
+    getUserRole,
+    getBootstrapAdminEmails,
+    getInitialRole
 };
 
@@ -0,0 +1,179 @@
+/**
+ * iCalendar (.ics) Generation
+ *
+ * Builds calendar files for single events and for the public and
+ * per-user subscription feeds. Event times are written in the
+ * Asia/Kolkata timezone they are entered in. Each event keeps the same
+ * UID for its whole life and its SEQUENCE is the event's revision
+ * number, so calendar apps replace edited events instead of adding
+ * copies, and archived events show up as cancelled.
+ */
+
+const { getEventDurationMinutes } = require('./repositories/events');
+
+const TIMEZONE = 'Asia/Kolkata';
+const PRODUCT_ID = '-//MUJ Events//Event Registration System//EN';
+
+// India has no daylight saving, so one fixed standard-time rule is enough
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'TZNAME:IST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Events with a start but no end time are shown as one hour long
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space.
+ * Never splits a multi-byte character.
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME, e.g. 20251201T043000Z
+ */
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Add minutes to an HH:MM time on a YYYY-MM-DD date
+ * @returns {{date: string, time: string}} Local date and time after adding
+ */
+function addMinutes(date, time, minutes) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, mins] = time.split(':').map(Number);
+    // Work in UTC so the server's own timezone cannot shift the result
+    const local = new Date(Date.UTC(year, month - 1, day, hours, mins + minutes));
+    return {
+        date: local.toISOString().slice(0, 10),
+        time: local.toISOString().slice(11, 16)
+    };
+}
+
+/**
+ * Local DATE-TIME in the event timezone, e.g. 20251201T100000
+ */
+function formatLocal(date, time) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Lines of one VEVENT
+ * @param {Object} event - Event record
+ * @param {Object} options
+ * @param {string} options.baseUrl - Site URL used for event links and UIDs
+ * @param {string} [options.status] - Override the STATUS (e.g. TENTATIVE for waitlisted places)
+ * @returns {Array<string>} Unfolded content lines
+ */
+function eventLines(event, { baseUrl, status }) {
+    const host = new URL(baseUrl).hostname;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:event-${event.id}@${host}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `DTSTAMP:${formatUtc(new Date())}`
+    ];
+
+    if (event.startTime) {
+        const duration = getEventDurationMinutes(event) || DEFAULT_DURATION_MINUTES;
+        const end = addMinutes(event.date, event.startTime, duration);
+        lines.push(`DTSTART;TZID=${TIMEZONE}:${formatLocal(event.date, event.startTime)}`);
+        lines.push(`DTEND;TZID=${TIMEZONE}:${formatLocal(end.date, end.time)}`);
+    } else {
+        // All-day event: DTEND is the (exclusive) following day
+        const nextDay = addMinutes(event.date, '00:00', 24 * 60).date;
+        lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`);
+        lines.push(`DTEND;VALUE=DATE:${nextDay.replace(/-/g, '')}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    if (event.venue) lines.push(`LOCATION:${escapeText(event.venue)}`);
+
+    const url = `${baseUrl}/event/${encodeURIComponent(event.id)}`;
+    const description = [event.description, event.organizer && `Organized by ${event.organizer}`, url]
+        .filter(Boolean)
+        .join('\n\n');
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+    lines.push(`URL:${url}`);
+    if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+
+    const modified = event.archivedAt || event.updatedAt || event.createdAt;
+    if (modified) lines.push(`LAST-MODIFIED:${formatUtc(new Date(modified))}`);
+
+    lines.push(`STATUS:${event.archivedAt ? 'CANCELLED' : (status || 'CONFIRMED')}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build a calendar file
+ * @param {Array<Object>} events - Events to include
+ * @param {Object} options
+ * @param {string} options.baseUrl - Site URL, e.g. https://events.example.edu
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @param {Object<string, string>} [options.statuses] - STATUS to use per event ID
+ *        instead of CONFIRMED (archived events are always CANCELLED)
+ * @returns {string} iCalendar text
+ */
+function buildCalendar(events, { baseUrl, name = 'MUJ Events', statuses = {} }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${TIMEZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...VTIMEZONE
+    ];
+
+    for (const event of events) {
+        lines.push(...eventLines(event, { baseUrl, status: statuses[event.id] }));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    TIMEZONE,
+    buildCalendar
+};
@@ -0,0 +1,152 @@
+/**
+ * Certificate PDFs
+ *
+ * Draws participation certificates: the event's background image filling
+ * an A4 landscape page, the attendee's name, the event title and date
+ * where the certificate template puts them, and a footer with the
+ * verification ID and the /certificates/:id address to check it at.
+ * Admins can download all of an event's certificates as one ZIP file.
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { uploadedFilePath } = require('./uploads');
+
+// Text boxes are this share of the page width, centred on the field's
+// position, and at most this many lines tall (longer text is cut off)
+const TEXT_BOX_WIDTH = 0.8;
+const TEXT_BOX_LINES = 2;
+
+const FIELD_FONTS = {
+    name: 'Helvetica-Bold',
+    title: 'Helvetica-Bold',
+    date: 'Helvetica'
+};
+
+/**
+ * Verification ID in groups of four, as printed, e.g. "K7QM-2XPA-H3TW"
+ * @param {string} id - Verification ID
+ * @returns {string}
+ */
+function formatCertificateId(id) {
+    return String(id).match(/.{1,4}/g).join('-');
+}
+
+/**
+ * Event date as printed on a certificate, e.g. "18 October 2026"
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatCertificateDate(date) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (isNaN(parsed.getTime())) return String(date || '');
+    return parsed.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Draw a certificate
+ * @param {Object} certificate - Certificate record (name, eventTitle, eventDate, id)
+ * @param {Object} template - The event's template, from getCertificateTemplate()
+ * @param {string} baseUrl - Site URL, from getBaseUrl()
+ * @returns {Promise<Buffer>} PDF file
+ */
+function renderCertificatePdf(certificate, template, baseUrl) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            layout: 'landscape',
+            margin: 0,
+            info: {
+                Title: `Certificate of participation - ${certificate.eventTitle}`,
+                Subject: certificate.name
+            }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const width = doc.page.width;
+        const height = doc.page.height;
+
+        const background = uploadedFilePath(template.backgroundUrl);
+        if (background && fs.existsSync(background)) {
+            doc.image(background, 0, 0, { width, height });
+        } else {
+            console.warn(`⚠️ Certificate background ${template.backgroundUrl} is missing`);
+        }
+
+        const text = {
+            name: certificate.name,
+            title: certificate.eventTitle,
+            date: formatCertificateDate(certificate.eventDate)
+        };
+        for (const [field, value] of Object.entries(text)) {
+            const placed = template.layout[field];
+            const boxWidth = width * TEXT_BOX_WIDTH;
+            doc.font(FIELD_FONTS[field])
+                .fontSize(placed.size)
+                .fillColor(placed.color)
+                .text(value, width * placed.x / 100 - boxWidth / 2, height * placed.y / 100 - placed.size / 2, {
+                    width: boxWidth,
+                    height: placed.size * 1.2 * TEXT_BOX_LINES,
+                    align: 'center',
+                    ellipsis: true
+                });
+        }
+
+        doc.font('Helvetica')
+            .fontSize(8)
+            .fillColor('#666666')
+            .text(
+                `Certificate ID ${formatCertificateId(certificate.id)} · Verify at ${baseUrl}/certificates/${certificate.id}`,
+                0, height - 24, { width, height: 12, align: 'center' }
+            );
+
+        doc.end();
+    });
+}
+
+/**
+ * File name of a certificate, e.g. certificate-priya-sharma-K7QM2XPAH3TW.pdf
+ * @param {Object} certificate - Certificate record
+ * @returns {string}
+ */
+function certificateFilename(certificate) {
+    const name = String(certificate.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `certificate-${name ? `${name}-` : ''}${certificate.id}.pdf`;
+}
+
+/**
+ * Stream a ZIP of certificates
+ * @param {Object} output - Writable stream, e.g. an Express response
+ * @param {Array<Object>} certificates - Certificate records
+ * @param {Object} template - The event's template
+ * @param {string} baseUrl - Site URL
+ * @returns {Promise<void>} Resolves once the ZIP is written
+ */
+async function writeCertificatesZip(output, certificates, template, baseUrl) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        archive.on('error', reject);
+    });
+    archive.pipe(output);
+
+    for (const certificate of certificates) {
+        archive.append(await renderCertificatePdf(certificate, template, baseUrl), {
+            name: certificateFilename(certificate)
+        });
+    }
+    await archive.finalize();
+    return finished;
+}
+
+module.exports = {
+    formatCertificateId,
+    formatCertificateDate,
+    renderCertificatePdf,
+    certificateFilename,
+    writeCertificatesZip
+};
@@ -1,472 +1,284 @@
 /**
- * Firestore Database Configuration
- * 
- * This file provides a Firestore-based data storage system.
- * Data is stored in Firestore collections.
- * 
+ * Database Repository Layer
+ *
+ * This file is the single entry point routes use to read and write data.
+ * It exposes explicit repository methods for events, registrations, teams,
+ * feedback, certificates, clubs, users, notifications, the email outbox,
+ * background jobs and login sessions; each method is backed by the storage
+ * backend selected with DB_BACKEND (see config/storage/index.js).
+ *
  * ============================================
  * DATA STRUCTURE
  * ============================================
- * 
- * Firestore Collections:
+ *
+ * Collections:
  * - events: Event documents
- *   { id: "auto", title: "...", date: "...", venue: "..." }
- * 
+ *   { id: "auto", title: "...", date: "...", venue: "...", description: "...",
+ *     startTime: "HH:MM", endTime: "HH:MM", category: "...", organizer: "...",
+ *     clubId: "..." (or null; organizer is then the club's name),
+ *     contact: "...", posterUrl: "...", capacity: 0, seatsTaken: 0, waitlistCount: 0,
+ *     attendeeVisibility: "hidden|count|names",
+ *     eligibleEmailDomains: ["muj.manipal.edu"], eligiblePrograms: ["B.Tech"],
+ *     eligibleYears: [1, 2], eligibleDepartments: ["..."] (empty lists: anyone may register),
+ *     registrationFields: [{ key: "githubHandle", label: "GitHub handle",
+ *       type: "text|number|select|checkbox|url", required: false, options: [], min, max }],
+ *     feedbackQuestions: [{ key, label, type: "rating|text|select", required, options }],
+ *     teamEvent: false, minTeamSize: 2, maxTeamSize: 5 (capacity counts teams when teamEvent),
+ *     registrationOpensAt: "..." (or null),
+ *     registrationClosesAt: "..." (or null: when the event starts),
+ *     certificateTemplate: { backgroundUrl: "/uploads/certificates/...",
+ *       layout: { name: { x: 50, y: 45, size: 36, color: "#1a1a1a" }, title, date },
+ *       updatedAt } (or null),
+ *     status: "draft|pending|scheduled|published" (cancelled = archived, see getEventStatus),
+ *     publishAt: "..." (or null), submittedAt: "...", publishedAt: "...",
+ *     review: { decision: "approved|rejected", comment: "...", reviewer: "...",
+ *       at: "..." } (or null),
+ *     createdAt: "...", updatedAt: "...", archivedAt: null, sequence: 0,
+ *     listed: true, sortKey: "<startsAt>~<random>", organizerKey: "...",
+ *     searchTerms: ["ai", "wo", "wor", ...], listingVersion: 2 }
+ *     (listing fields, see listEvents)
+ *
  * - registrations: Registration documents
- *   { id: "auto", name: "...", email: "...", event_id: "..." }
- * 
- * - users: User documents
- *   { uid: "...", email: "...", name: "...", role: "..." }
- * 
+ *   { id: "auto", name: "...", email: "...", event_id: "...", uid: "...",
+ *     status: "confirmed|waitlisted|cancelled", createdAt: "...", hideFromAttendees: false,
+ *     answers: { githubHandle: "..." } (to the event's registrationFields),
+ *     team_id: "...", teamName: "...", teamRole: "leader|member" (team events only),
+ *     checkedInAt: "..." (once attended), checkedInBy: "...",
+ *     certificateId: "..." (once issued),
+ *     eventSnapshot: { title, date, venue, clubId, registrationFields }
+ *     (only once the event is deleted) }
+ *
+ * - teams: Teams registered for team events (see repositories/teams.js)
+ *   { id: "auto", event_id: "...", name: "...", nameKey: "...", inviteCode: "K7QM2XPA",
+ *     leaderUid: "...", leaderRegistrationId: "...", createdAt: "...", disbandedAt: null }
+ *
+ * - feedback: Post-event feedback (keyed by registration ID, see repositories/feedback.js)
+ *   { id: "<registrationId>", event_id: "...", registration_id: "...", uid: "...",
+ *     rating: 1-5, answers: { venueRating: 4 }, comment: "...", createdAt: "..." }
+ *
+ * - certificates: Participation certificates (keyed by verification ID,
+ *   see repositories/certificates.js)
+ *   { id: "K7QM2XPAH3TW", event_id: "...", registration_id: "...", uid: "...",
+ *     name: "...", eventTitle: "...", eventDate: "YYYY-MM-DD", issuedAt: "..." }
+ *
+ * - clubs: Student clubs (see repositories/clubs.js)
+ *   { id: "auto", name: "...", nameKey: "...", description: "...", contact: "...",
+ *     createdAt: "...", updatedAt: "..." }
+ *
+ * - users: User documents (keyed by uid)
+ *   { uid: "...", email: "...", emailVerified: true, name: "...",
+ *     role: "student|organizer|admin", clubIds: ["..."] (organizers only),
+ *     disabled: false, createdAt: "...",
+ *     calendarToken: "..." (private calendar feed), hideFromAttendeeLists: false,
+ *     program: "...", year: 1, department: "..." (checked against event eligibility) }
+ *
+ * - notifications: In-app messages for students
+ *   { id: "auto", uid: "...", email: "...", type: "event_cancelled|event_restored",
+ *     message: "...", eventId: "...", createdAt: "...", readAt: null }
+ *
+ * - outbox: Emails waiting to be sent (see config/mail)
+ *   { id: "auto", template: "...", to: "...", subject: "...", html: "...", text: "...",
+ *     attachments: [], status: "pending|sent|failed", attempts: 0,
+ *     nextAttemptAt: "...", lastError: null, createdAt: "...", sentAt: "..." }
+ *
+ * - jobs: Scheduled background jobs (keyed by idempotency key, see config/scheduler)
+ *   { id: "reminder-24h_<eventId>_<registrationId>", type: "...", label: "...",
+ *     status: "scheduled|done|skipped|failed", runAt: "...", version: "...", data: {},
+ *     eventId: "...", registrationId: "...", attempts: 0, lastError: null,
+ *     result: null, createdAt: "...", completedAt: "..." }
+ *
+ * - sessions: Login sessions (keyed by session ID, see config/sessions.js)
+ *   { id: "...", uid: "...", data: "{...express-session JSON...}",
+ *     expiresAt: "...", updatedAt: "..." }
+ *
  * ============================================
  */
 
-const { admin } = require('./firebase');
+const { getStorage, setStorage } = require('./storage');
+const events = require('./repositories/events');
+const registrations = require('./repositories/registrations');
+const teams = require('./repositories/teams');
+const feedback = require('./repositories/feedback');
+const certificates = require('./repositories/certificates');
+const clubs = require('./repositories/clubs');
+const users = require('./repositories/users');
+const notifications = require('./repositories/notifications');
+const outbox = require('./repositories/outbox');
+const jobs = require('./repositories/jobs');
+const sessions = require('./repositories/sessions');
 
-// Get Firestore instance
-const db = admin.firestore();
+module.exports = {
+    // Events
+    EVENT_CATEGORIES: events.EVENT_CATEGORIES,
+    ATTENDEE_VISIBILITY: events.ATTENDEE_VISIBILITY,
+    validateEventData: events.validateEventData,
+    getEventDurationMinutes: events.getEventDurationMinutes,
+    getEventStart: events.getEventStart,
+    getEventEnd: events.getEventEnd,
+    REGISTRATION_WINDOW: events.REGISTRATION_WINDOW,
+    getRegistrationWindow: events.getRegistrationWindow,
+    getSeatsRemaining: events.getSeatsRemaining,
+    getAttendeeVisibility: events.getAttendeeVisibility,
+    getEligibilityRules: events.getEligibilityRules,
+    hasEligibilityRules: events.hasEligibilityRules,
+    REGISTRATION_FIELD_TYPES: events.REGISTRATION_FIELD_TYPES,
+    getRegistrationFields: events.getRegistrationFields,
+    FEEDBACK_QUESTION_TYPES: events.FEEDBACK_QUESTION_TYPES,
+    getFeedbackQuestions: events.getFeedbackQuestions,
+    getTeamSizeLimits: events.getTeamSizeLimits,
+    isEventArchived: events.isEventArchived,
+    EVENT_STATUS: events.EVENT_STATUS,
+    getEventStatus: events.getEventStatus,
+    isEventPublished: events.isEventPublished,
+    wasEventPublished: events.wasEventPublished,
+    getCampusDate: events.getCampusDate,
+    EVENT_LISTING_VERSION: events.LISTING_VERSION,
+    listEvents: events.listEvents,
+    backfillEventListingFields: events.backfillListingFields,
+    getAllEvents: events.getAllEvents,
+    getEventById: events.getEventById,
+    createEvent: events.createEvent,
+    createEvents: events.createEvents,
+    updateEvent: events.updateEvent,
+    submitEventForReview: events.submitEventForReview,
+    approveEvent: events.approveEvent,
+    rejectEvent: events.rejectEvent,
+    publishScheduledEvent: events.publishScheduledEvent,
+    getPendingEvents: events.getPendingEvents,
+    getScheduledEvents: events.getScheduledEvents,
+    archiveEvent: events.archiveEvent,
+    restoreEvent: events.restoreEvent,
+    // Deleting an event also removes or archives its registrations
+    deleteEvent: registrations.deleteEvent,
 
-// Collection references
-const EVENTS_COLLECTION = db.collection('events');
-const REGISTRATIONS_COLLECTION = db.collection('registrations');
-const USERS_COLLECTION = db.collection('users');
+    // Registrations
+    REGISTRATION_STATUS: registrations.REGISTRATION_STATUS,
+    getRegistrationStatus: registrations.getRegistrationStatus,
+    groupRegistrationsByTeam: registrations.groupRegistrationsByTeam,
+    getExtraRegistrationFields: registrations.getExtraRegistrationFields,
+    validateRegistrationAnswers: registrations.validateRegistrationAnswers,
+    getAllRegistrations: registrations.getAllRegistrations,
+    getRegistrationById: registrations.getRegistrationById,
+    getRegistrationsByEventId: registrations.getRegistrationsByEventId,
+    getRegistrationsCreatedBetween: registrations.getRegistrationsCreatedBetween,
+    isUserRegisteredForEvent: registrations.isUserRegisteredForEvent,
+    getWaitlistPosition: registrations.getWaitlistPosition,
+    getRegistrationsForUser: registrations.getRegistrationsForUser,
+    isRegistrationOwnedBy: registrations.isRegistrationOwnedBy,
+    getRegistrationStatusesForUser: registrations.getRegistrationStatusesForUser,
+    setHiddenFromAttendeesForUser: registrations.setHiddenFromAttendeesForUser,
+    getAttendeeList: registrations.getAttendeeList,
+    getCancellationCutoffHours: registrations.getCancellationCutoffHours,
+    getCancellationBlocker: registrations.getCancellationBlocker,
+    getRegistrationWindowBlocker: registrations.getRegistrationWindowBlocker,
+    getEligibilityBlocker: registrations.getEligibilityBlocker,
+    createRegistration: registrations.createRegistration,
+    cancelRegistration: registrations.cancelRegistration,
+    fillWaitlist: registrations.fillWaitlist,
+    checkInRegistration: registrations.checkInRegistration,
+    getCheckInStats: registrations.getCheckInStats,
+    getRegistrationsWithEvents: registrations.getRegistrationsWithEvents,
 
-console.log('✅ Firestore database initialized');
+    // Teams
+    TEAM_ROLES: teams.TEAM_ROLES,
+    MAX_TEAM_NAME_LENGTH: teams.MAX_TEAM_NAME_LENGTH,
+    getTeamById: teams.getTeamById,
+    getTeamsByEventId: teams.getTeamsByEventId,
+    getTeamMembers: registrations.getTeamMembers,
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
+    // Feedback
+    FEEDBACK_RATINGS: feedback.RATINGS,
+    getFeedbackWindowDays: feedback.getFeedbackWindowDays,
+    getFeedbackClosesAt: feedback.getFeedbackClosesAt,
+    getFeedbackBlocker: feedback.getFeedbackBlocker,
+    validateFeedback: feedback.validateFeedback,
+    getFeedbackByRegistrationId: feedback.getFeedbackByRegistrationId,
+    getFeedbackByEventId: feedback.getFeedbackByEventId,
+    submitFeedback: feedback.submitFeedback,
+    getFeedbackReport: feedback.getFeedbackReport,
 
-/**
- * Convert Firestore document to plain object with ID
- */
-function docToObject(doc) {
-    if (!doc.exists) return null;
-    return {
-        id: doc.id,
-        ...doc.data()
-    };
-}
-
-/**
- * Convert Firestore query snapshot to array of objects
- */
-function snapshotToArray(snapshot) {
-    const results = [];
-    snapshot.forEach(doc => {
-        results.push(docToObject(doc));
-    });
-    return results;
-}
-
-// ============================================
-// EVENTS OPERATIONS
-// ============================================
-
-/**
- * Get all events
- * @returns {Promise<Array>} Array of all events
- */
-async function getAllEvents() {
-    try {
-        const snapshot = await EVENTS_COLLECTION.orderBy('date', 'asc').get();
-        const events = snapshotToArray(snapshot);
-        console.log(`📋 Fetched ${events.length} events from Firestore`);
-        return events;
-    } catch (error) {
-        // Check if it's a NOT_FOUND error (database not enabled)
-        if (error.code === 5 || error.code === 'NOT_FOUND') {
-            console.error('❌ Firestore database not found. Please enable Firestore in Firebase Console.');
-            return [];
-        }
-        console.error('❌ Error fetching events:', error);
-        return [];
-    }
-}
-
-/**
- * Get event by ID
- * @param {string|number} id - Event ID
- * @returns {Promise<Object|null>} Event object or null if not found
- */
-async function getEventById(id) {
-    try {
-        const doc = await EVENTS_COLLECTION.doc(String(id)).get();
-        return docToObject(doc);
-    } catch (error) {
-        // NOT_FOUND (code 5) is normal when document doesn't exist
-        if (error.code === 5 || error.code === 'NOT_FOUND') {
-            return null;
-        }
-        console.error('❌ Error fetching event by ID:', error);
-        return null;
-    }
-}
+    // Certificates
+    CERTIFICATE_FIELDS: certificates.CERTIFICATE_FIELDS,
+    DEFAULT_CERTIFICATE_LAYOUT: certificates.DEFAULT_CERTIFICATE_LAYOUT,
+    validateCertificateLayout: certificates.validateCertificateLayout,
+    getCertificateTemplate: certificates.getCertificateTemplate,
+    saveCertificateTemplate: certificates.saveCertificateTemplate,
+    getEventCertificateBlocker: certificates.getEventCertificateBlocker,
+    getCertificateBlocker: certificates.getCertificateBlocker,
+    normalizeCertificateId: certificates.normalizeCertificateId,
+    getCertificateById: certificates.getCertificateById,
+    getCertificatesByEventId: certificates.getCertificatesByEventId,
+    issueCertificate: certificates.issueCertificate,
+    issueCertificates: certificates.issueCertificates,
 
-/**
- * Create a new event
- * @param {Object} eventData - Event data (title, date, venue)
- * @returns {Promise<Object>} Created event with ID
- */
-async function createEvent(eventData) {
-    try {
-        console.log('📝 Creating new event in Firestore:', eventData);
-        
-        // Add event to Firestore (ID will be auto-generated)
-        const docRef = await EVENTS_COLLECTION.add({
-            title: eventData.title,
-            date: eventData.date,
-            venue: eventData.venue,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        // Get the created document
-        const doc = await docRef.get();
-        const newEvent = docToObject(doc);
-        
-        console.log('✅ Event created successfully:', newEvent);
-        return newEvent;
-    } catch (error) {
-        // Check if it's a NOT_FOUND error (database not enabled)
-        if (error.code === 5 || error.code === 'NOT_FOUND') {
-            console.error('❌ Firestore database not found. Please enable Firestore in Firebase Console:');
-            console.error('   1. Go to Firebase Console > Firestore Database');
-            console.error('   2. Click "Create database"');
-            console.error('   3. Choose "Start in test mode" (for development)');
-            throw new Error('Firestore database not enabled. Please enable it in Firebase Console.');
-        }
-        console.error('❌ Error creating event:', error);
-        throw error;
-    }
-}
+    // Clubs
+    validateClubData: clubs.validateClubData,
+    getAllClubs: clubs.getAllClubs,
+    getClubById: clubs.getClubById,
+    createClub: clubs.createClub,
+    updateClub: clubs.updateClub,
+    deleteClub: clubs.deleteClub,
+    getClubEvents: clubs.getClubEvents,
+    getClubOrganizers: clubs.getClubOrganizers,
+    addClubOrganizer: clubs.addClubOrganizer,
+    removeClubOrganizer: clubs.removeClubOrganizer,
+    getManagedClubIds: clubs.getManagedClubIds,
+    canManageClub: clubs.canManageClub,
+    canManageEvent: clubs.canManageEvent,
+    resolveEventClub: clubs.resolveEventClub,
 
-/**
- * Delete an event
- * @param {string|number} id - Event ID
- * @returns {Promise<boolean>} True if deleted successfully
- */
-async function deleteEvent(id) {
-    try {
-        await EVENTS_COLLECTION.doc(String(id)).delete();
-        console.log(`✅ Event ${id} deleted successfully`);
-        return true;
-    } catch (error) {
-        console.error('❌ Error deleting event:', error);
-        throw error;
-    }
-}
+    // Users
+    ROLES: users.ROLES,
+    STUDENT_YEARS: users.STUDENT_YEARS,
+    getUserByUid: users.getUserByUid,
+    getUserByEmail: users.getUserByEmail,
+    listUsers: users.listUsers,
+    createUser: users.createUser,
+    updateUserRole: users.updateUserRole,
+    setUserDisabled: users.setUserDisabled,
+    setUserEmailVerified: users.setUserEmailVerified,
+    validateProfileData: users.validateProfileData,
+    updateUserProfile: users.updateUserProfile,
+    setAttendeeListOptOut: users.setAttendeeListOptOut,
+    getCalendarToken: users.getCalendarToken,
+    resetCalendarToken: users.resetCalendarToken,
+    getUserByCalendarToken: users.getUserByCalendarToken,
 
-// ============================================
-// REGISTRATIONS OPERATIONS
-// ============================================
+    // Notifications
+    NOTIFICATION_TYPES: notifications.NOTIFICATION_TYPES,
+    notifyEventRegistrants: notifications.notifyEventRegistrants,
+    getNotificationsForUser: notifications.getNotificationsForUser,
+    markNotificationsRead: notifications.markNotificationsRead,
 
-/**
- * Get all registrations
- * @returns {Promise<Array>} Array of all registrations
- */
-async function getAllRegistrations() {
-    try {
-        const snapshot = await REGISTRATIONS_COLLECTION.get();
-        return snapshotToArray(snapshot);
-    } catch (error) {
-        console.error('❌ Error fetching registrations:', error);
-        return [];
-    }
-}
+    // Email outbox
+    OUTBOX_STATUS: outbox.OUTBOX_STATUS,
+    addOutboxMessage: outbox.addOutboxMessage,
+    getDueOutboxMessages: outbox.getDueOutboxMessages,
+    claimOutboxMessage: outbox.claimOutboxMessage,
+    markOutboxMessageSent: outbox.markOutboxMessageSent,
+    markOutboxMessageFailed: outbox.markOutboxMessageFailed,
 
-/**
- * Get registration by ID
- * @param {string|number} id - Registration ID
- * @returns {Promise<Object|null>} Registration object or null if not found
- */
-async function getRegistrationById(id) {
-    try {
-        const doc = await REGISTRATIONS_COLLECTION.doc(String(id)).get();
-        return docToObject(doc);
-    } catch (error) {
-        console.error('❌ Error fetching registration by ID:', error);
-        return null;
-    }
-}
+    // Background jobs
+    JOB_STATUS: jobs.JOB_STATUS,
+    scheduleJob: jobs.scheduleJob,
+    getJobById: jobs.getJobById,
+    getJobsByEventId: jobs.getJobsByEventId,
+    getDueJobs: jobs.getDueJobs,
+    getUpcomingJobs: jobs.getUpcomingJobs,
+    getFailedJobs: jobs.getFailedJobs,
+    claimJob: jobs.claimJob,
+    completeJob: jobs.completeJob,
+    failJob: jobs.failJob,
+    retryJob: jobs.retryJob,
 
-/**
- * Get registrations by event ID
- * @param {string|number} eventId - Event ID
- * @returns {Promise<Array>} Array of registrations for the event
- */
-async function getRegistrationsByEventId(eventId) {
-    try {
-        const snapshot = await REGISTRATIONS_COLLECTION
-            .where('event_id', '==', String(eventId))
-            .get();
-        return snapshotToArray(snapshot);
-    } catch (error) {
-        console.error('❌ Error fetching registrations by event ID:', error);
-        return [];
-    }
-}
+    // Login sessions
+    getSession: sessions.getSession,
+    saveSession: sessions.saveSession,
+    destroySession: sessions.destroySession,
+    destroySessionsForUser: sessions.destroySessionsForUser,
+    deleteExpiredSessions: sessions.deleteExpiredSessions,
 
-/**
- * Check if email is already registered for an event
- * @param {string} email - Email address
- * @param {string|number} eventId - Event ID
- * @returns {Promise<boolean>} True if already registered
- */
-async function isEmailRegisteredForEvent(email, eventId) {
-    try {
-        const snapshot = await REGISTRATIONS_COLLECTION
-            .where('email', '==', email.toLowerCase())
-            .where('event_id', '==', String(eventId))
-            .limit(1)
-            .get();
-        return !snapshot.empty;
-    } catch (error) {
-        console.error('❌ Error checking registration:', error);
-        return false;
-    }
-}
-
-/**
- * Create a new registration
- * @param {Object} registrationData - Registration data (name, email, event_id)
- * @returns {Promise<Object>} Created registration with ID
- */
-async function createRegistration(registrationData) {
-    try {
-        const docRef = await REGISTRATIONS_COLLECTION.add({
-            name: registrationData.name.trim(),
-            email: registrationData.email.trim().toLowerCase(),
-            event_id: String(registrationData.event_id),
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        const doc = await docRef.get();
-        return docToObject(doc);
-    } catch (error) {
-        console.error('❌ Error creating registration:', error);
-        throw error;
-    }
-}
-
-/**
- * Get all registrations with event details (JOIN equivalent)
- * @returns {Promise<Array>} Array of registrations with event details
- */
-async function getRegistrationsWithEvents() {
-    try {
-        const registrations = await getAllRegistrations();
-        const events = await getAllEvents();
-        
-        // Create a map of events by ID for quick lookup
-        const eventsMap = {};
-        events.forEach(event => {
-            eventsMap[event.id] = event;
-        });
-        
-        // Join registrations with events
-        const result = registrations
-            .map(reg => {
-                const event = eventsMap[reg.event_id];
-                if (!event) return null; // Skip if event not found
-                
-                return {
-                    id: reg.id,
-                    name: reg.name,
-                    email: reg.email,
-                    event_title: event.title,
-                    event_date: event.date,
-                    event_venue: event.venue
-                };
-            })
-            .filter(reg => reg !== null) // Remove null entries
-            .sort((a, b) => parseInt(b.id) - parseInt(a.id)); // Sort by ID descending
-        
-        return result;
-    } catch (error) {
-        console.error('❌ Error fetching registrations with events:', error);
-        return [];
-    }
-}
-
-// ============================================
-// USER OPERATIONS
-// ============================================
-
-/**
- * Get user by UID
- * @param {string} uid - User UID
- * @returns {Promise<Object|null>} User object or null if not found
- */
-async function getUserByUid(uid) {
-    try {
-        const doc = await USERS_COLLECTION.doc(uid).get();
-        return docToObject(doc);
-    } catch (error) {
-        // NOT_FOUND (code 5) is normal when document doesn't exist
-        if (error.code === 5 || error.code === 'NOT_FOUND') {
-            return null;
-        }
-        console.error('❌ Error fetching user by UID:', error);
-        return null;
-    }
-}
-
-/**
- * Create a new user
- * @param {Object} userData - User data (uid, email, name, role)
- * @returns {Promise<Object>} Created user
- */
-async function createUser(userData) {
-    try {
-        // Check if user already exists
-        const existing = await getUserByUid(userData.uid);
-        if (existing) {
-            return existing;
-        }
-        
-        const userDoc = {
-            uid: userData.uid,
-            email: userData.email,
-            name: userData.name || userData.email,
-            role: userData.role || 'student',
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-        
-        await USERS_COLLECTION.doc(userData.uid).set(userDoc);
-        
-        // Get the created document to return
-        const doc = await USERS_COLLECTION.doc(userData.uid).get();
-        return docToObject(doc);
-    } catch (error) {
-        // Check if it's a NOT_FOUND error (database not enabled)
-        if (error.code === 5 || error.code === 'NOT_FOUND') {
-            console.error('❌ Firestore database not found. Please enable Firestore in Firebase Console:');
-            console.error('   1. Go to Firebase Console > Firestore Database');
-            console.error('   2. Click "Create database"');
-            console.error('   3. Choose "Start in test mode" (for development)');
-            throw new Error('Firestore database not enabled. Please enable it in Firebase Console.');
-        }
-        console.error('❌ Error creating user:', error);
-        throw error;
-    }
-}
-
-/**
- * Update user role
- * @param {string} uid - User UID
- * @param {string} role - New role
- * @returns {Promise<Object|null>} Updated user or null if not found
- */
-async function updateUserRole(uid, role) {
-    try {
-        await USERS_COLLECTION.doc(uid).update({
-            role: role,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        return await getUserByUid(uid);
-    } catch (error) {
-        console.error('❌ Error updating user role:', error);
-        return null;
-    }
-}
-
-// ============================================
-// MOCK DATABASE INTERFACE
-// ============================================
-// This object mimics the MySQL query interface for easy migration
-
-const dbInterface = {
-    /**
-     * Mock query method that mimics MySQL query interface
-     * Supports common query patterns used in routes
-     */
-    async query(sql, params = []) {
-        // Parse SQL to determine operation
-        const sqlUpper = sql.trim().toUpperCase().replace(/\s+/g, ' ');
-        
-        console.log('🔍 DB Query called:', sql);
-        console.log('🔍 SQL Upper (normalized):', sqlUpper);
-        console.log('🔍 Params:', params);
-        
-        try {
-            // INSERT INTO events (title, date, venue) VALUES (?, ?, ?)
-            // Check INSERT first before SELECT to avoid conflicts
-            if (sqlUpper.startsWith('INSERT INTO EVENTS') || sqlUpper.includes('INSERT INTO EVENTS')) {
-                console.log('✅ INSERT INTO events matched!');
-                const event = await createEvent({
-                    title: params[0],
-                    date: params[1],
-                    venue: params[2]
-                });
-                console.log('✅ Created event successfully:', event);
-                return [{ insertId: event.id }];
-            }
-            
-            // SELECT * FROM events WHERE id = ?
-            if (sqlUpper.includes('SELECT') && sqlUpper.includes('FROM EVENTS') && sqlUpper.includes('WHERE ID = ?')) {
-                const event = await getEventById(params[0]);
-                return [[event].filter(e => e !== null)];
-            }
-            
-            // SELECT id FROM events WHERE id = ?
-            if (sqlUpper.includes('SELECT ID FROM EVENTS WHERE ID = ?')) {
-                const event = await getEventById(params[0]);
-                return [[event].filter(e => e !== null)];
-            }
-            
-            // SELECT * FROM events (with or without ORDER BY, but no WHERE clause)
-            if (sqlUpper.includes('SELECT') && sqlUpper.includes('FROM EVENTS') && !sqlUpper.includes('WHERE')) {
-                console.log('✅ SELECT * FROM events matched!');
-                const events = await getAllEvents();
-                console.log('Fetched events:', events.length, 'events');
-                return [events];
-            }
-            
-            // SELECT id FROM registrations WHERE email = ? AND event_id = ?
-            if (sqlUpper.includes('SELECT ID FROM REGISTRATIONS WHERE EMAIL = ? AND EVENT_ID = ?')) {
-                const exists = await isEmailRegisteredForEvent(params[0], params[1]);
-                return exists ? [[{ id: 1 }]] : [[]];
-            }
-            
-            // INSERT INTO registrations (name, email, event_id) VALUES (?, ?, ?)
-            if (sqlUpper.includes('INSERT INTO REGISTRATIONS')) {
-                const registration = await createRegistration({
-                    name: params[0],
-                    email: params[1],
-                    event_id: params[2]
-                });
-                return [{ insertId: registration.id }];
-            }
-            
-            // SELECT with JOIN (admin panel query)
-            if (sqlUpper.includes('FROM REGISTRATIONS R') && sqlUpper.includes('INNER JOIN EVENTS E')) {
-                const registrations = await getRegistrationsWithEvents();
-                return [registrations];
-            }
-            
-            // Default: return empty result
-            console.warn('⚠️  Unmatched SQL query:', sql);
-            console.warn('⚠️  SQL Upper (normalized):', sqlUpper);
-            console.warn('⚠️  Checking patterns:');
-            console.warn('   - INSERT INTO EVENTS:', sqlUpper.includes('INSERT INTO EVENTS'));
-            console.warn('   - SELECT * FROM EVENTS:', sqlUpper.includes('SELECT * FROM EVENTS'));
-            console.warn('   - Has WHERE:', sqlUpper.includes('WHERE'));
-            return [[]];
-        } catch (error) {
-            console.error('❌ Database query error:', error);
-            console.error('❌ Error stack:', error.stack);
-            throw error;
-        }
-    },
-    
-    // Export helper functions
-    getUserByUid,
-    createUser,
-    updateUserRole,
-    getRegistrationsByEventId,
-    deleteEvent
+    // Storage backend access
+    getStorage,
+    setStorage
 };
-
-// Export the db object for use in routes
-module.exports = dbInterface;
@@ -0,0 +1,213 @@
+/**
+ * Registration Export
+ *
+ * Builds CSV and Excel (XLSX) downloads of registrations for club
+ * coordinators, either for one event or across all events, and CSV
+ * downloads of an event's feedback.
+ */
+
+const ExcelJS = require('exceljs');
+const db = require('./db');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Columns every export has; extra registration fields are appended after these
+const BASE_COLUMNS = [
+    { header: 'Registration ID', key: 'id' },
+    { header: 'Name', key: 'name' },
+    { header: 'Email', key: 'email' },
+    { header: 'Event ID', key: 'event_id' },
+    { header: 'Event', key: 'event_title' },
+    { header: 'Event Date', key: 'event_date' },
+    { header: 'Venue', key: 'event_venue' },
+    { header: 'Status', key: 'status' },
+    { header: 'Team', key: 'teamName' },
+    { header: 'Team Role', key: 'teamRole' },
+    { header: 'Registered At (IST)', key: 'createdAt', timestamp: true },
+    { header: 'Cancelled At (IST)', key: 'cancelledAt', timestamp: true },
+    { header: 'Checked In At (IST)', key: 'checkedInAt', timestamp: true }
+];
+
+/**
+ * Format an ISO timestamp as "YYYY-MM-DD HH:MM" in campus time (IST)
+ * @param {string} iso - ISO timestamp
+ * @returns {string} Formatted time, or '' if missing
+ */
+function formatTimestamp(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return String(iso);
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Asia/Kolkata',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Turn any stored value into cell text
+ */
+function cellText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(cellText).join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Registrations to export, with their event details
+ * @param {Object|null} event - Only export this event's registrations; null for all events
+ * @param {Object} [options]
+ * @param {Array<string>} [options.clubIds] - With no event, only export events of these clubs
+ * @returns {Promise<Array<Object>>} Rows shaped like getRegistrationsWithEvents()
+ */
+async function getExportRows(event, { clubIds = null } = {}) {
+    if (!event) {
+        return db.getRegistrationsWithEvents({ clubIds });
+    }
+
+    const registrations = await db.getRegistrationsByEventId(event.id, { includeCancelled: true });
+    return db.groupRegistrationsByTeam(registrations).map(reg => ({
+        id: reg.id,
+        name: reg.name,
+        email: reg.email,
+        event_id: event.id,
+        status: db.getRegistrationStatus(reg),
+        createdAt: reg.createdAt,
+        cancelledAt: reg.cancelledAt || null,
+        checkedInAt: reg.checkedInAt || null,
+        teamName: reg.teamName || null,
+        teamRole: reg.teamRole || null,
+        extraFields: db.getExtraRegistrationFields(reg, event),
+        event_title: event.title,
+        event_date: event.date,
+        event_venue: event.venue
+    }));
+}
+
+/**
+ * Lay rows out as a table of text cells
+ * @param {Array<Object>} rows - Rows from getExportRows()
+ * @returns {{ headers: Array<string>, records: Array<Array<string>> }}
+ */
+function buildExportTable(rows) {
+    // Extra fields differ between events, so collect every name that appears
+    const extraKeys = [];
+    rows.forEach(row => {
+        Object.keys(row.extraFields || {}).forEach(key => {
+            if (!extraKeys.includes(key)) extraKeys.push(key);
+        });
+    });
+
+    const headers = BASE_COLUMNS.map(column => column.header).concat(extraKeys);
+    const records = rows.map(row => BASE_COLUMNS
+        .map(column => (column.timestamp ? formatTimestamp(row[column.key]) : cellText(row[column.key])))
+        .concat(extraKeys.map(key => cellText((row.extraFields || {})[key]))));
+
+    return { headers, records };
+}
+
+/**
+ * Lay an event's feedback out as a table of text cells. Responses are
+ * anonymous: only whether the student was checked in is included.
+ * @param {Object} event - Event the feedback is about
+ * @param {Array<Object>} responses - Its feedback, from getFeedbackByEventId()
+ * @param {Array<Object>} registrations - Its registrations, for check-in status
+ * @returns {{ headers: Array<string>, records: Array<Array<string>> }}
+ */
+function buildFeedbackTable(event, responses, registrations) {
+    const checkedIn = new Set(registrations.filter(reg => reg.checkedInAt).map(reg => reg.id));
+    const questions = db.getFeedbackQuestions(event);
+
+    const headers = ['Submitted At (IST)', 'Checked In', 'Rating']
+        .concat(questions.map(question => question.label), 'Comment');
+    const records = responses.map(response => [
+        formatTimestamp(response.createdAt),
+        checkedIn.has(response.registration_id) ? 'Yes' : 'No',
+        cellText(response.rating)
+    ].concat(
+        questions.map(question => cellText((response.answers || {})[question.key])),
+        cellText(response.comment)
+    ));
+
+    return { headers, records };
+}
+
+/**
+ * Quote a CSV field (RFC 4180). Values that spreadsheet apps would run as
+ * formulas are prefixed with an apostrophe.
+ */
+function csvField(value) {
+    let text = cellText(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Render a table as CSV. Starts with a UTF-8 byte order mark so Excel
+ * shows non-ASCII names correctly.
+ * @param {{ headers: Array<string>, records: Array<Array<string>> }} table
+ * @returns {string} CSV text
+ */
+function toCsv(table) {
+    const lines = [table.headers, ...table.records].map(record => record.map(csvField).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render a table as an Excel workbook
+ * @param {{ headers: Array<string>, records: Array<Array<string>> }} table
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+async function toXlsx(table) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const sheet = workbook.addWorksheet('Registrations', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.addRow(table.headers).font = { bold: true };
+    table.records.forEach(record => sheet.addRow(record));
+
+    sheet.columns.forEach((column, index) => {
+        const longest = [table.headers, ...table.records]
+            .reduce((max, record) => Math.max(max, String(record[index] || '').length), 0);
+        column.width = Math.min(Math.max(longest + 2, 10), 60);
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Download file name, e.g. registrations-tech-summit-2025-11-20.csv
+ * @param {Object|null} event - Exported event, or null for all events
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {string} [kind='registrations'] - What is exported, e.g. 'feedback'
+ * @returns {string} File name
+ */
+function exportFilename(event, format, kind = 'registrations') {
+    const scope = event
+        ? String(event.title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || `event-${event.id}`
+        : 'all-events';
+    const today = new Date().toISOString().slice(0, 10);
+    return `${kind}-${scope}-${today}.${format}`;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    formatTimestamp,
+    getExportRows,
+    buildExportTable,
+    buildFeedbackTable,
+    toCsv,
+    toXlsx,
+    exportFilename
+};
@@ -0,0 +1,224 @@
+/**
+ * Event Import
+ *
+ * Reads events from a CSV or JSON file, validates every row and creates
+ * the valid ones in one batch. Used by the import form on /admin/events
+ * and by setup-db.js for seeding.
+ *
+ * CSV files need a header row; JSON files hold an array of event objects
+ * (or { "events": [...] }). Column and key names are the event fields
+ * (title, date, venue, description, startTime, endTime, category,
+ * organizer, contact, posterUrl, capacity, attendeeVisibility and the
+ * eligibility lists eligibleEmailDomains, eligiblePrograms, eligibleYears
+ * and eligibleDepartments, teamEvent, minTeamSize and maxTeamSize, and
+ * registrationOpensAt and registrationClosesAt as YYYY-MM-DDTHH:MM in IST),
+ * matched ignoring case, spaces and underscores. In CSV cells, list
+ * entries are separated with semicolons or commas.
+ */
+
+const path = require('path');
+const db = require('./db');
+const { isUploadUrl } = require('./uploads');
+
+const IMPORT_FIELDS = [
+    'title', 'date', 'venue', 'description', 'startTime', 'endTime',
+    'category', 'organizer', 'contact', 'posterUrl', 'capacity',
+    'attendeeVisibility', 'eligibleEmailDomains', 'eligiblePrograms', 'eligibleYears',
+    'eligibleDepartments', 'teamEvent', 'minTeamSize', 'maxTeamSize',
+    'registrationOpensAt', 'registrationClosesAt'
+];
+
+// One batched write can hold at most 500 documents in Firestore
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Map a column or key name to an event field, e.g. "Start Time" -> startTime
+ * @param {string} name - Column name from the file
+ * @returns {string|null} Event field name, or null if it is not one
+ */
+function fieldForColumn(name) {
+    const simplified = String(name).toLowerCase().replace(/[^a-z]/g, '');
+    return IMPORT_FIELDS.find(field => field.toLowerCase() === simplified) || null;
+}
+
+/**
+ * Split CSV text into records of fields (RFC 4180: quoted fields may
+ * contain commas, doubled quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV file has an unclosed quote');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Drop blank lines
+    return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn raw objects into import rows, keeping only event fields
+ * @param {Array<Object>} objects - Raw rows keyed by column name
+ * @param {number} firstNumber - Row number of the first row
+ * @returns {{ rows: Array<{number: number, fields: Object}>, ignoredColumns: Array<string> }}
+ */
+function toImportRows(objects, firstNumber) {
+    const ignoredColumns = [];
+    const rows = objects.map((object, index) => {
+        const fields = {};
+        for (const [name, value] of Object.entries(object)) {
+            const field = fieldForColumn(name);
+            if (field) {
+                fields[field] = value;
+            } else if (!ignoredColumns.includes(name)) {
+                ignoredColumns.push(name);
+            }
+        }
+        return { number: firstNumber + index, fields };
+    });
+    return { rows, ignoredColumns };
+}
+
+/**
+ * Parse an uploaded CSV or JSON file into import rows
+ * @param {Buffer|string} content - File contents
+ * @param {string} filename - Original file name, used to pick the format
+ * @returns {{ rows: Array<{number: number, fields: Object}>, ignoredColumns: Array<string> }}
+ *          Rows numbered as in the file: CSV rows count the header as row 1,
+ *          JSON items count from 1
+ * @throws {Error} If the file cannot be read as events
+ */
+function parseEventFile(content, filename = '') {
+    const text = String(content).replace(/^\uFEFF/, '');
+    const extension = path.extname(filename).toLowerCase();
+    const isJson = extension === '.json' || (extension !== '.csv' && /^\s*[[{]/.test(text));
+
+    let parsed;
+    if (isJson) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        const items = Array.isArray(data) ? data : data && data.events;
+        if (!Array.isArray(items)) {
+            throw new Error('JSON file must contain an array of events');
+        }
+        if (items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new Error('Every item in the JSON file must be an event object');
+        }
+        parsed = toImportRows(items, 1);
+    } else {
+        const [header, ...records] = parseCsv(text);
+        if (!header) {
+            throw new Error('The file is empty');
+        }
+        const columns = header.map(name => name.trim());
+        parsed = toImportRows(records.map(record => {
+            const object = {};
+            columns.forEach((name, index) => { object[name] = record[index] || ''; });
+            return object;
+        }), 2);
+    }
+
+    if (parsed.rows.length === 0) {
+        throw new Error('The file does not contain any events');
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`A file can contain at most ${MAX_IMPORT_ROWS} events`);
+    }
+    return parsed;
+}
+
+/**
+ * Key used to spot the same event twice: title (any case) and date
+ */
+function duplicateKey(event) {
+    return `${String(event.title).trim().toLowerCase()}|${String(event.date).trim()}`;
+}
+
+/**
+ * Validate import rows against the event rules and for duplicate titles
+ * on the same date, both within the file and against existing events
+ * @param {Array<{number: number, fields: Object}>} rows - Rows from parseEventFile()
+ * @param {Array<Object>} existingEvents - Events already stored
+ * @returns {Array<{number: number, data: Object, errors: Array<string>}>} One result per row
+ */
+function previewImport(rows, existingEvents = []) {
+    const existing = new Set(existingEvents.map(duplicateKey));
+    const seen = new Map();
+
+    return rows.map(row => {
+        const { data, errors } = db.validateEventData(row.fields);
+        if (isUploadUrl(data.posterUrl)) {
+            errors.push('Poster URL must start with http:// or https://');
+        }
+        if (data.title && data.date) {
+            const key = duplicateKey(data);
+            if (existing.has(key)) {
+                errors.push(`An event called "${data.title}" already exists on ${data.date}`);
+            } else if (seen.has(key)) {
+                errors.push(`Duplicate of row ${seen.get(key)}`);
+            } else {
+                seen.set(key, row.number);
+            }
+        }
+        return { number: row.number, data, errors };
+    });
+}
+
+/**
+ * Create the valid events of a preview in one batch
+ * @param {Array<{data: Object, errors: Array<string>}>} preview - Result of previewImport()
+ * @returns {Promise<Array<Object>>} Created events
+ */
+async function importEvents(preview) {
+    const valid = preview.filter(row => row.errors.length === 0).map(row => row.data);
+    if (valid.length === 0) return [];
+    return db.createEvents(valid);
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    parseEventFile,
+    previewImport,
+    importEvents
+};
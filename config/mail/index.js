@@ -0,0 +1,390 @@
+/**
+ * Email Notifications
+ *
+ * Emails are rendered from the templates in views/emails/ and stored in
+ * the outbox first; a worker started by server.js then delivers them
+ * through the configured transport, retrying failures with backoff.
+ * Nothing here ever throws into a request: a broken mail server only
+ * shows up in the log and in the outbox.
+ *
+ * Configuration:
+ * - MAIL_TRANSPORT: smtp, file or console (default console)
+ * - MAIL_FROM: sender address (default "MUJ Events <no-reply@localhost>")
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS: for smtp
+ * - MAIL_DIR: where the file transport writes .eml files (default ./data/mail)
+ */
+
+const path = require('path');
+const db = require('../db');
+const { normalizeEmail, isActiveRegistration } = require('../repositories/registrations');
+const { renderEmail } = require('./templates');
+const { createSmtpTransport, createFileTransport, createConsoleTransport } = require('./transports');
+const { createTicketToken, renderTicketQrPng } = require('../tickets');
+const { getBaseUrl } = require('../urls');
+
+// Minutes to wait before each retry; after the last one the message is marked failed
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240, 720];
+
+// How long a claimed message is reserved for the sender that claimed it
+const SEND_LEASE_MINUTES = 5;
+
+// Event fields whose change is worth an email to registrants
+const NOTIFIED_EVENT_FIELDS = ['title', 'date', 'startTime', 'endTime', 'venue'];
+
+let transport = null;
+let processing = null;
+
+// ============================================
+// TRANSPORT
+// ============================================
+
+/**
+ * Transport selected by MAIL_TRANSPORT
+ * @returns {Object} Transport
+ */
+function createTransportFromEnv() {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    switch (name) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: process.env.SMTP_PORT || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        case 'file':
+            return createFileTransport({
+                mailDir: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'data', 'mail')
+            });
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use smtp, file or console.`);
+    }
+}
+
+/**
+ * The active transport, created from the environment on first use
+ * @returns {Object} Transport
+ */
+function getTransport() {
+    if (!transport) {
+        transport = createTransportFromEnv();
+        console.log(`📧 Mail transport: ${transport.name}`);
+    }
+    return transport;
+}
+
+/**
+ * Replace the active transport
+ * @param {Object} newTransport - Object with name and send(message)
+ */
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+function getSender() {
+    return process.env.MAIL_FROM || 'MUJ Events <no-reply@localhost>';
+}
+
+// ============================================
+// OUTBOX
+// ============================================
+
+/**
+ * Render an email and queue it for delivery
+ * @param {string} template - Template name
+ * @param {string} to - Recipient address
+ * @param {Object} data - Values for the template
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.attachments] - Attachments with base64 content
+ * @param {string} [options.key] - Idempotency key; an email already queued
+ *        under the same key is not queued again
+ * @returns {Promise<Object>} Stored outbox message
+ */
+async function enqueueEmail(template, to, data, { attachments = [], key } = {}) {
+    const rendered = await renderEmail(template, { baseUrl: getBaseUrl(), ...data });
+    const message = await db.addOutboxMessage({ template, to, ...rendered, attachments }, { id: key });
+    // Send right away if possible; failures are retried by the worker
+    processOutbox().catch(error => console.error('❌ Error processing outbox:', error));
+    return message;
+}
+
+/**
+ * Send one claimed message and record the outcome
+ */
+async function deliver(message) {
+    try {
+        await getTransport().send({
+            from: getSender(),
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            attachments: message.attachments
+        });
+        await db.markOutboxMessageSent(message.id);
+        console.log(`✅ Email sent to ${message.to}: ${message.subject}`);
+    } catch (error) {
+        const attempt = (message.attempts || 0) + 1;
+        const delay = RETRY_DELAYS_MINUTES[attempt - 1];
+        const retryAt = delay ? new Date(Date.now() + delay * 60 * 1000) : null;
+        await db.markOutboxMessageFailed(message, error.message || error, retryAt);
+        if (retryAt) {
+            console.error(`⚠️ Email to ${message.to} failed (attempt ${attempt}), retrying in ${delay} min:`, error.message);
+        } else {
+            console.error(`❌ Email to ${message.to} failed after ${attempt} attempts, giving up:`, error.message);
+        }
+    }
+}
+
+/**
+ * Deliver every due message in the outbox. Calls made while a run is in
+ * progress share that run.
+ * @returns {Promise<void>}
+ */
+function processOutbox() {
+    if (!processing) {
+        processing = (async () => {
+            try {
+                let due = await db.getDueOutboxMessages();
+                while (due.length > 0) {
+                    for (const candidate of due) {
+                        const leaseUntil = new Date(Date.now() + SEND_LEASE_MINUTES * 60 * 1000);
+                        const message = await db.claimOutboxMessage(candidate.id, leaseUntil);
+                        if (message) {
+                            await deliver(message);
+                        }
+                    }
+                    due = await db.getDueOutboxMessages();
+                }
+            } finally {
+                processing = null;
+            }
+        })();
+    }
+    return processing;
+}
+
+/**
+ * Start delivering queued messages in the background
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - How often to look for due messages
+ * @returns {Function} Stops the worker
+ */
+function startMailWorker({ intervalMs = 60 * 1000 } = {}) {
+    const tick = () => processOutbox().catch(error => console.error('❌ Error processing outbox:', error));
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+// ============================================
+// EVENT EMAILS
+// ============================================
+
+/**
+ * Queue an email and log instead of throwing, for use after a request
+ * has already done its work
+ */
+async function safeEnqueue(template, to, data, options) {
+    try {
+        await enqueueEmail(template, to, data, options);
+    } catch (error) {
+        console.error(`❌ Could not queue ${template} email to ${to}:`, error);
+    }
+}
+
+/**
+ * Active registrations, one per email address
+ */
+function uniqueRecipients(registrations) {
+    const seen = new Set();
+    return registrations.filter(registration => {
+        const email = normalizeEmail(registration.email);
+        if (!email || seen.has(email) || !isActiveRegistration(registration)) return false;
+        seen.add(email);
+        return true;
+    });
+}
+
+/**
+ * Ticket QR code as an inline attachment
+ */
+async function ticketAttachment(registration) {
+    const png = await renderTicketQrPng(createTicketToken(registration));
+    return {
+        filename: 'ticket.png',
+        content: png.toString('base64'),
+        encoding: 'base64',
+        contentType: 'image/png',
+        cid: 'ticket-qr'
+    };
+}
+
+/**
+ * Confirmation (or waitlist) email for a new registration. A confirmed
+ * registration gets its ticket QR code inline; a team leader also gets
+ * the invite code to share.
+ * @param {Object} registration - New registration
+ * @param {Object} event - Event registered for
+ */
+async function sendRegistrationConfirmation(registration, event) {
+    try {
+        const confirmed = db.getRegistrationStatus(registration) === db.REGISTRATION_STATUS.CONFIRMED;
+        const waitlistPosition = confirmed ? null : await db.getWaitlistPosition(registration);
+        await safeEnqueue('registration-confirmation', registration.email, {
+            registration,
+            event,
+            team: await db.getTeamById(registration.team_id),
+            waitlistPosition,
+            ticketToken: confirmed ? createTicketToken(registration) : null
+        }, {
+            attachments: confirmed ? [await ticketAttachment(registration)] : []
+        });
+    } catch (error) {
+        console.error('❌ Could not prepare confirmation email:', error);
+    }
+}
+
+/**
+ * Emails for registrations promoted off the waitlist
+ * @param {Array<Object>} promoted - Promoted registrations
+ * @param {Object} event - Their event
+ */
+async function sendWaitlistPromotions(promoted, event) {
+    for (const registration of promoted || []) {
+        try {
+            await safeEnqueue('waitlist-promotion', registration.email, {
+                registration,
+                event,
+                ticketToken: createTicketToken(registration)
+            }, {
+                attachments: [await ticketAttachment(registration)]
+            });
+        } catch (error) {
+            console.error('❌ Could not prepare waitlist promotion email:', error);
+        }
+    }
+}
+
+/**
+ * Tell registrants what changed about an event. Only changes to the
+ * title, date, times or venue are emailed.
+ * @param {Object} previous - Event before the edit
+ * @param {Object} event - Event after the edit
+ * @param {Array<Object>} registrations - The event's registrations
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function sendEventUpdated(previous, event, registrations) {
+    const changes = NOTIFIED_EVENT_FIELDS
+        .filter(field => (previous[field] || '') !== (event[field] || ''))
+        .map(field => ({ field, from: previous[field] || '', to: event[field] || '' }));
+    if (changes.length === 0) return 0;
+
+    const recipients = uniqueRecipients(registrations);
+    for (const registration of recipients) {
+        await safeEnqueue('event-updated', registration.email, { registration, event, changes });
+    }
+    return recipients.length;
+}
+
+/**
+ * Tell registrants an event has been cancelled
+ * @param {Object} event - Cancelled event
+ * @param {Array<Object>} registrations - Its registrations
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function sendEventCancelled(event, registrations) {
+    const recipients = uniqueRecipients(registrations);
+    for (const registration of recipients) {
+        await safeEnqueue('event-cancelled', registration.email, { registration, event });
+    }
+    return recipients.length;
+}
+
+/**
+ * Tell team members their registrations were cancelled because the team
+ * leader cancelled theirs
+ * @param {Array<Object>} teammates - Cancelled member registrations
+ * @param {Object} event - Their event
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function sendTeamCancelled(teammates, event) {
+    if (!event) return 0;
+    for (const registration of teammates || []) {
+        await safeEnqueue('team-cancelled', registration.email, { registration, event });
+    }
+    return (teammates || []).length;
+}
+
+// ============================================
+// SCHEDULED EMAILS
+// ============================================
+// Used by scheduler jobs. These throw on failure so the job is retried,
+// and take the job's key so a retried job does not queue a second email.
+
+/**
+ * Reminder that an event is coming up
+ * @param {Object} registration - Confirmed registration
+ * @param {Object} event - Its event
+ * @param {Object} options
+ * @param {string} options.when - How far off the event is, e.g. "in 1 hour"
+ * @param {string} options.key - Idempotency key
+ * @returns {Promise<Object>} Queued outbox message
+ */
+async function sendEventReminder(registration, event, { when, key }) {
+    return enqueueEmail('event-reminder', registration.email, {
+        registration,
+        event,
+        when,
+        ticketToken: createTicketToken(registration)
+    }, {
+        attachments: [await ticketAttachment(registration)],
+        key
+    });
+}
+
+/**
+ * Ask a student for feedback once an event is over
+ * @param {Object} registration - Confirmed registration
+ * @param {Object} event - Its event
+ * @param {Object} options
+ * @param {string} options.closesOn - When feedback closes, for the email text
+ * @param {string} options.key - Idempotency key
+ * @returns {Promise<Object>} Queued outbox message
+ */
+async function sendFeedbackRequest(registration, event, { closesOn, key }) {
+    return enqueueEmail('feedback-request', registration.email, { registration, event, closesOn }, { key });
+}
+
+/**
+ * Daily summary of new registrations for an admin
+ * @param {Object} admin - Admin user
+ * @param {Object} digest - from, to, total and byEvent rows
+ * @param {Object} options
+ * @param {string} options.key - Idempotency key
+ * @returns {Promise<Object>} Queued outbox message
+ */
+async function sendAdminDigest(admin, digest, { key }) {
+    return enqueueEmail('admin-digest', admin.email, { admin, ...digest, audience: 'admin' }, { key });
+}
+
+module.exports = {
+    RETRY_DELAYS_MINUTES,
+    getTransport,
+    setTransport,
+    enqueueEmail,
+    processOutbox,
+    startMailWorker,
+    sendRegistrationConfirmation,
+    sendWaitlistPromotions,
+    sendEventUpdated,
+    sendEventCancelled,
+    sendTeamCancelled,
+    sendEventReminder,
+    sendFeedbackRequest,
+    sendAdminDigest
+};
@@ -0,0 +1,84 @@
+/**
+ * Email Templates
+ *
+ * Each email is an EJS view in views/emails/. The HTML is rendered from
+ * the view and the plain-text part is derived from it, so every message
+ * has both.
+ */
+
+const path = require('path');
+const ejs = require('ejs');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'views', 'emails');
+
+// Subject line of each template, from the same data the view gets
+const EMAIL_TEMPLATES = {
+    'registration-confirmation': (data) => (data.waitlistPosition
+        ? `You're on the waitlist: ${data.event.title}`
+        : `You're registered: ${data.event.title}`),
+    'waitlist-promotion': (data) => `You got a seat: ${data.event.title}`,
+    'event-updated': (data) => `Event updated: ${data.event.title}`,
+    'event-cancelled': (data) => `Event cancelled: ${data.event.title}`,
+    'team-cancelled': (data) => `Team registration cancelled: ${data.event.title}`,
+    'event-reminder': (data) => `Reminder: ${data.event.title} ${data.when}`,
+    'feedback-request': (data) => `How was ${data.event.title}?`,
+    'admin-digest': (data) => `Daily digest: ${data.total} new registration${data.total === 1 ? '' : 's'}`
+};
+
+/**
+ * Turn rendered email HTML into a readable plain-text version
+ * @param {string} html - Rendered HTML
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return text && text !== href ? `${text} (${href})` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|tr|li|table)>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#34;|&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Render an email template
+ * @param {string} name - Template name (a key of EMAIL_TEMPLATES)
+ * @param {Object} data - Values for the view
+ * @returns {Promise<{subject: string, html: string, text: string}>}
+ */
+async function renderEmail(name, data) {
+    const subject = EMAIL_TEMPLATES[name];
+    if (!subject) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const html = await ejs.renderFile(path.join(TEMPLATES_DIR, `${name}.ejs`), {
+        ...data,
+        subject: subject(data)
+    });
+
+    return {
+        subject: subject(data),
+        html,
+        text: htmlToText(html)
+    };
+}
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    renderEmail
+};
@@ -0,0 +1,109 @@
+/**
+ * Mail Transports
+ *
+ * A transport delivers one rendered message. Every transport has the
+ * same shape:
+ *
+ *   { name, send(message) -> Promise<{ messageId }> }
+ *
+ * where message is { from, to, subject, html, text, attachments }.
+ *
+ * - smtp: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+ *   SMTP_PASS). Point it at a local catch-all SMTP server to test.
+ * - file: writes each message as an .eml file into MAIL_DIR
+ * - console: prints messages to the server log
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Nodemailer attachment objects from stored attachments
+ */
+function toNodemailerAttachments(attachments = []) {
+    return attachments.map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        encoding: attachment.encoding || 'base64',
+        contentType: attachment.contentType,
+        cid: attachment.cid
+    }));
+}
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - host, port, secure, user, pass
+ * @returns {Object} Transport
+ */
+function createSmtpTransport({ host, port = 587, secure = false, user, pass }) {
+    if (!host) {
+        throw new Error('SMTP_HOST must be set to use the smtp mail transport');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port: Number(port),
+        secure: Boolean(secure),
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail({
+                ...message,
+                attachments: toNodemailerAttachments(message.attachments)
+            });
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+/**
+ * Create a transport that writes .eml files, one per message
+ * @param {Object} options
+ * @param {string} options.mailDir - Directory for the files
+ * @returns {Object} Transport
+ */
+function createFileTransport({ mailDir }) {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        name: 'file',
+        async send(message) {
+            const info = await transporter.sendMail({
+                ...message,
+                attachments: toNodemailerAttachments(message.attachments)
+            });
+            await fs.mkdir(mailDir, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const file = path.join(mailDir, `${stamp}-${info.messageId.replace(/[^A-Za-z0-9-]/g, '')}.eml`);
+            await fs.writeFile(file, info.message);
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+/**
+ * Create a transport that prints messages to the log
+ * @returns {Object} Transport
+ */
+function createConsoleTransport() {
+    let count = 0;
+    return {
+        name: 'console',
+        async send(message) {
+            count++;
+            console.log(`📧 Email to ${message.to}: ${message.subject}`);
+            console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+            return { messageId: `console-${Date.now()}-${count}` };
+        }
+    };
+}
+
+module.exports = {
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport
+};
@@ -0,0 +1,637 @@
+/**
+ * OpenAPI Document
+ *
+ * Describes the REST API in routes/apiRoutes.js. Served at
+ * /api/v1/openapi.json; keep it in step with the routes.
+ */
+
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./api');
+const {
+    EVENT_CATEGORIES,
+    ATTENDEE_VISIBILITY,
+    DEFAULT_ATTENDEE_VISIBILITY,
+    REGISTRATION_FIELD_TYPES,
+    FEEDBACK_QUESTION_TYPES,
+    DEFAULT_MIN_TEAM_SIZE,
+    DEFAULT_MAX_TEAM_SIZE,
+    TEAM_SIZE_LIMIT,
+    EVENT_STATUS,
+    REGISTRATION_WINDOW
+} = require('./repositories/events');
+const { TEAM_ROLES, MAX_TEAM_NAME_LENGTH } = require('./repositories/teams');
+const { REGISTRATION_STATUS } = require('./repositories/registrations');
+const { STUDENT_YEARS } = require('./repositories/users');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+const dataOf = (schema) => ({
+    type: 'object',
+    properties: { data: schema },
+    required: ['data']
+});
+const listOf = (schema) => ({
+    type: 'object',
+    properties: {
+        data: { type: 'array', items: schema },
+        pagination: ref('Pagination')
+    },
+    required: ['data', 'pagination']
+});
+const errorResponse = (description) => ({ $ref: `#/components/responses/${description}` });
+
+const LIST_OF_STRINGS = { type: 'array', items: { type: 'string' } };
+
+const idParameter = (description) => ({
+    name: 'id',
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'string' }
+});
+
+const PAGINATION_PARAMETERS = [
+    { $ref: '#/components/parameters/page' },
+    { $ref: '#/components/parameters/limit' }
+];
+
+const STATUS_PARAMETER = {
+    name: 'status',
+    in: 'query',
+    description: 'Only registrations with this status',
+    schema: { type: 'string', enum: Object.values(REGISTRATION_STATUS) }
+};
+
+const COMPONENTS = {
+    securitySchemes: {
+        firebaseIdToken: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT',
+            description: 'Firebase ID token of the signed-in user (getIdToken() in the Firebase SDK)'
+        }
+    },
+    parameters: {
+        page: {
+            name: 'page',
+            in: 'query',
+            description: 'Page number, starting at 1',
+            schema: { type: 'integer', minimum: 1, default: 1 }
+        },
+        limit: {
+            name: 'limit',
+            in: 'query',
+            description: 'Items per page',
+            schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+        }
+    },
+    schemas: {
+        Error: {
+            type: 'object',
+            properties: {
+                error: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', example: 'EVENT_NOT_FOUND' },
+                        message: { type: 'string', example: 'Event not found' },
+                        details: { type: 'array', items: { type: 'string' } }
+                    },
+                    required: ['code', 'message']
+                }
+            },
+            required: ['error']
+        },
+        Pagination: {
+            type: 'object',
+            properties: {
+                page: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer', description: 'Items across all pages' },
+                totalPages: { type: 'integer' }
+            },
+            required: ['page', 'limit', 'total', 'totalPages']
+        },
+        RegistrationField: {
+            type: 'object',
+            properties: {
+                key: { type: 'string', description: 'Answers are stored under this key; generated from the label for new fields' },
+                label: { type: 'string' },
+                type: { type: 'string', enum: REGISTRATION_FIELD_TYPES, description: 'url is a link to a file' },
+                required: { type: 'boolean' },
+                options: { ...LIST_OF_STRINGS, description: 'Choices, for select fields' },
+                min: { type: 'number', nullable: true, description: 'For number fields' },
+                max: { type: 'number', nullable: true, description: 'For number fields' }
+            },
+            required: ['label', 'type']
+        },
+        FeedbackQuestion: {
+            type: 'object',
+            properties: {
+                key: { type: 'string', description: 'Answers are stored under this key; generated from the label for new questions' },
+                label: { type: 'string' },
+                type: { type: 'string', enum: FEEDBACK_QUESTION_TYPES, description: 'rating is 1 to 5 stars' },
+                required: { type: 'boolean' },
+                options: { ...LIST_OF_STRINGS, description: 'Choices, for select questions' }
+            },
+            required: ['label', 'type']
+        },
+        EventInput: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                date: { type: 'string', format: 'date', description: 'Campus date (IST)' },
+                startTime: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM, 24 hour, IST' },
+                endTime: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM, after startTime' },
+                venue: { type: 'string' },
+                description: { type: 'string' },
+                category: { type: 'string', enum: EVENT_CATEGORIES, default: 'Other' },
+                organizer: { type: 'string', description: 'Ignored when clubId is set: the club\'s name is used' },
+                clubId: { type: 'string', nullable: true, description: 'Club running the event. Required for organizers, who must use one of their clubs' },
+                contact: { type: 'string' },
+                posterUrl: { type: 'string', description: 'http(s) URL of the poster image' },
+                capacity: { type: 'integer', minimum: 0, description: '0 for unlimited' },
+                attendeeVisibility: {
+                    type: 'string',
+                    enum: ATTENDEE_VISIBILITY,
+                    default: DEFAULT_ATTENDEE_VISIBILITY,
+                    description: 'What the event page shows everyone about who is attending'
+                },
+                eligibleEmailDomains: { ...LIST_OF_STRINGS, description: 'Only accounts with these email domains may register' },
+                eligiblePrograms: { ...LIST_OF_STRINGS, description: 'Only students in these programs' },
+                eligibleYears: { type: 'array', items: { type: 'integer', enum: STUDENT_YEARS }, description: 'Only students in these years of study' },
+                eligibleDepartments: { ...LIST_OF_STRINGS, description: 'Only students in these departments' },
+                registrationFields: {
+                    type: 'array',
+                    items: ref('RegistrationField'),
+                    description: 'Extra questions on the registration form. Send the existing keys back to keep their answers linked.'
+                },
+                feedbackQuestions: {
+                    type: 'array',
+                    items: ref('FeedbackQuestion'),
+                    description: 'Questions in the feedback survey sent after the event, besides its star rating and comment'
+                },
+                teamEvent: {
+                    type: 'boolean',
+                    default: false,
+                    description: 'Students register as teams; capacity then counts teams. Cannot change once students have registered.'
+                },
+                minTeamSize: { type: 'integer', minimum: 1, maximum: TEAM_SIZE_LIMIT, default: DEFAULT_MIN_TEAM_SIZE },
+                maxTeamSize: { type: 'integer', minimum: 1, maximum: TEAM_SIZE_LIMIT, default: DEFAULT_MAX_TEAM_SIZE },
+                publishAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    nullable: true,
+                    description: 'When the event goes live once approved; null to publish on approval'
+                },
+                registrationOpensAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    nullable: true,
+                    description: 'When registration opens; null to open once the event is published'
+                },
+                registrationClosesAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    nullable: true,
+                    description: 'When registration closes, no later than the start of the event; null to close when it starts'
+                },
+                status: {
+                    type: 'string',
+                    enum: [EVENT_STATUS.DRAFT, EVENT_STATUS.PENDING, EVENT_STATUS.PUBLISHED],
+                    description: 'On create only: save a draft, submit for review, or publish (admins only). '
+                        + 'Defaults to published for admins and draft for organizers.'
+                }
+            },
+            required: ['title', 'date', 'venue']
+        },
+        EventReview: {
+            type: 'object',
+            properties: {
+                decision: { type: 'string', enum: ['approved', 'rejected'] },
+                comment: { type: 'string' },
+                reviewer: { type: 'string', description: 'Email of the admin' },
+                at: { type: 'string', format: 'date-time' }
+            }
+        },
+        Event: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                description: { type: 'string' },
+                date: { type: 'string', format: 'date' },
+                startTime: { type: 'string', nullable: true },
+                endTime: { type: 'string', nullable: true },
+                startsAt: { type: 'string', format: 'date-time' },
+                endsAt: { type: 'string', format: 'date-time' },
+                venue: { type: 'string' },
+                category: { type: 'string', enum: EVENT_CATEGORIES },
+                organizer: { type: 'string' },
+                clubId: { type: 'string', nullable: true },
+                contact: { type: 'string' },
+                posterUrl: { type: 'string', nullable: true },
+                capacity: { type: 'integer', description: '0 for unlimited; teams for team events' },
+                seatsTaken: { type: 'integer' },
+                seatsRemaining: { type: 'integer', nullable: true, description: 'null when there is no capacity limit' },
+                waitlistCount: { type: 'integer' },
+                attendeeVisibility: { type: 'string', enum: ATTENDEE_VISIBILITY },
+                eligibility: {
+                    type: 'object',
+                    description: 'Who may register; empty lists place no restriction',
+                    properties: {
+                        emailDomains: LIST_OF_STRINGS,
+                        programs: LIST_OF_STRINGS,
+                        years: { type: 'array', items: { type: 'integer' } },
+                        departments: LIST_OF_STRINGS
+                    }
+                },
+                registrationFields: { type: 'array', items: ref('RegistrationField') },
+                feedbackQuestions: { type: 'array', items: ref('FeedbackQuestion') },
+                teamEvent: { type: 'boolean' },
+                teamSize: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Team size limits; null unless teamEvent',
+                    properties: { min: { type: 'integer' }, max: { type: 'integer' } }
+                },
+                archived: { type: 'boolean' },
+                status: {
+                    type: 'string',
+                    enum: Object.values(EVENT_STATUS),
+                    description: 'Only published events are visible to students; archived events are cancelled'
+                },
+                publishAt: { type: 'string', format: 'date-time', nullable: true },
+                publishedAt: { type: 'string', format: 'date-time', nullable: true },
+                registrationOpensAt: { type: 'string', format: 'date-time', nullable: true },
+                registrationClosesAt: { type: 'string', format: 'date-time', nullable: true },
+                registrationWindow: {
+                    type: 'object',
+                    description: 'Whether the event is taking registrations now. Registration closes when the event starts at the latest.',
+                    properties: {
+                        state: { type: 'string', enum: Object.values(REGISTRATION_WINDOW) },
+                        opensAt: { type: 'string', format: 'date-time', nullable: true },
+                        closesAt: { type: 'string', format: 'date-time' }
+                    }
+                },
+                review: { ...ref('EventReview'), nullable: true, description: 'The last approval or rejection; only returned to admins and the club\'s organizers' },
+                url: { type: 'string', description: 'Event page on the website' },
+                createdAt: { type: 'string', format: 'date-time', nullable: true },
+                updatedAt: { type: 'string', format: 'date-time', nullable: true }
+            }
+        },
+        RegistrationInput: {
+            type: 'object',
+            properties: {
+                answers: {
+                    type: 'object',
+                    additionalProperties: true,
+                    description: 'Answers to the event\'s registrationFields, keyed by field key'
+                },
+                hideFromAttendees: {
+                    type: 'boolean',
+                    description: 'Leave this name off public attendee lists; defaults to the account setting'
+                },
+                teamName: {
+                    type: 'string',
+                    maxLength: MAX_TEAM_NAME_LENGTH,
+                    description: 'Team events: create a team with this name and lead it'
+                },
+                inviteCode: {
+                    type: 'string',
+                    description: 'Team events: join the team with this invite code instead'
+                }
+            }
+        },
+        Registration: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                eventId: { type: 'string' },
+                name: { type: 'string' },
+                email: { type: 'string' },
+                status: { type: 'string', enum: Object.values(REGISTRATION_STATUS) },
+                hideFromAttendees: { type: 'boolean' },
+                answers: { type: 'object', additionalProperties: true },
+                team: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Team events only. inviteCode and size are left out of event registration lists.',
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        role: { type: 'string', enum: Object.values(TEAM_ROLES) },
+                        inviteCode: { type: 'string' },
+                        size: { type: 'integer', description: 'Active members, leader included' }
+                    }
+                },
+                waitlistPosition: { type: 'integer', nullable: true },
+                createdAt: { type: 'string', format: 'date-time', nullable: true },
+                promotedAt: { type: 'string', format: 'date-time', nullable: true },
+                cancelledAt: { type: 'string', format: 'date-time', nullable: true },
+                checkedInAt: { type: 'string', format: 'date-time', nullable: true },
+                ticketUrl: { type: 'string', nullable: true, description: 'Ticket page, for confirmed registrations' }
+            }
+        },
+        MyRegistration: {
+            allOf: [
+                ref('Registration'),
+                {
+                    type: 'object',
+                    properties: {
+                        event: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                id: { type: 'string' },
+                                title: { type: 'string' },
+                                date: { type: 'string', format: 'date' },
+                                startTime: { type: 'string', nullable: true },
+                                venue: { type: 'string' },
+                                state: { type: 'string', enum: ['live', 'archived', 'deleted'] }
+                            }
+                        }
+                    }
+                }
+            ]
+        }
+    },
+    responses: {
+        BadRequest: response('Invalid parameters or body', ref('Error')),
+        Unauthenticated: response('Missing, invalid or expired ID token', ref('Error')),
+        Forbidden: response('The account is disabled or lacks the required role', ref('Error')),
+        NotEligible: response('The account does not meet the event\'s eligibility rules (NOT_ELIGIBLE)', ref('Error')),
+        NotFound: response('Not found', ref('Error')),
+        Conflict: response('The request clashes with the current state', ref('Error')),
+        ValidationFailed: response('Validation failed; details lists each problem', ref('Error')),
+        RateLimited: response('Too many requests', ref('Error'))
+    }
+};
+
+const AUTHENTICATED = [{ firebaseIdToken: [] }];
+const OPTIONALLY_AUTHENTICATED = [{}, { firebaseIdToken: [] }];
+
+const PATHS = {
+    '/events': {
+        get: {
+            tags: ['Events'],
+            summary: 'List events, soonest first',
+            security: OPTIONALLY_AUTHENTICATED,
+            parameters: [
+                { name: 'category', in: 'query', schema: { type: 'string', enum: EVENT_CATEGORIES } },
+                { name: 'status', in: 'query', description: 'Unpublished events are listed for their managers only', schema: { type: 'string', enum: Object.values(EVENT_STATUS) } },
+                { name: 'includeArchived', in: 'query', description: 'Admins only', schema: { type: 'boolean' } },
+                ...PAGINATION_PARAMETERS
+            ],
+            responses: {
+                200: response('A page of events', listOf(ref('Event'))),
+                400: errorResponse('BadRequest'),
+                403: errorResponse('Forbidden')
+            }
+        },
+        post: {
+            tags: ['Events'],
+            summary: 'Create an event (admin or organizer)',
+            security: AUTHENTICATED,
+            requestBody: { required: true, content: { 'application/json': { schema: ref('EventInput') } } },
+            responses: {
+                201: response('The created event', dataOf(ref('Event'))),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                422: errorResponse('ValidationFailed')
+            }
+        }
+    },
+    '/events/{id}': {
+        parameters: [idParameter('Event ID')],
+        get: {
+            tags: ['Events'],
+            summary: 'Get an event',
+            description: 'Unpublished and archived events are only visible to admins and the club\'s organizers.',
+            security: OPTIONALLY_AUTHENTICATED,
+            responses: {
+                200: response('The event', dataOf(ref('Event'))),
+                404: errorResponse('NotFound')
+            }
+        },
+        put: {
+            tags: ['Events'],
+            summary: 'Replace an event (admin or the club\'s organizer)',
+            description: 'Registrants are emailed about changes to the date, time or venue; a raised capacity promotes waitlisted registrations. '
+                + 'Organizers\' changes to a pending or scheduled event send it back for review (status pending); published events stay live.',
+            security: AUTHENTICATED,
+            requestBody: { required: true, content: { 'application/json': { schema: ref('EventInput') } } },
+            responses: {
+                200: response('The updated event', dataOf(ref('Event'))),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict'),
+                422: errorResponse('ValidationFailed')
+            }
+        },
+        patch: {
+            tags: ['Events'],
+            summary: 'Update some fields of an event (admin or the club\'s organizer)',
+            description: 'As PUT, for the fields sent.',
+            security: AUTHENTICATED,
+            requestBody: { required: true, content: { 'application/json': { schema: ref('EventInput') } } },
+            responses: {
+                200: response('The updated event', dataOf(ref('Event'))),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict'),
+                422: errorResponse('ValidationFailed')
+            }
+        },
+        delete: {
+            tags: ['Events'],
+            summary: 'Archive (cancel) an event, or delete an archived one permanently (admin or the club\'s organizer)',
+            description: 'A permanent delete writes the event\'s registrations, teams and feedback in batches before '
+                + 'removing the event. If a batch fails after earlier ones were written, the answer is '
+                + 'EVENT_DELETE_INCOMPLETE (500) and the event is still there; repeat the request to finish.',
+            security: AUTHENTICATED,
+            parameters: [
+                { name: 'permanent', in: 'query', description: 'Delete an archived event for good', schema: { type: 'boolean' } },
+                {
+                    name: 'registrations',
+                    in: 'query',
+                    description: 'With permanent=true: archive (keep) or delete the event\'s registrations',
+                    schema: { type: 'string', enum: ['keep', 'delete'], default: 'keep' }
+                }
+            ],
+            responses: {
+                200: response('The archived event', dataOf(ref('Event'))),
+                204: { description: 'The event was deleted permanently' },
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict')
+            }
+        }
+    },
+    '/events/{id}/restore': {
+        parameters: [idParameter('Event ID')],
+        post: {
+            tags: ['Events'],
+            summary: 'Restore an archived event (admin or the club\'s organizer)',
+            security: AUTHENTICATED,
+            responses: {
+                200: response('The restored event', dataOf(ref('Event'))),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict')
+            }
+        }
+    },
+    '/events/{id}/submit': {
+        parameters: [idParameter('Event ID')],
+        post: {
+            tags: ['Events'],
+            summary: 'Submit a draft for review (admin or the club\'s organizer)',
+            security: AUTHENTICATED,
+            responses: {
+                200: response('The pending event', dataOf(ref('Event'))),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict')
+            }
+        }
+    },
+    '/events/{id}/review': {
+        parameters: [idParameter('Event ID')],
+        post: {
+            tags: ['Events'],
+            summary: 'Approve or reject an event waiting for review (admin)',
+            description: 'Approved events are published, or scheduled until their publishAt. Rejected events go back to draft; a comment is required.',
+            security: AUTHENTICATED,
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                decision: { type: 'string', enum: ['approve', 'reject'] },
+                                comment: { type: 'string', maxLength: 1000 }
+                            },
+                            required: ['decision']
+                        }
+                    }
+                }
+            },
+            responses: {
+                200: response('The reviewed event', dataOf(ref('Event'))),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict'),
+                422: errorResponse('ValidationFailed')
+            }
+        }
+    },
+    '/events/{id}/registrations': {
+        parameters: [idParameter('Event ID')],
+        get: {
+            tags: ['Registrations'],
+            summary: 'List an event\'s registrations, oldest first (admin or the club\'s organizer)',
+            description: 'Cancelled registrations are only listed with status=cancelled.',
+            security: AUTHENTICATED,
+            parameters: [STATUS_PARAMETER, ...PAGINATION_PARAMETERS],
+            responses: {
+                200: response('A page of registrations', listOf(ref('Registration'))),
+                400: errorResponse('BadRequest'),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('Forbidden'),
+                404: errorResponse('NotFound')
+            }
+        },
+        post: {
+            tags: ['Registrations'],
+            summary: 'Register for an event',
+            description: 'Registers the calling account under its own name and email. Takes a seat, or a waitlist place if the event is full. '
+                + 'For team events send teamName to create a team, or inviteCode to join one; members share their leader\'s place. '
+                + 'Outside the event\'s registration window the answer is REGISTRATION_NOT_OPEN or REGISTRATION_CLOSED (409). '
+                + 'Team problems are TEAM_NOT_FOUND (404), TEAM_FULL or TEAM_NAME_TAKEN (409), and TEAM_REQUIRED or INVALID_TEAM_NAME (422).',
+            security: AUTHENTICATED,
+            requestBody: { required: false, content: { 'application/json': { schema: ref('RegistrationInput') } } },
+            responses: {
+                201: response('The new registration', dataOf(ref('Registration'))),
+                401: errorResponse('Unauthenticated'),
+                403: errorResponse('NotEligible'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict'),
+                422: errorResponse('ValidationFailed'),
+                429: errorResponse('RateLimited')
+            }
+        }
+    },
+    '/registrations/{id}': {
+        parameters: [idParameter('Registration ID')],
+        get: {
+            tags: ['Registrations'],
+            summary: 'Get one of your registrations (organizers: those for their clubs\' events; admins: any registration)',
+            security: AUTHENTICATED,
+            responses: {
+                200: response('The registration', dataOf(ref('Registration'))),
+                401: errorResponse('Unauthenticated'),
+                404: errorResponse('NotFound')
+            }
+        },
+        delete: {
+            tags: ['Registrations'],
+            summary: 'Cancel a registration',
+            description: 'Students can cancel their own registrations until the cancellation cutoff; organizers those for their clubs\' events and admins any, at any time. The freed seat goes to the waitlist. '
+                + 'Cancelling a team leader\'s registration cancels the whole team.',
+            security: AUTHENTICATED,
+            responses: {
+                200: response('The cancelled registration', dataOf(ref('Registration'))),
+                401: errorResponse('Unauthenticated'),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict')
+            }
+        }
+    },
+    '/me/registrations': {
+        get: {
+            tags: ['Registrations'],
+            summary: 'List your registrations, oldest first',
+            security: AUTHENTICATED,
+            parameters: [STATUS_PARAMETER, ...PAGINATION_PARAMETERS],
+            responses: {
+                200: response('A page of registrations', listOf(ref('MyRegistration'))),
+                400: errorResponse('BadRequest'),
+                401: errorResponse('Unauthenticated')
+            }
+        }
+    }
+};
+
+/**
+ * The OpenAPI document for this server
+ * @param {string} baseUrl - Site URL, from getBaseUrl()
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument(baseUrl) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'MUJ Events API',
+            version: '1.0.0',
+            description: 'Events and registrations. Authenticate with a Firebase ID token as a bearer token. '
+                + 'Errors are returned as { error: { code, message, details } }; lists are paginated with page and limit.'
+        },
+        servers: [{ url: `${baseUrl}/api/v1` }],
+        tags: [{ name: 'Events' }, { name: 'Registrations' }],
+        paths: PATHS,
+        components: COMPONENTS
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,294 @@
+/**
+ * Certificates Repository
+ *
+ * Participation certificates. An event gets certificates once an admin
+ * sets up its certificate template: a background image and where the
+ * attendee's name, the event title and the date go on it. Every student
+ * who was checked in can then get a certificate after the event. Each
+ * certificate is stored under its verification ID, with the name, event
+ * and date it was issued for, so it can still be verified at
+ * /certificates/:id after the event changes or is deleted. The PDF itself
+ * is drawn on demand (see config/certificates.js).
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const { EVENTS_COLLECTION, getEventEnd, isEventArchived } = require('./events');
+const {
+    REGISTRATIONS_COLLECTION,
+    REGISTRATION_STATUS,
+    getRegistrationStatus,
+    getRegistrationsByEventId
+} = require('./registrations');
+
+const CERTIFICATES_COLLECTION = 'certificates';
+
+// Text placed on the background, in drawing order
+const CERTIFICATE_FIELDS = ['name', 'title', 'date'];
+
+// Where each field goes unless the admin moves it: x and y are the centre
+// of the text as a percentage of the page width and height, size is in points
+const DEFAULT_CERTIFICATE_LAYOUT = {
+    name: { x: 50, y: 45, size: 36, color: '#1a1a1a' },
+    title: { x: 50, y: 60, size: 20, color: '#333333' },
+    date: { x: 50, y: 70, size: 14, color: '#555555' }
+};
+
+const MIN_FONT_SIZE = 6;
+const MAX_FONT_SIZE = 96;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Verification IDs avoid letters and digits that are easy to mix up, like invite codes
+const CERTIFICATE_ID_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CERTIFICATE_ID_LENGTH = 12;
+
+/**
+ * @typedef {Object} CertificateTemplate
+ * @property {string} backgroundUrl - Uploaded background image (JPEG or PNG)
+ * @property {Object<string, {x: number, y: number, size: number, color: string}>} layout -
+ *           Position, size and colour of each of CERTIFICATE_FIELDS
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} Certificate
+ * @property {string} id - Verification ID, e.g. "K7QM2XPAH3TW"
+ * @property {string} event_id - Event attended
+ * @property {string} registration_id - Registration it was issued for
+ * @property {string|null} uid - Student's account
+ * @property {string} name - Name printed on the certificate
+ * @property {string} eventTitle - Event title when issued
+ * @property {string} eventDate - Event date (YYYY-MM-DD) when issued
+ * @property {string} issuedAt - ISO timestamp
+ */
+
+/**
+ * Validate the certificate layout form
+ * @param {Object} [input] - { layout: { name: { x, y, size, color }, ... } } (e.g. req.body)
+ * @returns {{ layout: Object, errors: Array<string> }} Clean layout (defaults for
+ *          anything left empty) and any validation errors
+ */
+function validateCertificateLayout(input = {}) {
+    const given = input && typeof input.layout === 'object' && input.layout ? input.layout : {};
+    const errors = [];
+    const layout = {};
+
+    for (const field of CERTIFICATE_FIELDS) {
+        const values = given[field] && typeof given[field] === 'object' ? given[field] : {};
+        const defaults = DEFAULT_CERTIFICATE_LAYOUT[field];
+        const number = (value, fallback) => (value === undefined || value === null || String(value).trim() === ''
+            ? fallback
+            : Number(value));
+
+        const placed = {
+            x: number(values.x, defaults.x),
+            y: number(values.y, defaults.y),
+            size: number(values.size, defaults.size),
+            color: String(values.color || defaults.color).trim()
+        };
+        const label = field === 'title' ? 'Event title' : field[0].toUpperCase() + field.slice(1);
+
+        if (![placed.x, placed.y].every(value => Number.isFinite(value) && value >= 0 && value <= 100)) {
+            errors.push(`${label}: position must be from 0 to 100%`);
+        }
+        if (!Number.isFinite(placed.size) || placed.size < MIN_FONT_SIZE || placed.size > MAX_FONT_SIZE) {
+            errors.push(`${label}: font size must be from ${MIN_FONT_SIZE} to ${MAX_FONT_SIZE}`);
+        }
+        if (!COLOR_PATTERN.test(placed.color)) {
+            errors.push(`${label}: colour must look like #1a1a1a`);
+        }
+        layout[field] = placed;
+    }
+
+    return { layout, errors };
+}
+
+/**
+ * An event's certificate template
+ * @param {Object} event - Event object
+ * @returns {CertificateTemplate|null} Template, or null if the event has no certificates
+ */
+function getCertificateTemplate(event) {
+    const template = event && event.certificateTemplate;
+    if (!template || !template.backgroundUrl) return null;
+    return {
+        ...template,
+        layout: { ...DEFAULT_CERTIFICATE_LAYOUT, ...(template.layout || {}) }
+    };
+}
+
+/**
+ * Set or remove an event's certificate template
+ * @param {string} eventId - Event ID
+ * @param {Object|null} template - { backgroundUrl, layout }, or null for no certificates
+ * @returns {Promise<Object|null>} Updated event, or null if not found
+ */
+async function saveCertificateTemplate(eventId, template) {
+    return getStorage().transaction(async (tx) => {
+        const event = await tx.get(EVENTS_COLLECTION, String(eventId));
+        if (!event) return null;
+
+        const now = new Date().toISOString();
+        const certificateTemplate = template
+            ? { backgroundUrl: template.backgroundUrl, layout: template.layout, updatedAt: now }
+            : null;
+        await tx.update(EVENTS_COLLECTION, event.id, { certificateTemplate, updatedAt: now });
+        return { ...event, certificateTemplate, updatedAt: now };
+    });
+}
+
+/**
+ * Explain why an event cannot give out certificates (yet)
+ * @param {Object} event - Event object
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Reason, or null if its attendees can get certificates
+ */
+function getEventCertificateBlocker(event, now = new Date()) {
+    if (!event || isEventArchived(event)) {
+        return 'This event was cancelled';
+    }
+    if (!getCertificateTemplate(event)) {
+        return 'This event does not give certificates';
+    }
+    if (now < getEventEnd(event)) {
+        return 'Certificates are available once the event is over';
+    }
+    return null;
+}
+
+/**
+ * Explain why a registration cannot get a certificate (yet)
+ * @param {Object} event - Event the registration is for
+ * @param {Object} registration - The registration
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Reason, or null if a certificate can be issued
+ */
+function getCertificateBlocker(event, registration, now = new Date()) {
+    if (!registration || getRegistrationStatus(registration) !== REGISTRATION_STATUS.CONFIRMED
+        || !registration.checkedInAt) {
+        return 'Certificates are only for students who were checked in at the event';
+    }
+    return getEventCertificateBlocker(event, now);
+}
+
+/**
+ * Generate a new random verification ID
+ * @returns {string} e.g. "K7QM2XPAH3TW"
+ */
+function generateCertificateId() {
+    const bytes = crypto.randomBytes(CERTIFICATE_ID_LENGTH);
+    return Array.from(bytes, byte => CERTIFICATE_ID_ALPHABET[byte % CERTIFICATE_ID_ALPHABET.length]).join('');
+}
+
+/**
+ * Normalise a verification ID as typed: uppercase, without spaces or dashes
+ */
+function normalizeCertificateId(id) {
+    return String(id || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Get a certificate by its verification ID
+ * @param {string} id - Verification ID, in any case and with or without dashes
+ * @returns {Promise<Certificate|null>} Certificate or null if not found
+ */
+async function getCertificateById(id) {
+    const clean = normalizeCertificateId(id);
+    if (!/^[A-Z0-9]+$/.test(clean)) return null;
+    return getStorage().get(CERTIFICATES_COLLECTION, clean);
+}
+
+/**
+ * Get the certificates issued for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<Certificate>>} Certificates, by name
+ */
+async function getCertificatesByEventId(eventId) {
+    const certificates = await getStorage().list(CERTIFICATES_COLLECTION, {
+        where: [['event_id', '==', String(eventId)]]
+    });
+    return certificates.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+/**
+ * Issue a registration's certificate, or return the one it already has.
+ * The certificate ID is kept on the registration (certificateId), so a
+ * registration never gets two.
+ * @param {Object} event - Event attended
+ * @param {Object} registration - Checked-in registration
+ * @returns {Promise<{certificate: Certificate, issued: boolean}>} issued is
+ *          false when the certificate already existed
+ * @throws {Error} code CERTIFICATE_NOT_AVAILABLE with the reason, if
+ *         getCertificateBlocker() objects
+ */
+async function issueCertificate(event, registration) {
+    return getStorage().transaction(async (tx) => {
+        const current = await tx.get(REGISTRATIONS_COLLECTION, registration.id);
+        const existing = current && current.certificateId
+            ? await tx.get(CERTIFICATES_COLLECTION, current.certificateId)
+            : null;
+        if (existing) {
+            return { certificate: existing, issued: false };
+        }
+
+        const blocker = getCertificateBlocker(event, current);
+        if (blocker) {
+            const error = new Error(blocker);
+            error.code = 'CERTIFICATE_NOT_AVAILABLE';
+            throw error;
+        }
+
+        const certificate = await tx.set(CERTIFICATES_COLLECTION, generateCertificateId(), {
+            event_id: event.id,
+            registration_id: current.id,
+            uid: current.uid || null,
+            name: current.name,
+            eventTitle: event.title,
+            eventDate: event.date,
+            issuedAt: new Date().toISOString()
+        });
+        await tx.update(REGISTRATIONS_COLLECTION, current.id, { certificateId: certificate.id });
+        return { certificate, issued: true };
+    });
+}
+
+/**
+ * Issue certificates to every checked-in student of an event who does
+ * not have one yet
+ * @param {Object} event - Event object
+ * @returns {Promise<{certificates: Array<Certificate>, issued: number}>} All of the
+ *          event's certificates for checked-in students, and how many were new
+ */
+async function issueCertificates(event) {
+    const attended = (await getRegistrationsByEventId(event.id))
+        .filter(reg => !getCertificateBlocker(event, reg));
+
+    const certificates = [];
+    let issued = 0;
+    for (const registration of attended) {
+        const result = await issueCertificate(event, registration);
+        certificates.push(result.certificate);
+        if (result.issued) issued++;
+    }
+    if (issued > 0) {
+        console.log(`✅ Issued ${issued} certificate(s) for event ${event.id}`);
+    }
+    certificates.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+    return { certificates, issued };
+}
+
+module.exports = {
+    CERTIFICATES_COLLECTION,
+    CERTIFICATE_FIELDS,
+    DEFAULT_CERTIFICATE_LAYOUT,
+    validateCertificateLayout,
+    getCertificateTemplate,
+    saveCertificateTemplate,
+    getEventCertificateBlocker,
+    getCertificateBlocker,
+    normalizeCertificateId,
+    getCertificateById,
+    getCertificatesByEventId,
+    issueCertificate,
+    issueCertificates
+};
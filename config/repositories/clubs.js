@@ -0,0 +1,371 @@
+/**
+ * Clubs Repository
+ *
+ * Student clubs and who may run their events. Admins create clubs and
+ * make users organizers of them; an organizer can create events for their
+ * clubs and manage those events (edit, archive, check-in, registrations,
+ * feedback, certificates), but not other clubs' events. Events belong to
+ * a club through their clubId, and show the club's name as their
+ * organizer. Admins can manage every event, with or without a club.
+ */
+
+const { getStorage } = require('../storage');
+const { EVENTS_COLLECTION, isEventArchived, setEventsOrganizer } = require('./events');
+const { USERS_COLLECTION } = require('./users');
+
+const CLUBS_COLLECTION = 'clubs';
+
+const MAX_CLUB_NAME_LENGTH = 100;
+const MAX_CLUB_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * @typedef {Object} Club
+ * @property {string} id - Club ID
+ * @property {string} name - Club name, unique
+ * @property {string} nameKey - Lowercased name, for the uniqueness check
+ * @property {string} description - About the club, shown on its page
+ * @property {string} contact - Contact email or phone number
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [updatedAt] - ISO timestamp of the last edit
+ */
+
+/**
+ * Key for comparing club names, ignoring case and spacing
+ */
+function clubNameKey(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate and normalise the club form
+ * @param {Object} input - Raw input (e.g. req.body)
+ * @returns {{ data: Object, errors: Array<string> }} Clean club fields and any validation errors
+ */
+function validateClubData(input = {}) {
+    const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+    const data = {
+        name: text(input.name).replace(/\s+/g, ' '),
+        description: text(input.description),
+        contact: text(input.contact)
+    };
+
+    const errors = [];
+    if (!data.name) {
+        errors.push('Club name is required');
+    } else if (data.name.length > MAX_CLUB_NAME_LENGTH) {
+        errors.push(`Club name must be at most ${MAX_CLUB_NAME_LENGTH} characters`);
+    }
+    if (data.description.length > MAX_CLUB_DESCRIPTION_LENGTH) {
+        errors.push(`Description must be at most ${MAX_CLUB_DESCRIPTION_LENGTH} characters`);
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Error for a club name another club already has
+ */
+function clubNameTakenError(name) {
+    const error = new Error(`There is already a club called ${name}`);
+    error.code = 'CLUB_NAME_TAKEN';
+    return error;
+}
+
+/**
+ * Get all clubs
+ * @returns {Promise<Array<Club>>} Clubs sorted by name
+ */
+async function getAllClubs() {
+    const clubs = await getStorage().list(CLUBS_COLLECTION);
+    return clubs.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+/**
+ * Get club by ID
+ * @param {string} id - Club ID
+ * @returns {Promise<Club|null>} Club or null if not found
+ */
+async function getClubById(id) {
+    if (!id) return null;
+    return getStorage().get(CLUBS_COLLECTION, String(id));
+}
+
+/**
+ * Create a club
+ * @param {Object} clubData - Club fields (see validateClubData)
+ * @returns {Promise<Club>} Created club
+ * @throws {Error} If the data is invalid, or code CLUB_NAME_TAKEN
+ */
+async function createClub(clubData) {
+    const { data, errors } = validateClubData(clubData);
+    if (errors.length > 0) {
+        throw new Error(errors.join('. '));
+    }
+
+    const club = await getStorage().transaction(async (tx) => {
+        const taken = await tx.list(CLUBS_COLLECTION, {
+            where: [['nameKey', '==', clubNameKey(data.name)]],
+            limit: 1
+        });
+        if (taken.length > 0) {
+            throw clubNameTakenError(data.name);
+        }
+        return tx.add(CLUBS_COLLECTION, {
+            ...data,
+            nameKey: clubNameKey(data.name),
+            createdAt: new Date().toISOString()
+        });
+    });
+
+    console.log(`✅ Club created: ${club.name}`);
+    return club;
+}
+
+/**
+ * Update a club. Renaming it renames the organizer of its events too.
+ * @param {string} id - Club ID
+ * @param {Object} clubData - Club fields (see validateClubData)
+ * @returns {Promise<Club|null>} Updated club, or null if not found
+ * @throws {Error} If the data is invalid, or code CLUB_NAME_TAKEN
+ */
+async function updateClub(id, clubData) {
+    const { data, errors } = validateClubData(clubData);
+    if (errors.length > 0) {
+        throw new Error(errors.join('. '));
+    }
+
+    const result = await getStorage().transaction(async (tx) => {
+        const club = await tx.get(CLUBS_COLLECTION, String(id));
+        if (!club) return null;
+
+        const taken = await tx.list(CLUBS_COLLECTION, {
+            where: [['nameKey', '==', clubNameKey(data.name)]]
+        });
+        if (taken.some(other => other.id !== club.id)) {
+            throw clubNameTakenError(data.name);
+        }
+
+        const changes = { ...data, nameKey: clubNameKey(data.name), updatedAt: new Date().toISOString() };
+        await tx.update(CLUBS_COLLECTION, club.id, changes);
+        return { previous: club, club: { ...club, ...changes } };
+    });
+    if (!result) return null;
+
+    if (result.previous.name !== result.club.name) {
+        await setEventsOrganizer(result.club.id, result.club.name);
+    }
+    console.log(`✅ Club ${id} updated`);
+    return result.club;
+}
+
+/**
+ * Delete a club that has no events. Its organizers lose it from their clubs.
+ * @param {string} id - Club ID
+ * @returns {Promise<Club|null>} Deleted club, or null if not found
+ * @throws {Error} code CLUB_HAS_EVENTS if any event (archived ones included) belongs to it
+ */
+async function deleteClub(id) {
+    const club = await getStorage().transaction(async (tx) => {
+        const club = await tx.get(CLUBS_COLLECTION, String(id));
+        if (!club) return null;
+
+        const events = await tx.list(EVENTS_COLLECTION, { where: [['clubId', '==', club.id]] });
+        const organizers = await tx.list(USERS_COLLECTION, { where: [['clubIds', 'array-contains', club.id]] });
+        if (events.length > 0) {
+            const error = new Error(`${club.name} still has ${events.length} event(s). Move or delete them first`);
+            error.code = 'CLUB_HAS_EVENTS';
+            throw error;
+        }
+
+        await tx.remove(CLUBS_COLLECTION, club.id);
+        for (const user of organizers) {
+            await tx.update(USERS_COLLECTION, user.id, {
+                clubIds: user.clubIds.filter(clubId => clubId !== club.id)
+            });
+        }
+        return club;
+    });
+
+    if (club) {
+        console.log(`✅ Club ${id} deleted`);
+    }
+    return club;
+}
+
+/**
+ * A club's events
+ * @param {string} clubId - Club ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also return archived events
+ * @returns {Promise<Array<Object>>} Events sorted by date
+ */
+async function getClubEvents(clubId, { includeArchived = false } = {}) {
+    const events = await getStorage().list(EVENTS_COLLECTION, {
+        where: [['clubId', '==', String(clubId)]]
+    });
+    return events
+        .filter(event => includeArchived || !isEventArchived(event))
+        .sort((a, b) => String(a.sortKey || a.date || '').localeCompare(String(b.sortKey || b.date || '')));
+}
+
+// ============================================
+// ORGANIZERS
+// ============================================
+
+/**
+ * The users who organize a club
+ * @param {string} clubId - Club ID
+ * @returns {Promise<Array<Object>>} Organizer accounts sorted by email
+ */
+async function getClubOrganizers(clubId) {
+    const users = await getStorage().list(USERS_COLLECTION, {
+        where: [['clubIds', 'array-contains', String(clubId)]]
+    });
+    return users
+        .filter(user => user.role === 'organizer')
+        .sort((a, b) => String(a.email || '').localeCompare(String(b.email || '')));
+}
+
+/**
+ * Make a user an organizer of a club. Students become organizers;
+ * organizers keep their other clubs.
+ * @param {string} clubId - Club ID
+ * @param {string} email - Email address of the user's account
+ * @returns {Promise<{user: Object, roleChanged: boolean}|null>} Updated user, and
+ *          whether they were a student until now; null if the club does not exist
+ * @throws {Error} code USER_NOT_FOUND if nobody has logged in with that email,
+ *         or USER_IS_ADMIN for admins (who can manage every club already)
+ */
+async function addClubOrganizer(clubId, email) {
+    const normalized = String(email || '').trim().toLowerCase();
+
+    return getStorage().transaction(async (tx) => {
+        const club = await tx.get(CLUBS_COLLECTION, String(clubId));
+        if (!club) return null;
+
+        const [user] = normalized
+            ? await tx.list(USERS_COLLECTION, { where: [['email', '==', normalized]], limit: 1 })
+            : [];
+        if (!user) {
+            const error = new Error(`Nobody has logged in as ${normalized || 'that email'} yet. They need to log in once first`);
+            error.code = 'USER_NOT_FOUND';
+            throw error;
+        }
+        if (user.role === 'admin') {
+            const error = new Error(`${user.email} is an admin and can already manage every club`);
+            error.code = 'USER_IS_ADMIN';
+            throw error;
+        }
+
+        const clubIds = user.role === 'organizer' ? (user.clubIds || []) : [];
+        const changes = {
+            role: 'organizer',
+            clubIds: clubIds.includes(club.id) ? clubIds : [...clubIds, club.id],
+            updatedAt: new Date().toISOString()
+        };
+        await tx.update(USERS_COLLECTION, user.id, changes);
+        return { user: { ...user, ...changes }, roleChanged: user.role !== 'organizer' };
+    });
+}
+
+/**
+ * Stop a user organizing a club. They keep the organizer role (for their
+ * other clubs, or none) until an admin changes it.
+ * @param {string} clubId - Club ID
+ * @param {string} uid - User UID
+ * @returns {Promise<Object|null>} Updated user, or null if not found
+ */
+async function removeClubOrganizer(clubId, uid) {
+    return getStorage().transaction(async (tx) => {
+        const user = await tx.get(USERS_COLLECTION, String(uid));
+        if (!user) return null;
+
+        const changes = {
+            clubIds: (user.clubIds || []).filter(id => id !== String(clubId)),
+            updatedAt: new Date().toISOString()
+        };
+        await tx.update(USERS_COLLECTION, user.id, changes);
+        return { ...user, ...changes };
+    });
+}
+
+// ============================================
+// PERMISSIONS
+// ============================================
+
+/**
+ * The clubs a user organizes
+ * @param {Object|null} user - User record or req.user
+ * @returns {Array<string>} Club IDs (empty for anyone but organizers)
+ */
+function getManagedClubIds(user) {
+    return user && user.role === 'organizer' && Array.isArray(user.clubIds) ? user.clubIds : [];
+}
+
+/**
+ * True if the user may manage a club's events: admins, and the club's organizers
+ * @param {Object|null} user - req.user
+ * @param {string} clubId - Club ID
+ * @returns {boolean}
+ */
+function canManageClub(user, clubId) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return Boolean(clubId) && getManagedClubIds(user).includes(String(clubId));
+}
+
+/**
+ * True if the user may manage an event: admins, and organizers of the event's club
+ * @param {Object|null} user - req.user
+ * @param {Object|null} event - Event object
+ * @returns {boolean}
+ */
+function canManageEvent(user, event) {
+    return Boolean(event) && canManageClub(user, event.clubId);
+}
+
+/**
+ * Check the club chosen for an event against who is saving it.
+ * Organizers must choose one of their clubs; admins may choose any
+ * club or none.
+ * @param {Object} user - req.user
+ * @param {string} [clubId] - Club ID from the event form
+ * @returns {Promise<{club: Club|null, error: string|null}>} The club (null for
+ *          none) or why it cannot be used
+ */
+async function resolveEventClub(user, clubId) {
+    const id = String(clubId || '').trim();
+    if (!id) {
+        return user && user.role === 'admin'
+            ? { club: null, error: null }
+            : { club: null, error: 'Choose which of your clubs runs this event' };
+    }
+
+    const club = await getClubById(id);
+    if (!club) {
+        return { club: null, error: 'Club not found' };
+    }
+    if (!canManageClub(user, club.id)) {
+        return { club: null, error: 'You can only run events for your own clubs' };
+    }
+    return { club, error: null };
+}
+
+module.exports = {
+    CLUBS_COLLECTION,
+    validateClubData,
+    getAllClubs,
+    getClubById,
+    createClub,
+    updateClub,
+    deleteClub,
+    getClubEvents,
+    getClubOrganizers,
+    addClubOrganizer,
+    removeClubOrganizer,
+    getManagedClubIds,
+    canManageClub,
+    canManageEvent,
+    resolveEventClub
+};
@@ -0,0 +1,1300 @@
+/**
+ * Events Repository
+ *
+ * Explicit read/write operations for the events collection.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const { STUDENT_YEARS } = require('./users');
+
+const EVENTS_COLLECTION = 'events';
+
+const EVENT_CATEGORIES = ['Technical', 'Cultural', 'Sports', 'Workshop', 'Seminar', 'Other'];
+
+// Who sees an event's attendee list on its public page. Admins always
+// see the full list with emails; nobody else ever sees emails.
+// - hidden: nothing is shown
+// - count:  only the number of confirmed attendees
+// - names:  the names of attendees who have not opted out
+const ATTENDEE_VISIBILITY = ['hidden', 'count', 'names'];
+const DEFAULT_ATTENDEE_VISIBILITY = 'count';
+
+// Kinds of question admins can add to an event's registration form
+// - text:     free text
+// - number:   a number, optionally between min and max
+// - select:   one of the field's options
+// - checkbox: ticked or not; a required checkbox must be ticked
+// - url:      a link, e.g. to a resume or design file
+const REGISTRATION_FIELD_TYPES = ['text', 'number', 'select', 'checkbox', 'url'];
+const MAX_REGISTRATION_FIELDS = 20;
+const MAX_FIELD_LABEL_LENGTH = 100;
+
+// Kinds of question admins can add to an event's feedback survey, asked
+// after the overall star rating
+// - rating: 1 to 5 stars
+// - text:   free text
+// - select: one of the question's options
+const FEEDBACK_QUESTION_TYPES = ['rating', 'text', 'select'];
+const MAX_FEEDBACK_QUESTIONS = 10;
+
+// Team sizes for team events: the default range, and the largest allowed
+const DEFAULT_MIN_TEAM_SIZE = 2;
+const DEFAULT_MAX_TEAM_SIZE = 5;
+const TEAM_SIZE_LIMIT = 10;
+
+/**
+ * Where an event is in the publishing workflow. Organizers save drafts
+ * and submit them for review; an admin approves (publishing it, or
+ * scheduling it when it has a future publishAt) or rejects it back to
+ * draft with a comment. Archived events are cancelled whatever their
+ * stored status. Only published events are shown to students.
+ */
+const EVENT_STATUS = {
+    DRAFT: 'draft',
+    PENDING: 'pending',
+    SCHEDULED: 'scheduled',
+    PUBLISHED: 'published',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Whether an event is taking registrations (see getRegistrationWindow):
+ * not open yet, open, or closed (after its closing time or once it starts)
+ */
+const REGISTRATION_WINDOW = {
+    NOT_OPEN: 'not-open',
+    OPEN: 'open',
+    CLOSED: 'closed'
+};
+
+/**
+ * @typedef {Object} Event
+ * @property {string} id - Event ID
+ * @property {string} title - Event title
+ * @property {string} date - Event date (YYYY-MM-DD)
+ * @property {string} venue - Where the event takes place
+ * @property {string} description - Longer description shown on the details page
+ * @property {string} startTime - Start time (HH:MM, 24 hour)
+ * @property {string} endTime - End time (HH:MM, 24 hour)
+ * @property {string} category - One of EVENT_CATEGORIES
+ * @property {string} organizer - Organizing club (the club's name for events of a club)
+ * @property {string|null} [clubId] - Club running the event (see the clubs repository);
+ *           its organizers can manage the event
+ * @property {string} contact - Contact email or phone number
+ * @property {string} posterUrl - Poster image URL
+ * @property {number} capacity - Maximum confirmed registrations (0 = unlimited);
+ *           for team events, the maximum number of teams
+ * @property {string} [attendeeVisibility] - One of ATTENDEE_VISIBILITY
+ * @property {Array<string>} [eligibleEmailDomains] - Only accounts with these email
+ *           domains may register, e.g. ["muj.manipal.edu"]; empty for any
+ * @property {Array<string>} [eligiblePrograms] - Only students in these programs; empty for any
+ * @property {Array<number>} [eligibleYears] - Only students in these years of study; empty for any
+ * @property {Array<string>} [eligibleDepartments] - Only students in these departments; empty for any
+ * @property {Array<RegistrationField>} [registrationFields] - Extra questions on the registration form
+ * @property {Array<RegistrationField>} [feedbackQuestions] - Questions in the post-event
+ *           feedback survey (types from FEEDBACK_QUESTION_TYPES)
+ * @property {boolean} [teamEvent] - Students register as teams (see the teams repository)
+ * @property {number|null} [minTeamSize] - Smallest team, for team events
+ * @property {number|null} [maxTeamSize] - Largest team, for team events
+ * @property {string} [status] - Stored workflow status: draft, pending, scheduled or
+ *           published (see EVENT_STATUS and getEventStatus); events saved before
+ *           the workflow existed have none and are published
+ * @property {string|null} [publishAt] - ISO timestamp an approved event goes live;
+ *           null to publish on approval
+ * @property {string|null} [submittedAt] - When it was last submitted for review
+ * @property {string|null} [publishedAt] - When it went live
+ * @property {EventReview|null} [review] - The last approval or rejection
+ * @property {string|null} [registrationOpensAt] - ISO timestamp registration opens;
+ *           null to take registrations as soon as the event is published
+ * @property {string|null} [registrationClosesAt] - ISO timestamp registration closes;
+ *           null to close when the event starts (see getRegistrationClosesAt)
+ * @property {number} [seatsTaken] - Confirmed registrations, kept by the registrations repository
+ * @property {number} [waitlistCount] - Waitlisted registrations, kept by the registrations repository
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [updatedAt] - ISO timestamp of the last edit
+ * @property {string|null} [archivedAt] - When the event was archived (cancelled); null if live
+ * @property {number} [sequence] - Revision number, raised on every change so
+ *           calendar apps pick up updates (iCalendar SEQUENCE)
+ * @property {boolean} [listed] - Listing field: true while published
+ * @property {string} [sortKey] - Listing field: start time (ISO) plus a random
+ *           tie-breaker, e.g. "2025-12-01T04:30:00.000Z~9f1c2ab0"
+ * @property {string} [organizerKey] - Listing field: lowercased organizer
+ * @property {Array<string>} [searchTerms] - Listing field: word prefixes of
+ *           the title, venue, organizer and description
+ * @property {number} [listingVersion] - LISTING_VERSION the listing fields were built with
+ */
+
+/**
+ * @typedef {Object} EventReview
+ * @property {string} decision - 'approved' or 'rejected'
+ * @property {string} comment - Reviewer's comment for the organizers (may be empty)
+ * @property {string} reviewer - Email of the admin who reviewed it
+ * @property {string} at - ISO timestamp of the review
+ */
+
+/**
+ * @typedef {Object} RegistrationField
+ * @property {string} key - Stable name the answers are stored under, e.g. "githubHandle"
+ * @property {string} label - Question shown to students, e.g. "GitHub handle"
+ * @property {string} type - One of REGISTRATION_FIELD_TYPES
+ * @property {boolean} required - Students must answer it
+ * @property {Array<string>} [options] - Choices, for select fields
+ * @property {number|null} [min] - Smallest allowed value, for number fields
+ * @property {number|null} [max] - Largest allowed value, for number fields
+ */
+
+// Event dates and times are entered in campus time (IST, UTC+05:30)
+const EVENT_UTC_OFFSET = '+05:30';
+
+// Campus time as minutes ahead of UTC, for working out "today"
+const EVENT_UTC_OFFSET_MINUTES = 5 * 60 + 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Date and time as typed in a datetime-local input, in campus time
+const CAMPUS_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_REVIEW_COMMENT_LENGTH = 1000;
+
+/**
+ * Read a date and time: "YYYY-MM-DDTHH:MM" in campus time (form inputs),
+ * or an ISO timestamp with a time zone (API)
+ * @param {*} value - Raw value
+ * @returns {Date|null} The time, or null if the value is not one
+ */
+function parseCampusDateTime(value) {
+    const text = String(value).trim();
+    const date = CAMPUS_DATETIME_PATTERN.test(text)
+        ? new Date(`${text}:00${EVENT_UTC_OFFSET}`)
+        : /^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:\d{2})$/.test(text) ? new Date(text) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Read a list field: an array (JSON, repeated form fields) or a comma
+ * or semicolon separated string (text inputs, CSV cells)
+ * @param {*} value - Raw value
+ * @returns {Array<string>} Trimmed, non-empty entries without duplicates
+ */
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(/[,;]/);
+    const seen = new Set();
+    return items
+        .map(item => String(item).trim().replace(/\s+/g, ' '))
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Turn a question label into an answer key, e.g. "T-shirt size" -> "tShirtSize"
+ * @param {string} label - Field label
+ * @param {Set<string>} taken - Keys already in use; the new key is added
+ * @returns {string} Unused key
+ */
+function fieldKeyFor(label, taken) {
+    const words = String(label).toLowerCase().match(/[a-z0-9]+/g) || [];
+    let base = words
+        .map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+        .join('')
+        .slice(0, 40);
+    if (!/^[a-z]/.test(base)) {
+        base = `field${base}`;
+    }
+
+    let key = base;
+    for (let n = 2; taken.has(key); n++) {
+        key = `${base}${n}`;
+    }
+    taken.add(key);
+    return key;
+}
+
+/**
+ * Read a question builder: an array of field definitions from JSON, or
+ * the name[i][...] rows of the event form. Rows without a label, or
+ * marked for removal, are dropped.
+ * @param {*} input - Raw field definitions
+ * @param {Object} kind - What is being built
+ * @param {Array<string>} kind.types - Allowed field types
+ * @param {string} kind.noun - Name of one field in messages, e.g. "Registration field"
+ * @param {string} kind.plural - Name of several, e.g. "registration fields"
+ * @param {number} kind.max - Most fields an event can have
+ * @returns {{ fields: Array<RegistrationField>, errors: Array<string> }}
+ */
+function parseFieldDefinitions(input, { types, noun, plural, max }) {
+    if (input === undefined || input === null || input === '') {
+        return { fields: [], errors: [] };
+    }
+    const rows = Array.isArray(input) ? input : (typeof input === 'object' ? Object.values(input) : null);
+    if (!rows) {
+        return { fields: [], errors: [`${noun}s must be a list`] };
+    }
+
+    const checked = (value) => value === true || value === 'true' || value === 'on' || value === '1';
+    const limit = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : Number(value));
+
+    const errors = [];
+    const active = rows.filter(row => row && typeof row === 'object'
+        && String(row.label || '').trim() && !checked(row.remove));
+
+    // Keep the keys of existing fields so their stored answers still match
+    const taken = new Set();
+    const fields = active.map(row => {
+        const key = /^[a-zA-Z][a-zA-Z0-9]{0,49}$/.test(String(row.key || '')) && !taken.has(row.key)
+            ? String(row.key)
+            : null;
+        if (key) taken.add(key);
+        return { row, key };
+    }).map(({ row, key }, index) => {
+        const number = index + 1;
+        const field = {
+            key: key || fieldKeyFor(row.label, taken),
+            label: String(row.label).trim().replace(/\s+/g, ' '),
+            type: String(row.type || 'text').trim().toLowerCase(),
+            required: checked(row.required)
+        };
+
+        if (field.label.length > MAX_FIELD_LABEL_LENGTH) {
+            errors.push(`${noun} ${number}: label must be at most ${MAX_FIELD_LABEL_LENGTH} characters`);
+        }
+        if (!types.includes(field.type)) {
+            errors.push(`${noun} ${number}: type must be one of ${types.join(', ')}`);
+        }
+        if (field.type === 'select') {
+            field.options = parseList(row.options);
+            if (field.options.length < 2) {
+                errors.push(`${noun} ${number} (${field.label}): a dropdown needs at least two options`);
+            }
+        }
+        if (field.type === 'number') {
+            field.min = limit(row.min);
+            field.max = limit(row.max);
+            if ((field.min !== null && !Number.isFinite(field.min)) || (field.max !== null && !Number.isFinite(field.max))) {
+                errors.push(`${noun} ${number} (${field.label}): min and max must be numbers`);
+            } else if (field.min !== null && field.max !== null && field.min > field.max) {
+                errors.push(`${noun} ${number} (${field.label}): min must not be more than max`);
+            }
+        }
+        return field;
+    });
+
+    if (fields.length > max) {
+        errors.push(`An event can have at most ${max} ${plural}`);
+    }
+    return { fields, errors };
+}
+
+/**
+ * Read the registration form builder (see parseFieldDefinitions)
+ * @param {*} input - Raw field definitions
+ * @returns {{ fields: Array<RegistrationField>, errors: Array<string> }}
+ */
+function parseRegistrationFields(input) {
+    return parseFieldDefinitions(input, {
+        types: REGISTRATION_FIELD_TYPES,
+        noun: 'Registration field',
+        plural: 'registration fields',
+        max: MAX_REGISTRATION_FIELDS
+    });
+}
+
+/**
+ * Read the feedback survey builder (see parseFieldDefinitions)
+ * @param {*} input - Raw question definitions
+ * @returns {{ fields: Array<RegistrationField>, errors: Array<string> }}
+ */
+function parseFeedbackQuestions(input) {
+    return parseFieldDefinitions(input, {
+        types: FEEDBACK_QUESTION_TYPES,
+        noun: 'Feedback question',
+        plural: 'feedback questions',
+        max: MAX_FEEDBACK_QUESTIONS
+    });
+}
+
+/**
+ * Validate and normalise event form input
+ * @param {Object} input - Raw input (e.g. req.body)
+ * @returns {{ data: Object, errors: Array<string> }} Clean event fields and any validation errors
+ */
+function validateEventData(input = {}) {
+    const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+    const data = {
+        title: text(input.title),
+        date: text(input.date),
+        venue: text(input.venue),
+        description: text(input.description),
+        startTime: text(input.startTime),
+        endTime: text(input.endTime),
+        category: text(input.category) || 'Other',
+        organizer: text(input.organizer),
+        clubId: text(input.clubId) || null,
+        publishAt: null,
+        registrationOpensAt: null,
+        registrationClosesAt: null,
+        contact: text(input.contact),
+        posterUrl: text(input.posterUrl),
+        capacity: text(input.capacity) === '' ? 0 : Number(text(input.capacity)),
+        attendeeVisibility: text(input.attendeeVisibility).toLowerCase() || DEFAULT_ATTENDEE_VISIBILITY,
+        eligibleEmailDomains: parseList(input.eligibleEmailDomains).map(domain => domain.toLowerCase().replace(/^@/, '')),
+        eligiblePrograms: parseList(input.eligiblePrograms),
+        eligibleYears: parseList(input.eligibleYears).map(Number).sort((a, b) => a - b),
+        eligibleDepartments: parseList(input.eligibleDepartments)
+    };
+    const registrationFields = parseRegistrationFields(input.registrationFields);
+    data.registrationFields = registrationFields.fields;
+    const feedbackQuestions = parseFeedbackQuestions(input.feedbackQuestions);
+    data.feedbackQuestions = feedbackQuestions.fields;
+
+    const publishAt = text(input.publishAt) ? parseCampusDateTime(input.publishAt) : null;
+    data.publishAt = publishAt ? publishAt.toISOString() : null;
+    const registrationOpensAt = text(input.registrationOpensAt) ? parseCampusDateTime(input.registrationOpensAt) : null;
+    data.registrationOpensAt = registrationOpensAt ? registrationOpensAt.toISOString() : null;
+    const registrationClosesAt = text(input.registrationClosesAt) ? parseCampusDateTime(input.registrationClosesAt) : null;
+    data.registrationClosesAt = registrationClosesAt ? registrationClosesAt.toISOString() : null;
+
+    const teamEvent = [true, 'true', 'on', '1'].includes(input.teamEvent);
+    data.teamEvent = teamEvent;
+    data.minTeamSize = teamEvent ? (text(input.minTeamSize) === '' ? DEFAULT_MIN_TEAM_SIZE : Number(text(input.minTeamSize))) : null;
+    data.maxTeamSize = teamEvent ? (text(input.maxTeamSize) === '' ? DEFAULT_MAX_TEAM_SIZE : Number(text(input.maxTeamSize))) : null;
+
+    const errors = [];
+    if (!data.title) errors.push('Title is required');
+    if (!data.venue) errors.push('Venue is required');
+    if (!data.date) {
+        errors.push('Date is required');
+    } else if (!DATE_PATTERN.test(data.date) || isNaN(new Date(data.date).getTime())) {
+        errors.push('Date must be in YYYY-MM-DD format');
+    }
+    if (data.startTime && !TIME_PATTERN.test(data.startTime)) {
+        errors.push('Start time must be in HH:MM format');
+    }
+    if (data.endTime && !TIME_PATTERN.test(data.endTime)) {
+        errors.push('End time must be in HH:MM format');
+    }
+    if (data.endTime && !data.startTime) {
+        errors.push('Start time is required when an end time is set');
+    }
+    if (data.startTime && data.endTime && data.endTime <= data.startTime) {
+        errors.push('End time must be after start time');
+    }
+    if (!EVENT_CATEGORIES.includes(data.category)) {
+        errors.push(`Category must be one of: ${EVENT_CATEGORIES.join(', ')}`);
+    }
+    if (!Number.isInteger(data.capacity) || data.capacity < 0) {
+        errors.push('Capacity must be a whole number (leave empty for unlimited)');
+    }
+    if (!ATTENDEE_VISIBILITY.includes(data.attendeeVisibility)) {
+        errors.push(`Attendee list must be one of: ${ATTENDEE_VISIBILITY.join(', ')}`);
+    }
+    const badDomains = data.eligibleEmailDomains.filter(domain => !EMAIL_DOMAIN_PATTERN.test(domain));
+    if (badDomains.length > 0) {
+        errors.push(`Not a valid email domain: ${badDomains.join(', ')}`);
+    }
+    if (data.eligibleYears.some(year => !STUDENT_YEARS.includes(year))) {
+        errors.push(`Eligible years must be from: ${STUDENT_YEARS.join(', ')}`);
+    }
+    errors.push(...registrationFields.errors);
+    errors.push(...feedbackQuestions.errors);
+    if (data.teamEvent) {
+        const validSize = (size) => Number.isInteger(size) && size >= 1 && size <= TEAM_SIZE_LIMIT;
+        if (!validSize(data.minTeamSize) || !validSize(data.maxTeamSize)) {
+            errors.push(`Team sizes must be whole numbers from 1 to ${TEAM_SIZE_LIMIT}`);
+        } else if (data.minTeamSize > data.maxTeamSize) {
+            errors.push('Minimum team size must not be more than the maximum');
+        }
+    }
+    if (text(input.publishAt) && !publishAt) {
+        errors.push('Publish time must be a date and time, e.g. 2025-12-01T09:00');
+    }
+    if (text(input.registrationOpensAt) && !registrationOpensAt) {
+        errors.push('Registration opening time must be a date and time, e.g. 2025-11-20T09:00');
+    }
+    if (text(input.registrationClosesAt) && !registrationClosesAt) {
+        errors.push('Registration closing time must be a date and time, e.g. 2025-11-30T18:00');
+    }
+    if (registrationOpensAt && registrationClosesAt && registrationClosesAt <= registrationOpensAt) {
+        errors.push('Registration must close after it opens');
+    }
+    const start = DATE_PATTERN.test(data.date) && (!data.startTime || TIME_PATTERN.test(data.startTime))
+        ? getEventStart(data)
+        : null;
+    if (start && !isNaN(start.getTime())) {
+        if (registrationOpensAt && registrationOpensAt >= start) {
+            errors.push('Registration must open before the event starts');
+        }
+        if (registrationClosesAt && registrationClosesAt > start) {
+            errors.push('Registration closes when the event starts at the latest');
+        }
+    }
+    if (data.posterUrl && !/^(https?:\/\/|\/uploads\/posters\/)/.test(data.posterUrl)) {
+        errors.push('Poster URL must start with http:// or https://');
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Event duration in minutes, or null if start/end time are not both set
+ * @param {Event} event - Event object
+ * @returns {number|null} Duration in minutes
+ */
+function getEventDurationMinutes(event) {
+    if (!event.startTime || !event.endTime) return null;
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    return toMinutes(event.endTime) - toMinutes(event.startTime);
+}
+
+/**
+ * When an event starts. Events without a start time start at midnight.
+ * @param {Event} event - Event object
+ * @returns {Date} Start of the event
+ */
+function getEventStart(event) {
+    return new Date(`${event.date}T${event.startTime || '00:00'}:00${EVENT_UTC_OFFSET}`);
+}
+
+/**
+ * When an event ends. Events without an end time end at the end of their day.
+ * @param {Event} event - Event object
+ * @returns {Date} End of the event
+ */
+function getEventEnd(event) {
+    if (event.endTime) {
+        return new Date(`${event.date}T${event.endTime}:00${EVENT_UTC_OFFSET}`);
+    }
+    return new Date(`${event.date}T23:59:59${EVENT_UTC_OFFSET}`);
+}
+
+/**
+ * When an event starts taking registrations
+ * @param {Event} event - Event object
+ * @returns {Date|null} Opening time, or null if it takes them once published
+ */
+function getRegistrationOpensAt(event) {
+    return event.registrationOpensAt ? new Date(event.registrationOpensAt) : null;
+}
+
+/**
+ * When an event stops taking registrations: its closing time, and at
+ * the latest when it starts (so moving an event earlier closes it too)
+ * @param {Event} event - Event object
+ * @returns {Date} Closing time
+ */
+function getRegistrationClosesAt(event) {
+    const start = getEventStart(event);
+    const closesAt = event.registrationClosesAt ? new Date(event.registrationClosesAt) : null;
+    return closesAt && closesAt < start ? closesAt : start;
+}
+
+/**
+ * Whether an event is taking registrations at a given time
+ * @param {Event} event - Event object
+ * @param {Date} [now] - Current time
+ * @returns {{state: string, opensAt: Date|null, closesAt: Date}} state is one
+ *          of REGISTRATION_WINDOW
+ */
+function getRegistrationWindow(event, now = new Date()) {
+    const opensAt = getRegistrationOpensAt(event);
+    const closesAt = getRegistrationClosesAt(event);
+    const state = opensAt && now < opensAt ? REGISTRATION_WINDOW.NOT_OPEN
+        : now >= closesAt ? REGISTRATION_WINDOW.CLOSED
+        : REGISTRATION_WINDOW.OPEN;
+    return { state, opensAt, closesAt };
+}
+
+/**
+ * Time until a moment in words, rounded down, e.g. "2 days" or "5 hours"
+ * @param {Date} date - A future time
+ * @param {Date} [now] - Current time
+ * @returns {string}
+ */
+function describeTimeUntil(date, now = new Date()) {
+    const minutes = Math.max(0, Math.floor((date.getTime() - now.getTime()) / 60000));
+    const units = [['day', 24 * 60], ['hour', 60], ['minute', 1]];
+    for (const [unit, size] of units) {
+        const count = Math.floor(minutes / size);
+        if (count >= 1) return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+    return 'less than a minute';
+}
+
+/**
+ * Seats still free at an event
+ * @param {Event} event - Event object
+ * @returns {number|null} Free seats, or null if the event has no capacity limit
+ */
+function getSeatsRemaining(event) {
+    const capacity = Number(event.capacity) || 0;
+    if (capacity === 0) return null;
+    return Math.max(0, capacity - (event.seatsTaken || 0));
+}
+
+/**
+ * Who may see the event's attendee list. Events created before the
+ * setting existed get the default.
+ * @param {Event} event - Event object
+ * @returns {string} One of ATTENDEE_VISIBILITY
+ */
+function getAttendeeVisibility(event) {
+    return ATTENDEE_VISIBILITY.includes(event.attendeeVisibility)
+        ? event.attendeeVisibility
+        : DEFAULT_ATTENDEE_VISIBILITY;
+}
+
+/**
+ * Who may register for an event. Events created before eligibility
+ * rules existed are open to everyone.
+ * @param {Event} event - Event object
+ * @returns {{emailDomains: Array<string>, programs: Array<string>, years: Array<number>, departments: Array<string>}}
+ *          Empty lists place no restriction
+ */
+function getEligibilityRules(event) {
+    return {
+        emailDomains: event.eligibleEmailDomains || [],
+        programs: event.eligiblePrograms || [],
+        years: event.eligibleYears || [],
+        departments: event.eligibleDepartments || []
+    };
+}
+
+/**
+ * Team size range of a team event
+ * @param {Event} event - Event object
+ * @returns {{min: number, max: number}|null} Sizes, or null if students register on their own
+ */
+function getTeamSizeLimits(event) {
+    if (!event.teamEvent) return null;
+    return {
+        min: event.minTeamSize || DEFAULT_MIN_TEAM_SIZE,
+        max: event.maxTeamSize || DEFAULT_MAX_TEAM_SIZE
+    };
+}
+
+/**
+ * Extra questions on an event's registration form
+ * @param {Event} event - Event object
+ * @returns {Array<RegistrationField>} Field definitions, in form order
+ */
+function getRegistrationFields(event) {
+    return Array.isArray(event.registrationFields) ? event.registrationFields : [];
+}
+
+/**
+ * Questions in an event's feedback survey, besides the overall rating
+ * @param {Event} event - Event object
+ * @returns {Array<RegistrationField>} Question definitions, in survey order
+ */
+function getFeedbackQuestions(event) {
+    return Array.isArray(event.feedbackQuestions) ? event.feedbackQuestions : [];
+}
+
+/**
+ * True if anyone is kept from registering by the event's eligibility rules
+ * @param {Event} event - Event object
+ * @returns {boolean}
+ */
+function hasEligibilityRules(event) {
+    return Object.values(getEligibilityRules(event)).some(list => list.length > 0);
+}
+
+/**
+ * True if the event has been archived (soft-deleted)
+ * @param {Event} event - Event object
+ * @returns {boolean}
+ */
+function isEventArchived(event) {
+    return Boolean(event && event.archivedAt);
+}
+
+/**
+ * Where an event is in the publishing workflow
+ * @param {Event} event - Event object
+ * @returns {string} One of EVENT_STATUS; cancelled for archived events
+ */
+function getEventStatus(event) {
+    if (isEventArchived(event)) return EVENT_STATUS.CANCELLED;
+    return event.status || EVENT_STATUS.PUBLISHED;
+}
+
+/**
+ * True if students can see the event and register for it
+ * @param {Event} event - Event object
+ * @returns {boolean}
+ */
+function isEventPublished(event) {
+    return Boolean(event) && getEventStatus(event) === EVENT_STATUS.PUBLISHED;
+}
+
+/**
+ * True if the event was published before it was archived, so students
+ * may have seen it (and calendar feeds should show it as cancelled)
+ * @param {Event} event - Event object
+ * @returns {boolean}
+ */
+function wasEventPublished(event) {
+    return Boolean(event) && (event.status || EVENT_STATUS.PUBLISHED) === EVENT_STATUS.PUBLISHED;
+}
+
+/**
+ * Status an approved event moves to: scheduled until its publish time,
+ * published once that has passed (or when it has none)
+ * @param {Event} event - Event object
+ * @param {Date} now - Current time
+ * @returns {string} EVENT_STATUS.SCHEDULED or EVENT_STATUS.PUBLISHED
+ */
+function getApprovedStatus(event, now) {
+    return event.publishAt && new Date(event.publishAt) > now
+        ? EVENT_STATUS.SCHEDULED
+        : EVENT_STATUS.PUBLISHED;
+}
+
+// ============================================
+// LISTING FIELDS
+// ============================================
+
+// The home page is served with indexed queries (see listEvents), filtering
+// and ordering on fields derived from each event. They are rebuilt on every
+// write; raise LISTING_VERSION when their format changes, and the
+// event-listing-backfill job rebuilds them for existing events.
+// Version 2 replaced `archived` with `listed` (published events only).
+const LISTING_VERSION = 2;
+
+// Search matches word prefixes between these lengths
+const MIN_SEARCH_TERM_LENGTH = 2;
+const MAX_SEARCH_TERM_LENGTH = 15;
+
+const DEFAULT_LISTING_PAGE_SIZE = 12;
+
+/**
+ * Lowercase words of a text
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Every prefix of every word of an event's title, venue, organizer and
+ * description, so a search for "work" finds "Workshop"
+ * @param {Event} event - Event object
+ * @returns {Array<string>} Unique search terms
+ */
+function getSearchTerms(event) {
+    const terms = new Set();
+    const text = [event.title, event.venue, event.organizer, event.description].join(' ');
+    for (const word of tokenize(text)) {
+        const end = Math.min(word.length, MAX_SEARCH_TERM_LENGTH);
+        for (let length = MIN_SEARCH_TERM_LENGTH; length <= end; length++) {
+            terms.add(word.slice(0, length));
+        }
+    }
+    return Array.from(terms);
+}
+
+/**
+ * Search terms typed by a user, in the form getSearchTerms() stores them
+ * @param {string} search - Search box input
+ * @returns {Array<string>} Unique terms, longest first
+ */
+function parseSearchTerms(search) {
+    const terms = tokenize(search)
+        .filter(word => word.length >= MIN_SEARCH_TERM_LENGTH)
+        .map(word => word.slice(0, MAX_SEARCH_TERM_LENGTH));
+    return Array.from(new Set(terms)).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Key used to match an organizer (club) filter
+ * @param {string} organizer - Organizer name
+ * @returns {string}
+ */
+function normalizeOrganizer(organizer) {
+    return String(organizer || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Listing fields for an event
+ * @param {Event} event - Event as it will be stored
+ * @param {Event} [current] - Stored event being changed, whose tie-breaker is kept
+ * @returns {Object} listed, sortKey, organizerKey, searchTerms and listingVersion
+ */
+function getListingFields(event, current = null) {
+    const start = getEventStart(event);
+    const startsAt = isNaN(start.getTime()) ? String(event.date || '') : start.toISOString();
+    const tieBreaker = (current && current.sortKey && current.sortKey.split('~')[1])
+        || crypto.randomBytes(4).toString('hex');
+
+    return {
+        listed: isEventPublished(event),
+        sortKey: `${startsAt}~${tieBreaker}`,
+        organizerKey: normalizeOrganizer(event.organizer),
+        searchTerms: getSearchTerms(event),
+        listingVersion: LISTING_VERSION
+    };
+}
+
+/**
+ * Today's date on campus
+ * @param {Date} [now] - Current time
+ * @returns {string} YYYY-MM-DD
+ */
+function getCampusDate(now = new Date()) {
+    return new Date(now.getTime() + EVENT_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Start of a campus day, as used in sort keys
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} [addDays=0] - Days to move forward
+ * @returns {string} ISO timestamp
+ */
+function startOfCampusDay(date, addDays = 0) {
+    const start = new Date(`${date}T00:00:00${EVENT_UTC_OFFSET}`);
+    return new Date(start.getTime() + addDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Opaque page cursor for an event
+ */
+function encodeCursor(event) {
+    return Buffer.from(event.sortKey, 'utf8').toString('base64url');
+}
+
+/**
+ * Sort key from a page cursor, or null if the cursor is not valid
+ */
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    const sortKey = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    return /^[\dT:.Z-]+~[0-9a-f]+$/.test(sortKey) ? sortKey : null;
+}
+
+/**
+ * One page of published events for the home page.
+ *
+ * Every filter runs in the query (listed, category, organizerKey and
+ * one search term as equality/array-contains filters, dates as a range
+ * on sortKey), so Firestore reads only the page it returns plus one
+ * event. Only extra search terms are checked here, reading further
+ * batches until the page is full.
+ * @param {Object} [options]
+ * @param {string} [options.search] - Words to find in the title, venue, organizer or description
+ * @param {string} [options.category] - One of EVENT_CATEGORIES
+ * @param {string} [options.club] - Organizer name (case-insensitive)
+ * @param {string} [options.from] - First date (YYYY-MM-DD)
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @param {string} [options.when='upcoming'] - 'upcoming' (today onwards) or 'past' (before today)
+ * @param {string} [options.sort] - 'soonest' or 'latest'; upcoming events default
+ *        to soonest first, past events to latest first
+ * @param {string} [options.after] - Cursor: return the page after this one
+ * @param {string} [options.before] - Cursor: return the page before this one
+ * @param {number} [options.limit=12] - Events per page
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<{events: Array<Event>, nextCursor: string|null, prevCursor: string|null}>}
+ */
+async function listEvents({
+    search = '',
+    category = '',
+    club = '',
+    from = '',
+    to = '',
+    when = 'upcoming',
+    sort = '',
+    after = '',
+    before = '',
+    limit = DEFAULT_LISTING_PAGE_SIZE,
+    now = new Date()
+} = {}) {
+    const terms = parseSearchTerms(search);
+    const where = [['listed', '==', true]];
+    if (category) where.push(['category', '==', category]);
+    if (club) where.push(['organizerKey', '==', normalizeOrganizer(club)]);
+    if (terms.length > 0) where.push(['searchTerms', 'array-contains', terms[0]]);
+
+    // Date bounds, all on sortKey so Firestore can serve them with one index
+    const today = startOfCampusDay(getCampusDate(now));
+    const lower = [when === 'past' ? null : today, DATE_PATTERN.test(from) ? startOfCampusDay(from) : null]
+        .filter(Boolean).sort().pop();
+    const upper = [when === 'past' ? today : null, DATE_PATTERN.test(to) ? startOfCampusDay(to, 1) : null]
+        .filter(Boolean).sort().shift();
+    if (lower) where.push(['sortKey', '>=', lower]);
+    if (upper) where.push(['sortKey', '<', upper]);
+
+    // Paging backwards reads in the opposite order, then flips the page
+    const ascending = sort ? sort === 'soonest' : when !== 'past';
+    const backwards = Boolean(decodeCursor(before));
+    const direction = ascending !== backwards ? 'asc' : 'desc';
+    let cursor = backwards ? decodeCursor(before) : decodeCursor(after);
+
+    const extraTerms = terms.slice(1);
+    const batchSize = extraTerms.length > 0 ? Math.max(limit * 3, 30) : limit + 1;
+    const found = [];
+    for (;;) {
+        const batch = await getStorage().list(EVENTS_COLLECTION, {
+            where,
+            orderBy: [['sortKey', direction]],
+            ...(cursor ? { startAfter: [cursor] } : {}),
+            limit: batchSize
+        });
+        for (const event of batch) {
+            if (extraTerms.every(term => (event.searchTerms || []).includes(term))) {
+                found.push(event);
+            }
+            if (found.length > limit) break;
+        }
+        if (found.length > limit || batch.length < batchSize) break;
+        cursor = batch[batch.length - 1].sortKey;
+    }
+
+    const hasMore = found.length > limit;
+    const events = found.slice(0, limit);
+    if (backwards) events.reverse();
+
+    const hasNext = backwards || hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(decodeCursor(after));
+    return {
+        events,
+        nextCursor: hasNext && events.length > 0 ? encodeCursor(events[events.length - 1]) : null,
+        prevCursor: hasPrev && events.length > 0 ? encodeCursor(events[0]) : null
+    };
+}
+
+/**
+ * Rebuild the listing fields of events stored before they existed or
+ * with an older LISTING_VERSION
+ * @returns {Promise<number>} Number of events updated
+ */
+async function backfillListingFields() {
+    const stale = (await getStorage().list(EVENTS_COLLECTION))
+        .filter(event => event.listingVersion !== LISTING_VERSION);
+
+    // Batches stay under Firestore's 500 writes per transaction
+    for (let start = 0; start < stale.length; start += 400) {
+        const batch = stale.slice(start, start + 400);
+        await getStorage().transaction(async (tx) => {
+            for (const event of batch) {
+                await tx.update(EVENTS_COLLECTION, event.id, getListingFields(event, event));
+            }
+        });
+    }
+    if (stale.length > 0) {
+        console.log(`✅ Rebuilt listing fields for ${stale.length} event(s)`);
+    }
+    return stale.length;
+}
+
+/**
+ * Get all events
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also return archived events
+ * @returns {Promise<Array<Event>>} Array of events sorted by date
+ */
+async function getAllEvents({ includeArchived = false } = {}) {
+    // Events created before archiving existed have no archivedAt field,
+    // which Firestore cannot match with a where clause, so filter here
+    const events = (await getStorage().list(EVENTS_COLLECTION, {
+        orderBy: [['date', 'asc']]
+    })).filter(event => includeArchived || !isEventArchived(event));
+    console.log(`📋 Fetched ${events.length} events`);
+    return events;
+}
+
+/**
+ * Get event by ID
+ * @param {string|number} id - Event ID
+ * @returns {Promise<Event|null>} Event object or null if not found
+ */
+async function getEventById(id) {
+    if (!id) return null;
+    return getStorage().get(EVENTS_COLLECTION, String(id));
+}
+
+/**
+ * Apply a change to an event and raise its sequence number
+ * @param {string|number} id - Event ID
+ * @param {function(Event): (Object|null)} makePatch - Returns the fields to
+ *        change for the current event, or null to leave it alone
+ * @returns {Promise<Event|null>} Updated event, or null if not found or left alone
+ */
+async function reviseEvent(id, makePatch) {
+    return getStorage().transaction(async (tx) => {
+        const event = await tx.get(EVENTS_COLLECTION, String(id));
+        if (!event) return null;
+
+        const patch = makePatch(event);
+        if (!patch) return null;
+
+        const changes = { ...patch, sequence: (event.sequence || 0) + 1 };
+        const revised = { ...changes, ...getListingFields({ ...event, ...changes }, event) };
+        await tx.update(EVENTS_COLLECTION, event.id, revised);
+        return { ...event, ...revised };
+    });
+}
+
+/**
+ * Workflow fields for a new event
+ * @param {Object} data - Validated event fields
+ * @param {string} status - draft, pending or published (published events
+ *        with a future publishAt are scheduled instead)
+ * @param {Date} now - Current time
+ * @returns {Object} status, submittedAt, publishedAt and review
+ */
+function getInitialWorkflow(data, status, now) {
+    if (![EVENT_STATUS.DRAFT, EVENT_STATUS.PENDING, EVENT_STATUS.PUBLISHED].includes(status)) {
+        throw new Error(`A new event cannot be ${status}`);
+    }
+    const initial = status === EVENT_STATUS.PUBLISHED ? getApprovedStatus(data, now) : status;
+    return {
+        status: initial,
+        submittedAt: status === EVENT_STATUS.PENDING ? now.toISOString() : null,
+        publishedAt: initial === EVENT_STATUS.PUBLISHED ? now.toISOString() : null,
+        review: null
+    };
+}
+
+/**
+ * Create a new event
+ * @param {Object} eventData - Event fields (see validateEventData)
+ * @param {Object} [options]
+ * @param {string} [options.status='draft'] - draft, pending (submitted for
+ *        review) or published (by an admin; scheduled if publishAt is in the future)
+ * @returns {Promise<Event>} Created event with ID
+ * @throws {Error} If the event data is invalid
+ */
+async function createEvent(eventData, { status = EVENT_STATUS.DRAFT } = {}) {
+    const { data, errors } = validateEventData(eventData);
+    if (errors.length > 0) {
+        throw new Error(errors.join('. '));
+    }
+
+    const now = new Date();
+    const event = { ...data, ...getInitialWorkflow(data, status, now) };
+    const newEvent = await getStorage().add(EVENTS_COLLECTION, {
+        ...event,
+        ...getListingFields(event),
+        sequence: 0,
+        createdAt: now.toISOString()
+    });
+
+    console.log('✅ Event created successfully:', newEvent.id);
+    return newEvent;
+}
+
+/**
+ * Create several events in one batched write. Nothing is created if any
+ * of them is invalid. Firestore allows at most 500 writes per batch.
+ * Imported events are published straight away (or scheduled).
+ * @param {Array<Object>} eventsData - Event fields for each event (see validateEventData)
+ * @returns {Promise<Array<Event>>} Created events with IDs, in the given order
+ * @throws {Error} If any event is invalid
+ */
+async function createEvents(eventsData) {
+    const events = eventsData.map((eventData, index) => {
+        const { data, errors } = validateEventData(eventData);
+        if (errors.length > 0) {
+            throw new Error(`Event ${index + 1}: ${errors.join('. ')}`);
+        }
+        return data;
+    });
+
+    const now = new Date();
+    const created = await getStorage().transaction(async (tx) => {
+        const results = [];
+        for (const data of events) {
+            const event = { ...data, ...getInitialWorkflow(data, EVENT_STATUS.PUBLISHED, now) };
+            results.push(await tx.add(EVENTS_COLLECTION, {
+                ...event,
+                ...getListingFields(event),
+                sequence: 0,
+                createdAt: now.toISOString()
+            }));
+        }
+        return results;
+    });
+
+    console.log(`✅ ${created.length} events created successfully`);
+    return created;
+}
+
+/**
+ * Update an existing event in place, keeping its ID and registrations
+ * @param {string|number} id - Event ID
+ * @param {Object} eventData - Event fields (see validateEventData)
+ * @param {Object} [options]
+ * @param {boolean} [options.needsReview=false] - The edit needs an admin's approval
+ *        (organizers' edits): a pending or scheduled event goes back to pending
+ *        until it is approved again. Drafts stay drafts, and published events
+ *        stay live for the students already registered.
+ * @returns {Promise<Event|null>} Updated event or null if not found
+ * @throws {Error} If the event data is invalid
+ */
+async function updateEvent(id, eventData, { needsReview = false } = {}) {
+    const { data, errors } = validateEventData(eventData);
+    if (errors.length > 0) {
+        throw new Error(errors.join('. '));
+    }
+
+    const now = new Date().toISOString();
+    const updated = await reviseEvent(id, (event) => {
+        const status = event.status || EVENT_STATUS.PUBLISHED;
+        const resubmit = needsReview && (status === EVENT_STATUS.PENDING || status === EVENT_STATUS.SCHEDULED);
+        return {
+            ...data,
+            ...(resubmit ? { status: EVENT_STATUS.PENDING, submittedAt: now } : {}),
+            updatedAt: now
+        };
+    });
+
+    if (updated) {
+        console.log(`✅ Event ${id} updated successfully`);
+    }
+    return updated;
+}
+
+/**
+ * Set the organizer of every event of a club, e.g. after the club is renamed
+ * @param {string} clubId - Club ID
+ * @param {string} organizer - New organizer name
+ * @returns {Promise<number>} Number of events changed
+ */
+async function setEventsOrganizer(clubId, organizer) {
+    const events = await getStorage().list(EVENTS_COLLECTION, {
+        where: [['clubId', '==', String(clubId)]]
+    });
+
+    let changed = 0;
+    for (const event of events) {
+        const revised = await reviseEvent(event.id, (current) => (current.organizer === organizer
+            ? null
+            : { organizer, updatedAt: new Date().toISOString() }));
+        if (revised) changed++;
+    }
+    if (changed > 0) {
+        console.log(`✅ Renamed the organizer of ${changed} event(s) of club ${clubId}`);
+    }
+    return changed;
+}
+
+// ============================================
+// PUBLISHING WORKFLOW
+// ============================================
+
+/**
+ * Move a live (not archived) event from one of the given statuses
+ * @param {string|number} id - Event ID
+ * @param {Array<string>} from - Statuses the event may be in
+ * @param {function(Event): Object} makeChanges - Fields to change
+ * @returns {Promise<Event|null>} Updated event, or null if not found or in another status
+ */
+async function transitionEvent(id, from, makeChanges) {
+    return reviseEvent(id, (event) => (from.includes(getEventStatus(event))
+        ? { ...makeChanges(event), updatedAt: new Date().toISOString() }
+        : null));
+}
+
+/**
+ * Clean up a reviewer's comment
+ * @param {*} comment - Raw comment
+ * @returns {string} Trimmed comment, cut to MAX_REVIEW_COMMENT_LENGTH
+ */
+function cleanReviewComment(comment) {
+    return String(comment || '').trim().slice(0, MAX_REVIEW_COMMENT_LENGTH);
+}
+
+/**
+ * Submit a draft for review
+ * @param {string|number} id - Event ID
+ * @returns {Promise<Event|null>} Pending event, or null if not found or not a draft
+ */
+async function submitEventForReview(id) {
+    const submitted = await transitionEvent(id, [EVENT_STATUS.DRAFT], () => ({
+        status: EVENT_STATUS.PENDING,
+        submittedAt: new Date().toISOString()
+    }));
+    if (submitted) {
+        console.log(`📋 Event ${id} submitted for review`);
+    }
+    return submitted;
+}
+
+/**
+ * Approve an event: it is published now, or scheduled for its publishAt.
+ * Admins can also approve drafts directly, which publishes them.
+ * @param {string|number} id - Event ID
+ * @param {Object} review
+ * @param {string} review.reviewer - Email of the approving admin
+ * @param {string} [review.comment] - Note for the organizers
+ * @param {Date} [review.now] - Current time
+ * @returns {Promise<Event|null>} Approved event, or null if not found or not
+ *          a draft or pending
+ */
+async function approveEvent(id, { reviewer, comment = '', now = new Date() }) {
+    const approved = await transitionEvent(id, [EVENT_STATUS.DRAFT, EVENT_STATUS.PENDING], (event) => {
+        const status = getApprovedStatus(event, now);
+        return {
+            status,
+            publishedAt: status === EVENT_STATUS.PUBLISHED ? now.toISOString() : null,
+            review: { decision: 'approved', comment: cleanReviewComment(comment), reviewer, at: now.toISOString() }
+        };
+    });
+    if (approved) {
+        console.log(`✅ Event ${id} approved (${approved.status})`);
+    }
+    return approved;
+}
+
+/**
+ * Reject an event submitted for review. It goes back to draft, with the
+ * comment telling the organizers what to change.
+ * @param {string|number} id - Event ID
+ * @param {Object} review
+ * @param {string} review.reviewer - Email of the rejecting admin
+ * @param {string} review.comment - What needs to change
+ * @returns {Promise<Event|null>} The event, or null if not found or not pending
+ */
+async function rejectEvent(id, { reviewer, comment }) {
+    const rejected = await transitionEvent(id, [EVENT_STATUS.PENDING], () => ({
+        status: EVENT_STATUS.DRAFT,
+        review: { decision: 'rejected', comment: cleanReviewComment(comment), reviewer, at: new Date().toISOString() }
+    }));
+    if (rejected) {
+        console.log(`📋 Event ${id} sent back to draft`);
+    }
+    return rejected;
+}
+
+/**
+ * Publish a scheduled event whose publish time has come
+ * @param {string|number} id - Event ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Event|null>} Published event, or null if not found, not
+ *          scheduled or not due yet
+ */
+async function publishScheduledEvent(id, now = new Date()) {
+    const published = await reviseEvent(id, (event) => (getEventStatus(event) === EVENT_STATUS.SCHEDULED
+        && getApprovedStatus(event, now) === EVENT_STATUS.PUBLISHED
+        ? { status: EVENT_STATUS.PUBLISHED, publishedAt: now.toISOString() }
+        : null));
+    if (published) {
+        console.log(`✅ Scheduled event ${id} published`);
+    }
+    return published;
+}
+
+/**
+ * Events waiting for a decision, oldest submission first
+ * @returns {Promise<Array<Event>>}
+ */
+async function getPendingEvents() {
+    const events = await getStorage().list(EVENTS_COLLECTION, {
+        where: [['status', '==', EVENT_STATUS.PENDING]]
+    });
+    return events
+        .filter(event => !isEventArchived(event))
+        .sort((a, b) => String(a.submittedAt || '').localeCompare(String(b.submittedAt || '')));
+}
+
+/**
+ * Events approved to go live later
+ * @returns {Promise<Array<Event>>}
+ */
+async function getScheduledEvents() {
+    const events = await getStorage().list(EVENTS_COLLECTION, {
+        where: [['status', '==', EVENT_STATUS.SCHEDULED]]
+    });
+    return events.filter(event => !isEventArchived(event));
+}
+
+/**
+ * Archive (soft-delete) an event. It disappears from the public listings
+ * but keeps its registrations, so it can be restored later.
+ * @param {string|number} id - Event ID
+ * @returns {Promise<Event|null>} Archived event, or null if not found or already archived
+ */
+async function archiveEvent(id) {
+    const archived = await reviseEvent(id, (event) => (isEventArchived(event)
+        ? null
+        : { archivedAt: new Date().toISOString() }));
+    if (archived) {
+        console.log(`✅ Event ${id} archived`);
+    }
+    return archived;
+}
+
+/**
+ * Restore an archived event
+ * @param {string|number} id - Event ID
+ * @returns {Promise<Event|null>} Restored event, or null if not found or not archived
+ */
+async function restoreEvent(id) {
+    const restored = await reviseEvent(id, (event) => (isEventArchived(event)
+        ? { archivedAt: null }
+        : null));
+    if (restored) {
+        console.log(`✅ Event ${id} restored`);
+    }
+    return restored;
+}
+
+module.exports = {
+    EVENTS_COLLECTION,
+    EVENT_CATEGORIES,
+    ATTENDEE_VISIBILITY,
+    DEFAULT_ATTENDEE_VISIBILITY,
+    REGISTRATION_FIELD_TYPES,
+    FEEDBACK_QUESTION_TYPES,
+    DEFAULT_MIN_TEAM_SIZE,
+    DEFAULT_MAX_TEAM_SIZE,
+    TEAM_SIZE_LIMIT,
+    EVENT_STATUS,
+    parseCampusDateTime,
+    validateEventData,
+    getEventDurationMinutes,
+    EVENT_UTC_OFFSET,
+    getEventStart,
+    getEventEnd,
+    REGISTRATION_WINDOW,
+    getRegistrationOpensAt,
+    getRegistrationClosesAt,
+    getRegistrationWindow,
+    describeTimeUntil,
+    getSeatsRemaining,
+    getAttendeeVisibility,
+    getEligibilityRules,
+    hasEligibilityRules,
+    getRegistrationFields,
+    getFeedbackQuestions,
+    getTeamSizeLimits,
+    isEventArchived,
+    getEventStatus,
+    isEventPublished,
+    wasEventPublished,
+    LISTING_VERSION,
+    getCampusDate,
+    listEvents,
+    backfillListingFields,
+    getAllEvents,
+    getEventById,
+    createEvent,
+    createEvents,
+    updateEvent,
+    setEventsOrganizer,
+    submitEventForReview,
+    approveEvent,
+    rejectEvent,
+    publishScheduledEvent,
+    getPendingEvents,
+    getScheduledEvents,
+    archiveEvent,
+    restoreEvent
+};
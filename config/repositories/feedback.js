@@ -0,0 +1,262 @@
+/**
+ * Feedback Repository
+ *
+ * Post-event feedback surveys. Once an event is over, every student with
+ * a confirmed registration (checked in or not) can send one response:
+ * an overall star rating, answers to the event's own feedbackQuestions
+ * and an optional comment. Responses are stored under their
+ * registration's ID, which keeps them to one per registration.
+ */
+
+const { getStorage } = require('../storage');
+const { getEventEnd, getFeedbackQuestions } = require('./events');
+const {
+    REGISTRATION_STATUS,
+    getRegistrationStatus,
+    getRegistrationsByEventId
+} = require('./registrations');
+
+const FEEDBACK_COLLECTION = 'feedback';
+
+const RATINGS = [1, 2, 3, 4, 5];
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+/**
+ * @typedef {Object} Feedback
+ * @property {string} id - Same as the registration ID
+ * @property {string} event_id - Event the feedback is about
+ * @property {string} registration_id - Registration that sent it
+ * @property {string|null} uid - Student's account
+ * @property {number} rating - Overall rating, 1 to 5 stars
+ * @property {Object} answers - Answers to the event's feedbackQuestions, keyed by question key
+ * @property {string} comment - Free-text comment; may be empty
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Days after an event ends during which feedback is collected.
+ * Configured with FEEDBACK_WINDOW_DAYS (default 14).
+ * @returns {number} Days
+ */
+function getFeedbackWindowDays() {
+    const days = Number(process.env.FEEDBACK_WINDOW_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : 14;
+}
+
+/**
+ * When an event stops taking feedback
+ * @param {Object} event - Event object
+ * @returns {Date}
+ */
+function getFeedbackClosesAt(event) {
+    return new Date(getEventEnd(event).getTime() + getFeedbackWindowDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Explain why a registration cannot send feedback (yet)
+ * @param {Object} event - Event the registration is for
+ * @param {Object} registration - The registration
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Reason, or null if feedback is open
+ */
+function getFeedbackBlocker(event, registration, now = new Date()) {
+    if (!event || event.archivedAt) {
+        return 'This event was cancelled';
+    }
+    if (!registration || getRegistrationStatus(registration) !== REGISTRATION_STATUS.CONFIRMED) {
+        return 'Only students who had a place at this event can give feedback';
+    }
+    if (now < getEventEnd(event)) {
+        return 'Feedback opens once the event is over';
+    }
+    if (now >= getFeedbackClosesAt(event)) {
+        return 'Feedback for this event has closed';
+    }
+    return null;
+}
+
+/**
+ * Validate a feedback form
+ * @param {Object} event - Event the feedback is about
+ * @param {Object} [input] - { rating, answers, comment } (e.g. req.body)
+ * @returns {{ feedback: {rating: number, answers: Object, comment: string}, errors: Array<string> }}
+ */
+function validateFeedback(event, input = {}) {
+    const given = input && typeof input === 'object' ? input : {};
+    const givenAnswers = given.answers && typeof given.answers === 'object' ? given.answers : {};
+    const errors = [];
+
+    const rating = Number(given.rating);
+    if (!RATINGS.includes(rating)) {
+        errors.push('Choose a rating from 1 to 5 stars');
+    }
+
+    const answers = {};
+    for (const question of getFeedbackQuestions(event)) {
+        const raw = givenAnswers[question.key];
+        const value = raw === undefined || raw === null ? '' : String(Array.isArray(raw) ? raw[raw.length - 1] : raw).trim();
+        if (!value) {
+            if (question.required) errors.push(`${question.label} is required`);
+            continue;
+        }
+
+        if (question.type === 'rating') {
+            if (!RATINGS.includes(Number(value))) {
+                errors.push(`${question.label} must be 1 to 5 stars`);
+            } else {
+                answers[question.key] = Number(value);
+            }
+        } else if (question.type === 'select') {
+            const option = (question.options || []).find(choice => choice === value);
+            if (option === undefined) {
+                errors.push(`${question.label} must be one of: ${(question.options || []).join(', ')}`);
+            } else {
+                answers[question.key] = option;
+            }
+        } else if (value.length > MAX_TEXT_ANSWER_LENGTH) {
+            errors.push(`${question.label} must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`);
+        } else {
+            answers[question.key] = value;
+        }
+    }
+
+    const comment = String(given.comment || '').trim();
+    if (comment.length > MAX_COMMENT_LENGTH) {
+        errors.push(`Comments must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    return { feedback: { rating, answers, comment }, errors };
+}
+
+/**
+ * Feedback sent by a registration
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<Feedback|null>} Feedback or null if none was sent
+ */
+async function getFeedbackByRegistrationId(registrationId) {
+    if (!registrationId) return null;
+    return getStorage().get(FEEDBACK_COLLECTION, String(registrationId));
+}
+
+/**
+ * All feedback for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<Feedback>>} Responses, oldest first
+ */
+async function getFeedbackByEventId(eventId) {
+    const responses = await getStorage().list(FEEDBACK_COLLECTION, {
+        where: [['event_id', '==', String(eventId)]]
+    });
+    return responses.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+/**
+ * Store a registration's feedback
+ * @param {Object} registration - Confirmed registration
+ * @param {Object} feedback - Clean feedback from validateFeedback()
+ * @returns {Promise<Feedback>} Stored feedback
+ * @throws {Error} code FEEDBACK_ALREADY_SENT if the registration already sent feedback
+ */
+async function submitFeedback(registration, feedback) {
+    return getStorage().transaction(async (tx) => {
+        const existing = await tx.get(FEEDBACK_COLLECTION, registration.id);
+        if (existing) {
+            const error = new Error('You have already sent feedback for this event');
+            error.code = 'FEEDBACK_ALREADY_SENT';
+            throw error;
+        }
+
+        return tx.set(FEEDBACK_COLLECTION, registration.id, {
+            event_id: registration.event_id,
+            registration_id: registration.id,
+            uid: registration.uid || null,
+            rating: feedback.rating,
+            answers: feedback.answers || {},
+            comment: feedback.comment || '',
+            createdAt: new Date().toISOString()
+        });
+    });
+}
+
+/**
+ * Average of a list of star ratings, to one decimal place
+ * @returns {number|null} Average, or null for an empty list
+ */
+function averageRating(ratings) {
+    if (ratings.length === 0) return null;
+    return Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 10) / 10;
+}
+
+/**
+ * Count how often each rating was given
+ * @returns {Object<number, number>} e.g. { 1: 0, 2: 1, 3: 4, 4: 10, 5: 7 }
+ */
+function ratingDistribution(ratings) {
+    const counts = {};
+    RATINGS.forEach(rating => { counts[rating] = 0; });
+    ratings.forEach(rating => { counts[rating] = (counts[rating] || 0) + 1; });
+    return counts;
+}
+
+/**
+ * Summary of an event's feedback for its organizers
+ * @param {Object} event - Event object
+ * @returns {Promise<Object>} { invited, responses, responseRate, averageRating,
+ *          distribution, questions, comments }. invited counts confirmed
+ *          registrations; responseRate is a percentage, or null with
+ *          nobody invited. Each of questions holds the question, and its
+ *          averageRating and distribution (rating), counts (select) or
+ *          answers (text). comments holds every comment with its rating.
+ */
+async function getFeedbackReport(event) {
+    const [registrations, responses] = await Promise.all([
+        getRegistrationsByEventId(event.id),
+        getFeedbackByEventId(event.id)
+    ]);
+    const invited = registrations
+        .filter(reg => getRegistrationStatus(reg) === REGISTRATION_STATUS.CONFIRMED).length;
+    const ratings = responses.map(response => response.rating);
+
+    const questions = getFeedbackQuestions(event).map(question => {
+        const given = responses
+            .map(response => (response.answers || {})[question.key])
+            .filter(answer => answer !== undefined && answer !== null && answer !== '');
+        if (question.type === 'rating') {
+            return { question, answered: given.length, averageRating: averageRating(given), distribution: ratingDistribution(given) };
+        }
+        if (question.type === 'select') {
+            const counts = {};
+            (question.options || []).forEach(option => { counts[option] = 0; });
+            given.forEach(answer => { counts[answer] = (counts[answer] || 0) + 1; });
+            return { question, answered: given.length, counts };
+        }
+        return { question, answered: given.length, answers: given };
+    });
+
+    return {
+        invited,
+        responses: responses.length,
+        responseRate: invited > 0 ? Math.round(responses.length / invited * 100) : null,
+        averageRating: averageRating(ratings),
+        distribution: ratingDistribution(ratings),
+        questions,
+        comments: responses
+            .filter(response => response.comment)
+            .map(response => ({ rating: response.rating, comment: response.comment, createdAt: response.createdAt }))
+    };
+}
+
+module.exports = {
+    FEEDBACK_COLLECTION,
+    RATINGS,
+    MAX_COMMENT_LENGTH,
+    getFeedbackWindowDays,
+    getFeedbackClosesAt,
+    getFeedbackBlocker,
+    validateFeedback,
+    getFeedbackByRegistrationId,
+    getFeedbackByEventId,
+    submitFeedback,
+    getFeedbackReport
+};
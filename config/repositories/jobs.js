@@ -0,0 +1,227 @@
+/**
+ * Jobs Repository
+ *
+ * Background jobs run by the scheduler (config/scheduler). A job's ID is
+ * its idempotency key, e.g. "reminder-24h_<eventId>_<registrationId>",
+ * so scheduling the same job twice never creates a second copy, and a
+ * job that has run stays done across restarts.
+ *
+ * Firestore needs composite indexes on jobs (status ASC, runAt ASC) and
+ * (status ASC, runAt DESC) for the due, upcoming and failed queries.
+ */
+
+const { getStorage } = require('../storage');
+
+const JOBS_COLLECTION = 'jobs';
+
+const JOB_STATUS = {
+    SCHEDULED: 'scheduled',
+    DONE: 'done',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Idempotency key
+ * @property {string} type - Job type, e.g. 'event-reminder'
+ * @property {string} label - Human-readable description for the admin page
+ * @property {string} status - 'scheduled', 'done', 'skipped' or 'failed'
+ * @property {string} runAt - ISO timestamp the job is due at
+ * @property {string} version - What the job was scheduled from (e.g. the event
+ *           start); scheduling again with a different version re-arms the job
+ * @property {Object} data - Type-specific values, e.g. { kind: '24h' }
+ * @property {string|null} eventId - Event the job is about, if any
+ * @property {string|null} registrationId - Registration the job is about, if any
+ * @property {number} attempts - Failed attempts so far
+ * @property {string|null} lastError - Error from the last failed attempt
+ * @property {string|null} result - Outcome note (e.g. why it was skipped)
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [completedAt] - ISO timestamp the job finished
+ */
+
+/**
+ * Schedule a job unless it already exists for the same version.
+ * A job whose version changed (e.g. its event moved) is scheduled again
+ * at the new time, even if it already ran.
+ * @param {Object} job - id, type, label, runAt (Date), version, data, eventId, registrationId
+ * @returns {Promise<Job|null>} The scheduled job, or null if it was already up to date
+ */
+async function scheduleJob(job) {
+    return getStorage().transaction(async (tx) => {
+        const existing = await tx.get(JOBS_COLLECTION, job.id);
+        if (existing && existing.version === job.version) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            type: job.type,
+            label: job.label,
+            status: JOB_STATUS.SCHEDULED,
+            runAt: job.runAt.toISOString(),
+            version: job.version,
+            data: job.data || {},
+            eventId: job.eventId != null ? String(job.eventId) : null,
+            registrationId: job.registrationId != null ? String(job.registrationId) : null,
+            attempts: 0,
+            lastError: null,
+            result: null,
+            createdAt: existing ? existing.createdAt : now
+        };
+        await tx.set(JOBS_COLLECTION, job.id, record);
+        return { ...record, id: job.id };
+    });
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Job|null>}
+ */
+async function getJobById(id) {
+    if (!id) return null;
+    return getStorage().get(JOBS_COLLECTION, String(id));
+}
+
+/**
+ * All jobs about one event, whatever their status
+ * @param {string|number} eventId - Event ID
+ * @returns {Promise<Array<Job>>}
+ */
+async function getJobsByEventId(eventId) {
+    return getStorage().list(JOBS_COLLECTION, {
+        where: [['eventId', '==', String(eventId)]]
+    });
+}
+
+/**
+ * Scheduled jobs that are due, oldest first
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.limit=20] - Maximum number to return
+ * @returns {Promise<Array<Job>>}
+ */
+async function getDueJobs({ now = new Date(), limit = 20 } = {}) {
+    return getStorage().list(JOBS_COLLECTION, {
+        where: [
+            ['status', '==', JOB_STATUS.SCHEDULED],
+            ['runAt', '<=', now.toISOString()]
+        ],
+        orderBy: [['runAt', 'asc']],
+        limit
+    });
+}
+
+/**
+ * Scheduled jobs, soonest first
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum number to return
+ * @returns {Promise<Array<Job>>}
+ */
+async function getUpcomingJobs({ limit = 50 } = {}) {
+    return getStorage().list(JOBS_COLLECTION, {
+        where: [['status', '==', JOB_STATUS.SCHEDULED]],
+        orderBy: [['runAt', 'asc']],
+        limit
+    });
+}
+
+/**
+ * Jobs that gave up after their last retry, most recent first
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum number to return
+ * @returns {Promise<Array<Job>>}
+ */
+async function getFailedJobs({ limit = 50 } = {}) {
+    return getStorage().list(JOBS_COLLECTION, {
+        where: [['status', '==', JOB_STATUS.FAILED]],
+        orderBy: [['runAt', 'desc']],
+        limit
+    });
+}
+
+/**
+ * Claim a due job by pushing its run time out by a lease, so a second
+ * scheduler tick does not run it too
+ * @param {string} id - Job ID
+ * @param {Date} leaseUntil - When the claim lapses if the runner crashes
+ * @returns {Promise<Job|null>} The job as it was, or null if it is no longer due
+ */
+async function claimJob(id, leaseUntil) {
+    return getStorage().transaction(async (tx) => {
+        const job = await tx.get(JOBS_COLLECTION, id);
+        const now = new Date().toISOString();
+        if (!job || job.status !== JOB_STATUS.SCHEDULED || job.runAt > now) {
+            return null;
+        }
+        await tx.update(JOBS_COLLECTION, id, { runAt: leaseUntil.toISOString() });
+        return job;
+    });
+}
+
+/**
+ * Record that a job finished
+ * @param {Job} job - The claimed job
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'done' or 'skipped'
+ * @param {string} [outcome.result] - What happened
+ * @returns {Promise<Job|null>}
+ */
+async function completeJob(job, { status, result = null }) {
+    return getStorage().update(JOBS_COLLECTION, job.id, {
+        status,
+        result,
+        runAt: job.runAt,
+        lastError: null,
+        completedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Record a failed attempt
+ * @param {Job} job - The claimed job
+ * @param {string} error - Error text
+ * @param {Date|null} retryAt - When to try again, or null to give up
+ * @returns {Promise<Job|null>}
+ */
+async function failJob(job, error, retryAt) {
+    return getStorage().update(JOBS_COLLECTION, job.id, {
+        attempts: (job.attempts || 0) + 1,
+        lastError: String(error),
+        status: retryAt ? JOB_STATUS.SCHEDULED : JOB_STATUS.FAILED,
+        runAt: retryAt ? retryAt.toISOString() : job.runAt
+    });
+}
+
+/**
+ * Put a failed job back in the queue to run now
+ * @param {string} id - Job ID
+ * @returns {Promise<Job|null>} The job, or null if it is not a failed job
+ */
+async function retryJob(id) {
+    return getStorage().transaction(async (tx) => {
+        const job = await tx.get(JOBS_COLLECTION, String(id));
+        if (!job || job.status !== JOB_STATUS.FAILED) {
+            return null;
+        }
+        const patch = { status: JOB_STATUS.SCHEDULED, runAt: new Date().toISOString(), attempts: 0 };
+        await tx.update(JOBS_COLLECTION, job.id, patch);
+        return { ...job, ...patch };
+    });
+}
+
+module.exports = {
+    JOBS_COLLECTION,
+    JOB_STATUS,
+    scheduleJob,
+    getJobById,
+    getJobsByEventId,
+    getDueJobs,
+    getUpcomingJobs,
+    getFailedJobs,
+    claimJob,
+    completeJob,
+    failJob,
+    retryJob
+};
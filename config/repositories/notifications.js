@@ -0,0 +1,153 @@
+/**
+ * Notifications Repository
+ *
+ * In-app messages for students, shown on their profile page.
+ * Used to tell registered students when an event they signed up for
+ * is cancelled or brought back.
+ */
+
+const { getStorage } = require('../storage');
+const { normalizeEmail } = require('./registrations');
+
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+const NOTIFICATION_TYPES = {
+    EVENT_CANCELLED: 'event_cancelled',
+    EVENT_RESTORED: 'event_restored'
+};
+
+// Writes per transaction, under Firestore's 500 writes per transaction
+const NOTIFICATION_BATCH_SIZE = 400;
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} id - Notification ID
+ * @property {string|null} uid - Recipient's Firebase UID
+ * @property {string} email - Recipient's email (lowercase)
+ * @property {string} type - One of NOTIFICATION_TYPES
+ * @property {string} message - Text shown to the student
+ * @property {string} [eventId] - Event the notification is about
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} readAt - When the student saw it
+ */
+
+/**
+ * Message text for an event notification
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} event - Event the notification is about
+ * @returns {string} Message
+ */
+function eventMessage(type, event) {
+    const when = new Date(event.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    if (type === NOTIFICATION_TYPES.EVENT_RESTORED) {
+        return `${event.title} on ${when} is back on. Your registration still stands.`;
+    }
+    return `${event.title} on ${when} has been cancelled.`;
+}
+
+/**
+ * Notify everyone registered for an event, one notification per student,
+ * written in batches of NOTIFICATION_BATCH_SIZE. The event has already
+ * changed when this runs, so a failed batch is logged and the others
+ * are still written; callers go on to queue their emails either way.
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} event - Event the notification is about
+ * @param {Array<Object>} registrations - Registrations whose students should be told
+ * @returns {Promise<number>} Number of notifications created
+ */
+async function notifyEventRegistrants(type, event, registrations) {
+    const recipients = new Map();
+    for (const reg of registrations) {
+        const email = normalizeEmail(reg.email);
+        if (!recipients.has(email)) {
+            recipients.set(email, { uid: reg.uid || null, email: email });
+        }
+    }
+    if (recipients.size === 0) return 0;
+
+    const now = new Date().toISOString();
+    const message = eventMessage(type, event);
+    const list = Array.from(recipients.values());
+    let created = 0;
+    for (let start = 0; start < list.length; start += NOTIFICATION_BATCH_SIZE) {
+        const batch = list.slice(start, start + NOTIFICATION_BATCH_SIZE);
+        try {
+            await getStorage().transaction(async (tx) => {
+                for (const recipient of batch) {
+                    await tx.add(NOTIFICATIONS_COLLECTION, {
+                        ...recipient,
+                        type: type,
+                        message: message,
+                        eventId: event.id,
+                        createdAt: now,
+                        readAt: null
+                    });
+                }
+            });
+            created += batch.length;
+        } catch (error) {
+            console.error(`❌ Error writing ${batch.length} "${type}" notification(s) for event ${event.id}:`, error);
+        }
+    }
+
+    console.log(`✅ Sent ${created} of ${list.length} "${type}" notification(s) for event ${event.id}`);
+    return created;
+}
+
+/**
+ * Notifications for a user account, newest first.
+ * Notifications for registrations made before uid linking are matched by email.
+ * @param {Object} user - Logged-in user ({ uid, email })
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Maximum number to return
+ * @returns {Promise<Array<Notification>>}
+ */
+async function getNotificationsForUser(user, { limit = 20 } = {}) {
+    if (!user || !user.uid) return [];
+
+    const [byUid, byEmail] = await Promise.all([
+        getStorage().list(NOTIFICATIONS_COLLECTION, {
+            where: [['uid', '==', user.uid]]
+        }),
+        user.email
+            ? getStorage().list(NOTIFICATIONS_COLLECTION, {
+                where: [['email', '==', normalizeEmail(user.email)]]
+            })
+            : []
+    ]);
+
+    const notifications = new Map(byUid.map(n => [n.id, n]));
+    byEmail
+        .filter(n => !n.uid)
+        .forEach(n => notifications.set(n.id, n));
+
+    return Array.from(notifications.values())
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+        .slice(0, limit);
+}
+
+/**
+ * Mark notifications as read, in batches of NOTIFICATION_BATCH_SIZE
+ * @param {Array<Notification>} notifications - Notifications to mark
+ * @returns {Promise<void>}
+ */
+async function markNotificationsRead(notifications) {
+    const unread = notifications.filter(n => !n.readAt);
+    const now = new Date().toISOString();
+    for (let start = 0; start < unread.length; start += NOTIFICATION_BATCH_SIZE) {
+        const batch = unread.slice(start, start + NOTIFICATION_BATCH_SIZE);
+        await getStorage().transaction(async (tx) => {
+            for (const notification of batch) {
+                await tx.update(NOTIFICATIONS_COLLECTION, notification.id, { readAt: now });
+            }
+        });
+    }
+}
+
+module.exports = {
+    NOTIFICATIONS_COLLECTION,
+    NOTIFICATION_TYPES,
+    notifyEventRegistrants,
+    getNotificationsForUser,
+    markNotificationsRead
+};
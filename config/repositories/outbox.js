@@ -0,0 +1,148 @@
+/**
+ * Outbox Repository
+ *
+ * Emails waiting to be sent. Messages are rendered and stored first and
+ * delivered later by the mail worker, so a slow or failing mail server
+ * never fails the request that triggered the email.
+ *
+ * Firestore needs a composite index on outbox
+ * (status ASC, nextAttemptAt ASC) for the due-message query.
+ */
+
+const { getStorage } = require('../storage');
+
+const OUTBOX_COLLECTION = 'outbox';
+
+const OUTBOX_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+/**
+ * @typedef {Object} OutboxMessage
+ * @property {string} id - Message ID
+ * @property {string} template - Template the message was rendered from
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} html - HTML body
+ * @property {string} text - Plain-text body
+ * @property {Array<Object>} attachments - Attachments (base64 content, optional cid for inline images)
+ * @property {string} status - 'pending', 'sent' or 'failed' (gave up)
+ * @property {number} attempts - Delivery attempts so far
+ * @property {string} nextAttemptAt - ISO timestamp of the next attempt
+ * @property {string|null} lastError - Error from the last failed attempt
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [sentAt] - ISO timestamp of delivery
+ */
+
+/**
+ * Store a message for delivery
+ * @param {Object} message - template, to, subject, html, text, attachments
+ * @param {Object} [options]
+ * @param {string} [options.id] - Idempotency key. A message already stored
+ *        under this ID is returned as it is instead of being queued again.
+ * @returns {Promise<OutboxMessage>} Stored message
+ */
+async function addOutboxMessage(message, { id } = {}) {
+    const now = new Date().toISOString();
+    const record = {
+        template: message.template,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: message.attachments || [],
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        createdAt: now
+    };
+
+    if (!id) {
+        return getStorage().add(OUTBOX_COLLECTION, record);
+    }
+    return getStorage().transaction(async (tx) => {
+        const existing = await tx.get(OUTBOX_COLLECTION, id);
+        if (existing) return existing;
+        await tx.set(OUTBOX_COLLECTION, id, record);
+        return { ...record, id };
+    });
+}
+
+/**
+ * Pending messages whose next attempt is due, oldest first
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.limit=20] - Maximum number to return
+ * @returns {Promise<Array<OutboxMessage>>}
+ */
+async function getDueOutboxMessages({ now = new Date(), limit = 20 } = {}) {
+    return getStorage().list(OUTBOX_COLLECTION, {
+        where: [
+            ['status', '==', OUTBOX_STATUS.PENDING],
+            ['nextAttemptAt', '<=', now.toISOString()]
+        ],
+        orderBy: [['nextAttemptAt', 'asc']],
+        limit
+    });
+}
+
+/**
+ * Claim a due message for sending by pushing its next attempt out by a
+ * lease, so a second worker (or a second tick) does not send it too
+ * @param {string} id - Message ID
+ * @param {Date} leaseUntil - When the claim lapses if the sender crashes
+ * @returns {Promise<OutboxMessage|null>} The message, or null if it is no longer due
+ */
+async function claimOutboxMessage(id, leaseUntil) {
+    return getStorage().transaction(async (tx) => {
+        const message = await tx.get(OUTBOX_COLLECTION, id);
+        const now = new Date().toISOString();
+        if (!message || message.status !== OUTBOX_STATUS.PENDING || message.nextAttemptAt > now) {
+            return null;
+        }
+        await tx.update(OUTBOX_COLLECTION, id, { nextAttemptAt: leaseUntil.toISOString() });
+        return message;
+    });
+}
+
+/**
+ * Record a successful delivery
+ * @param {string} id - Message ID
+ * @returns {Promise<OutboxMessage|null>}
+ */
+async function markOutboxMessageSent(id) {
+    return getStorage().update(OUTBOX_COLLECTION, id, {
+        status: OUTBOX_STATUS.SENT,
+        sentAt: new Date().toISOString(),
+        lastError: null
+    });
+}
+
+/**
+ * Record a failed delivery attempt
+ * @param {OutboxMessage} message - Message that failed
+ * @param {string} error - Error text
+ * @param {Date|null} nextAttemptAt - When to retry, or null to give up
+ * @returns {Promise<OutboxMessage|null>}
+ */
+async function markOutboxMessageFailed(message, error, nextAttemptAt) {
+    return getStorage().update(OUTBOX_COLLECTION, message.id, {
+        attempts: (message.attempts || 0) + 1,
+        lastError: String(error),
+        status: nextAttemptAt ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+        nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : message.nextAttemptAt
+    });
+}
+
+module.exports = {
+    OUTBOX_COLLECTION,
+    OUTBOX_STATUS,
+    addOutboxMessage,
+    getDueOutboxMessages,
+    claimOutboxMessage,
+    markOutboxMessageSent,
+    markOutboxMessageFailed
+};
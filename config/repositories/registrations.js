@@ -0,0 +1,1228 @@
+/**
+ * Registrations Repository
+ *
+ * Explicit read/write operations for the registrations collection.
+ *
+ * Seats are allocated inside storage transactions: every registration
+ * and cancellation reads and rewrites its event's seat counters, so two
+ * concurrent submissions for the same event can never both take the
+ * last seat or both pass the duplicate check.
+ *
+ * For team events, each member has a registration but only the team
+ * leader's takes a place (see the teams repository): seat counters,
+ * waitlist positions and promotions count places, and members always
+ * share their leader's status.
+ *
+ * Firestore needs a composite index on registrations
+ * (event_id ASC, status ASC, createdAt ASC) for the waitlist queries.
+ */
+
+const { getStorage } = require('../storage');
+const {
+    EVENTS_COLLECTION,
+    getAllEvents,
+    getEventStart,
+    REGISTRATION_WINDOW,
+    getRegistrationWindow,
+    describeTimeUntil,
+    getAttendeeVisibility,
+    getEligibilityRules,
+    getRegistrationFields,
+    getTeamSizeLimits,
+    isEventArchived,
+    isEventPublished
+} = require('./events');
+const {
+    TEAMS_COLLECTION,
+    TEAM_ROLES,
+    validateTeamName,
+    teamNameKey,
+    normalizeInviteCode,
+    generateInviteCode,
+    isTeamActive
+} = require('./teams');
+
+const REGISTRATIONS_COLLECTION = 'registrations';
+
+const REGISTRATION_STATUS = {
+    CONFIRMED: 'confirmed',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled'
+};
+
+// Writes per deleteEvent round, under Firestore's 500 writes per transaction
+const DELETE_BATCH_SIZE = 400;
+
+/**
+ * @typedef {Object} Registration
+ * @property {string} id - Registration ID
+ * @property {string} name - Participant name
+ * @property {string} email - Participant email (lowercase)
+ * @property {string} event_id - ID of the event registered for
+ * @property {string|null} uid - Firebase UID of the account that registered
+ * @property {string} status - 'confirmed', 'waitlisted' or 'cancelled'
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [promotedAt] - When a waitlisted registration got a seat
+ * @property {string} [cancelledAt] - When the registration was cancelled
+ * @property {string} [checkedInAt] - When the participant was checked in at the event
+ * @property {string} [checkedInBy] - UID of the admin who checked them in
+ * @property {boolean} [hideFromAttendees] - Leave the participant's name off the
+ *           public attendee list
+ * @property {Object} [answers] - Answers to the event's registration fields, keyed
+ *           by field key, e.g. { githubHandle: "octocat", tShirtSize: "M" }
+ * @property {string} [team_id] - Team, for team events
+ * @property {string} [teamName] - Name of the team, kept for listings and exports
+ * @property {string} [teamRole] - 'leader' or 'member'
+ * @property {string} [certificateId] - Verification ID of the participation certificate, once issued
+ * @property {Object} [eventSnapshot] - Title, date, venue, club and registration fields of the event, kept
+ *           when the event was permanently deleted
+ */
+
+/**
+ * Normalise an email address for storage and comparison
+ */
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
+
+// Fields every registration has; anything else is extra form data
+const CORE_REGISTRATION_FIELDS = [
+    'id', 'name', 'email', 'event_id', 'uid', 'status',
+    'createdAt', 'promotedAt', 'cancelledAt', 'eventSnapshot',
+    'checkedInAt', 'checkedInBy', 'hideFromAttendees', 'answers',
+    'team_id', 'teamName', 'teamRole', 'certificateId'
+];
+
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+/**
+ * Fields stored on a registration beyond the core ones: answers to the
+ * event's registration fields, and any other form data
+ * @param {Registration} registration
+ * @param {Object} [event] - The registration's event; answers are then
+ *        named by their field labels instead of their keys
+ * @returns {Object} Extra field names and values
+ */
+function getExtraRegistrationFields(registration, event = null) {
+    const extra = {};
+    for (const [key, value] of Object.entries(registration)) {
+        if (!CORE_REGISTRATION_FIELDS.includes(key)) {
+            extra[key] = value;
+        }
+    }
+
+    const labels = new Map((event ? getRegistrationFields(event) : []).map(field => [field.key, field.label]));
+    for (const [key, value] of Object.entries(registration.answers || {})) {
+        extra[labels.get(key) || key] = value;
+    }
+    return extra;
+}
+
+/**
+ * Validate a student's answers to an event's registration fields
+ * @param {Object} event - Event registered for
+ * @param {Object} [input] - Answers keyed by field key (e.g. req.body.answers)
+ * @returns {{ answers: Object, errors: Array<string> }} Clean answers (unanswered
+ *          optional fields left out) and any validation errors
+ */
+function validateRegistrationAnswers(event, input = {}) {
+    const given = input && typeof input === 'object' ? input : {};
+    const answers = {};
+    const errors = [];
+
+    for (const field of getRegistrationFields(event)) {
+        const raw = given[field.key];
+        const value = raw === undefined || raw === null ? '' : String(Array.isArray(raw) ? raw[raw.length - 1] : raw).trim();
+
+        if (field.type === 'checkbox') {
+            const ticked = raw === true || ['true', 'on', '1', 'yes'].includes(value.toLowerCase());
+            if (field.required && !ticked) {
+                errors.push(`${field.label} must be ticked`);
+            }
+            answers[field.key] = ticked;
+            continue;
+        }
+
+        if (!value) {
+            if (field.required) errors.push(`${field.label} is required`);
+            continue;
+        }
+
+        if (field.type === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                errors.push(`${field.label} must be a number`);
+            } else if (field.min !== null && field.min !== undefined && number < field.min) {
+                errors.push(`${field.label} must be at least ${field.min}`);
+            } else if (field.max !== null && field.max !== undefined && number > field.max) {
+                errors.push(`${field.label} must be at most ${field.max}`);
+            } else {
+                answers[field.key] = number;
+            }
+        } else if (field.type === 'select') {
+            const option = (field.options || []).find(choice => choice === value);
+            if (option === undefined) {
+                errors.push(`${field.label} must be one of: ${(field.options || []).join(', ')}`);
+            } else {
+                answers[field.key] = option;
+            }
+        } else if (field.type === 'url') {
+            let valid = false;
+            try {
+                valid = ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (error) {
+                valid = false;
+            }
+            if (!valid) {
+                errors.push(`${field.label} must be a link starting with http:// or https://`);
+            } else {
+                answers[field.key] = value;
+            }
+        } else if (value.length > MAX_TEXT_ANSWER_LENGTH) {
+            errors.push(`${field.label} must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`);
+        } else {
+            answers[field.key] = value;
+        }
+    }
+
+    return { answers, errors };
+}
+
+/**
+ * Status of a registration. Registrations created before capacity
+ * limits existed have no status and count as confirmed.
+ * @param {Registration} registration
+ * @returns {string} Registration status
+ */
+function getRegistrationStatus(registration) {
+    return registration.status || REGISTRATION_STATUS.CONFIRMED;
+}
+
+/**
+ * True unless the registration has been cancelled
+ */
+function isActiveRegistration(registration) {
+    return getRegistrationStatus(registration) !== REGISTRATION_STATUS.CANCELLED;
+}
+
+/**
+ * True if the registration takes one of the event's places: individual
+ * registrations and team leaders do, team members share their leader's
+ */
+function holdsPlace(registration) {
+    return registration.teamRole !== TEAM_ROLES.MEMBER;
+}
+
+/**
+ * How many more members a team needs before it may check in
+ * @param {Object} event - Event record
+ * @param {number} memberCount - Active members, leader included
+ * @returns {number} Members missing, 0 if the team is big enough or the
+ *          event is not a team event
+ */
+function getTeamShortfall(event, memberCount) {
+    const limits = getTeamSizeLimits(event);
+    return limits ? Math.max(0, limits.min - memberCount) : 0;
+}
+
+/**
+ * Order rows so each team's registrations sit together, leader first,
+ * where the team's first row was. Other rows keep their order.
+ * @param {Array<Object>} rows - Registrations, or rows with team_id and teamRole
+ * @returns {Array<Object>} The same rows, regrouped
+ */
+function groupRegistrationsByTeam(rows) {
+    const teams = new Map();
+    rows.filter(row => row.team_id).forEach(row => {
+        if (!teams.has(row.team_id)) teams.set(row.team_id, []);
+        teams.get(row.team_id).push(row);
+    });
+
+    const grouped = [];
+    rows.forEach(row => {
+        if (!row.team_id) {
+            grouped.push(row);
+        } else if (teams.has(row.team_id)) {
+            const team = teams.get(row.team_id);
+            teams.delete(row.team_id);
+            grouped.push(...team.filter(r => r.teamRole === TEAM_ROLES.LEADER),
+                ...team.filter(r => r.teamRole !== TEAM_ROLES.LEADER));
+        }
+    });
+    return grouped;
+}
+
+/**
+ * Build an error with a machine-readable code for routes to branch on
+ */
+function registrationError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Read an event's seat counters inside a transaction.
+ * Events that predate the counters are counted from their registrations.
+ * @param {Object} tx - Storage transaction
+ * @param {Object} event - Event record
+ * @returns {Promise<{seatsTaken: number, waitlistCount: number}>}
+ */
+async function readSeatCounts(tx, event) {
+    if (typeof event.seatsTaken === 'number') {
+        return {
+            seatsTaken: event.seatsTaken,
+            waitlistCount: event.waitlistCount || 0
+        };
+    }
+
+    const registrations = (await tx.list(REGISTRATIONS_COLLECTION, {
+        where: [['event_id', '==', event.id]]
+    })).filter(holdsPlace);
+    return {
+        seatsTaken: registrations.filter(r => getRegistrationStatus(r) === REGISTRATION_STATUS.CONFIRMED).length,
+        waitlistCount: registrations.filter(r => getRegistrationStatus(r) === REGISTRATION_STATUS.WAITLISTED).length
+    };
+}
+
+/**
+ * Read the waitlisted registrations that fit into the free seats,
+ * oldest first, with the members of any promoted teams. Does not write
+ * anything.
+ * @param {Object} tx - Storage transaction
+ * @param {Object} event - Event record
+ * @param {number} seatsTaken - Confirmed seats after any pending change
+ * @returns {Promise<Array<Registration>>} Registrations to promote
+ */
+async function readPromotable(tx, event, seatsTaken) {
+    const capacity = Number(event.capacity) || 0;
+    const freeSeats = capacity > 0 ? capacity - seatsTaken : Infinity;
+    if (freeSeats <= 0) return [];
+
+    const query = {
+        where: [
+            ['event_id', '==', event.id],
+            ['status', '==', REGISTRATION_STATUS.WAITLISTED]
+        ],
+        orderBy: [['createdAt', 'asc']]
+    };
+    // Team members wait alongside their leaders, so only individual
+    // events can stop reading at the number of free seats
+    if (freeSeats !== Infinity && !event.teamEvent) {
+        query.limit = freeSeats;
+    }
+    const waiting = await tx.list(REGISTRATIONS_COLLECTION, query);
+
+    const places = waiting.filter(holdsPlace).slice(0, freeSeats);
+    const teamIds = new Set(places.map(reg => reg.team_id).filter(Boolean));
+    return places.concat(waiting.filter(reg => !holdsPlace(reg) && teamIds.has(reg.team_id)));
+}
+
+/**
+ * Get all registrations
+ * @returns {Promise<Array<Registration>>} Array of all registrations
+ */
+async function getAllRegistrations() {
+    return getStorage().list(REGISTRATIONS_COLLECTION);
+}
+
+/**
+ * Get registration by ID
+ * @param {string|number} id - Registration ID
+ * @returns {Promise<Registration|null>} Registration object or null if not found
+ */
+async function getRegistrationById(id) {
+    if (!id) return null;
+    return getStorage().get(REGISTRATIONS_COLLECTION, String(id));
+}
+
+/**
+ * Get registrations by event ID
+ * @param {string|number} eventId - Event ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCancelled=false] - Also return cancelled registrations
+ * @returns {Promise<Array<Registration>>} Array of registrations for the event, oldest first
+ */
+async function getRegistrationsByEventId(eventId, { includeCancelled = false } = {}) {
+    const registrations = await getStorage().list(REGISTRATIONS_COLLECTION, {
+        where: [['event_id', '==', String(eventId)]]
+    });
+    return registrations
+        .filter(reg => includeCancelled || isActiveRegistration(reg))
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+/**
+ * Active registrations of a team's members
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array<Registration>>} Members, leader first
+ */
+async function getTeamMembers(teamId) {
+    if (!teamId) return [];
+    const registrations = await getStorage().list(REGISTRATIONS_COLLECTION, {
+        where: [['team_id', '==', String(teamId)]]
+    });
+    return groupRegistrationsByTeam(registrations
+        .filter(isActiveRegistration)
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || ''))));
+}
+
+/**
+ * Registrations made in a time window, whatever their status now
+ * @param {Date} from - Start of the window (inclusive)
+ * @param {Date} to - End of the window (exclusive)
+ * @returns {Promise<Array<Registration>>} Registrations, oldest first
+ */
+async function getRegistrationsCreatedBetween(from, to) {
+    return getStorage().list(REGISTRATIONS_COLLECTION, {
+        where: [
+            ['createdAt', '>=', from.toISOString()],
+            ['createdAt', '<', to.toISOString()]
+        ],
+        orderBy: [['createdAt', 'asc']]
+    });
+}
+
+/**
+ * Read a user's registrations for one event. Registrations made before
+ * they were linked to a uid are matched by email.
+ * @param {Object} reader - Storage, or a storage transaction
+ * @param {Object} user - Account ({ uid, email })
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<Registration>>} Matching registrations, including cancelled ones
+ */
+async function readUserRegistrationsForEvent(reader, user, eventId) {
+    const [byUid, byEmail] = await Promise.all([
+        user.uid
+            ? reader.list(REGISTRATIONS_COLLECTION, {
+                where: [['uid', '==', user.uid], ['event_id', '==', eventId]]
+            })
+            : [],
+        user.email
+            ? reader.list(REGISTRATIONS_COLLECTION, {
+                where: [['email', '==', normalizeEmail(user.email)], ['event_id', '==', eventId]]
+            })
+            : []
+    ]);
+    return byUid.concat(byEmail.filter(reg => !reg.uid));
+}
+
+/**
+ * Check if a user account has an active registration for an event
+ * @param {Object} user - Account ({ uid, email })
+ * @param {string|number} eventId - Event ID
+ * @returns {Promise<boolean>} True if already registered or waitlisted
+ */
+async function isUserRegisteredForEvent(user, eventId) {
+    if (!user) return false;
+    const matches = await readUserRegistrationsForEvent(getStorage(), user, String(eventId));
+    return matches.some(isActiveRegistration);
+}
+
+/**
+ * Position of a waitlisted registration in its event's waitlist
+ * @param {Registration} registration - Waitlisted registration
+ * @returns {Promise<number|null>} 1-based position, or null if not waitlisted
+ */
+async function getWaitlistPosition(registration) {
+    if (getRegistrationStatus(registration) !== REGISTRATION_STATUS.WAITLISTED) {
+        return null;
+    }
+    const waitlist = await getStorage().list(REGISTRATIONS_COLLECTION, {
+        where: [
+            ['event_id', '==', registration.event_id],
+            ['status', '==', REGISTRATION_STATUS.WAITLISTED]
+        ],
+        orderBy: [['createdAt', 'asc']]
+    });
+    // Team members wait in their leader's place
+    const index = waitlist
+        .filter(holdsPlace)
+        .findIndex(reg => reg.id === registration.id
+            || (registration.team_id && reg.team_id === registration.team_id));
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * All registrations belonging to a user account, oldest first.
+ * Registrations made before they were linked to a uid are matched by email.
+ * @param {Object} user - Logged-in user ({ uid, email })
+ * @returns {Promise<Array<Registration>>} The user's registrations, including cancelled ones
+ */
+async function getRegistrationsForUser(user) {
+    if (!user || !user.uid) return [];
+
+    const [byUid, byEmail] = await Promise.all([
+        getStorage().list(REGISTRATIONS_COLLECTION, {
+            where: [['uid', '==', user.uid]]
+        }),
+        user.email
+            ? getStorage().list(REGISTRATIONS_COLLECTION, {
+                where: [['email', '==', normalizeEmail(user.email)]]
+            })
+            : []
+    ]);
+
+    const registrations = new Map(byUid.map(reg => [reg.id, reg]));
+    byEmail
+        .filter(reg => !reg.uid)
+        .forEach(reg => registrations.set(reg.id, reg));
+
+    return Array.from(registrations.values())
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+/**
+ * True if the registration belongs to the user account.
+ * Registrations made before uid linking belong to the matching email.
+ * @param {Registration} registration
+ * @param {Object} user - Logged-in user ({ uid, email })
+ * @returns {boolean}
+ */
+function isRegistrationOwnedBy(registration, user) {
+    if (!registration || !user) return false;
+    return registration.uid
+        ? registration.uid === user.uid
+        : registration.email === normalizeEmail(user.email || '');
+}
+
+/**
+ * Active registrations of a user account, keyed by event ID
+ * @param {Object} user - Logged-in user ({ uid, email }), may be null
+ * @returns {Promise<Object<string, {id: string, status: string, waitlistPosition: number|null,
+ *          team_id: string|null, teamName: string|null, teamRole: string|null}>>}
+ */
+async function getRegistrationStatusesForUser(user) {
+    const registrations = await getRegistrationsForUser(user);
+
+    const statuses = {};
+    for (const registration of registrations.filter(isActiveRegistration)) {
+        statuses[registration.event_id] = {
+            id: registration.id,
+            status: getRegistrationStatus(registration),
+            waitlistPosition: await getWaitlistPosition(registration),
+            team_id: registration.team_id || null,
+            teamName: registration.teamName || null,
+            teamRole: registration.teamRole || null
+        };
+    }
+    return statuses;
+}
+
+/**
+ * Keep a user's name off (or put it back on) the public attendee list
+ * of every event they registered for
+ * @param {Object} user - Logged-in user ({ uid, email })
+ * @param {boolean} hidden - True to hide
+ * @returns {Promise<number>} Number of registrations changed
+ */
+async function setHiddenFromAttendeesForUser(user, hidden) {
+    const changed = (await getRegistrationsForUser(user))
+        .filter(reg => Boolean(reg.hideFromAttendees) !== Boolean(hidden));
+
+    // Batches stay under Firestore's 500 writes per transaction
+    for (let start = 0; start < changed.length; start += 400) {
+        const batch = changed.slice(start, start + 400);
+        await getStorage().transaction(async (tx) => {
+            for (const reg of batch) {
+                await tx.update(REGISTRATIONS_COLLECTION, reg.id, { hideFromAttendees: Boolean(hidden) });
+            }
+        });
+    }
+    return changed.length;
+}
+
+/**
+ * What an event page may show about who is attending. Public viewers
+ * get at most names, and only those allowed by the event's
+ * attendeeVisibility and the students' own opt-outs; emails are only
+ * included for the people managing the event (admins and the club's organizers).
+ * @param {Object} event - Event object
+ * @param {Object} [options]
+ * @param {boolean} [options.isManager=false] - Viewer manages the event (full list with emails)
+ * @returns {Promise<{visibility: string, count: number|null, attendees: Array<Object>|null, unlistedCount: number}>}
+ *          visibility is the event setting, or 'full' for managers; count is
+ *          null when hidden; attendees is null unless names may be shown.
+ *          The full list is grouped by team.
+ */
+async function getAttendeeList(event, { isManager = false } = {}) {
+    const visibility = isManager ? 'full' : getAttendeeVisibility(event);
+    if (visibility === 'hidden') {
+        return { visibility, count: null, attendees: null, unlistedCount: 0 };
+    }
+
+    const confirmed = (await getRegistrationsByEventId(event.id))
+        .filter(reg => getRegistrationStatus(reg) === REGISTRATION_STATUS.CONFIRMED);
+
+    if (visibility === 'full') {
+        return {
+            visibility,
+            count: confirmed.length,
+            attendees: groupRegistrationsByTeam(confirmed).map(reg => ({
+                name: reg.name,
+                email: reg.email,
+                hideFromAttendees: Boolean(reg.hideFromAttendees),
+                teamName: reg.teamName || null,
+                teamRole: reg.teamRole || null
+            })),
+            unlistedCount: 0
+        };
+    }
+    if (visibility === 'count') {
+        return { visibility, count: confirmed.length, attendees: null, unlistedCount: 0 };
+    }
+
+    const listed = confirmed.filter(reg => !reg.hideFromAttendees);
+    return {
+        visibility,
+        count: confirmed.length,
+        attendees: listed.map(reg => ({ name: reg.name })),
+        unlistedCount: confirmed.length - listed.length
+    };
+}
+
+/**
+ * Hours before an event starts after which students can no longer cancel.
+ * Configured with CANCELLATION_CUTOFF_HOURS (default 24, 0 = until the start).
+ * @returns {number} Cutoff in hours
+ */
+function getCancellationCutoffHours() {
+    const hours = Number(process.env.CANCELLATION_CUTOFF_HOURS);
+    return Number.isFinite(hours) && hours >= 0 ? hours : 24;
+}
+
+/**
+ * Explain why a registration can no longer be cancelled by the student
+ * @param {Object} event - Event the registration is for
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Reason, or null if cancellation is allowed
+ */
+function getCancellationBlocker(event, now = new Date()) {
+    if (!event) return null;
+
+    const start = getEventStart(event);
+    if (now >= start) {
+        return 'This event has already started';
+    }
+
+    const cutoffHours = getCancellationCutoffHours();
+    const cutoff = new Date(start.getTime() - cutoffHours * 60 * 60 * 1000);
+    if (now >= cutoff) {
+        return `Cancellations close ${cutoffHours} hours before the event`;
+    }
+    return null;
+}
+
+/**
+ * Explain why an event is not taking registrations right now
+ * @param {Object} event - Event to register for
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Reason, or null if registration is open
+ */
+function getRegistrationWindowBlocker(event, now = new Date()) {
+    if (!event) return null;
+
+    const { state, opensAt } = getRegistrationWindow(event, now);
+    if (state === REGISTRATION_WINDOW.NOT_OPEN) {
+        return `Registration opens in ${describeTimeUntil(opensAt, now)}`;
+    }
+    if (state === REGISTRATION_WINDOW.CLOSED) {
+        return 'Registration for this event has closed';
+    }
+    return null;
+}
+
+/**
+ * Compare names of programs and departments ignoring case, spacing and
+ * punctuation, so "B.Tech" matches "btech"
+ */
+function matchKey(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Join list entries for a message, e.g. "B.Tech, BCA or MCA"
+ */
+function joinOr(items) {
+    return items.length > 1
+        ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`
+        : String(items[0]);
+}
+
+/**
+ * Explain why an account may not register for an event under the
+ * event's eligibility rules. Email domain rules only accept verified addresses.
+ * @param {Object} event - Event to register for
+ * @param {Object} account - User record ({ email, emailVerified, program, year, department })
+ * @returns {string|null} Reason, or null if the account is eligible
+ */
+function getEligibilityBlocker(event, account) {
+    if (!event) return null;
+    const rules = getEligibilityRules(event);
+    const user = account || {};
+
+    if (rules.emailDomains.length > 0) {
+        const domain = normalizeEmail(user.email || '').split('@')[1] || '';
+        if (!rules.emailDomains.includes(domain)) {
+            return `This event is only open to ${joinOr(rules.emailDomains.map(d => `@${d}`))} email addresses`;
+        }
+        if (!user.emailVerified) {
+            return 'This event is only open to verified email addresses. Verify yours, then log out and in again to register';
+        }
+    }
+
+    const academic = [
+        ['program', 'programs', 'your program', rules.programs],
+        ['department', 'departments', 'your department', rules.departments]
+    ];
+    for (const [field, plural, label, allowed] of academic) {
+        if (allowed.length === 0) continue;
+        if (!user[field]) {
+            return `This event is only open to some ${plural}. Add ${label} on your profile to register`;
+        }
+        if (!allowed.some(value => matchKey(value) === matchKey(user[field]))) {
+            return `This event is only open to students in ${joinOr(allowed)}`;
+        }
+    }
+
+    if (rules.years.length > 0) {
+        if (!user.year) {
+            return 'This event is only open to some years. Add your year of study on your profile to register';
+        }
+        if (!rules.years.includes(Number(user.year))) {
+            return `This event is only open to students in year ${joinOr(rules.years.map(String))}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the team a registration wants to create or join, inside the
+ * registration transaction
+ * @param {Object} tx - Storage transaction
+ * @param {Object} event - Team event
+ * @param {Object} [team] - { name } to create a team, or { inviteCode } to join one
+ * @returns {Promise<{team: Object, leader: Registration|null}>} The team to join
+ *          with its leader's registration, or { team: { name, nameKey, inviteCode } }
+ *          for a new team
+ * @throws {Error} code TEAM_REQUIRED, INVALID_TEAM_NAME, TEAM_NAME_TAKEN,
+ *         TEAM_NOT_FOUND or TEAM_FULL
+ */
+async function readTeamChoice(tx, event, team = {}) {
+    const limits = getTeamSizeLimits(event);
+
+    if (team.inviteCode) {
+        const [existing] = await tx.list(TEAMS_COLLECTION, {
+            where: [['inviteCode', '==', normalizeInviteCode(team.inviteCode)]],
+            limit: 1
+        });
+        if (!existing || existing.event_id !== event.id || !isTeamActive(existing)) {
+            throw registrationError('TEAM_NOT_FOUND', 'No team for this event has that invite code');
+        }
+        const members = (await tx.list(REGISTRATIONS_COLLECTION, {
+            where: [['team_id', '==', existing.id]]
+        })).filter(isActiveRegistration);
+        if (members.length >= limits.max) {
+            throw registrationError('TEAM_FULL', `Team ${existing.name} already has ${limits.max} members`);
+        }
+        const leader = members.find(reg => reg.teamRole === TEAM_ROLES.LEADER) || null;
+        return { team: existing, leader };
+    }
+
+    if (team.name === undefined) {
+        throw registrationError('TEAM_REQUIRED', 'Create a team or join one with an invite code');
+    }
+    const { name, error } = validateTeamName(team.name);
+    if (error) {
+        throw registrationError('INVALID_TEAM_NAME', error);
+    }
+    const clashes = await tx.list(TEAMS_COLLECTION, {
+        where: [['event_id', '==', event.id], ['nameKey', '==', teamNameKey(name)]]
+    });
+    if (clashes.some(isTeamActive)) {
+        throw registrationError('TEAM_NAME_TAKEN', `There is already a team called ${name} at this event`);
+    }
+
+    let inviteCode = generateInviteCode();
+    while ((await tx.list(TEAMS_COLLECTION, { where: [['inviteCode', '==', inviteCode]], limit: 1 })).length > 0) {
+        inviteCode = generateInviteCode();
+    }
+    return { team: { name, nameKey: teamNameKey(name), inviteCode }, leader: null };
+}
+
+/**
+ * Register a participant for an event.
+ * Takes a seat if one is free, otherwise joins the waitlist. An account
+ * can hold one active registration per event: it is matched by uid, and
+ * by email for registrations made before uids were recorded.
+ * For team events the participant either creates a team, which takes
+ * one of the event's places (or a waitlist spot) and makes them its
+ * leader, or joins an existing team with its invite code and shares the
+ * leader's status.
+ * @param {Object} registrationData - Registration data (name, email, event_id, uid,
+ *        hideFromAttendees, answers from validateRegistrationAnswers(), and
+ *        for team events team: { name } or { inviteCode })
+ * @returns {Promise<Registration>} Created registration (status is 'confirmed' or 'waitlisted')
+ * @throws {Error} code EVENT_NOT_FOUND (also for unpublished and archived events),
+ *         REGISTRATION_NOT_OPEN or REGISTRATION_CLOSED (outside the event's
+ *         registration window, see getRegistrationWindow) or ALREADY_REGISTERED;
+ *         for team events also the codes thrown by readTeamChoice()
+ */
+async function createRegistration(registrationData) {
+    const eventId = String(registrationData.event_id);
+    const email = normalizeEmail(registrationData.email);
+    const uid = registrationData.uid || null;
+
+    return getStorage().transaction(async (tx) => {
+        // Reads
+        const event = await tx.get(EVENTS_COLLECTION, eventId);
+        if (!isEventPublished(event)) {
+            throw registrationError('EVENT_NOT_FOUND', 'Event not found');
+        }
+        const { state } = getRegistrationWindow(event);
+        if (state !== REGISTRATION_WINDOW.OPEN) {
+            throw registrationError(state === REGISTRATION_WINDOW.NOT_OPEN ? 'REGISTRATION_NOT_OPEN' : 'REGISTRATION_CLOSED',
+                getRegistrationWindowBlocker(event));
+        }
+
+        const existing = await readUserRegistrationsForEvent(tx, { uid, email }, eventId);
+        if (existing.some(isActiveRegistration)) {
+            throw registrationError('ALREADY_REGISTERED', 'You are already registered for this event');
+        }
+
+        const choice = event.teamEvent ? await readTeamChoice(tx, event, registrationData.team) : null;
+        const joining = Boolean(choice && choice.team.id);
+
+        const counts = await readSeatCounts(tx, event);
+        const capacity = Number(event.capacity) || 0;
+        const hasSeat = joining
+            ? Boolean(choice.leader) && getRegistrationStatus(choice.leader) === REGISTRATION_STATUS.CONFIRMED
+            : capacity === 0 || counts.seatsTaken < capacity;
+
+        // Writes
+        const now = new Date().toISOString();
+        let team = choice && choice.team;
+        if (choice && !joining) {
+            team = await tx.add(TEAMS_COLLECTION, {
+                event_id: eventId,
+                name: team.name,
+                nameKey: team.nameKey,
+                inviteCode: team.inviteCode,
+                leaderUid: uid,
+                leaderRegistrationId: null,
+                createdAt: now,
+                disbandedAt: null
+            });
+        }
+
+        const registration = await tx.add(REGISTRATIONS_COLLECTION, {
+            name: registrationData.name.trim(),
+            email: email,
+            event_id: eventId,
+            uid: uid,
+            hideFromAttendees: Boolean(registrationData.hideFromAttendees),
+            answers: registrationData.answers || {},
+            ...(team ? {
+                team_id: team.id,
+                teamName: team.name,
+                teamRole: joining ? TEAM_ROLES.MEMBER : TEAM_ROLES.LEADER
+            } : {}),
+            status: hasSeat ? REGISTRATION_STATUS.CONFIRMED : REGISTRATION_STATUS.WAITLISTED,
+            createdAt: now
+        });
+
+        // Members share their leader's place, so only new places are counted
+        if (!joining) {
+            await tx.update(EVENTS_COLLECTION, eventId, hasSeat
+                ? { seatsTaken: counts.seatsTaken + 1, waitlistCount: counts.waitlistCount }
+                : { seatsTaken: counts.seatsTaken, waitlistCount: counts.waitlistCount + 1 });
+        }
+        if (team && !joining) {
+            await tx.update(TEAMS_COLLECTION, team.id, { leaderRegistrationId: registration.id });
+        }
+
+        return registration;
+    });
+}
+
+/**
+ * Cancel a registration and give any freed seat to the waitlist.
+ * A team leader cancelling disbands the team and cancels its members'
+ * registrations too; a member cancelling only leaves the team.
+ * @param {string|number} id - Registration ID
+ * @returns {Promise<{registration: Registration, promoted: Array<Registration>,
+ *          teammates: Array<Registration>}|null>}
+ *          The cancelled registration, those promoted off the waitlist and
+ *          the teammates cancelled with it, or null if there was no active
+ *          registration with this ID
+ */
+async function cancelRegistration(id) {
+    return getStorage().transaction(async (tx) => {
+        // Reads
+        const registration = await tx.get(REGISTRATIONS_COLLECTION, String(id));
+        if (!registration || !isActiveRegistration(registration)) {
+            return null;
+        }
+
+        const disbandsTeam = Boolean(registration.team_id) && registration.teamRole === TEAM_ROLES.LEADER;
+        const teammates = disbandsTeam
+            ? (await tx.list(REGISTRATIONS_COLLECTION, {
+                where: [['team_id', '==', registration.team_id]]
+            })).filter(reg => reg.id !== registration.id && isActiveRegistration(reg))
+            : [];
+
+        const event = await tx.get(EVENTS_COLLECTION, registration.event_id);
+        let promoted = [];
+        let counts = null;
+        if (event && holdsPlace(registration)) {
+            counts = await readSeatCounts(tx, event);
+            if (getRegistrationStatus(registration) === REGISTRATION_STATUS.CONFIRMED) {
+                counts.seatsTaken = Math.max(0, counts.seatsTaken - 1);
+            } else {
+                counts.waitlistCount = Math.max(0, counts.waitlistCount - 1);
+            }
+            promoted = (await readPromotable(tx, event, counts.seatsTaken))
+                .filter(reg => reg.id !== registration.id
+                    && !(registration.team_id && reg.team_id === registration.team_id));
+        }
+
+        // Writes
+        const now = new Date().toISOString();
+        for (const reg of [registration, ...teammates]) {
+            await tx.update(REGISTRATIONS_COLLECTION, reg.id, {
+                status: REGISTRATION_STATUS.CANCELLED,
+                cancelledAt: now
+            });
+        }
+        if (disbandsTeam) {
+            await tx.update(TEAMS_COLLECTION, registration.team_id, { disbandedAt: now });
+        }
+
+        for (const reg of promoted) {
+            await tx.update(REGISTRATIONS_COLLECTION, reg.id, {
+                status: REGISTRATION_STATUS.CONFIRMED,
+                promotedAt: now
+            });
+        }
+
+        if (counts) {
+            const places = promoted.filter(holdsPlace).length;
+            await tx.update(EVENTS_COLLECTION, event.id, {
+                seatsTaken: counts.seatsTaken + places,
+                waitlistCount: Math.max(0, counts.waitlistCount - places)
+            });
+        }
+
+        const cancelled = { status: REGISTRATION_STATUS.CANCELLED, cancelledAt: now };
+        return {
+            registration: { ...registration, ...cancelled },
+            promoted: promoted.map(reg => ({ ...reg, status: REGISTRATION_STATUS.CONFIRMED, promotedAt: now })),
+            teammates: teammates.map(reg => ({ ...reg, ...cancelled }))
+        };
+    });
+}
+
+/**
+ * Promote waitlisted registrations into any free seats, e.g. after an
+ * event's capacity was raised. Also initialises the seat counters of
+ * events that predate them.
+ * @param {string|number} eventId - Event ID
+ * @returns {Promise<Array<Registration>>} Registrations promoted off the waitlist
+ */
+async function fillWaitlist(eventId) {
+    return getStorage().transaction(async (tx) => {
+        // Reads
+        const event = await tx.get(EVENTS_COLLECTION, String(eventId));
+        if (!event) return [];
+
+        const counts = await readSeatCounts(tx, event);
+        const promoted = await readPromotable(tx, event, counts.seatsTaken);
+
+        // Writes
+        const now = new Date().toISOString();
+        for (const reg of promoted) {
+            await tx.update(REGISTRATIONS_COLLECTION, reg.id, {
+                status: REGISTRATION_STATUS.CONFIRMED,
+                promotedAt: now
+            });
+        }
+
+        const places = promoted.filter(holdsPlace).length;
+        await tx.update(EVENTS_COLLECTION, event.id, {
+            seatsTaken: counts.seatsTaken + places,
+            waitlistCount: Math.max(0, counts.waitlistCount - places)
+        });
+
+        return promoted.map(reg => ({ ...reg, status: REGISTRATION_STATUS.CONFIRMED, promotedAt: now }));
+    });
+}
+
+/**
+ * Mark a confirmed registration as attended. Checking in twice keeps the
+ * first check-in time and reports the duplicate. Members of a team that
+ * has fewer than the event's minimum team size cannot check in until
+ * enough teammates join.
+ * @param {string|number} id - Registration ID
+ * @param {Object} [options]
+ * @param {string} [options.checkedInBy] - UID of the admin checking the participant in
+ * @returns {Promise<{registration: Registration, alreadyCheckedIn: boolean}|null>}
+ *          The registration after check-in, or null if not found
+ * @throws {Error} code NOT_CONFIRMED if the registration is waitlisted or
+ *         cancelled, TEAM_TOO_SMALL if its team is under the minimum size
+ */
+async function checkInRegistration(id, { checkedInBy = null } = {}) {
+    return getStorage().transaction(async (tx) => {
+        const registration = await tx.get(REGISTRATIONS_COLLECTION, String(id));
+        if (!registration) return null;
+
+        const status = getRegistrationStatus(registration);
+        if (status !== REGISTRATION_STATUS.CONFIRMED) {
+            throw registrationError('NOT_CONFIRMED', `This registration is ${status}, not confirmed`);
+        }
+        if (registration.checkedInAt) {
+            return { registration, alreadyCheckedIn: true };
+        }
+        if (registration.team_id) {
+            const event = await tx.get(EVENTS_COLLECTION, registration.event_id);
+            const members = (await tx.list(REGISTRATIONS_COLLECTION, {
+                where: [['team_id', '==', registration.team_id]]
+            })).filter(isActiveRegistration);
+            const missing = event ? getTeamShortfall(event, members.length) : 0;
+            if (missing > 0) {
+                throw registrationError('TEAM_TOO_SMALL',
+                    `Team ${registration.teamName} needs ${missing} more member(s) before it can check in`);
+            }
+        }
+
+        const patch = { checkedInAt: new Date().toISOString(), checkedInBy };
+        await tx.update(REGISTRATIONS_COLLECTION, registration.id, patch);
+        return { registration: { ...registration, ...patch }, alreadyCheckedIn: false };
+    });
+}
+
+/**
+ * Attendance numbers for an event's check-in desk
+ * @param {string|number} eventId - Event ID
+ * @returns {Promise<{confirmed: number, checkedIn: number}>}
+ */
+async function getCheckInStats(eventId) {
+    const confirmed = (await getRegistrationsByEventId(eventId))
+        .filter(reg => getRegistrationStatus(reg) === REGISTRATION_STATUS.CONFIRMED);
+    return {
+        confirmed: confirmed.length,
+        checkedIn: confirmed.filter(reg => reg.checkedInAt).length
+    };
+}
+
+/**
+ * Permanently delete an event together with its registrations.
+ * Registrations are either removed or archived: archived registrations
+ * are cancelled and keep a snapshot of the event so they still show up
+ * in the admin table and exports. Feedback goes with removed
+ * registrations and stays with archived ones.
+ *
+ * Firestore allows at most 500 writes per transaction, so the event's
+ * feedback, registrations and teams are written in rounds of
+ * DELETE_BATCH_SIZE. Each round re-reads what is left; the event
+ * document (with its seat counters) goes in the last one, so until then
+ * the event is still there and deleting it again picks up where a failed
+ * run stopped.
+ * @param {string|number} eventId - Event ID
+ * @param {Object} [options]
+ * @param {boolean} [options.keepRegistrations=true] - Archive registrations instead of removing them
+ * @returns {Promise<{event: Object, registrations: Array<Registration>}|null>}
+ *          The deleted event and the registrations that were active on it,
+ *          or null if the event was not found
+ * @throws {Error} code EVENT_DELETE_INCOMPLETE if a round fails after
+ *         earlier ones were written
+ */
+async function deleteEvent(eventId, { keepRegistrations = true } = {}) {
+    // Required here: the feedback repository builds on this one
+    const { FEEDBACK_COLLECTION } = require('./feedback');
+    const active = [];
+    let rounds = 0;
+
+    const deleteRound = () => getStorage().transaction(async (tx) => {
+        // Reads
+        const event = await tx.get(EVENTS_COLLECTION, String(eventId));
+        if (!event) return null;
+
+        const registrations = await tx.list(REGISTRATIONS_COLLECTION, {
+            where: [['event_id', '==', event.id]]
+        });
+        const teams = await tx.list(TEAMS_COLLECTION, {
+            where: [['event_id', '==', event.id]]
+        });
+        const feedback = keepRegistrations ? [] : await tx.list(FEEDBACK_COLLECTION, {
+            where: [['event_id', '==', event.id]]
+        });
+
+        // Writes, feedback first so no round leaves it without its registration
+        const now = new Date().toISOString();
+        const writes = feedback.map(response => () => tx.remove(FEEDBACK_COLLECTION, response.id));
+        const written = [];
+        for (const reg of registrations) {
+            if (!keepRegistrations) {
+                writes.push(() => {
+                    written.push(reg);
+                    return tx.remove(REGISTRATIONS_COLLECTION, reg.id);
+                });
+                continue;
+            }
+            // Archived by an earlier round
+            if (reg.eventSnapshot) continue;
+            // The field definitions keep exports labelling the answers
+            const patch = {
+                eventSnapshot: {
+                    title: event.title,
+                    date: event.date,
+                    venue: event.venue,
+                    clubId: event.clubId || null,
+                    registrationFields: getRegistrationFields(event)
+                }
+            };
+            if (isActiveRegistration(reg)) {
+                patch.status = REGISTRATION_STATUS.CANCELLED;
+                patch.cancelledAt = now;
+            }
+            writes.push(() => {
+                written.push(reg);
+                return tx.update(REGISTRATIONS_COLLECTION, reg.id, patch);
+            });
+        }
+        // Archived registrations keep their team name, so the teams can go
+        for (const team of teams) {
+            writes.push(() => tx.remove(TEAMS_COLLECTION, team.id));
+        }
+
+        const done = writes.length < DELETE_BATCH_SIZE;
+        for (const write of writes.slice(0, DELETE_BATCH_SIZE)) {
+            await write();
+        }
+        if (done) {
+            await tx.remove(EVENTS_COLLECTION, event.id);
+        }
+
+        return {
+            event: event,
+            done: done,
+            registrations: written.filter(isActiveRegistration)
+        };
+    });
+
+    let event = null;
+    let done = false;
+    while (!done) {
+        let round;
+        try {
+            round = await deleteRound();
+        } catch (error) {
+            if (rounds === 0) throw error;
+            console.error(`❌ Event ${eventId} only partly deleted after ${rounds} round(s):`, error);
+            const incomplete = new Error('The event was only partly deleted. Delete it again to finish');
+            incomplete.code = 'EVENT_DELETE_INCOMPLETE';
+            throw incomplete;
+        }
+        if (!round) break;
+        rounds++;
+        event = round.event;
+        done = round.done;
+        active.push(...round.registrations);
+    }
+
+    if (!event) return null;
+    console.log(`✅ Event ${eventId} deleted with ${keepRegistrations ? 'archived' : 'removed'} registrations`);
+    return {
+        event: event,
+        registrations: active
+    };
+}
+
+/**
+ * Get all registrations with event details (JOIN equivalent).
+ * Registrations of deleted events use the event snapshot they kept.
+ * teamShortfall is the number of members an active team still needs
+ * before it can check in.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.clubIds] - Only registrations for events of these clubs
+ * @returns {Promise<Array>} Array of registrations with event details, newest
+ *          first, with teammates grouped under their team's newest registration
+ */
+async function getRegistrationsWithEvents({ clubIds = null } = {}) {
+    const [registrations, events] = await Promise.all([
+        getAllRegistrations(),
+        getAllEvents({ includeArchived: true })
+    ]);
+
+    // Create a map of events by ID for quick lookup
+    const eventsMap = new Map(events.map(event => [event.id, event]));
+    const teamSizes = new Map();
+    registrations.filter(reg => reg.team_id && isActiveRegistration(reg)).forEach(reg => {
+        teamSizes.set(reg.team_id, (teamSizes.get(reg.team_id) || 0) + 1);
+    });
+
+    const rows = registrations
+        .filter(reg => eventsMap.has(reg.event_id) || reg.eventSnapshot) // Skip if event not found
+        .filter(reg => !clubIds
+            || clubIds.includes((eventsMap.get(reg.event_id) || reg.eventSnapshot).clubId))
+        .map(reg => {
+            const event = eventsMap.get(reg.event_id) || reg.eventSnapshot;
+            return {
+                id: reg.id,
+                name: reg.name,
+                email: reg.email,
+                event_id: reg.event_id,
+                status: getRegistrationStatus(reg),
+                createdAt: reg.createdAt,
+                cancelledAt: reg.cancelledAt || null,
+                checkedInAt: reg.checkedInAt || null,
+                team_id: reg.team_id || null,
+                teamName: reg.teamName || null,
+                teamRole: reg.teamRole || null,
+                teamShortfall: reg.team_id && isActiveRegistration(reg) && eventsMap.has(reg.event_id)
+                    ? getTeamShortfall(event, teamSizes.get(reg.team_id)) : 0,
+                extraFields: getExtraRegistrationFields(reg, event),
+                event_title: event.title,
+                event_date: event.date,
+                event_venue: event.venue,
+                event_state: !eventsMap.has(reg.event_id) ? 'deleted'
+                    : isEventArchived(event) ? 'archived' : 'live'
+            };
+        })
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    return groupRegistrationsByTeam(rows);
+}
+
+module.exports = {
+    REGISTRATIONS_COLLECTION,
+    REGISTRATION_STATUS,
+    normalizeEmail,
+    getRegistrationStatus,
+    isActiveRegistration,
+    groupRegistrationsByTeam,
+    getExtraRegistrationFields,
+    validateRegistrationAnswers,
+    getAllRegistrations,
+    getRegistrationById,
+    getRegistrationsByEventId,
+    getRegistrationsCreatedBetween,
+    getTeamMembers,
+    isUserRegisteredForEvent,
+    getWaitlistPosition,
+    getRegistrationsForUser,
+    isRegistrationOwnedBy,
+    getRegistrationStatusesForUser,
+    setHiddenFromAttendeesForUser,
+    getAttendeeList,
+    getCancellationCutoffHours,
+    getCancellationBlocker,
+    getRegistrationWindowBlocker,
+    getEligibilityBlocker,
+    createRegistration,
+    cancelRegistration,
+    fillWaitlist,
+    checkInRegistration,
+    getCheckInStats,
+    deleteEvent,
+    getRegistrationsWithEvents
+};
@@ -0,0 +1,117 @@
+/**
+ * Sessions Repository
+ *
+ * Login sessions for express-session (see config/sessions.js), stored
+ * with the rest of the data so they survive restarts. Each record is
+ * keyed by the session ID from the browser cookie and remembers whose
+ * session it is, so every session of a user can be revoked at once.
+ */
+
+const { getStorage } = require('../storage');
+
+const SESSIONS_COLLECTION = 'sessions';
+
+/**
+ * @typedef {Object} SessionRecord
+ * @property {string} id - Session ID
+ * @property {string|null} uid - Logged-in user, if any
+ * @property {string} data - The express-session object as JSON
+ * @property {string} expiresAt - ISO timestamp after which the session is void
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * Get a session that has not expired
+ * @param {string} sid - Session ID
+ * @returns {Promise<SessionRecord|null>}
+ */
+async function getSession(sid) {
+    const record = await getStorage().get(SESSIONS_COLLECTION, String(sid));
+    if (!record) return null;
+    if (record.expiresAt <= new Date().toISOString()) {
+        await getStorage().remove(SESSIONS_COLLECTION, record.id);
+        return null;
+    }
+    return record;
+}
+
+/**
+ * Create or replace a session
+ * @param {string} sid - Session ID
+ * @param {Object} session - uid, data (JSON string) and expiresAt (Date)
+ * @returns {Promise<SessionRecord>}
+ */
+async function saveSession(sid, { uid = null, data, expiresAt }) {
+    return getStorage().set(SESSIONS_COLLECTION, String(sid), {
+        uid,
+        data,
+        expiresAt: expiresAt.toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Delete a session
+ * @param {string} sid - Session ID
+ * @returns {Promise<boolean>} True if a session was deleted
+ */
+async function destroySession(sid) {
+    return getStorage().remove(SESSIONS_COLLECTION, String(sid));
+}
+
+/**
+ * Delete every session of a user, logging them out everywhere
+ * @param {string} uid - User ID
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+async function destroySessionsForUser(uid) {
+    let deleted = 0;
+    for (;;) {
+        // Batches stay under Firestore's 500 writes per transaction
+        const sessions = await getStorage().list(SESSIONS_COLLECTION, {
+            where: [['uid', '==', String(uid)]],
+            limit: 400
+        });
+        if (sessions.length === 0) return deleted;
+
+        await getStorage().transaction(async (tx) => {
+            for (const session of sessions) {
+                await tx.remove(SESSIONS_COLLECTION, session.id);
+            }
+        });
+        deleted += sessions.length;
+    }
+}
+
+/**
+ * Delete sessions that have expired
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+async function deleteExpiredSessions(now = new Date()) {
+    let deleted = 0;
+    for (;;) {
+        // Batches stay under Firestore's 500 writes per transaction
+        const expired = await getStorage().list(SESSIONS_COLLECTION, {
+            where: [['expiresAt', '<=', now.toISOString()]],
+            limit: 400
+        });
+        if (expired.length === 0) return deleted;
+
+        await getStorage().transaction(async (tx) => {
+            for (const session of expired) {
+                await tx.remove(SESSIONS_COLLECTION, session.id);
+            }
+        });
+        deleted += expired.length;
+    }
+}
+
+module.exports = {
+    SESSIONS_COLLECTION,
+    getSession,
+    saveSession,
+    destroySession,
+    destroySessionsForUser,
+    deleteExpiredSessions
+};
@@ -0,0 +1,127 @@
+/**
+ * Teams Repository
+ *
+ * Teams for team events (hackathons, competitions). A team leader
+ * registers by creating a team and shares its invite code; members join
+ * with the code from their own accounts. Every member has their own
+ * registration pointing at the team (team_id, teamRole), but only the
+ * leader's registration takes one of the event's places, so an event's
+ * capacity counts teams. Teams are created and joined through
+ * createRegistration in the registrations repository.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const TEAMS_COLLECTION = 'teams';
+
+const TEAM_ROLES = {
+    LEADER: 'leader',
+    MEMBER: 'member'
+};
+
+const MAX_TEAM_NAME_LENGTH = 50;
+
+// Invite codes avoid letters and digits that are easy to mix up (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+/**
+ * @typedef {Object} Team
+ * @property {string} id - Team ID
+ * @property {string} event_id - Event the team is registered for
+ * @property {string} name - Team name, unique within the event
+ * @property {string} nameKey - Lowercased name, for the uniqueness check
+ * @property {string} inviteCode - Code members join with
+ * @property {string} leaderUid - UID of the team leader
+ * @property {string} leaderRegistrationId - The leader's registration, which holds the team's place
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} [disbandedAt] - When the leader cancelled; nobody can join after that
+ */
+
+/**
+ * Validate a team name
+ * @param {string} name - Name as typed
+ * @returns {{ name: string, error: string|null }} Trimmed name and the problem with it, if any
+ */
+function validateTeamName(name) {
+    const clean = String(name || '').trim().replace(/\s+/g, ' ');
+    if (!clean) {
+        return { name: clean, error: 'Team name is required' };
+    }
+    if (clean.length > MAX_TEAM_NAME_LENGTH) {
+        return { name: clean, error: `Team name must be at most ${MAX_TEAM_NAME_LENGTH} characters` };
+    }
+    return { name: clean, error: null };
+}
+
+/**
+ * Key for comparing team names, ignoring case and spacing
+ */
+function teamNameKey(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Normalise an invite code as typed: uppercase, without spaces or dashes
+ */
+function normalizeInviteCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Generate a new random invite code
+ * @returns {string} e.g. "K7QM2XPA"
+ */
+function generateInviteCode() {
+    const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+    return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * True if the team can still be joined and holds its place
+ * @param {Team} team
+ * @returns {boolean}
+ */
+function isTeamActive(team) {
+    return Boolean(team) && !team.disbandedAt;
+}
+
+/**
+ * Get team by ID
+ * @param {string} id - Team ID
+ * @returns {Promise<Team|null>} Team or null if not found
+ */
+async function getTeamById(id) {
+    if (!id) return null;
+    return getStorage().get(TEAMS_COLLECTION, String(id));
+}
+
+/**
+ * Get the teams registered for an event
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisbanded=false] - Also return disbanded teams
+ * @returns {Promise<Array<Team>>} Teams, oldest first
+ */
+async function getTeamsByEventId(eventId, { includeDisbanded = false } = {}) {
+    const teams = await getStorage().list(TEAMS_COLLECTION, {
+        where: [['event_id', '==', String(eventId)]]
+    });
+    return teams
+        .filter(team => includeDisbanded || isTeamActive(team))
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+module.exports = {
+    TEAMS_COLLECTION,
+    TEAM_ROLES,
+    MAX_TEAM_NAME_LENGTH,
+    validateTeamName,
+    teamNameKey,
+    normalizeInviteCode,
+    generateInviteCode,
+    isTeamActive,
+    getTeamById,
+    getTeamsByEventId
+};
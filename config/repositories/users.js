@@ -0,0 +1,267 @@
+/**
+ * Users Repository
+ *
+ * Explicit read/write operations for the users collection.
+ * User records are keyed by their Firebase UID.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const USERS_COLLECTION = 'users';
+
+// Roles a user account can hold, lowest privilege first
+const ROLES = ['student', 'organizer', 'admin'];
+
+// Years of study a student can be in
+const STUDENT_YEARS = [1, 2, 3, 4, 5];
+
+const MAX_PROFILE_TEXT_LENGTH = 100;
+
+/**
+ * @typedef {Object} User
+ * @property {string} id - Same as uid
+ * @property {string} uid - Firebase user ID
+ * @property {string} email - Email address
+ * @property {boolean} [emailVerified] - True if Firebase has verified the email address,
+ *           as of the last login (required by events limited to email domains)
+ * @property {string} name - Display name
+ * @property {string} role - One of ROLES
+ * @property {Array<string>} [clubIds] - Clubs an organizer runs events for (see the clubs repository)
+ * @property {boolean} [disabled] - True if the account may no longer log in
+ * @property {string} [calendarToken] - Secret in the URL of the user's private calendar feed
+ * @property {boolean} [hideFromAttendeeLists] - Default for new registrations: keep the
+ *           user's name off public attendee lists
+ * @property {string} [program] - Degree program, e.g. "B.Tech"
+ * @property {number|null} [year] - Year of study, one of STUDENT_YEARS
+ * @property {string} [department] - Department, e.g. "Computer Science and Engineering"
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Get user by UID
+ * @param {string} uid - User UID
+ * @returns {Promise<User|null>} User object or null if not found
+ */
+async function getUserByUid(uid) {
+    if (!uid) return null;
+    return getStorage().get(USERS_COLLECTION, uid);
+}
+
+/**
+ * Get user by email address
+ * @param {string} email - Email address
+ * @returns {Promise<User|null>} User object or null if not found
+ */
+async function getUserByEmail(email) {
+    if (!email) return null;
+    const matches = await getStorage().list(USERS_COLLECTION, {
+        where: [['email', '==', String(email).trim().toLowerCase()]],
+        limit: 1
+    });
+    return matches[0] || null;
+}
+
+/**
+ * List users, optionally filtered by a search term
+ * @param {Object} [options]
+ * @param {string} [options.search] - Matched against name and email (case-insensitive)
+ * @param {string} [options.role] - Only return users with this role
+ * @returns {Promise<Array<User>>} Users sorted by email
+ */
+async function listUsers({ search = '', role = '' } = {}) {
+    const query = {};
+    if (role) {
+        query.where = [['role', '==', role]];
+    }
+    const users = await getStorage().list(USERS_COLLECTION, query);
+
+    // Firestore has no substring search, so the term is matched here
+    const term = search.trim().toLowerCase();
+    return users
+        .filter(user => !term ||
+            String(user.email || '').toLowerCase().includes(term) ||
+            String(user.name || '').toLowerCase().includes(term))
+        .sort((a, b) => String(a.email || '').localeCompare(String(b.email || '')));
+}
+
+/**
+ * Create a new user
+ * @param {Object} userData - User data (uid, email, name, role)
+ * @returns {Promise<User>} Created user, or the existing one if the UID is taken
+ */
+async function createUser(userData) {
+    // Check if user already exists
+    const existing = await getUserByUid(userData.uid);
+    if (existing) {
+        return existing;
+    }
+
+    return getStorage().set(USERS_COLLECTION, userData.uid, {
+        uid: userData.uid,
+        email: String(userData.email || '').trim().toLowerCase(),
+        emailVerified: Boolean(userData.emailVerified),
+        name: userData.name || userData.email,
+        role: userData.role || 'student',
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Update user role
+ * @param {string} uid - User UID
+ * @param {string} role - New role
+ * @returns {Promise<User|null>} Updated user or null if not found
+ */
+async function updateUserRole(uid, role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+    const changes = { role: role, updatedAt: new Date().toISOString() };
+    // Only organizers belong to clubs
+    if (role !== 'organizer') {
+        changes.clubIds = [];
+    }
+    return getStorage().update(USERS_COLLECTION, uid, changes);
+}
+
+/**
+ * Disable or re-enable a user account
+ * @param {string} uid - User UID
+ * @param {boolean} disabled - True to block the account from logging in
+ * @returns {Promise<User|null>} Updated user or null if not found
+ */
+async function setUserDisabled(uid, disabled) {
+    return getStorage().update(USERS_COLLECTION, uid, {
+        disabled: Boolean(disabled),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Record whether the user's email address is verified, from their latest ID token
+ * @param {string} uid - User UID
+ * @param {boolean} verified - The token's email_verified claim
+ * @returns {Promise<User|null>} Updated user or null if not found
+ */
+async function setUserEmailVerified(uid, verified) {
+    return getStorage().update(USERS_COLLECTION, uid, {
+        emailVerified: Boolean(verified),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Validate and normalise the profile form (name and academic details).
+ * The email address comes from the login and cannot be changed here.
+ * @param {Object} input - Raw input (e.g. req.body)
+ * @returns {{ data: Object, errors: Array<string> }} Clean profile fields and any validation errors
+ */
+function validateProfileData(input = {}) {
+    const text = (value) => (value === undefined || value === null ? '' : String(value).trim().replace(/\s+/g, ' '));
+
+    const data = {
+        name: text(input.name),
+        program: text(input.program),
+        year: text(input.year) === '' ? null : Number(text(input.year)),
+        department: text(input.department)
+    };
+
+    const errors = [];
+    if (!data.name) errors.push('Name is required');
+    for (const [field, label] of [['name', 'Name'], ['program', 'Program'], ['department', 'Department']]) {
+        if (data[field].length > MAX_PROFILE_TEXT_LENGTH) {
+            errors.push(`${label} must be at most ${MAX_PROFILE_TEXT_LENGTH} characters`);
+        }
+    }
+    if (data.year !== null && !STUDENT_YEARS.includes(data.year)) {
+        errors.push(`Year must be one of: ${STUDENT_YEARS.join(', ')}`);
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Save a user's name and academic details
+ * @param {string} uid - User UID
+ * @param {Object} profile - Fields from validateProfileData()
+ * @returns {Promise<User|null>} Updated user or null if not found
+ */
+async function updateUserProfile(uid, profile) {
+    return getStorage().update(USERS_COLLECTION, uid, {
+        name: profile.name,
+        program: profile.program,
+        year: profile.year,
+        department: profile.department,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Set whether a user's new registrations are left off public attendee lists
+ * @param {string} uid - User UID
+ * @param {boolean} hidden - True to opt out of public attendee lists
+ * @returns {Promise<User|null>} Updated user or null if not found
+ */
+async function setAttendeeListOptOut(uid, hidden) {
+    return getStorage().update(USERS_COLLECTION, uid, {
+        hideFromAttendeeLists: Boolean(hidden),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Secret for a user's private calendar feed URL, created on first use
+ * @param {string} uid - User UID
+ * @returns {Promise<string|null>} Token, or null if the user does not exist
+ */
+async function getCalendarToken(uid) {
+    const user = await getUserByUid(uid);
+    if (!user) return null;
+    if (user.calendarToken) return user.calendarToken;
+    return resetCalendarToken(uid);
+}
+
+/**
+ * Replace a user's calendar feed token, so the old feed URL stops working
+ * @param {string} uid - User UID
+ * @returns {Promise<string|null>} New token, or null if the user does not exist
+ */
+async function resetCalendarToken(uid) {
+    const calendarToken = crypto.randomBytes(24).toString('base64url');
+    const updated = await getStorage().update(USERS_COLLECTION, uid, { calendarToken });
+    return updated ? calendarToken : null;
+}
+
+/**
+ * Find the user a calendar feed token belongs to
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<User|null>} User, or null if no user has this token
+ */
+async function getUserByCalendarToken(token) {
+    if (!token) return null;
+    const matches = await getStorage().list(USERS_COLLECTION, {
+        where: [['calendarToken', '==', String(token)]],
+        limit: 1
+    });
+    return matches[0] || null;
+}
+
+module.exports = {
+    USERS_COLLECTION,
+    ROLES,
+    STUDENT_YEARS,
+    getUserByUid,
+    getUserByEmail,
+    listUsers,
+    createUser,
+    updateUserRole,
+    setUserDisabled,
+    setUserEmailVerified,
+    validateProfileData,
+    updateUserProfile,
+    setAttendeeListOptOut,
+    getCalendarToken,
+    resetCalendarToken,
+    getUserByCalendarToken
+};
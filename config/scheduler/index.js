@@ -0,0 +1,141 @@
+/**
+ * Background Job Scheduler
+ *
+ * An in-process scheduler started by server.js. Jobs are stored in the
+ * jobs collection, so they survive restarts: a job that ran is never run
+ * again, and one that came due while the server was down runs as soon as
+ * it is back (each job type decides whether it is still worth doing).
+ *
+ * Each tick:
+ * 1. every PLAN_INTERVAL, the planners in ./jobs look at upcoming events
+ *    and schedule the jobs they need (idempotent: job IDs are keys);
+ * 2. due jobs are claimed one at a time and handed to their handler.
+ *
+ * Handlers return { status: 'done' | 'skipped', result }. A handler that
+ * throws is retried after JOB_RETRY_DELAYS_MINUTES and then marked failed;
+ * failed jobs are listed on /admin/jobs.
+ */
+
+const db = require('../db');
+const { PLANNERS, JOB_HANDLERS, scheduleEventPublish } = require('./jobs');
+
+// Minutes to wait before each retry of a failing job
+const JOB_RETRY_DELAYS_MINUTES = [5, 30, 120];
+
+// How long a claimed job is reserved for the runner that claimed it
+const JOB_LEASE_MINUTES = 10;
+
+// How often the planners look for jobs to schedule
+const PLAN_INTERVAL_MS = 10 * 60 * 1000;
+
+let running = null;
+let lastPlannedAt = 0;
+
+/**
+ * Run every planner, logging (not throwing) planner errors
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of jobs scheduled or re-armed
+ */
+async function planJobs(now = new Date()) {
+    let scheduled = 0;
+    for (const planner of PLANNERS) {
+        try {
+            scheduled += await planner(now);
+        } catch (error) {
+            console.error(`❌ Error planning jobs (${planner.name}):`, error);
+        }
+    }
+    if (scheduled > 0) {
+        console.log(`📋 Scheduled ${scheduled} job(s)`);
+    }
+    return scheduled;
+}
+
+/**
+ * Run one claimed job and record the outcome
+ */
+async function runJob(job) {
+    const handler = JOB_HANDLERS[job.type];
+    try {
+        if (!handler) {
+            throw new Error(`No handler for job type "${job.type}"`);
+        }
+        const outcome = await handler(job);
+        await db.completeJob(job, outcome);
+        console.log(`✅ Job ${job.id} ${outcome.status}${outcome.result ? `: ${outcome.result}` : ''}`);
+    } catch (error) {
+        const attempt = (job.attempts || 0) + 1;
+        const delay = JOB_RETRY_DELAYS_MINUTES[attempt - 1];
+        const retryAt = delay ? new Date(Date.now() + delay * 60 * 1000) : null;
+        await db.failJob(job, error.message || error, retryAt);
+        if (retryAt) {
+            console.error(`⚠️ Job ${job.id} failed (attempt ${attempt}), retrying in ${delay} min:`, error.message);
+        } else {
+            console.error(`❌ Job ${job.id} failed after ${attempt} attempts:`, error.message);
+        }
+    }
+}
+
+/**
+ * Run every job that is due. Calls made while a run is in progress share
+ * that run.
+ * @returns {Promise<void>}
+ */
+function runDueJobs() {
+    if (!running) {
+        running = (async () => {
+            try {
+                let due = await db.getDueJobs();
+                while (due.length > 0) {
+                    for (const candidate of due) {
+                        const leaseUntil = new Date(Date.now() + JOB_LEASE_MINUTES * 60 * 1000);
+                        const job = await db.claimJob(candidate.id, leaseUntil);
+                        if (job) {
+                            await runJob(job);
+                        }
+                    }
+                    due = await db.getDueJobs();
+                }
+            } finally {
+                running = null;
+            }
+        })();
+    }
+    return running;
+}
+
+/**
+ * One scheduler tick: plan if it is time to, then run due jobs
+ * @returns {Promise<void>}
+ */
+async function tick() {
+    const now = new Date();
+    if (now.getTime() - lastPlannedAt >= PLAN_INTERVAL_MS) {
+        lastPlannedAt = now.getTime();
+        await planJobs(now);
+    }
+    await runDueJobs();
+}
+
+/**
+ * Start the scheduler
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - How often to look for due jobs
+ * @returns {Function} Stops the scheduler
+ */
+function startScheduler({ intervalMs = 60 * 1000 } = {}) {
+    const safeTick = () => tick().catch(error => console.error('❌ Scheduler error:', error));
+    safeTick();
+    const timer = setInterval(safeTick, intervalMs);
+    timer.unref();
+    console.log('⏰ Job scheduler started');
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    JOB_RETRY_DELAYS_MINUTES,
+    planJobs,
+    runDueJobs,
+    startScheduler,
+    scheduleEventPublish
+};
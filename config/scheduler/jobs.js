@@ -0,0 +1,450 @@
+/**
+ * Scheduled Jobs
+ *
+ * - event-reminder: emails each confirmed student 24 hours and 1 hour
+ *   before an event starts. One job per registration and reminder, keyed
+ *   "reminder-<kind>_<eventId>_<registrationId>".
+ * - feedback-request: asks each confirmed student for feedback an hour
+ *   after an event ends. One job per registration, keyed
+ *   "feedback-request_<eventId>_<registrationId>".
+ * - admin-digest: a daily email to every admin summarising the last
+ *   24 hours of registrations, sent at ADMIN_DIGEST_TIME (IST, default
+ *   08:00). One job per day, keyed "admin-digest_<YYYY-MM-DD>".
+ * - session-cleanup: deletes expired login sessions once a day, keyed
+ *   "session-cleanup_<YYYY-MM-DD>".
+ * - event-listing-backfill: builds the home page listing fields of events
+ *   stored before they existed, once per listing format, keyed
+ *   "event-listing-backfill_v<LISTING_VERSION>".
+ * - event-publish: publishes an approved event at its publishAt time.
+ *   One job per event, keyed "event-publish_<eventId>"; a new publish
+ *   time re-arms it.
+ *
+ * Planners return how many jobs they scheduled; handlers return
+ * { status, result } as described in ./index.js.
+ */
+
+const db = require('../db');
+const mail = require('../mail');
+const { EVENT_UTC_OFFSET } = require('../repositories/events');
+const { formatTimestamp } = require('../export');
+
+const JOB_TYPES = {
+    EVENT_REMINDER: 'event-reminder',
+    FEEDBACK_REQUEST: 'feedback-request',
+    ADMIN_DIGEST: 'admin-digest',
+    SESSION_CLEANUP: 'session-cleanup',
+    EVENT_LISTING_BACKFILL: 'event-listing-backfill',
+    EVENT_PUBLISH: 'event-publish'
+};
+
+/**
+ * Reminders sent before each event. A reminder is only sent while it
+ * still makes sense: the 24-hour one until the 1-hour one takes over,
+ * the 1-hour one until the event starts.
+ */
+const REMINDERS = [
+    { kind: '24h', minutesBefore: 24 * 60, sendUntilMinutesBefore: 60, when: 'tomorrow', label: '24-hour reminder' },
+    { kind: '1h', minutesBefore: 60, sendUntilMinutesBefore: 0, when: 'in 1 hour', label: '1-hour reminder' }
+];
+
+// Events starting within this window get their reminders scheduled
+const REMINDER_PLANNING_HORIZON_MS = 48 * 60 * 60 * 1000;
+
+// Feedback requests go out this long after an event ends...
+const FEEDBACK_REQUEST_DELAY_MS = 60 * 60 * 1000;
+// ...and are planned for events that ended within this window
+const FEEDBACK_PLANNING_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+// ============================================
+// EVENT REMINDERS
+// ============================================
+
+/**
+ * When a registration got its seat: when it was made, or when it came
+ * off the waitlist
+ */
+function getConfirmedAt(registration) {
+    return new Date(registration.promotedAt || registration.createdAt || 0);
+}
+
+/**
+ * Schedule reminders for confirmed registrations at events starting soon.
+ * Reminders whose time had already passed when the student got their
+ * seat are not scheduled; the confirmation email covers them.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Jobs scheduled or re-armed
+ */
+async function planEventReminders(now) {
+    const events = await db.getAllEvents();
+    const upcoming = events.filter(event => {
+        const start = db.getEventStart(event).getTime();
+        return start > now.getTime() && start - now.getTime() <= REMINDER_PLANNING_HORIZON_MS;
+    });
+
+    let scheduled = 0;
+    for (const event of upcoming) {
+        const start = db.getEventStart(event);
+        const version = start.toISOString();
+        const registrations = (await db.getRegistrationsByEventId(event.id))
+            .filter(reg => db.getRegistrationStatus(reg) === db.REGISTRATION_STATUS.CONFIRMED);
+        const existing = new Map((await db.getJobsByEventId(event.id)).map(job => [job.id, job]));
+
+        for (const registration of registrations) {
+            for (const reminder of REMINDERS) {
+                const id = `reminder-${reminder.kind}_${event.id}_${registration.id}`;
+                const runAt = new Date(start.getTime() - reminder.minutesBefore * 60 * 1000);
+                const sendUntil = new Date(start.getTime() - reminder.sendUntilMinutesBefore * 60 * 1000);
+
+                const current = existing.get(id);
+                if (current && current.version === version) continue;
+                if (now >= sendUntil || getConfirmedAt(registration) > runAt) continue;
+
+                const job = await db.scheduleJob({
+                    id,
+                    type: JOB_TYPES.EVENT_REMINDER,
+                    label: `${reminder.label}: ${registration.name} – ${event.title}`,
+                    runAt,
+                    version,
+                    data: { kind: reminder.kind },
+                    eventId: event.id,
+                    registrationId: registration.id
+                });
+                if (job) scheduled++;
+            }
+        }
+    }
+    return scheduled;
+}
+
+/**
+ * Send one reminder, unless the event or registration changed since it
+ * was scheduled
+ * @param {Object} job - event-reminder job
+ * @returns {Promise<{status: string, result: string}>}
+ */
+async function runEventReminder(job) {
+    const reminder = REMINDERS.find(r => r.kind === job.data.kind);
+    if (!reminder) {
+        throw new Error(`Unknown reminder kind "${job.data.kind}"`);
+    }
+
+    const event = await db.getEventById(job.eventId);
+    if (!event || db.isEventArchived(event)) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'Event was cancelled' };
+    }
+    const registration = await db.getRegistrationById(job.registrationId);
+    if (!registration || db.getRegistrationStatus(registration) !== db.REGISTRATION_STATUS.CONFIRMED) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'Registration is no longer confirmed' };
+    }
+
+    // A moved event gets fresh reminders from the next planning run
+    const start = db.getEventStart(event);
+    if (start.toISOString() !== job.version) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'Event was rescheduled' };
+    }
+    const sendUntil = start.getTime() - reminder.sendUntilMinutesBefore * 60 * 1000;
+    if (Date.now() >= sendUntil) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'Too late to send' };
+    }
+
+    await mail.sendEventReminder(registration, event, { when: reminder.when, key: job.id });
+    return { status: db.JOB_STATUS.DONE, result: `Sent to ${registration.email}` };
+}
+
+// ============================================
+// FEEDBACK REQUESTS
+// ============================================
+
+/**
+ * Schedule feedback requests for confirmed registrations at events that
+ * ended recently
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Jobs scheduled or re-armed
+ */
+async function planFeedbackRequests(now) {
+    const events = await db.getAllEvents();
+    const ended = events.filter(event => {
+        const end = db.getEventEnd(event).getTime();
+        return end <= now.getTime() && now.getTime() - end <= FEEDBACK_PLANNING_WINDOW_MS;
+    });
+
+    let scheduled = 0;
+    for (const event of ended) {
+        const end = db.getEventEnd(event);
+        const version = end.toISOString();
+        const registrations = (await db.getRegistrationsByEventId(event.id))
+            .filter(reg => db.getRegistrationStatus(reg) === db.REGISTRATION_STATUS.CONFIRMED);
+        const existing = new Map((await db.getJobsByEventId(event.id)).map(job => [job.id, job]));
+
+        for (const registration of registrations) {
+            const id = `${JOB_TYPES.FEEDBACK_REQUEST}_${event.id}_${registration.id}`;
+            const current = existing.get(id);
+            if (current && current.version === version) continue;
+
+            const job = await db.scheduleJob({
+                id,
+                type: JOB_TYPES.FEEDBACK_REQUEST,
+                label: `Feedback request: ${registration.name} – ${event.title}`,
+                runAt: new Date(end.getTime() + FEEDBACK_REQUEST_DELAY_MS),
+                version,
+                data: {},
+                eventId: event.id,
+                registrationId: registration.id
+            });
+            if (job) scheduled++;
+        }
+    }
+    return scheduled;
+}
+
+/**
+ * Ask one student for feedback, unless they can no longer give it or
+ * already have
+ * @param {Object} job - feedback-request job
+ * @returns {Promise<{status: string, result: string}>}
+ */
+async function runFeedbackRequest(job) {
+    const event = await db.getEventById(job.eventId);
+    if (event && db.getEventEnd(event).toISOString() !== job.version) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'Event was rescheduled' };
+    }
+    const registration = await db.getRegistrationById(job.registrationId);
+    const blocker = db.getFeedbackBlocker(event, registration);
+    if (blocker) {
+        return { status: db.JOB_STATUS.SKIPPED, result: blocker };
+    }
+    if (await db.getFeedbackByRegistrationId(registration.id)) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'Feedback already sent' };
+    }
+
+    await mail.sendFeedbackRequest(registration, event, {
+        closesOn: `${formatTimestamp(db.getFeedbackClosesAt(event).toISOString())} IST`,
+        key: job.id
+    });
+    return { status: db.JOB_STATUS.DONE, result: `Sent to ${registration.email}` };
+}
+
+// ============================================
+// ADMIN DIGEST
+// ============================================
+
+/**
+ * Time of day (IST, HH:MM) the admin digest is sent
+ * @returns {string}
+ */
+function getDigestTime() {
+    const time = process.env.ADMIN_DIGEST_TIME || '';
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(time) ? time : '08:00';
+}
+
+/**
+ * Schedule today's digest (IST). If the server starts after the digest
+ * time, today's digest is sent straight away.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Jobs scheduled
+ */
+async function planAdminDigest(now) {
+    const today = formatTimestamp(now.toISOString()).slice(0, 10);
+    const runAt = new Date(`${today}T${getDigestTime()}:00${EVENT_UTC_OFFSET}`);
+
+    const job = await db.scheduleJob({
+        id: `admin-digest_${today}`,
+        type: JOB_TYPES.ADMIN_DIGEST,
+        label: `Admin digest for ${today}`,
+        runAt,
+        version: runAt.toISOString(),
+        data: { date: today }
+    });
+    return job ? 1 : 0;
+}
+
+/**
+ * Email every active admin the registrations made in the 24 hours
+ * before the digest time
+ * @param {Object} job - admin-digest job
+ * @returns {Promise<{status: string, result: string}>}
+ */
+async function runAdminDigest(job) {
+    const to = new Date(job.version);
+    const from = new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    const registrations = await db.getRegistrationsCreatedBetween(from, to);
+    if (registrations.length === 0) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'No new registrations' };
+    }
+
+    const admins = (await db.listUsers({ role: 'admin' })).filter(admin => !admin.disabled && admin.email);
+    if (admins.length === 0) {
+        return { status: db.JOB_STATUS.SKIPPED, result: 'No admin accounts to send to' };
+    }
+
+    const counts = new Map();
+    registrations.forEach(reg => counts.set(reg.event_id, (counts.get(reg.event_id) || 0) + 1));
+    const byEvent = [];
+    for (const [eventId, count] of counts) {
+        const event = await db.getEventById(eventId);
+        const snapshot = registrations.find(reg => reg.event_id === eventId).eventSnapshot;
+        byEvent.push({
+            title: event ? event.title : (snapshot ? snapshot.title : 'Deleted event'),
+            count,
+            seatsTaken: event ? event.seatsTaken || 0 : 0,
+            capacity: event ? Number(event.capacity) || 0 : 0,
+            waitlistCount: event ? event.waitlistCount || 0 : 0
+        });
+    }
+    byEvent.sort((a, b) => b.count - a.count);
+
+    const digest = {
+        from: formatTimestamp(from.toISOString()),
+        to: formatTimestamp(to.toISOString()),
+        total: registrations.length,
+        byEvent
+    };
+    for (const admin of admins) {
+        await mail.sendAdminDigest(admin, digest, { key: `${job.id}_${admin.uid}` });
+    }
+    return { status: db.JOB_STATUS.DONE, result: `Sent to ${admins.length} admin(s)` };
+}
+
+// ============================================
+// SESSION CLEANUP
+// ============================================
+
+/**
+ * Schedule today's cleanup of expired sessions (03:00 IST)
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Jobs scheduled
+ */
+async function planSessionCleanup(now) {
+    const today = formatTimestamp(now.toISOString()).slice(0, 10);
+    const runAt = new Date(`${today}T03:00:00${EVENT_UTC_OFFSET}`);
+
+    const job = await db.scheduleJob({
+        id: `session-cleanup_${today}`,
+        type: JOB_TYPES.SESSION_CLEANUP,
+        label: `Remove expired logins (${today})`,
+        runAt,
+        version: runAt.toISOString(),
+        data: {}
+    });
+    return job ? 1 : 0;
+}
+
+/**
+ * Delete expired login sessions
+ * @returns {Promise<{status: string, result: string}>}
+ */
+async function runSessionCleanup() {
+    const deleted = await db.deleteExpiredSessions();
+    return { status: db.JOB_STATUS.DONE, result: `Removed ${deleted} expired session(s)` };
+}
+
+// ============================================
+// EVENT LISTING BACKFILL
+// ============================================
+
+/**
+ * Schedule the listing backfill for the current listing format. It runs
+ * straight away, once; the job ID stays scheduled or done afterwards.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Jobs scheduled
+ */
+async function planEventListingBackfill(now) {
+    const version = String(db.EVENT_LISTING_VERSION);
+    const job = await db.scheduleJob({
+        id: `event-listing-backfill_v${version}`,
+        type: JOB_TYPES.EVENT_LISTING_BACKFILL,
+        label: `Index events for search and filters (v${version})`,
+        runAt: now,
+        version,
+        data: {}
+    });
+    return job ? 1 : 0;
+}
+
+/**
+ * Rebuild out-of-date listing fields
+ * @returns {Promise<{status: string, result: string}>}
+ */
+async function runEventListingBackfill() {
+    const updated = await db.backfillEventListingFields();
+    return updated > 0
+        ? { status: db.JOB_STATUS.DONE, result: `Indexed ${updated} event(s)` }
+        : { status: db.JOB_STATUS.SKIPPED, result: 'All events already indexed' };
+}
+
+// ============================================
+// SCHEDULED PUBLISHING
+// ============================================
+
+/**
+ * Schedule the publishing of an approved event at its publishAt time
+ * (straight away if it has none). Called when an event is approved or
+ * its publish time is edited, and by the planner for any it missed.
+ * @param {Object} event - Scheduled event
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} The job, or null if it was already up to date
+ */
+async function scheduleEventPublish(event, now = new Date()) {
+    return db.scheduleJob({
+        id: `event-publish_${event.id}`,
+        type: JOB_TYPES.EVENT_PUBLISH,
+        label: `Publish ${event.title}`,
+        runAt: event.publishAt ? new Date(event.publishAt) : now,
+        version: event.publishAt || 'now',
+        data: {},
+        eventId: event.id
+    });
+}
+
+/**
+ * Make sure every scheduled event has its publish job
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Jobs scheduled or re-armed
+ */
+async function planScheduledPublishing(now) {
+    let scheduled = 0;
+    for (const event of await db.getScheduledEvents()) {
+        if (await scheduleEventPublish(event, now)) scheduled++;
+    }
+    return scheduled;
+}
+
+/**
+ * Publish a scheduled event, unless it was cancelled, sent back or
+ * moved to a later time since the job was scheduled
+ * @param {Object} job - event-publish job
+ * @returns {Promise<{status: string, result: string}>}
+ */
+async function runEventPublish(job) {
+    const event = await db.publishScheduledEvent(job.eventId);
+    return event
+        ? { status: db.JOB_STATUS.DONE, result: `${event.title} is live` }
+        : { status: db.JOB_STATUS.SKIPPED, result: 'Event is no longer scheduled for now' };
+}
+
+const PLANNERS = [
+    planEventReminders,
+    planFeedbackRequests,
+    planAdminDigest,
+    planSessionCleanup,
+    planEventListingBackfill,
+    planScheduledPublishing
+];
+
+const JOB_HANDLERS = {
+    [JOB_TYPES.EVENT_REMINDER]: runEventReminder,
+    [JOB_TYPES.FEEDBACK_REQUEST]: runFeedbackRequest,
+    [JOB_TYPES.ADMIN_DIGEST]: runAdminDigest,
+    [JOB_TYPES.SESSION_CLEANUP]: runSessionCleanup,
+    [JOB_TYPES.EVENT_LISTING_BACKFILL]: runEventListingBackfill,
+    [JOB_TYPES.EVENT_PUBLISH]: runEventPublish
+};
+
+module.exports = {
+    JOB_TYPES,
+    REMINDERS,
+    PLANNERS,
+    JOB_HANDLERS,
+    scheduleEventPublish
+};
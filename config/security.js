@@ -0,0 +1,218 @@
+/**
+ * Security Middleware
+ *
+ * - Security headers (helmet), including a Content-Security-Policy that
+ *   allows the Firebase SDK and Bootstrap CDNs. Inline <script> tags need
+ *   the per-request nonce: <script nonce="<%= cspNonce %>">.
+ * - CSRF protection for every POST/PUT/PATCH/DELETE. Forms include
+ *   <input type="hidden" name="_csrf" value="<%= csrfToken %>">; fetch()
+ *   calls send the token from <meta name="csrf-token"> in an
+ *   X-CSRF-Token header. Multipart forms put it in the action's query
+ *   string, because their body is only parsed inside the route.
+ * - Rate limits on login and registration, with a friendly 429 page.
+ *
+ * The JSON API under /api/v1 takes bearer tokens instead of cookies and
+ * is exempt from CSRF checks.
+ */
+
+const crypto = require('crypto');
+const helmet = require('helmet');
+const { rateLimit } = require('express-rate-limit');
+const { sendApiError } = require('./api');
+
+const CSRF_COOKIE = 'csrf_secret';
+const CSRF_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * True when running in production (NODE_ENV=production), where cookies
+ * are only sent over HTTPS
+ * @returns {boolean}
+ */
+function isProduction() {
+    return process.env.NODE_ENV === 'production';
+}
+
+// ============================================
+// SECURITY HEADERS
+// ============================================
+
+/**
+ * Security headers middleware. Also makes a fresh script nonce available
+ * to views as cspNonce.
+ * @returns {Array<Function>} Express middleware
+ */
+function securityHeaders() {
+    const setNonce = (req, res, next) => {
+        res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+        next();
+    };
+
+    const headers = helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                scriptSrc: [
+                    "'self'",
+                    (req, res) => `'nonce-${res.locals.cspNonce}'`,
+                    'https://www.gstatic.com',
+                    'https://cdn.jsdelivr.net'
+                ],
+                styleSrc: ["'self'", "'unsafe-inline'", 'https://cdn.jsdelivr.net'],
+                fontSrc: ["'self'", 'data:', 'https://cdn.jsdelivr.net'],
+                // Posters may be hosted anywhere; tickets are data: URLs
+                imgSrc: ["'self'", 'data:', 'https:'],
+                connectSrc: ["'self'", 'https://*.googleapis.com'],
+                frameSrc: ['https://*.firebaseapp.com'],
+                formAction: ["'self'"],
+                objectSrc: ["'none'"],
+                baseUri: ["'self'"],
+                frameAncestors: ["'self'"],
+                upgradeInsecureRequests: isProduction() ? [] : null
+            }
+        },
+        // Firebase sign-in popups need to talk back to the opener
+        crossOriginOpenerPolicy: { policy: 'same-origin-allow-popups' },
+        // HSTS only makes sense when the site is served over HTTPS
+        strictTransportSecurity: isProduction()
+    });
+
+    return [setNonce, headers];
+}
+
+// ============================================
+// CSRF PROTECTION
+// ============================================
+
+function getCsrfKey() {
+    return process.env.SESSION_SECRET || 'event-registration-secret-key-change-in-production';
+}
+
+/**
+ * Token for a browser's CSRF secret
+ */
+function csrfTokenFor(secret) {
+    return crypto.createHmac('sha256', getCsrfKey()).update(`csrf:${secret}`).digest('base64url');
+}
+
+/**
+ * Token the request carries: form field, header, or (multipart only) query
+ */
+function getSubmittedToken(req) {
+    if (req.body && req.body._csrf) return String(req.body._csrf);
+    if (req.get('x-csrf-token')) return req.get('x-csrf-token');
+    if (req.is('multipart/form-data') && req.query._csrf) return String(req.query._csrf);
+    return '';
+}
+
+/**
+ * CSRF middleware (double-submit cookie). Every browser gets a random
+ * secret in an httpOnly cookie; pages get a token derived from it, and
+ * state-changing requests must send that token back. Another site can
+ * make the browser send the cookie, but cannot read the token.
+ */
+function csrfProtection(req, res, next) {
+    // The versioned API authenticates with bearer tokens, never cookies,
+    // so another site cannot make a browser send an authenticated request
+    if (req.path.startsWith('/api/v1/')) {
+        return next();
+    }
+
+    let secret = req.cookies ? req.cookies[CSRF_COOKIE] : null;
+    if (!secret || !/^[A-Za-z0-9_-]{24}$/.test(secret)) {
+        secret = crypto.randomBytes(18).toString('base64url');
+        res.cookie(CSRF_COOKIE, secret, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: isProduction()
+        });
+    }
+
+    const expected = csrfTokenFor(secret);
+    res.locals.csrfToken = expected;
+
+    if (!CSRF_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const given = Buffer.from(getSubmittedToken(req));
+    if (given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected))) {
+        return next();
+    }
+
+    console.warn(`⚠️ CSRF check failed: ${req.method} ${req.originalUrl}`);
+    if (req.is('json') || req.originalUrl.startsWith('/api/')) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token. Reload the page and try again.' });
+    }
+    res.status(403).render('error', {
+        title: 'Form Expired',
+        message: 'This form has expired or did not come from this site. Go back, reload the page and try again.'
+    });
+}
+
+// ============================================
+// RATE LIMITS
+// ============================================
+
+/**
+ * Respond to a request over its limit: JSON for API calls, the 429 page
+ * otherwise
+ */
+function rateLimitHandler(req, res, next, options) {
+    const resetTime = req.rateLimit && req.rateLimit.resetTime;
+    const retryMinutes = resetTime
+        ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 60000))
+        : Math.ceil(options.windowMs / 60000);
+
+    console.warn(`⚠️ Rate limit hit: ${req.method} ${req.originalUrl} (${options.keyGenerator(req, res)})`);
+    if (req.originalUrl.startsWith('/api/v1/')) {
+        return sendApiError(res, 429, 'RATE_LIMITED', `Too many requests. Try again in ${retryMinutes} minute(s).`);
+    }
+    if (req.is('json') || req.originalUrl.startsWith('/api/')) {
+        return res.status(429).json({ error: `Too many requests. Try again in ${retryMinutes} minute(s).` });
+    }
+    res.status(429).render('too-many-requests', {
+        title: 'Too Many Requests',
+        retryMinutes
+    });
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {number} options.windowMinutes - Length of the window
+ * @param {number} options.limit - Requests allowed per window and key
+ * @param {Function} [options.keyGenerator] - Key for a request (default: client IP)
+ * @returns {Function} Express middleware
+ */
+function createRateLimit({ windowMinutes, limit, keyGenerator = (req) => `ip:${req.ip}` }) {
+    return rateLimit({
+        windowMs: windowMinutes * 60 * 1000,
+        limit,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        keyGenerator,
+        handler: rateLimitHandler
+    });
+}
+
+// Login attempts per IP address
+const loginRateLimit = createRateLimit({ windowMinutes: 15, limit: 10 });
+
+// Registrations per IP address, and per logged-in student (use after requireStudent)
+const registrationRateLimit = [
+    createRateLimit({ windowMinutes: 15, limit: 30 }),
+    createRateLimit({
+        windowMinutes: 15,
+        limit: 10,
+        keyGenerator: (req) => `user:${req.user ? req.user.uid : req.ip}`
+    })
+];
+
+module.exports = {
+    isProduction,
+    securityHeaders,
+    csrfProtection,
+    createRateLimit,
+    loginRateLimit,
+    registrationRateLimit
+};
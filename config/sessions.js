@@ -0,0 +1,117 @@
+/**
+ * Login Sessions
+ *
+ * Logging in exchanges the Firebase ID token (valid for one hour) for a
+ * Firebase session cookie that lasts SESSION_LENGTH_HOURS (default 120,
+ * i.e. five days; Firebase allows up to two weeks). The session cookie
+ * is kept server-side in the express-session store, never in the
+ * browser, so deleting a stored session revokes it: this happens on
+ * logout, and for every session of a user whose role changes or whose
+ * account is disabled.
+ *
+ * Sessions are stored through the storage backend (JSON files with
+ * DB_BACKEND=json, Firestore by default), so they survive restarts.
+ */
+
+const session = require('express-session');
+const db = require('./db');
+const { isProduction } = require('./security');
+
+// Limits Firebase puts on session cookie lifetimes
+const MIN_SESSION_LENGTH_HOURS = 1;
+const MAX_SESSION_LENGTH_HOURS = 14 * 24;
+const DEFAULT_SESSION_LENGTH_HOURS = 5 * 24;
+
+/**
+ * How long a login lasts, from SESSION_LENGTH_HOURS
+ * @returns {number} Session length in milliseconds
+ */
+function getSessionLengthMs() {
+    const hours = Number(process.env.SESSION_LENGTH_HOURS) || DEFAULT_SESSION_LENGTH_HOURS;
+    const clamped = Math.min(MAX_SESSION_LENGTH_HOURS, Math.max(MIN_SESSION_LENGTH_HOURS, hours));
+    return clamped * 60 * 60 * 1000;
+}
+
+/**
+ * express-session store backed by the sessions repository
+ */
+class StorageSessionStore extends session.Store {
+    get(sid, callback) {
+        db.getSession(sid)
+            .then(record => callback(null, record ? JSON.parse(record.data) : null), callback);
+    }
+
+    set(sid, sess, callback = () => {}) {
+        db.saveSession(sid, {
+            uid: sess.user ? sess.user.uid : null,
+            data: JSON.stringify(sess),
+            expiresAt: expiryOf(sess)
+        })
+            .then(() => callback(null), callback);
+    }
+
+    // A login lasts a fixed time (its Firebase session cookie cannot be
+    // extended), so activity does not move the stored expiry
+    touch(sid, sess, callback = () => {}) {
+        callback(null);
+    }
+
+    destroy(sid, callback = () => {}) {
+        db.destroySession(sid)
+            .then(() => callback(null), callback);
+    }
+}
+
+/**
+ * When a session stops being valid: when its login expires, or for
+ * sessions without a login, when the browser cookie does
+ */
+function expiryOf(sess) {
+    if (sess.loginExpiresAt) {
+        return new Date(sess.loginExpiresAt);
+    }
+    if (sess.cookie && sess.cookie.expires) {
+        return new Date(sess.cookie.expires);
+    }
+    return new Date(Date.now() + getSessionLengthMs());
+}
+
+/**
+ * The express-session middleware used by server.js
+ * @returns {Function} Express middleware
+ */
+function createSessionMiddleware() {
+    return session({
+        store: new StorageSessionStore(),
+        secret: process.env.SESSION_SECRET || 'event-registration-secret-key-change-in-production',
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            httpOnly: true,
+            // HTTPS-only in production; set TRUST_PROXY when TLS ends at a proxy
+            secure: isProduction(),
+            sameSite: 'lax',
+            maxAge: getSessionLengthMs()
+        }
+    });
+}
+
+/**
+ * Log a user out everywhere
+ * @param {string} uid - User ID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(uid) {
+    const revoked = await db.destroySessionsForUser(uid);
+    if (revoked > 0) {
+        console.log(`✅ Revoked ${revoked} session(s) for user ${uid}`);
+    }
+    return revoked;
+}
+
+module.exports = {
+    StorageSessionStore,
+    getSessionLengthMs,
+    createSessionMiddleware,
+    revokeUserSessions
+};
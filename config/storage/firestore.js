@@ -0,0 +1,185 @@
+/**
+ * Firestore Storage Backend
+ *
+ * Maps the generic storage operations onto Firestore collections.
+ * Queries are passed through to Firestore unchanged, so filters,
+ * ordering and cursors are served by Firestore indexes instead of
+ * reading whole collections.
+ */
+
+const { validateQuery } = require('./query');
+
+const DATABASE_NOT_ENABLED_MESSAGE = 'Firestore database not enabled. Please enable it in Firebase Console.';
+
+/**
+ * Convert Firestore values (Timestamps) into plain JSON values
+ */
+function fromFirestore(value) {
+    if (value === null || value === undefined) return value;
+    if (typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(fromFirestore);
+    }
+    if (typeof value === 'object') {
+        const result = {};
+        Object.entries(value).forEach(([key, nested]) => {
+            result[key] = fromFirestore(nested);
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Convert Firestore document to plain object with ID
+ */
+function docToObject(doc) {
+    if (!doc.exists) return null;
+    return {
+        ...fromFirestore(doc.data()),
+        id: doc.id
+    };
+}
+
+/**
+ * Strip the id field before writing, Firestore keeps it as the document key
+ */
+function withoutId(data) {
+    const { id, ...rest } = data;
+    return rest;
+}
+
+/**
+ * Turn NOT_FOUND errors on collection access into an actionable message
+ */
+function translateError(error) {
+    if (error.code === 5 || error.code === 'NOT_FOUND') {
+        console.error('❌ Firestore database not found. Please enable Firestore in Firebase Console:');
+        console.error('   1. Go to Firebase Console > Firestore Database');
+        console.error('   2. Click "Create database"');
+        console.error('   3. Choose "Start in test mode" (for development)');
+        return new Error(DATABASE_NOT_ENABLED_MESSAGE);
+    }
+    return error;
+}
+
+/**
+ * Create a Firestore storage backend
+ * @returns {Object} Storage backend
+ */
+function createFirestoreStorage() {
+    // Required lazily so the other backends work without Firebase credentials
+    const { admin } = require('../firebase');
+    const firestore = admin.firestore();
+
+    function buildQuery(collection, query = {}) {
+        validateQuery(query);
+
+        let ref = firestore.collection(collection);
+        (query.where || []).forEach(([field, operator, value]) => {
+            ref = ref.where(field, operator, value);
+        });
+        (query.orderBy || []).forEach(([field, direction = 'asc']) => {
+            ref = ref.orderBy(field, direction);
+        });
+        if (query.startAfter) {
+            ref = ref.startAfter(...query.startAfter);
+        }
+        if (query.limit) {
+            ref = ref.limit(query.limit);
+        }
+        return ref;
+    }
+
+    async function guard(operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            throw translateError(error);
+        }
+    }
+
+    console.log('✅ Firestore database initialized');
+
+    return {
+        name: 'firestore',
+
+        get: (collection, id) => guard(async () => {
+            const doc = await firestore.collection(collection).doc(String(id)).get();
+            return docToObject(doc);
+        }),
+
+        list: (collection, query) => guard(async () => {
+            const snapshot = await buildQuery(collection, query).get();
+            return snapshot.docs.map(docToObject);
+        }),
+
+        add: (collection, data) => guard(async () => {
+            const ref = await firestore.collection(collection).add(withoutId(data));
+            return docToObject(await ref.get());
+        }),
+
+        set: (collection, id, data) => guard(async () => {
+            const ref = firestore.collection(collection).doc(String(id));
+            await ref.set(withoutId(data));
+            return docToObject(await ref.get());
+        }),
+
+        update: (collection, id, patch) => guard(async () => {
+            const ref = firestore.collection(collection).doc(String(id));
+            const existing = await ref.get();
+            if (!existing.exists) return null;
+            await ref.update(withoutId(patch));
+            return docToObject(await ref.get());
+        }),
+
+        remove: (collection, id) => guard(async () => {
+            const ref = firestore.collection(collection).doc(String(id));
+            const existing = await ref.get();
+            if (!existing.exists) return false;
+            await ref.delete();
+            return true;
+        }),
+
+        /**
+         * Run several reads and writes atomically with a Firestore transaction.
+         * Firestore requires every read to happen before the first write.
+         */
+        transaction: (callback) => guard(() => firestore.runTransaction(async (transaction) => {
+            const tx = {
+                async get(collection, id) {
+                    const doc = await transaction.get(firestore.collection(collection).doc(String(id)));
+                    return docToObject(doc);
+                },
+                async list(collection, query) {
+                    const snapshot = await transaction.get(buildQuery(collection, query));
+                    return snapshot.docs.map(docToObject);
+                },
+                async add(collection, data) {
+                    const ref = firestore.collection(collection).doc();
+                    transaction.set(ref, withoutId(data));
+                    return { ...data, id: ref.id };
+                },
+                async set(collection, id, data) {
+                    transaction.set(firestore.collection(collection).doc(String(id)), withoutId(data));
+                    return { ...data, id: String(id) };
+                },
+                async update(collection, id, patch) {
+                    transaction.update(firestore.collection(collection).doc(String(id)), withoutId(patch));
+                    return { ...patch, id: String(id) };
+                },
+                async remove(collection, id) {
+                    transaction.delete(firestore.collection(collection).doc(String(id)));
+                    return true;
+                }
+            };
+            return callback(tx);
+        }))
+    };
+}
+
+module.exports = {
+    createFirestoreStorage
+};
@@ -0,0 +1,84 @@
+/**
+ * Storage Backend Selection
+ *
+ * The repository layer in config/db.js talks to one of these
+ * interchangeable backends:
+ *
+ * - firestore: Firebase Firestore (default)
+ * - json:      JSON files in data/, the layout created by setup-db.js
+ * - memory:    in-process only, for tests
+ *
+ * Choose one with the DB_BACKEND environment variable. The JSON backend
+ * reads DATA_DIR (defaults to ./data).
+ *
+ * Every backend exposes the same async methods:
+ *   get(collection, id)            -> record or null
+ *   list(collection, query)        -> array of records
+ *   add(collection, data)          -> created record with generated id
+ *   set(collection, id, data)      -> record written under the given id
+ *   update(collection, id, patch)  -> updated record, or null if missing
+ *   remove(collection, id)         -> true if a record was deleted
+ *   transaction(async tx => ...)   -> runs reads and writes atomically
+ *
+ * Inside a transaction, tx has the same methods. Do all reads before the
+ * first write (Firestore requires it), and note that tx write methods
+ * return only the data that was written.
+ */
+
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createJsonStorage } = require('./json');
+const { createFirestoreStorage } = require('./firestore');
+
+const BACKENDS = {
+    firestore: () => createFirestoreStorage(),
+    json: () => createJsonStorage({
+        dataDir: process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data')
+    }),
+    memory: () => createMemoryStorage()
+};
+
+let activeStorage = null;
+
+/**
+ * Create a storage backend by name
+ * @param {string} name - 'firestore', 'json' or 'memory'
+ * @returns {Object} Storage backend
+ */
+function createStorage(name) {
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(
+            `Unknown DB_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`
+        );
+    }
+    return factory();
+}
+
+/**
+ * Get the storage backend used by the app, creating it on first use
+ * @returns {Object} Storage backend
+ */
+function getStorage() {
+    if (!activeStorage) {
+        activeStorage = createStorage(process.env.DB_BACKEND || 'firestore');
+    }
+    return activeStorage;
+}
+
+/**
+ * Replace the storage backend (e.g. with createMemoryStorage() in tests)
+ * @param {Object} storage - Storage backend
+ */
+function setStorage(storage) {
+    activeStorage = storage;
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    setStorage,
+    createMemoryStorage,
+    createJsonStorage,
+    createFirestoreStorage
+};
@@ -0,0 +1,69 @@
+/**
+ * JSON File Storage Backend
+ *
+ * Stores each collection as an array of records in data/<collection>.json,
+ * the same layout setup-db.js creates. Files are read once at startup and
+ * rewritten whenever their collection changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+
+/**
+ * Load every <collection>.json file from the data directory
+ * @param {string} dataDir - Directory holding the JSON files
+ * @returns {Object<string, Array<Object>>} Records per collection
+ */
+function loadCollections(dataDir) {
+    const data = {};
+    if (!fs.existsSync(dataDir)) {
+        return data;
+    }
+
+    fs.readdirSync(dataDir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const name = path.basename(file, '.json');
+            const records = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+            if (!Array.isArray(records)) {
+                throw new Error(`Expected ${file} to contain an array of records`);
+            }
+            // Users written by older versions are keyed by uid rather than id
+            data[name] = records.map(record => ({ ...record, id: String(record.id ?? record.uid) }));
+        });
+
+    return data;
+}
+
+/**
+ * Create a JSON file storage backend
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory holding the JSON files
+ * @returns {Object} Storage backend
+ */
+function createJsonStorage({ dataDir }) {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    const storage = createMemoryStorage({
+        initialData: loadCollections(dataDir),
+        async onWrite(collection, records) {
+            // Write to a temporary file first so a crash never leaves half a file behind
+            const file = path.join(dataDir, `${collection}.json`);
+            const tempFile = `${file}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify(records, null, 2), 'utf8');
+            await fs.promises.rename(tempFile, file);
+        }
+    });
+
+    console.log(`✅ JSON file storage initialized in ${dataDir}`);
+
+    return {
+        ...storage,
+        name: 'json'
+    };
+}
+
+module.exports = {
+    createJsonStorage
+};
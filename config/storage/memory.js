@@ -0,0 +1,162 @@
+/**
+ * In-Memory Storage Backend
+ *
+ * Keeps every collection in memory as a Map of id -> record.
+ * Nothing survives a restart, which makes this the backend for tests
+ * and throwaway local runs. The JSON file backend reuses it and only
+ * adds persistence through the onWrite hook.
+ *
+ * All operations are queued one after another, so a transaction sees
+ * a consistent view of the data and either applies fully or not at all.
+ */
+
+const { generateId, clone, applyQuery } = require('./query');
+
+/**
+ * Create an in-memory storage backend
+ * @param {Object} options
+ * @param {Object<string, Array<Object>>} [options.initialData] - Records per collection
+ * @param {Function} [options.onWrite] - Called with (collectionName, records) after a write
+ * @returns {Object} Storage backend
+ */
+function createMemoryStorage({ initialData = {}, onWrite = null } = {}) {
+    const collections = new Map();
+
+    Object.entries(initialData).forEach(([name, records]) => {
+        const collection = new Map();
+        records.forEach(record => {
+            collection.set(String(record.id), { ...clone(record), id: String(record.id) });
+        });
+        collections.set(name, collection);
+    });
+
+    // Serialise every operation so read-modify-write sequences cannot interleave
+    let queue = Promise.resolve();
+    function exclusive(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    function getCollection(name) {
+        if (!collections.has(name)) {
+            collections.set(name, new Map());
+        }
+        return collections.get(name);
+    }
+
+    async function persist(names) {
+        if (!onWrite) return;
+        for (const name of names) {
+            await onWrite(name, Array.from(getCollection(name).values()));
+        }
+    }
+
+    /**
+     * Build the set of synchronous operations, recording which
+     * collections were written so they can be persisted afterwards
+     */
+    function createOperations(dirty) {
+        return {
+            get(collection, id) {
+                const record = getCollection(collection).get(String(id));
+                return record ? clone(record) : null;
+            },
+
+            list(collection, query = {}) {
+                const records = Array.from(getCollection(collection).values());
+                return applyQuery(records, query).map(clone);
+            },
+
+            add(collection, data) {
+                const id = generateId();
+                const record = { ...clone(data), id };
+                getCollection(collection).set(id, record);
+                dirty.add(collection);
+                return clone(record);
+            },
+
+            set(collection, id, data) {
+                const record = { ...clone(data), id: String(id) };
+                getCollection(collection).set(String(id), record);
+                dirty.add(collection);
+                return clone(record);
+            },
+
+            update(collection, id, patch) {
+                const existing = getCollection(collection).get(String(id));
+                if (!existing) return null;
+                const record = { ...existing, ...clone(patch), id: String(id) };
+                getCollection(collection).set(String(id), record);
+                dirty.add(collection);
+                return clone(record);
+            },
+
+            remove(collection, id) {
+                const deleted = getCollection(collection).delete(String(id));
+                if (deleted) dirty.add(collection);
+                return deleted;
+            }
+        };
+    }
+
+    /**
+     * Run a single operation outside of a transaction
+     */
+    function runSingle(method, args) {
+        return exclusive(async () => {
+            const dirty = new Set();
+            const result = createOperations(dirty)[method](...args);
+            await persist(dirty);
+            return result;
+        });
+    }
+
+    return {
+        name: 'memory',
+
+        get: (collection, id) => runSingle('get', [collection, id]),
+        list: (collection, query) => runSingle('list', [collection, query]),
+        add: (collection, data) => runSingle('add', [collection, data]),
+        set: (collection, id, data) => runSingle('set', [collection, id, data]),
+        update: (collection, id, patch) => runSingle('update', [collection, id, patch]),
+        remove: (collection, id) => runSingle('remove', [collection, id]),
+
+        /**
+         * Run several reads and writes atomically.
+         * The callback receives an object with the same methods as the
+         * storage backend. Do not call the backend itself from inside the
+         * callback - use the transaction object instead.
+         */
+        transaction(callback) {
+            return exclusive(async () => {
+                const snapshot = new Map();
+                collections.forEach((records, name) => {
+                    snapshot.set(name, new Map(records));
+                });
+
+                const dirty = new Set();
+                const operations = createOperations(dirty);
+                const tx = {};
+                Object.keys(operations).forEach(method => {
+                    tx[method] = async (...args) => operations[method](...args);
+                });
+
+                try {
+                    const result = await callback(tx);
+                    await persist(dirty);
+                    return result;
+                } catch (error) {
+                    // Roll back every collection to its state before the transaction
+                    collections.clear();
+                    snapshot.forEach((records, name) => collections.set(name, records));
+                    throw error;
+                }
+            });
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStorage
+};
@@ -0,0 +1,166 @@
+/**
+ * Query Helpers for Local Storage Backends
+ *
+ * The memory and JSON backends keep records as plain objects, so they
+ * evaluate queries in JavaScript. These helpers implement the same
+ * subset of Firestore query semantics that the Firestore backend
+ * passes straight through: where filters, orderBy, startAfter and limit.
+ *
+ * Query shape:
+ *   {
+ *     where: [['event_id', '==', 'abc'], ['status', 'in', ['a', 'b']]],
+ *     orderBy: [['date', 'asc'], ['title', 'asc']],
+ *     startAfter: ['2025-12-01', 'AI Workshop'],
+ *     limit: 20
+ *   }
+ */
+
+const crypto = require('crypto');
+
+const SUPPORTED_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains', 'array-contains-any'];
+
+/**
+ * Generate a Firestore-style 20 character document ID
+ * @returns {string} Random document ID
+ */
+function generateId() {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    const bytes = crypto.randomBytes(20);
+    let id = '';
+    for (let i = 0; i < bytes.length; i++) {
+        id += alphabet[bytes[i] % alphabet.length];
+    }
+    return id;
+}
+
+/**
+ * Deep copy a record so callers can never mutate stored data in place
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare two field values the way Firestore orders them
+ * (missing values first, then numbers, then strings)
+ */
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    if (typeof a !== typeof b) {
+        return typeof a < typeof b ? -1 : 1;
+    }
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Check a single where clause against a record
+ * @param {Object} record - Stored record
+ * @param {Array} clause - [field, operator, value]
+ * @returns {boolean} True if the record matches
+ */
+function matchesClause(record, [field, operator, value]) {
+    const actual = record[field];
+
+    switch (operator) {
+        case '==':
+            return actual === value;
+        case '!=':
+            return actual !== undefined && actual !== value;
+        case '<':
+            return actual !== undefined && actual !== null && compareValues(actual, value) < 0;
+        case '<=':
+            return actual !== undefined && actual !== null && compareValues(actual, value) <= 0;
+        case '>':
+            return actual !== undefined && actual !== null && compareValues(actual, value) > 0;
+        case '>=':
+            return actual !== undefined && actual !== null && compareValues(actual, value) >= 0;
+        case 'in':
+            return value.includes(actual);
+        case 'not-in':
+            return actual !== undefined && !value.includes(actual);
+        case 'array-contains':
+            return Array.isArray(actual) && actual.includes(value);
+        case 'array-contains-any':
+            return Array.isArray(actual) && actual.some(item => value.includes(item));
+        default:
+            throw new Error(`Unsupported query operator: ${operator}`);
+    }
+}
+
+/**
+ * Validate a query before running it, so a typo fails loudly
+ * instead of returning an empty result
+ * @param {Object} query - Query description
+ */
+function validateQuery(query = {}) {
+    const allowedKeys = ['where', 'orderBy', 'startAfter', 'limit'];
+    Object.keys(query).forEach(key => {
+        if (!allowedKeys.includes(key)) {
+            throw new Error(`Unsupported query option: ${key}`);
+        }
+    });
+
+    (query.where || []).forEach(clause => {
+        if (!Array.isArray(clause) || clause.length !== 3) {
+            throw new Error('Where clauses must be [field, operator, value]');
+        }
+        if (!SUPPORTED_OPERATORS.includes(clause[1])) {
+            throw new Error(`Unsupported query operator: ${clause[1]}`);
+        }
+    });
+
+    if (query.startAfter && !(query.orderBy && query.orderBy.length)) {
+        throw new Error('startAfter requires orderBy');
+    }
+}
+
+/**
+ * Run a query against an array of records
+ * @param {Array<Object>} records - All records in a collection
+ * @param {Object} query - Query description
+ * @returns {Array<Object>} Matching records, ordered and limited
+ */
+function applyQuery(records, query = {}) {
+    validateQuery(query);
+
+    let results = records.filter(record =>
+        (query.where || []).every(clause => matchesClause(record, clause))
+    );
+
+    const orderBy = query.orderBy || [];
+    if (orderBy.length > 0) {
+        const compareRecords = (a, b) => {
+            for (const [field, direction = 'asc'] of orderBy) {
+                const result = compareValues(a[field], b[field]);
+                if (result !== 0) {
+                    return direction === 'desc' ? -result : result;
+                }
+            }
+            return 0;
+        };
+        results.sort(compareRecords);
+
+        if (query.startAfter) {
+            const cursor = {};
+            orderBy.forEach(([field], index) => {
+                cursor[field] = query.startAfter[index];
+            });
+            results = results.filter(record => compareRecords(record, cursor) > 0);
+        }
+    }
+
+    if (query.limit) {
+        results = results.slice(0, query.limit);
+    }
+
+    return results;
+}
+
+module.exports = {
+    generateId,
+    clone,
+    applyQuery,
+    validateQuery
+};
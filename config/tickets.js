@@ -0,0 +1,91 @@
+/**
+ * Tickets
+ *
+ * Every confirmed registration has a ticket: a token signed with
+ * TICKET_SECRET that volunteers scan (as a QR code) or type in at the
+ * check-in desk. The token names the registration and carries an HMAC
+ * over the registration and event IDs, so it cannot be guessed or moved
+ * to another event.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+/**
+ * Secret used to sign tickets. Falls back to SESSION_SECRET so existing
+ * deployments keep working; set TICKET_SECRET to rotate tickets separately.
+ */
+function getTicketSecret() {
+    return process.env.TICKET_SECRET
+        || process.env.SESSION_SECRET
+        || 'event-registration-ticket-secret-change-in-production';
+}
+
+/**
+ * Signature part of a ticket token
+ */
+function sign(registrationId, eventId) {
+    return crypto.createHmac('sha256', getTicketSecret())
+        .update(`ticket:${registrationId}:${eventId}`)
+        .digest('base64url')
+        .slice(0, 22);
+}
+
+/**
+ * Ticket token for a registration, e.g. "AbC123.x9Y..."
+ * @param {Object} registration - Registration record
+ * @returns {string} Signed token
+ */
+function createTicketToken(registration) {
+    return `${registration.id}.${sign(registration.id, registration.event_id)}`;
+}
+
+/**
+ * Registration ID a token claims to be for. The claim still has to be
+ * checked with isValidTicketToken() once the registration is loaded.
+ * @param {string} token - Token as scanned or typed
+ * @returns {string|null} Registration ID, or null if the token is malformed
+ */
+function getTicketRegistrationId(token) {
+    const match = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]{22})$/.exec(String(token || '').trim());
+    return match ? match[1] : null;
+}
+
+/**
+ * Check a token's signature against the registration it names
+ * @param {string} token - Token as scanned or typed
+ * @param {Object} registration - Registration record
+ * @returns {boolean} True if the token was issued for this registration
+ */
+function isValidTicketToken(token, registration) {
+    if (!registration) return false;
+    const expected = Buffer.from(createTicketToken(registration));
+    const given = Buffer.from(String(token || '').trim());
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * QR code image of a ticket token
+ * @param {string} token - Ticket token
+ * @returns {Promise<string>} PNG data URL for an <img> tag
+ */
+function renderTicketQr(token) {
+    return QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 2, width: 280 });
+}
+
+/**
+ * QR code image of a ticket token as a PNG file, for email attachments
+ * @param {string} token - Ticket token
+ * @returns {Promise<Buffer>} PNG image
+ */
+function renderTicketQrPng(token) {
+    return QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 2, width: 280 });
+}
+
+module.exports = {
+    createTicketToken,
+    getTicketRegistrationId,
+    isValidTicketToken,
+    renderTicketQr,
+    renderTicketQrPng
+};
@@ -0,0 +1,264 @@
+/**
+ * File Upload Configuration
+ *
+ * Multer middleware for files uploaded through admin forms.
+ * Posters and certificate backgrounds are stored under public/uploads so
+ * they are served as static files; event import files are only kept in
+ * memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'public', 'uploads');
+const POSTERS_DIR = path.join(UPLOADS_DIR, 'posters');
+const CERTIFICATES_DIR = path.join(UPLOADS_DIR, 'certificates');
+
+// Stored extension for each accepted image type, never the client's file name
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif'
+};
+const IMAGE_TYPES = Object.keys(IMAGE_EXTENSIONS);
+const MAX_POSTER_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Certificate PDFs can only embed JPEG and PNG images
+const CERTIFICATE_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const MAX_CERTIFICATE_BACKGROUND_SIZE = 5 * 1024 * 1024; // 5 MB
+
+const IMPORT_EXTENSIONS = ['.csv', '.json'];
+const MAX_IMPORT_SIZE = 1024 * 1024; // 1 MB
+
+/**
+ * Image type of a stored file, read from its first bytes
+ * @param {string} filePath - File on disk
+ * @returns {Promise<string|null>} MIME type from IMAGE_TYPES, or null if
+ *          the file does not start like one of them
+ */
+async function detectImageType(filePath) {
+    const header = Buffer.alloc(12);
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        await handle.read(header, 0, header.length, 0);
+    } finally {
+        await handle.close();
+    }
+
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'image/jpeg';
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (header.toString('latin1', 0, 6) === 'GIF87a' || header.toString('latin1', 0, 6) === 'GIF89a') return 'image/gif';
+    if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    return null;
+}
+
+/**
+ * Wrap a multer single-file middleware so the stored file must really be
+ * an image of the type it was uploaded as. Anything else is deleted and
+ * reported on req.uploadError; upload errors are stored there too,
+ * instead of failing the request, so routes can show them next to the form.
+ * @param {Function} upload - multer().single() middleware
+ * @param {Array<string>} types - Accepted MIME types
+ * @param {string} typeError - Message for files of another type
+ * @param {string} sizeError - Message for files over the size limit
+ * @returns {Function} Express middleware
+ */
+function checkedImageUpload(upload, types, typeError, sizeError) {
+    return (req, res, next) => {
+        upload(req, res, async (error) => {
+            if (error) {
+                req.uploadError = error.code === 'LIMIT_FILE_SIZE' ? sizeError : error.message;
+                return next();
+            }
+            if (!req.file) return next();
+
+            try {
+                const type = await detectImageType(req.file.path);
+                if (type && types.includes(type) && type === req.file.mimetype) return next();
+            } catch (readError) {
+                console.error('❌ Error reading uploaded file:', readError);
+            }
+            await fs.promises.unlink(req.file.path).catch(() => {});
+            req.file = undefined;
+            req.uploadError = typeError;
+            next();
+        });
+    };
+}
+
+/**
+ * Multer instance for event posters
+ */
+const posterUpload = multer({
+    storage: multer.diskStorage({
+        destination(req, file, callback) {
+            fs.mkdirSync(POSTERS_DIR, { recursive: true });
+            callback(null, POSTERS_DIR);
+        },
+        filename(req, file, callback) {
+            const extension = IMAGE_EXTENSIONS[file.mimetype] || '.jpg';
+            callback(null, `${crypto.randomBytes(12).toString('hex')}${extension}`);
+        }
+    }),
+    limits: { fileSize: MAX_POSTER_SIZE },
+    fileFilter(req, file, callback) {
+        if (!IMAGE_TYPES.includes(file.mimetype)) {
+            return callback(new Error('Poster must be a JPEG, PNG, WebP or GIF image'));
+        }
+        callback(null, true);
+    }
+});
+
+/**
+ * Middleware that accepts an optional "poster" file.
+ * Upload errors are stored on req.uploadError instead of failing the request,
+ * so routes can show them next to the form.
+ */
+const uploadPoster = checkedImageUpload(posterUpload.single('poster'), IMAGE_TYPES,
+    'Poster must be a JPEG, PNG, WebP or GIF image', 'Poster must be smaller than 5 MB');
+
+/**
+ * Multer instance for certificate backgrounds
+ */
+const certificateBackgroundUpload = multer({
+    storage: multer.diskStorage({
+        destination(req, file, callback) {
+            fs.mkdirSync(CERTIFICATES_DIR, { recursive: true });
+            callback(null, CERTIFICATES_DIR);
+        },
+        filename(req, file, callback) {
+            const extension = file.mimetype === 'image/png' ? '.png' : '.jpg';
+            callback(null, `${crypto.randomBytes(12).toString('hex')}${extension}`);
+        }
+    }),
+    limits: { fileSize: MAX_CERTIFICATE_BACKGROUND_SIZE },
+    fileFilter(req, file, callback) {
+        if (!CERTIFICATE_IMAGE_TYPES.includes(file.mimetype)) {
+            return callback(new Error('Certificate background must be a JPEG or PNG image'));
+        }
+        callback(null, true);
+    }
+});
+
+/**
+ * Middleware that accepts an optional "background" file for a
+ * certificate template. Upload errors are stored on req.uploadError, as
+ * for posters.
+ */
+const uploadCertificateBackground = checkedImageUpload(certificateBackgroundUpload.single('background'),
+    CERTIFICATE_IMAGE_TYPES, 'Certificate background must be a JPEG or PNG image',
+    'Certificate background must be smaller than 5 MB');
+
+/**
+ * Multer instance for event import files (CSV or JSON), held in memory
+ */
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_SIZE },
+    fileFilter(req, file, callback) {
+        if (!IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            return callback(new Error('Import file must be a .csv or .json file'));
+        }
+        callback(null, true);
+    }
+});
+
+/**
+ * Middleware that accepts an "importFile" upload.
+ * Upload errors are stored on req.uploadError, as for posters.
+ */
+function uploadImportFile(req, res, next) {
+    importUpload.single('importFile')(req, res, (error) => {
+        if (error) {
+            req.uploadError = error.code === 'LIMIT_FILE_SIZE'
+                ? 'Import file must be smaller than 1 MB'
+                : error.message;
+        }
+        next();
+    });
+}
+
+/**
+ * Public URL of an uploaded poster
+ * @param {Object} file - Multer file object
+ * @returns {string} URL path served from public/
+ */
+function posterUrlFor(file) {
+    return `/uploads/posters/${file.filename}`;
+}
+
+/**
+ * Public URL of an uploaded certificate background
+ * @param {Object} file - Multer file object
+ * @returns {string} URL path served from public/
+ */
+function certificateBackgroundUrlFor(file) {
+    return `/uploads/certificates/${file.filename}`;
+}
+
+/**
+ * True for URLs of files uploaded to this site. Only the server sets
+ * these on an event; they are never accepted from a form or request body.
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isUploadUrl(url) {
+    return typeof url === 'string' && url.trim().startsWith('/uploads/');
+}
+
+/**
+ * Where an uploaded file is stored on disk, given its public URL
+ * @param {string} url - Public URL path
+ * @returns {string|null} File path, or null for URLs outside /uploads/
+ */
+function uploadedFilePath(url) {
+    if (!url || !url.startsWith('/uploads/')) return null;
+
+    const filePath = path.join(UPLOADS_DIR, path.normalize(url.slice('/uploads/'.length)));
+    return filePath.startsWith(UPLOADS_DIR) ? filePath : null;
+}
+
+/**
+ * Delete a previously uploaded file given its public URL.
+ * URLs outside /uploads/ (e.g. external poster links) are ignored.
+ * @param {string} url - Public URL path
+ */
+async function removeUploadedFile(url) {
+    const filePath = uploadedFilePath(url);
+    if (!filePath) return;
+
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Error removing uploaded file:', error);
+        }
+    }
+}
+
+/**
+ * Delete an event's uploaded poster given its URL. Only files in the
+ * posters folder are removed, so a poster URL never deletes a
+ * certificate background.
+ * @param {string} url - Poster URL the event had
+ */
+async function removePosterFile(url) {
+    if (!isUploadUrl(url) || !url.startsWith('/uploads/posters/')) return;
+    await removeUploadedFile(url);
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    uploadPoster,
+    uploadImportFile,
+    uploadCertificateBackground,
+    posterUrlFor,
+    certificateBackgroundUrlFor,
+    isUploadUrl,
+    uploadedFilePath,
+    removeUploadedFile,
+    removePosterFile
+};
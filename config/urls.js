@@ -0,0 +1,26 @@
+/**
+ * Public Site URL
+ *
+ * Links that leave the browser (calendar files, emails) need the site's
+ * absolute URL. Set APP_URL in production, especially behind a proxy.
+ */
+
+/**
+ * Site URL without a trailing slash: APP_URL if set, otherwise the URL
+ * the request came in on, otherwise the local development server
+ * @param {Object} [req] - Express request, if there is one
+ * @returns {string} Base URL
+ */
+function getBaseUrl(req) {
+    if (process.env.APP_URL) {
+        return process.env.APP_URL.replace(/\/+$/, '');
+    }
+    if (req) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+    return `http://localhost:${process.env.PORT || 3000}`;
+}
+
+module.exports = {
+    getBaseUrl
+};
@@ -0,0 +1,78 @@
+/**
+ * Admin Bootstrap Script
+ *
+ * Promotes an existing account to admin from the command line, so the
+ * first admin can be created without the admin console.
+ * If the user has signed up with Firebase but never logged in to the
+ * portal, their user record is created from Firebase Authentication.
+ *
+ * Usage: npm run make-admin -- someone@example.com
+ */
+
+require('dotenv').config();
+const db = require('./config/db');
+const { revokeUserSessions } = require('./config/sessions');
+
+/**
+ * Find the portal user for an email, creating the record from
+ * Firebase Authentication if it does not exist yet
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} User record or null if unknown everywhere
+ */
+async function findOrCreateUser(email) {
+    const existing = await db.getUserByEmail(email);
+    if (existing) {
+        return existing;
+    }
+
+    const { admin } = require('./config/firebase');
+    try {
+        const firebaseUser = await admin.auth().getUserByEmail(email);
+        return await db.createUser({
+            uid: firebaseUser.uid,
+            email: firebaseUser.email,
+            name: firebaseUser.displayName || firebaseUser.email,
+            role: 'student'
+        });
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Main function
+ */
+async function makeAdmin() {
+    const email = process.argv[2];
+
+    if (!email) {
+        console.error('❌ Usage: npm run make-admin -- <email>');
+        process.exit(1);
+    }
+
+    try {
+        const user = await findOrCreateUser(email);
+        if (!user) {
+            console.error(`❌ No account found for ${email}. Ask them to register first.`);
+            process.exit(1);
+        }
+
+        await db.updateUserRole(user.uid, 'admin');
+        if (user.disabled) {
+            await db.setUserDisabled(user.uid, false);
+        }
+        // Role changes end existing logins, like they do in the admin console
+        await revokeUserSessions(user.uid);
+
+        console.log(`✅ ${user.email} is now an admin`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error promoting user:', error.message);
+        process.exit(1);
+    }
+}
+
+makeAdmin();
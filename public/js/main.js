@@ -70,85 +70,33 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     // ============================================
-    // FORM VALIDATION
+    // CONFIRMATIONS
     // ============================================
     
-    // Get the registration form if it exists on the page
-    const registrationForm = document.getElementById('registrationForm');
-    
-    if (registrationForm) {
-        // Add event listener for form submission
-        registrationForm.addEventListener('submit', function(event) {
-            // Get form fields
-            const nameInput = document.getElementById('name');
-            const emailInput = document.getElementById('email');
-            
-            // Remove previous validation classes
-            nameInput.classList.remove('is-invalid', 'is-valid');
-            emailInput.classList.remove('is-invalid', 'is-valid');
-            
-            // Validation flag
-            let isValid = true;
-            
-            // Validate name field
-            if (!nameInput.value || nameInput.value.trim().length === 0) {
-                nameInput.classList.add('is-invalid');
-                isValid = false;
-            } else {
-                nameInput.classList.add('is-valid');
-            }
-            
-            // Validate email field
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailInput.value || !emailRegex.test(emailInput.value)) {
-                emailInput.classList.add('is-invalid');
-                isValid = false;
-            } else {
-                emailInput.classList.add('is-valid');
+    // Forms and buttons with data-confirm ask before submitting
+    // (inline onsubmit/onclick handlers are blocked by the CSP)
+    document.querySelectorAll('form[data-confirm]').forEach(function(form) {
+        form.addEventListener('submit', function(event) {
+            if (!confirm(form.dataset.confirm)) {
+                event.preventDefault();
             }
-            
-            // Prevent form submission if validation fails
-            if (!isValid) {
+        });
+    });
+    
+    document.querySelectorAll('button[data-confirm]').forEach(function(button) {
+        button.addEventListener('click', function(event) {
+            if (!confirm(button.dataset.confirm)) {
                 event.preventDefault();
-                event.stopPropagation();
-                
-                // Show alert message
-                showAlert('Please fill in all required fields correctly.', 'danger');
             }
-            
-            // Add Bootstrap validation classes
-            registrationForm.classList.add('was-validated');
         });
-        
-        // Real-time validation on input
-        const nameInput = document.getElementById('name');
-        const emailInput = document.getElementById('email');
-        
-        if (nameInput) {
-            nameInput.addEventListener('blur', function() {
-                if (this.value.trim().length === 0) {
-                    this.classList.add('is-invalid');
-                    this.classList.remove('is-valid');
-                } else {
-                    this.classList.add('is-valid');
-                    this.classList.remove('is-invalid');
-                }
-            });
-        }
-        
-        if (emailInput) {
-            emailInput.addEventListener('blur', function() {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(this.value)) {
-                    this.classList.add('is-invalid');
-                    this.classList.remove('is-valid');
-                } else {
-                    this.classList.add('is-valid');
-                    this.classList.remove('is-invalid');
-                }
-            });
-        }
-    }
+    });
+    
+    // Read-only fields with data-select-on-click select their text when clicked
+    document.querySelectorAll('[data-select-on-click]').forEach(function(input) {
+        input.addEventListener('click', function() {
+            input.select();
+        });
+    });
     
     // ============================================
     // AUTO-DISMISS ALERTS
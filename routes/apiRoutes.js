@@ -0,0 +1,617 @@
+/**
+ * REST API Routes (v1)
+ *
+ * JSON API for events and registrations, mounted at /api/v1 in server.js.
+ * Clients authenticate with a Firebase ID token in an
+ * "Authorization: Bearer <token>" header; browser sessions are not used.
+ * Errors, pagination and the JSON shapes are described in config/api.js,
+ * and the whole API in the OpenAPI document at /api/v1/openapi.json.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireApiAuth } = require('../config/auth');
+const { isUploadUrl, removeUploadedFile, removePosterFile } = require('../config/uploads');
+const mail = require('../config/mail');
+const { registrationRateLimit } = require('../config/security');
+const { getBaseUrl } = require('../config/urls');
+const { buildOpenApiDocument } = require('../config/openapi');
+const { scheduleEventPublish } = require('../config/scheduler');
+const {
+    apiError,
+    apiNotFound,
+    parsePagination,
+    paginate,
+    serializeEvent,
+    serializeRegistration
+} = require('../config/api');
+
+const optionalAuth = requireApiAuth({ optional: true });
+const requireUser = requireApiAuth();
+const requireOrganizerUser = requireApiAuth({ role: ['admin', 'organizer'] });
+const requireAdminUser = requireApiAuth({ role: 'admin' });
+
+/**
+ * True for admins calling the API
+ */
+function isAdmin(req) {
+    return Boolean(req.user && req.user.role === 'admin');
+}
+
+/**
+ * Load an event for the request, or throw a 404. Unpublished and archived
+ * events are only visible to admins and the organizers of the event's club.
+ * @param {Object} req - Express request
+ * @param {string} id - Event ID
+ * @returns {Promise<Object>} Event record
+ */
+async function findEvent(req, id) {
+    const event = await db.getEventById(id);
+    if (!event || (!db.isEventPublished(event) && !db.canManageEvent(req.user, event))) {
+        throw apiError(404, 'EVENT_NOT_FOUND', 'Event not found');
+    }
+    return event;
+}
+
+/**
+ * Status for an event created through the API: the body's status
+ * (draft, pending, or published for admins), by default published for
+ * admins and draft for organizers
+ * @param {Object} req - Express request
+ * @returns {string} One of db.EVENT_STATUS
+ */
+function getCreateStatus(req) {
+    const status = req.body.status || (isAdmin(req) ? db.EVENT_STATUS.PUBLISHED : db.EVENT_STATUS.DRAFT);
+    const allowed = [db.EVENT_STATUS.DRAFT, db.EVENT_STATUS.PENDING, db.EVENT_STATUS.PUBLISHED];
+    if (!allowed.includes(status)) {
+        throw apiError(422, 'VALIDATION_FAILED', 'The event is not valid', [`status must be one of: ${allowed.join(', ')}`]);
+    }
+    if (status === db.EVENT_STATUS.PUBLISHED && !isAdmin(req)) {
+        throw apiError(403, 'FORBIDDEN', 'Only admins can publish events; create a draft or submit it for review');
+    }
+    return status;
+}
+
+/**
+ * Load an event the caller manages, or throw a 404 or 403
+ * @param {Object} req - Express request
+ * @param {string} id - Event ID
+ * @returns {Promise<Object>} Event record
+ */
+async function findManagedEvent(req, id) {
+    const event = await findEvent(req, id);
+    if (!db.canManageEvent(req.user, event)) {
+        throw apiError(403, 'FORBIDDEN', 'You can only manage events of your own clubs');
+    }
+    return event;
+}
+
+/**
+ * Check the clubId of an event body, or throw a 422. Events of a club
+ * show the club's name as their organizer.
+ * @param {Object} req - Express request
+ * @param {Object} eventData - Clean event fields; organizer is set from the club
+ */
+async function applyEventClub(req, eventData) {
+    const { club, error } = await db.resolveEventClub(req.user, eventData.clubId);
+    if (error) {
+        throw apiError(422, 'VALIDATION_FAILED', 'The event is not valid', [error]);
+    }
+    if (club) {
+        eventData.organizer = club.name;
+    }
+}
+
+/**
+ * Validate an event body, or throw a 422 listing the problems.
+ * posterUrl may not point at an uploaded file, other than the poster
+ * the event already has.
+ * @param {Object} input - Event fields
+ * @param {string} [currentPosterUrl] - Poster URL of the event being updated
+ * @returns {Object} Clean event fields
+ */
+function validateEventBody(input, currentPosterUrl = '') {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw apiError(400, 'INVALID_BODY', 'Send the event as a JSON object');
+    }
+    const { data, errors } = db.validateEventData(input);
+    if (isUploadUrl(data.posterUrl) && data.posterUrl !== currentPosterUrl) {
+        errors.push('Poster URL must start with http:// or https://');
+    }
+    if (errors.length > 0) {
+        throw apiError(422, 'VALIDATION_FAILED', 'The event is not valid', errors);
+    }
+    return data;
+}
+
+/**
+ * True if the caller may see a registration: their own, one for an
+ * event they manage, or any for admins
+ */
+async function canSeeRegistration(req, registration) {
+    if (isAdmin(req) || db.isRegistrationOwnedBy(registration, req.user)) {
+        return true;
+    }
+    return db.canManageEvent(req.user, await db.getEventById(registration.event_id));
+}
+
+/**
+ * A registration with its waitlist position and team, in the API's JSON shape
+ */
+async function registrationResponse(registration, baseUrl, extra = {}) {
+    const team = registration.team_id ? await db.getTeamById(registration.team_id) : null;
+    return serializeRegistration(registration, baseUrl, {
+        waitlistPosition: await db.getWaitlistPosition(registration),
+        team: team && {
+            id: team.id,
+            name: team.name,
+            role: registration.teamRole,
+            inviteCode: team.inviteCode,
+            size: (await db.getTeamMembers(team.id)).length
+        },
+        ...extra
+    });
+}
+
+// ============================================
+// DOCUMENTATION
+// ============================================
+
+/**
+ * GET /api/v1/openapi.json
+ * OpenAPI 3 description of this API
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument(getBaseUrl(req)));
+});
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * GET /api/v1/events?category=&status=&includeArchived=true&page=&limit=
+ * List events, soonest first
+ *
+ * Public, listing published events. Admins and organizers also get the
+ * unpublished events they manage; admins can include archived events.
+ */
+router.get('/events', optionalAuth, async (req, res, next) => {
+    try {
+        const pagination = parsePagination(req.query);
+        const includeArchived = req.query.includeArchived === 'true';
+        if (includeArchived && !isAdmin(req)) {
+            throw apiError(403, 'FORBIDDEN', 'Only admins can list archived events');
+        }
+
+        let events = (await db.getAllEvents({ includeArchived }))
+            .filter(event => db.isEventPublished(event) || db.canManageEvent(req.user, event));
+        if (req.query.status) {
+            events = events.filter(event => db.getEventStatus(event) === req.query.status);
+        }
+        if (req.query.category) {
+            events = events.filter(event => (event.category || 'Other') === req.query.category);
+        }
+
+        const baseUrl = getBaseUrl(req);
+        const page = paginate(events, pagination);
+        res.json({ ...page, data: page.data.map(event => serializeEvent(event, baseUrl, req.user)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/v1/events/:id
+ * One event
+ *
+ * Public. Archived events are only shown to admins.
+ */
+router.get('/events/:id', optionalAuth, async (req, res, next) => {
+    try {
+        const event = await findEvent(req, req.params.id);
+        res.json({ data: serializeEvent(event, getBaseUrl(req), req.user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/v1/events
+ * Create an event. Posters are given as a URL.
+ *
+ * The body's status chooses between a draft, submitting the event for
+ * review and (admins only) publishing it; see getCreateStatus().
+ * Requires admin or organizer; organizers must set clubId to one of their clubs.
+ */
+router.post('/events', requireOrganizerUser, async (req, res, next) => {
+    try {
+        const eventData = validateEventBody(req.body);
+        await applyEventClub(req, eventData);
+        const event = await db.createEvent(eventData, { status: getCreateStatus(req) });
+        if (db.getEventStatus(event) === db.EVENT_STATUS.SCHEDULED) {
+            await scheduleEventPublish(event);
+        }
+        res.status(201)
+            .location(`/api/v1/events/${event.id}`)
+            .json({ data: serializeEvent(event, getBaseUrl(req), req.user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/v1/events/:id (replace) and PATCH /api/v1/events/:id (only the fields sent)
+ * Update an event
+ *
+ * Registrants are emailed about a changed date, time or venue, and a
+ * raised capacity moves students off the waitlist, as in the admin pages.
+ * Organizers' changes to a pending or scheduled event send it back for
+ * review (status pending); published events stay live.
+ * Requires admin, or an organizer of the event's club.
+ */
+async function updateEventHandler(req, res, next) {
+    try {
+        const event = await findManagedEvent(req, req.params.id);
+        const input = req.method === 'PATCH' && req.body && typeof req.body === 'object'
+            ? { ...event, ...req.body }
+            : req.body;
+        const eventData = validateEventBody(input, event.posterUrl);
+        await applyEventClub(req, eventData);
+        if (Boolean(eventData.teamEvent) !== Boolean(event.teamEvent)
+            && (await db.getRegistrationsByEventId(event.id)).length > 0) {
+            throw apiError(409, 'TEAM_SETTING_LOCKED',
+                'Team registration cannot be switched on or off once students have registered');
+        }
+
+        const updated = await db.updateEvent(event.id, eventData, { needsReview: req.user.role !== 'admin' });
+        if (db.getEventStatus(updated) === db.EVENT_STATUS.SCHEDULED) {
+            await scheduleEventPublish(updated);
+        }
+        const promoted = await db.fillWaitlist(event.id);
+        if (promoted.length > 0) {
+            console.log(`✅ Promoted ${promoted.length} registration(s) off the waitlist for event ${event.id}`);
+        }
+
+        const promotedIds = new Set(promoted.map(reg => reg.id));
+        const registrations = await db.getRegistrationsByEventId(event.id);
+        await mail.sendEventUpdated(event, updated, registrations.filter(reg => !promotedIds.has(reg.id)));
+        await mail.sendWaitlistPromotions(promoted, updated);
+
+        if (event.posterUrl && event.posterUrl !== eventData.posterUrl) {
+            await removePosterFile(event.posterUrl);
+        }
+
+        res.json({ data: serializeEvent(await db.getEventById(event.id), getBaseUrl(req), req.user) });
+    } catch (error) {
+        next(error);
+    }
+}
+router.put('/events/:id', requireOrganizerUser, updateEventHandler);
+router.patch('/events/:id', requireOrganizerUser, updateEventHandler);
+
+/**
+ * DELETE /api/v1/events/:id
+ * Archive (cancel) an event, notifying its registrants
+ *
+ * With ?permanent=true an archived event is deleted for good; its
+ * registrations are archived, or removed with &registrations=delete.
+ * Requires admin, or an organizer of the event's club.
+ */
+router.delete('/events/:id', requireOrganizerUser, async (req, res, next) => {
+    try {
+        const event = await findManagedEvent(req, req.params.id);
+
+        if (req.query.permanent === 'true') {
+            if (!db.isEventArchived(event)) {
+                throw apiError(409, 'NOT_ARCHIVED', 'Archive the event before deleting it permanently');
+            }
+            const keepRegistrations = req.query.registrations !== 'delete';
+            const result = await db.deleteEvent(event.id, { keepRegistrations });
+            if (!result) {
+                throw apiError(404, 'EVENT_NOT_FOUND', 'Event not found');
+            }
+            await removePosterFile(event.posterUrl);
+            await removeUploadedFile(event.certificateTemplate && event.certificateTemplate.backgroundUrl);
+            return res.status(204).end();
+        }
+
+        const archived = await db.archiveEvent(event.id);
+        if (!archived) {
+            throw apiError(409, 'ALREADY_ARCHIVED', 'The event is already archived');
+        }
+        const registrations = await db.getRegistrationsByEventId(archived.id);
+        await db.notifyEventRegistrants(db.NOTIFICATION_TYPES.EVENT_CANCELLED, archived, registrations);
+        await mail.sendEventCancelled(archived, registrations);
+
+        res.json({ data: serializeEvent(archived, getBaseUrl(req), req.user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/v1/events/:id/restore
+ * Restore an archived event, notifying its registrants
+ *
+ * Requires admin, or an organizer of the event's club.
+ */
+router.post('/events/:id/restore', requireOrganizerUser, async (req, res, next) => {
+    try {
+        const event = await findManagedEvent(req, req.params.id);
+        const restored = await db.restoreEvent(event.id);
+        if (!restored) {
+            throw apiError(409, 'NOT_ARCHIVED', 'The event is not archived');
+        }
+        const registrations = await db.getRegistrationsByEventId(restored.id);
+        await db.notifyEventRegistrants(db.NOTIFICATION_TYPES.EVENT_RESTORED, restored, registrations);
+
+        res.json({ data: serializeEvent(restored, getBaseUrl(req), req.user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/v1/events/:id/submit
+ * Submit a draft for review
+ *
+ * Requires admin, or an organizer of the event's club.
+ */
+router.post('/events/:id/submit', requireOrganizerUser, async (req, res, next) => {
+    try {
+        const event = await findManagedEvent(req, req.params.id);
+        const submitted = await db.submitEventForReview(event.id);
+        if (!submitted) {
+            throw apiError(409, 'NOT_DRAFT', 'Only drafts can be submitted for review');
+        }
+        res.json({ data: serializeEvent(submitted, getBaseUrl(req), req.user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/v1/events/:id/review
+ * Approve or reject an event waiting for review
+ *
+ * Body: { decision: "approve" | "reject", comment }. Approved events are
+ * published, or scheduled for their publishAt; rejected ones go back to
+ * draft and need a comment saying what to change.
+ * Requires admin.
+ */
+router.post('/events/:id/review', requireAdminUser, async (req, res, next) => {
+    try {
+        const event = await findEvent(req, req.params.id);
+        const { decision, comment } = req.body || {};
+        if (!['approve', 'reject'].includes(decision)) {
+            throw apiError(422, 'VALIDATION_FAILED', 'The review is not valid', ['decision must be approve or reject']);
+        }
+        if (decision === 'reject' && !String(comment || '').trim()) {
+            throw apiError(422, 'VALIDATION_FAILED', 'The review is not valid', ['comment is required when rejecting']);
+        }
+        if (db.getEventStatus(event) !== db.EVENT_STATUS.PENDING) {
+            throw apiError(409, 'NOT_PENDING', 'The event is not waiting for review');
+        }
+
+        const review = { reviewer: req.user.email, comment };
+        const reviewed = decision === 'approve'
+            ? await db.approveEvent(event.id, review)
+            : await db.rejectEvent(event.id, review);
+        if (!reviewed) {
+            throw apiError(409, 'NOT_PENDING', 'The event is not waiting for review');
+        }
+        if (db.getEventStatus(reviewed) === db.EVENT_STATUS.SCHEDULED) {
+            await scheduleEventPublish(reviewed);
+        }
+        res.json({ data: serializeEvent(reviewed, getBaseUrl(req), req.user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// REGISTRATIONS
+// ============================================
+
+/**
+ * GET /api/v1/events/:id/registrations?status=&page=&limit=
+ * An event's registrations, oldest first
+ *
+ * Cancelled registrations are only listed with status=cancelled.
+ * Requires admin, or an organizer of the event's club.
+ */
+router.get('/events/:id/registrations', requireOrganizerUser, async (req, res, next) => {
+    try {
+        const pagination = parsePagination(req.query);
+        const status = req.query.status;
+        if (status && !Object.values(db.REGISTRATION_STATUS).includes(status)) {
+            throw apiError(400, 'INVALID_STATUS', `status must be one of: ${Object.values(db.REGISTRATION_STATUS).join(', ')}`);
+        }
+
+        const event = await findManagedEvent(req, req.params.id);
+        let registrations = await db.getRegistrationsByEventId(event.id, {
+            includeCancelled: status === db.REGISTRATION_STATUS.CANCELLED
+        });
+        if (status) {
+            registrations = registrations.filter(reg => db.getRegistrationStatus(reg) === status);
+        }
+
+        // Waitlist positions follow from the (oldest first) order; team
+        // members share their leader's position
+        let position = 0;
+        const waitlistPositions = new Map();
+        registrations = db.groupRegistrationsByTeam(registrations);
+        registrations
+            .filter(reg => db.getRegistrationStatus(reg) === db.REGISTRATION_STATUS.WAITLISTED)
+            .forEach(reg => waitlistPositions.set(reg.id,
+                reg.teamRole === db.TEAM_ROLES.MEMBER ? position : ++position));
+
+        const baseUrl = getBaseUrl(req);
+        const page = paginate(registrations, pagination);
+        res.json({
+            ...page,
+            data: page.data.map(reg => serializeRegistration(reg, baseUrl, {
+                waitlistPosition: waitlistPositions.get(reg.id) || null
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/v1/events/:id/registrations
+ * Register the calling user for an event
+ *
+ * Body: { answers, hideFromAttendees, teamName, inviteCode }. answers
+ * holds the replies to the event's registrationFields, keyed by field
+ * key; hideFromAttendees defaults to the account's attendee list setting.
+ * Team events need either teamName (create a team and lead it) or
+ * inviteCode (join one). The registration always uses the account's name
+ * and email, and the event's registration window and eligibility rules
+ * apply. Takes a seat, or a waitlist place if the event is full.
+ * Rate limited per IP address and per user.
+ */
+router.post('/events/:id/registrations', requireUser, registrationRateLimit, async (req, res, next) => {
+    try {
+        const body = req.body || {};
+        const account = (await db.getUserByUid(req.user.uid)) || req.user;
+        const name = String(account.name || '').trim();
+        if (!name) {
+            throw apiError(422, 'VALIDATION_FAILED', 'The registration is not valid', ['the account has no name; set one on the profile page']);
+        }
+
+        const event = await findEvent(req, req.params.id);
+        const { state } = db.getRegistrationWindow(event);
+        if (state !== db.REGISTRATION_WINDOW.OPEN) {
+            const code = state === db.REGISTRATION_WINDOW.NOT_OPEN ? 'REGISTRATION_NOT_OPEN' : 'REGISTRATION_CLOSED';
+            throw apiError(409, code, db.getRegistrationWindowBlocker(event));
+        }
+        const blocker = db.getEligibilityBlocker(event, account);
+        if (blocker) {
+            throw apiError(403, 'NOT_ELIGIBLE', blocker);
+        }
+
+        const { answers, errors } = db.validateRegistrationAnswers(event, body.answers);
+        if (errors.length > 0) {
+            throw apiError(422, 'VALIDATION_FAILED', 'The registration is not valid', errors);
+        }
+
+        const hideFromAttendees = body.hideFromAttendees === undefined
+            ? Boolean(account.hideFromAttendeeLists)
+            : body.hideFromAttendees;
+        const registration = await db.createRegistration({
+            name,
+            email: account.email,
+            event_id: event.id,
+            uid: req.user.uid,
+            hideFromAttendees: hideFromAttendees === true || hideFromAttendees === 'true',
+            answers,
+            team: !event.teamEvent ? undefined
+                : body.inviteCode ? { inviteCode: String(body.inviteCode) }
+                    : body.teamName !== undefined ? { name: String(body.teamName) } : {}
+        });
+        await mail.sendRegistrationConfirmation(registration, await db.getEventById(event.id));
+
+        res.status(201).json({ data: await registrationResponse(registration, getBaseUrl(req)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/v1/registrations/:id
+ * One registration
+ *
+ * Students can read their own registrations; organizers those for their
+ * clubs' events, and admins any.
+ */
+router.get('/registrations/:id', requireUser, async (req, res, next) => {
+    try {
+        const registration = await db.getRegistrationById(req.params.id);
+        if (!registration || !(await canSeeRegistration(req, registration))) {
+            throw apiError(404, 'REGISTRATION_NOT_FOUND', 'Registration not found');
+        }
+        res.json({ data: await registrationResponse(registration, getBaseUrl(req)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/v1/registrations/:id
+ * Cancel a registration; the freed seat goes to the waitlist
+ *
+ * Students can cancel their own registrations until
+ * CANCELLATION_CUTOFF_HOURS before the event; organizers those for
+ * their clubs' events and admins any, at any time.
+ */
+router.delete('/registrations/:id', requireUser, async (req, res, next) => {
+    try {
+        const registration = await db.getRegistrationById(req.params.id);
+        if (!registration || !(await canSeeRegistration(req, registration))) {
+            throw apiError(404, 'REGISTRATION_NOT_FOUND', 'Registration not found');
+        }
+
+        const event = await db.getEventById(registration.event_id);
+        if (!isAdmin(req) && !db.canManageEvent(req.user, event)) {
+            const blocker = db.getCancellationBlocker(event);
+            if (blocker) {
+                throw apiError(409, 'CANCELLATION_CLOSED', blocker);
+            }
+        }
+
+        const result = await db.cancelRegistration(registration.id);
+        if (!result) {
+            throw apiError(409, 'ALREADY_CANCELLED', 'This registration is already cancelled');
+        }
+        await mail.sendWaitlistPromotions(result.promoted, event);
+        await mail.sendTeamCancelled(result.teammates, event);
+
+        res.json({ data: serializeRegistration(result.registration, getBaseUrl(req), { waitlistPosition: null }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/v1/me/registrations?status=&page=&limit=
+ * The calling user's registrations with a summary of each event, oldest first
+ */
+router.get('/me/registrations', requireUser, async (req, res, next) => {
+    try {
+        const pagination = parsePagination(req.query);
+        let registrations = await db.getRegistrationsForUser(req.user);
+        if (req.query.status) {
+            registrations = registrations.filter(reg => db.getRegistrationStatus(reg) === req.query.status);
+        }
+
+        const baseUrl = getBaseUrl(req);
+        const page = paginate(registrations, pagination);
+        const data = [];
+        for (const registration of page.data) {
+            const event = await db.getEventById(registration.event_id) || registration.eventSnapshot || null;
+            data.push(await registrationResponse(registration, baseUrl, {
+                event: event && {
+                    id: event.id || registration.event_id,
+                    title: event.title,
+                    date: event.date,
+                    startTime: event.startTime || null,
+                    venue: event.venue,
+                    state: !event.id ? 'deleted' : db.isEventArchived(event) ? 'archived' : 'live'
+                }
+            }));
+        }
+        res.json({ ...page, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Unknown API paths get a JSON 404, not the HTML page
+router.use(apiNotFound);
+
+// Export the router to be used in server.js
+module.exports = router;
@@ -8,7 +8,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
-const { requireAuth } = require('../config/auth');
+const { requireAuth, getInitialRole, createSessionCookie } = require('../config/auth');
+const { getSessionLengthMs } = require('../config/sessions');
+const { loginRateLimit } = require('../config/security');
+const tickets = require('../config/tickets');
+const { getBaseUrl } = require('../config/urls');
 
 /**
  * GET /login
@@ -45,9 +49,11 @@ router.get('/register', (req, res) => {
 /**
  * POST /api/auth/login
  * Handle Firebase login token
- * Client sends Firebase ID token after successful authentication
+ * Client sends Firebase ID token after successful authentication; it is
+ * exchanged for a session cookie that lasts SESSION_LENGTH_HOURS.
+ * Rate limited per IP address.
  */
-router.post('/api/auth/login', async (req, res) => {
+router.post('/api/auth/login', loginRateLimit, async (req, res) => {
     try {
         const { idToken, userData } = req.body;
 
@@ -55,20 +61,24 @@ router.post('/api/auth/login', async (req, res) => {
             return res.status(400).json({ error: 'ID token is required' });
         }
 
-        // Verify token with Firebase Admin
-        const { admin } = require('../config/firebase');
-        const decodedToken = await admin.auth().verifyIdToken(idToken);
+        // Verify the token and exchange it for a session cookie
+        const expiresIn = getSessionLengthMs();
+        const { decodedToken, sessionCookie } = await createSessionCookie(idToken, expiresIn);
 
         // Get or create user in Firestore
         let user = await db.getUserByUid(decodedToken.uid);
         if (!user) {
-            // Create new user with role from request or default to student
+            // Create new user. The email comes from the verified token only, and
+            // the role is decided server-side: everyone starts as a student
+            // unless their verified email is listed in ADMIN_EMAILS
+            const email = decodedToken.email || '';
             try {
                 user = await db.createUser({
                     uid: decodedToken.uid,
-                    email: decodedToken.email || userData?.email,
-                    name: decodedToken.name || userData?.name || decodedToken.email,
-                    role: userData?.role || 'student' // Use role from request or default to student
+                    email: email,
+                    emailVerified: Boolean(decodedToken.email_verified),
+                    name: decodedToken.name || userData?.name || email,
+                    role: getInitialRole(decodedToken)
                 });
             } catch (createError) {
                 // If Firestore is not enabled, provide helpful error
@@ -82,18 +92,36 @@ router.post('/api/auth/login', async (req, res) => {
             }
         }
 
-        // Store in session
-        req.session.idToken = idToken;
-        req.session.user = {
-            uid: user.uid,
-            email: user.email,
-            name: user.name,
-            role: user.role
-        };
-
-        res.json({
-            success: true,
-            user: req.session.user
+        if (user.disabled) {
+            return res.status(403).json({ error: 'Your account has been disabled. Contact an administrator.' });
+        }
+
+        // Students may verify their email after signing up
+        if (Boolean(user.emailVerified) !== Boolean(decodedToken.email_verified)) {
+            user = await db.setUserEmailVerified(user.uid, decodedToken.email_verified);
+        }
+
+        // Start a new session so a session ID from before login cannot be reused
+        req.session.regenerate((regenerateError) => {
+            if (regenerateError) {
+                console.error('Login error:', regenerateError);
+                return res.status(500).json({ error: 'Login failed' });
+            }
+
+            req.session.sessionCookie = sessionCookie;
+            req.session.loginExpiresAt = new Date(Date.now() + expiresIn).toISOString();
+            req.session.user = {
+                uid: user.uid,
+                email: user.email,
+                name: user.name,
+                role: user.role,
+                clubIds: db.getManagedClubIds(user)
+            };
+
+            res.json({
+                success: true,
+                user: req.session.user
+            });
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -134,12 +162,70 @@ router.get('/logout', (req, res) => {
 router.get('/profile', requireAuth, async (req, res) => {
     try {
         const user = await db.getUserByUid(req.user.uid);
+
+        // "My Events": the user's active registrations with their events,
+        // split into upcoming and past
+        const now = new Date();
+        const registrations = (await db.getRegistrationsForUser(req.user))
+            .filter(reg => db.getRegistrationStatus(reg) !== db.REGISTRATION_STATUS.CANCELLED);
+
+        const myEvents = [];
+        for (const registration of registrations) {
+            const event = await db.getEventById(registration.event_id);
+            if (!event) continue;
+            myEvents.push({
+                registration: registration,
+                event: event,
+                status: db.getRegistrationStatus(registration),
+                waitlistPosition: await db.getWaitlistPosition(registration),
+                cancelBlocker: db.isEventArchived(event)
+                    ? 'This event has been cancelled'
+                    : db.getCancellationBlocker(event, now)
+            });
+        }
+        myEvents.sort((a, b) => db.getEventStart(a.event) - db.getEventStart(b.event));
+
+        // Tickets for confirmed places at upcoming events
+        for (const item of myEvents) {
+            if (item.status === db.REGISTRATION_STATUS.CONFIRMED
+                && !db.isEventArchived(item.event)
+                && db.getEventEnd(item.event) >= now) {
+                item.ticketQr = await tickets.renderTicketQr(tickets.createTicketToken(item.registration));
+            }
+        }
+
+        // Feedback for events that are over: open until the window closes.
+        // Certificates for events the student was checked in at.
+        for (const item of myEvents) {
+            if (db.getEventEnd(item.event) >= now) continue;
+            item.feedbackSent = Boolean(await db.getFeedbackByRegistrationId(item.registration.id));
+            item.feedbackOpen = !item.feedbackSent && !db.getFeedbackBlocker(item.event, item.registration, now);
+            item.certificateAvailable = !db.getCertificateBlocker(item.event, item.registration, now);
+        }
+
+        const notifications = await db.getNotificationsForUser(req.user);
+        const calendarToken = await db.getCalendarToken(req.user.uid);
+
         res.render('profile', {
             title: 'My Profile',
             user: user || req.user,
+            studentYears: db.STUDENT_YEARS,
+            upcomingEvents: myEvents.filter(item => db.getEventEnd(item.event) >= now),
+            pastEvents: myEvents.filter(item => db.getEventEnd(item.event) < now).reverse(),
+            pendingFeedback: myEvents.filter(item => item.feedbackOpen).reverse(),
+            cancellationCutoffHours: db.getCancellationCutoffHours(),
+            notifications: notifications,
+            calendarFeedUrl: calendarToken
+                ? `${getBaseUrl(req)}/calendar/${calendarToken}.ics`
+                : null,
             message: req.query.message || null,
             messageType: req.query.type || null
         });
+
+        // Shown once as new, then marked as read. The page has been sent by
+        // now, so a failure here is only logged
+        db.markNotificationsRead(notifications)
+            .catch(error => console.error('Error marking notifications read:', error));
     } catch (error) {
         console.error('Profile error:', error);
         res.status(500).render('error', {
@@ -149,5 +235,52 @@ router.get('/profile', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * POST /profile/details
+ * Save the user's name and academic details
+ *
+ * Registrations use this name, and the program, year and department are
+ * checked against each event's eligibility rules.
+ */
+router.post('/profile/details', requireAuth, async (req, res) => {
+    try {
+        const { data, errors } = db.validateProfileData(req.body);
+        if (errors.length > 0) {
+            return res.redirect(`/profile?message=${encodeURIComponent(errors.join('. '))}&type=danger`);
+        }
+
+        await db.updateUserProfile(req.user.uid, data);
+        console.log(`✅ User ${req.user.uid} updated their profile`);
+        res.redirect('/profile?message=Profile saved&type=success');
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        res.redirect('/profile?message=Failed to save profile&type=danger');
+    }
+});
+
+/**
+ * POST /profile/privacy
+ * Opt in or out of public attendee lists
+ *
+ * The setting applies to the user's existing registrations too, and is
+ * the default for the opt-out box on new registrations.
+ */
+router.post('/profile/privacy', requireAuth, async (req, res) => {
+    try {
+        const hidden = Boolean(req.body.hideFromAttendeeLists);
+        await db.setAttendeeListOptOut(req.user.uid, hidden);
+        const changed = await db.setHiddenFromAttendeesForUser(req.user, hidden);
+        console.log(`✅ User ${req.user.uid} ${hidden ? 'left' : 'joined'} public attendee lists (${changed} registration(s) updated)`);
+
+        const message = hidden
+            ? 'Your name is no longer shown on public attendee lists'
+            : 'Your name can be shown on public attendee lists';
+        res.redirect(`/profile?message=${encodeURIComponent(message)}&type=success`);
+    } catch (error) {
+        console.error('Error saving privacy settings:', error);
+        res.redirect('/profile?message=Failed to save privacy settings&type=danger');
+    }
+});
+
 module.exports = router;
 
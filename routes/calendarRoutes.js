@@ -0,0 +1,131 @@
+/**
+ * Calendar Routes
+ *
+ * This file serves iCalendar (.ics) files: a download for a single
+ * event, the public feed of all events, and each user's private feed
+ * of the events they are registered for.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireAuth } = require('../config/auth');
+const calendar = require('../config/calendar');
+const { getBaseUrl } = require('../config/urls');
+
+/**
+ * Send iCalendar text
+ * @param {Object} res - Express response
+ * @param {string} ics - Calendar file contents
+ * @param {string} [filename] - Offer the file as a download with this name
+ */
+function sendCalendar(res, ics, filename) {
+    res.type('text/calendar; charset=utf-8');
+    if (filename) {
+        res.attachment(filename);
+    }
+    res.send(ics);
+}
+
+/**
+ * GET /event/:eventId/calendar.ics
+ * "Add to calendar" download for one event
+ */
+router.get('/event/:eventId/calendar.ics', async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.eventId);
+        if (!event || (!db.isEventPublished(event) && !db.canManageEvent(req.session?.user, event))) {
+            return res.status(404).type('text/plain').send('Event not found');
+        }
+
+        const ics = calendar.buildCalendar([event], {
+            baseUrl: getBaseUrl(req),
+            name: event.title
+        });
+        sendCalendar(res, ics, `event-${event.id}.ics`);
+    } catch (error) {
+        console.error('Error building event calendar:', error);
+        res.status(500).type('text/plain').send('Failed to build calendar');
+    }
+});
+
+/**
+ * GET /events.ics
+ * Public subscribable feed of all published events
+ *
+ * Archived events that were published and have not happened yet stay
+ * in the feed as cancelled, so subscribed calendars remove or strike
+ * them out.
+ */
+router.get('/events.ics', async (req, res) => {
+    try {
+        const now = new Date();
+        const events = (await db.getAllEvents({ includeArchived: true }))
+            .filter(event => db.isEventPublished(event)
+                || (db.isEventArchived(event) && db.wasEventPublished(event) && db.getEventEnd(event) >= now));
+
+        sendCalendar(res, calendar.buildCalendar(events, {
+            baseUrl: getBaseUrl(req),
+            name: 'MUJ Events'
+        }));
+    } catch (error) {
+        console.error('Error building events feed:', error);
+        res.status(500).type('text/plain').send('Failed to build calendar');
+    }
+});
+
+/**
+ * GET /calendar/:token.ics
+ * A user's private feed of the events they are registered for
+ *
+ * The token in the URL is the only credential, so calendar apps can
+ * fetch it without logging in. Waitlisted places are marked tentative.
+ */
+router.get('/calendar/:token.ics', async (req, res) => {
+    try {
+        const user = await db.getUserByCalendarToken(req.params.token);
+        if (!user || user.disabled) {
+            return res.status(404).type('text/plain').send('Calendar not found');
+        }
+
+        const registrations = (await db.getRegistrationsForUser(user))
+            .filter(reg => db.getRegistrationStatus(reg) !== db.REGISTRATION_STATUS.CANCELLED);
+
+        const events = [];
+        const statuses = {};
+        for (const registration of registrations) {
+            const event = await db.getEventById(registration.event_id);
+            if (!event) continue;
+            events.push(event);
+            if (db.getRegistrationStatus(registration) === db.REGISTRATION_STATUS.WAITLISTED) {
+                statuses[event.id] = 'TENTATIVE';
+            }
+        }
+
+        sendCalendar(res, calendar.buildCalendar(events, {
+            baseUrl: getBaseUrl(req),
+            name: 'My MUJ Events',
+            statuses: statuses
+        }));
+    } catch (error) {
+        console.error('Error building user calendar feed:', error);
+        res.status(500).type('text/plain').send('Failed to build calendar');
+    }
+});
+
+/**
+ * POST /profile/calendar/reset
+ * Replace the user's private feed URL, e.g. after sharing it by mistake
+ */
+router.post('/profile/calendar/reset', requireAuth, async (req, res) => {
+    try {
+        await db.resetCalendarToken(req.user.uid);
+        res.redirect('/profile?message=Your calendar link was reset. Update it in your calendar app.&type=success');
+    } catch (error) {
+        console.error('Error resetting calendar token:', error);
+        res.redirect('/profile?message=Failed to reset calendar link&type=danger');
+    }
+});
+
+// Export the router to be used in server.js
+module.exports = router;
@@ -0,0 +1,286 @@
+/**
+ * Certificate Routes
+ *
+ * This file handles participation certificates: the certificate template
+ * admins set up for an event, the PDF students download from their
+ * profile, the ZIP of every certificate for admins, and the public
+ * verification page at /certificates/:id.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireAuth, requireEventManager } = require('../config/auth');
+const { uploadCertificateBackground, certificateBackgroundUrlFor, removeUploadedFile } = require('../config/uploads');
+const certificates = require('../config/certificates');
+const { exportFilename, formatTimestamp } = require('../config/export');
+const { getBaseUrl } = require('../config/urls');
+
+/**
+ * GET /admin/events/:id/certificates
+ * Certificate template and issued certificates for an event
+ *
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/certificates', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+
+        const template = db.getCertificateTemplate(event);
+        const registrations = await db.getRegistrationsByEventId(event.id);
+
+        res.render('admin-event-certificates', {
+            title: `Certificates - ${event.title}`,
+            event: event,
+            template: template,
+            layout: template ? template.layout : db.DEFAULT_CERTIFICATE_LAYOUT,
+            fields: db.CERTIFICATE_FIELDS,
+            checkedIn: registrations.filter(reg => reg.checkedInAt
+                && db.getRegistrationStatus(reg) === db.REGISTRATION_STATUS.CONFIRMED).length,
+            eventBlocker: db.getEventCertificateBlocker(event),
+            certificates: await db.getCertificatesByEventId(event.id),
+            formatCertificateId: certificates.formatCertificateId,
+            formatTimestamp: formatTimestamp,
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error loading certificates:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load certificates. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /admin/events/:id/certificates/template
+ * Save an event's certificate template
+ *
+ * A new background image replaces the current one; without one the
+ * current background is kept. Ticking "remove" turns certificates off
+ * for the event (certificates already issued stay valid).
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/certificates/template', requireEventManager, uploadCertificateBackground, async (req, res) => {
+    const eventId = req.params.id;
+    const page = `/admin/events/${eventId}/certificates`;
+    const uploadedUrl = req.file ? certificateBackgroundUrlFor(req.file) : null;
+    try {
+        const event = await db.getEventById(eventId);
+        if (!event) {
+            await removeUploadedFile(uploadedUrl);
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+        const current = db.getCertificateTemplate(event);
+
+        if (req.body.removeTemplate) {
+            await removeUploadedFile(uploadedUrl);
+            await db.saveCertificateTemplate(eventId, null);
+            await removeUploadedFile(current && current.backgroundUrl);
+            return res.redirect(`${page}?message=Certificates turned off for this event&type=success`);
+        }
+
+        const { layout, errors } = db.validateCertificateLayout(req.body);
+        if (req.uploadError) {
+            errors.unshift(req.uploadError);
+        }
+        const backgroundUrl = uploadedUrl || (current && current.backgroundUrl);
+        if (!backgroundUrl && !req.uploadError) {
+            errors.unshift('Upload a background image for the certificate');
+        }
+        if (errors.length > 0) {
+            await removeUploadedFile(uploadedUrl);
+            return res.redirect(`${page}?message=${encodeURIComponent(errors.join('. '))}&type=danger`);
+        }
+
+        await db.saveCertificateTemplate(eventId, { backgroundUrl, layout });
+        if (current && current.backgroundUrl !== backgroundUrl) {
+            await removeUploadedFile(current.backgroundUrl);
+        }
+        console.log(`✅ Certificate template saved for event ${eventId}`);
+
+        res.redirect(`${page}?message=Certificate template saved&type=success`);
+    } catch (error) {
+        console.error('Error saving certificate template:', error);
+        await removeUploadedFile(uploadedUrl);
+        res.redirect(`${page}?message=Failed to save the certificate template&type=danger`);
+    }
+});
+
+/**
+ * GET /admin/events/:id/certificates/preview
+ * Sample certificate for checking the layout
+ *
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/certificates/preview', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        const template = db.getCertificateTemplate(event);
+        if (!template) {
+            return res.redirect(`/admin/events/${req.params.id}/certificates?message=Save a certificate template first&type=warning`);
+        }
+
+        const pdf = await certificates.renderCertificatePdf({
+            id: 'SAMPLE000000',
+            name: 'Student Name',
+            eventTitle: event.title,
+            eventDate: event.date
+        }, template, getBaseUrl(req));
+
+        res.type('application/pdf')
+            .set('Content-Disposition', 'inline; filename="certificate-preview.pdf"')
+            .send(pdf);
+    } catch (error) {
+        console.error('Error previewing certificate:', error);
+        res.redirect(`/admin/events/${req.params.id}/certificates?message=Failed to draw the preview&type=danger`);
+    }
+});
+
+/**
+ * POST /admin/events/:id/certificates/issue
+ * Issue certificates to every checked-in student who has none yet
+ *
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/certificates/issue', requireEventManager, async (req, res) => {
+    const page = `/admin/events/${req.params.id}/certificates`;
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+        const blocker = db.getEventCertificateBlocker(event);
+        if (blocker) {
+            return res.redirect(`${page}?message=${encodeURIComponent(blocker)}&type=warning`);
+        }
+
+        const { issued } = await db.issueCertificates(event);
+        res.redirect(`${page}?message=${encodeURIComponent(`${issued} new certificate(s) issued`)}&type=success`);
+    } catch (error) {
+        console.error('Error issuing certificates:', error);
+        res.redirect(`${page}?message=Failed to issue certificates&type=danger`);
+    }
+});
+
+/**
+ * GET /admin/events/:id/certificates/download
+ * Download every certificate of an event as a ZIP of PDFs
+ *
+ * Checked-in students without a certificate get one first.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/certificates/download', requireEventManager, async (req, res) => {
+    const page = `/admin/events/${req.params.id}/certificates`;
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+        const template = db.getCertificateTemplate(event);
+        const blocker = db.getEventCertificateBlocker(event);
+        if (blocker) {
+            return res.redirect(`${page}?message=${encodeURIComponent(blocker)}&type=warning`);
+        }
+
+        const issued = await db.issueCertificates(event);
+        if (issued.certificates.length === 0) {
+            return res.redirect(`${page}?message=Nobody was checked in at this event&type=warning`);
+        }
+
+        res.attachment(exportFilename(event, 'zip', 'certificates'));
+        res.type('application/zip');
+        await certificates.writeCertificatesZip(res, issued.certificates, template, getBaseUrl(req));
+    } catch (error) {
+        console.error('Error downloading certificates:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.redirect(`${page}?message=Failed to build the certificates ZIP&type=danger`);
+    }
+});
+
+/**
+ * GET /registrations/:id/certificate
+ * Download the certificate for one of the logged-in user's registrations
+ *
+ * The certificate is issued the first time it is downloaded. Organizers
+ * can download those of their clubs' events, and admins anyone's.
+ */
+router.get('/registrations/:id/certificate', requireAuth, async (req, res) => {
+    try {
+        const registration = await db.getRegistrationById(req.params.id);
+        const event = registration && await db.getEventById(registration.event_id);
+        const canView = registration
+            && (req.user.role === 'admin' || db.isRegistrationOwnedBy(registration, req.user)
+                || db.canManageEvent(req.user, event));
+        if (!canView) {
+            return res.redirect('/profile?message=Registration not found&type=danger');
+        }
+
+        const { certificate } = await db.issueCertificate(event, registration);
+
+        const pdf = await certificates.renderCertificatePdf(certificate, db.getCertificateTemplate(event), getBaseUrl(req));
+        res.attachment(certificates.certificateFilename(certificate));
+        res.type('application/pdf').send(pdf);
+    } catch (error) {
+        if (error.code === 'CERTIFICATE_NOT_AVAILABLE') {
+            return res.redirect(`/profile?message=${encodeURIComponent(error.message)}&type=warning`);
+        }
+        console.error('Error downloading certificate:', error);
+        res.redirect('/profile?message=Failed to download your certificate. Please try again.&type=danger');
+    }
+});
+
+/**
+ * GET /certificates?id=<verification ID>
+ * Look up a certificate by the ID printed on it
+ */
+router.get('/certificates', (req, res) => {
+    const id = db.normalizeCertificateId(req.query.id);
+    if (id) {
+        return res.redirect(`/certificates/${encodeURIComponent(id)}`);
+    }
+    res.render('certificate', {
+        title: 'Verify a Certificate',
+        certificate: null,
+        searchedId: null,
+        formatCertificateId: certificates.formatCertificateId,
+        formatCertificateDate: certificates.formatCertificateDate
+    });
+});
+
+/**
+ * GET /certificates/:id
+ * Public verification page for a certificate
+ *
+ * Shows who the certificate was issued to, for which event and when.
+ */
+router.get('/certificates/:id', async (req, res) => {
+    try {
+        const certificate = await db.getCertificateById(req.params.id);
+        if (!certificate) {
+            res.status(404);
+        }
+
+        res.render('certificate', {
+            title: certificate ? `Certificate ${certificates.formatCertificateId(certificate.id)}` : 'Certificate Not Found',
+            certificate: certificate,
+            searchedId: db.normalizeCertificateId(req.params.id),
+            formatCertificateId: certificates.formatCertificateId,
+            formatCertificateDate: certificates.formatCertificateDate
+        });
+    } catch (error) {
+        console.error('Error verifying certificate:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to check the certificate. Please try again.'
+        });
+    }
+});
+
+module.exports = router;
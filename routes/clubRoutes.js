@@ -0,0 +1,265 @@
+/**
+ * Club Routes
+ *
+ * This file handles clubs: the public club pages listing each club's
+ * events, and the admin pages for creating clubs and choosing their
+ * organizers. Organizers manage their clubs' events from the usual
+ * event management pages (see registerRoutes.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireAdmin } = require('../config/auth');
+const { revokeUserSessions } = require('../config/sessions');
+
+/**
+ * GET /clubs
+ * List of clubs
+ */
+router.get('/clubs', async (req, res) => {
+    try {
+        res.render('clubs', {
+            title: 'Clubs',
+            clubs: await db.getAllClubs()
+        });
+    } catch (error) {
+        console.error('Error fetching clubs:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load clubs. Please try again.'
+        });
+    }
+});
+
+/**
+ * GET /clubs/:id
+ * Club profile page with its upcoming and past events
+ *
+ * The club's organizers and admins also see its unpublished events.
+ */
+router.get('/clubs/:id', async (req, res) => {
+    try {
+        const club = await db.getClubById(req.params.id);
+        if (!club) {
+            return res.status(404).render('error', {
+                title: 'Club Not Found',
+                message: 'This club does not exist.'
+            });
+        }
+
+        const now = new Date();
+        const canManage = db.canManageClub(req.session?.user, club.id);
+        const events = (await db.getClubEvents(club.id))
+            .filter(event => canManage || db.isEventPublished(event));
+
+        res.render('club', {
+            title: club.name,
+            club: club,
+            upcomingEvents: events.filter(event => db.getEventEnd(event) >= now),
+            pastEvents: events.filter(event => db.getEventEnd(event) < now).reverse(),
+            canManage: canManage,
+            getEventStatus: db.getEventStatus
+        });
+    } catch (error) {
+        console.error('Error fetching club:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load the club. Please try again.'
+        });
+    }
+});
+
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * GET /admin/clubs
+ * Clubs with their organizers, and the form to add a club
+ *
+ * Requires admin authentication.
+ */
+router.get('/admin/clubs', requireAdmin, async (req, res) => {
+    try {
+        const clubs = await db.getAllClubs();
+        for (const club of clubs) {
+            club.organizers = await db.getClubOrganizers(club.id);
+            club.eventCount = (await db.getClubEvents(club.id, { includeArchived: true })).length;
+        }
+
+        res.render('admin-clubs', {
+            title: 'Admin - Clubs',
+            clubs: clubs,
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error fetching clubs:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load clubs. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /admin/clubs
+ * Create a club
+ *
+ * Requires admin authentication.
+ */
+router.post('/admin/clubs', requireAdmin, async (req, res) => {
+    try {
+        const { errors } = db.validateClubData(req.body);
+        if (errors.length > 0) {
+            return res.redirect(`/admin/clubs?message=${encodeURIComponent(errors.join('. '))}&type=danger`);
+        }
+
+        const club = await db.createClub(req.body);
+        res.redirect(`/admin/clubs/${club.id}?message=${encodeURIComponent(`${club.name} created. Add its organizers below.`)}&type=success`);
+    } catch (error) {
+        if (error.code === 'CLUB_NAME_TAKEN') {
+            return res.redirect(`/admin/clubs?message=${encodeURIComponent(error.message)}&type=warning`);
+        }
+        console.error('❌ Error creating club:', error);
+        res.redirect('/admin/clubs?message=Failed to create club&type=danger');
+    }
+});
+
+/**
+ * GET /admin/clubs/:id
+ * Edit a club and its organizers
+ *
+ * Requires admin authentication.
+ */
+router.get('/admin/clubs/:id', requireAdmin, async (req, res) => {
+    try {
+        const club = await db.getClubById(req.params.id);
+        if (!club) {
+            return res.redirect('/admin/clubs?message=Club not found&type=danger');
+        }
+
+        res.render('admin-club-edit', {
+            title: `Edit ${club.name}`,
+            club: club,
+            organizers: await db.getClubOrganizers(club.id),
+            eventCount: (await db.getClubEvents(club.id, { includeArchived: true })).length,
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error loading club for editing:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load the club. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /admin/clubs/:id
+ * Save changes to a club
+ *
+ * Renaming a club renames the organizer shown on its events.
+ * Requires admin authentication.
+ */
+router.post('/admin/clubs/:id', requireAdmin, async (req, res) => {
+    const page = `/admin/clubs/${req.params.id}`;
+    try {
+        const { errors } = db.validateClubData(req.body);
+        if (errors.length > 0) {
+            return res.redirect(`${page}?message=${encodeURIComponent(errors.join('. '))}&type=danger`);
+        }
+
+        const club = await db.updateClub(req.params.id, req.body);
+        if (!club) {
+            return res.redirect('/admin/clubs?message=Club not found&type=danger');
+        }
+        res.redirect(`${page}?message=Club updated successfully&type=success`);
+    } catch (error) {
+        if (error.code === 'CLUB_NAME_TAKEN') {
+            return res.redirect(`${page}?message=${encodeURIComponent(error.message)}&type=warning`);
+        }
+        console.error('❌ Error updating club:', error);
+        res.redirect(`${page}?message=Failed to update club&type=danger`);
+    }
+});
+
+/**
+ * POST /admin/clubs/:id/organizers
+ * Make the user with the given email an organizer of the club
+ *
+ * Students become organizers; they are logged out everywhere and pick up
+ * the new role when they log in again, as with other role changes.
+ * Requires admin authentication.
+ */
+router.post('/admin/clubs/:id/organizers', requireAdmin, async (req, res) => {
+    const page = `/admin/clubs/${req.params.id}`;
+    try {
+        const result = await db.addClubOrganizer(req.params.id, req.body.email);
+        if (!result) {
+            return res.redirect('/admin/clubs?message=Club not found&type=danger');
+        }
+        if (result.roleChanged) {
+            await revokeUserSessions(result.user.uid);
+        }
+
+        res.redirect(`${page}?message=${encodeURIComponent(`${result.user.email} is now an organizer of this club`)}&type=success`);
+    } catch (error) {
+        if (error.code === 'USER_NOT_FOUND' || error.code === 'USER_IS_ADMIN') {
+            return res.redirect(`${page}?message=${encodeURIComponent(error.message)}&type=warning`);
+        }
+        console.error('Error adding club organizer:', error);
+        res.redirect(`${page}?message=Failed to add organizer&type=danger`);
+    }
+});
+
+/**
+ * POST /admin/clubs/:id/organizers/:uid/remove
+ * Stop a user organizing the club
+ *
+ * They keep the organizer role; change it on the users page if they
+ * should go back to being a student.
+ * Requires admin authentication.
+ */
+router.post('/admin/clubs/:id/organizers/:uid/remove', requireAdmin, async (req, res) => {
+    const page = `/admin/clubs/${req.params.id}`;
+    try {
+        const user = await db.removeClubOrganizer(req.params.id, req.params.uid);
+        if (!user) {
+            return res.redirect(`${page}?message=User not found&type=danger`);
+        }
+
+        res.redirect(`${page}?message=${encodeURIComponent(`${user.email} no longer organizes this club`)}&type=success`);
+    } catch (error) {
+        console.error('Error removing club organizer:', error);
+        res.redirect(`${page}?message=Failed to remove organizer&type=danger`);
+    }
+});
+
+/**
+ * POST /admin/clubs/:id/delete
+ * Delete a club that has no events
+ *
+ * Requires admin authentication.
+ */
+router.post('/admin/clubs/:id/delete', requireAdmin, async (req, res) => {
+    try {
+        const club = await db.deleteClub(req.params.id);
+        if (!club) {
+            return res.redirect('/admin/clubs?message=Club not found&type=warning');
+        }
+
+        res.redirect(`/admin/clubs?message=${encodeURIComponent(`${club.name} deleted`)}&type=success`);
+    } catch (error) {
+        if (error.code === 'CLUB_HAS_EVENTS') {
+            return res.redirect(`/admin/clubs/${req.params.id}?message=${encodeURIComponent(error.message)}&type=warning`);
+        }
+        console.error('Error deleting club:', error);
+        res.redirect('/admin/clubs?message=Failed to delete club&type=danger');
+    }
+});
+
+// Export the router to be used in server.js
+module.exports = router;
@@ -8,36 +8,87 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
+const { formatTimestamp } = require('../config/export');
+
+/**
+ * Read the home page filters from the query string, dropping invalid values
+ * @param {Object} query - req.query
+ * @returns {Object} Filters for db.listEvents()
+ */
+function readListingFilters(query) {
+    const text = (value) => (typeof value === 'string' ? value.trim().slice(0, 100) : '');
+    const date = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(text(value)) ? text(value) : '');
+
+    return {
+        search: text(query.q),
+        category: db.EVENT_CATEGORIES.includes(query.category) ? query.category : '',
+        club: text(query.club),
+        from: date(query.from),
+        to: date(query.to),
+        when: query.when === 'past' ? 'past' : 'upcoming',
+        sort: ['soonest', 'latest'].includes(query.sort) ? query.sort : ''
+    };
+}
+
+/**
+ * Home page URL for a set of filters, leaving out empty ones
+ * @param {Object} filters - From readListingFilters()
+ * @param {Object} [extra] - More parameters, e.g. { after: cursor }
+ * @returns {string}
+ */
+function listingUrl(filters, extra = {}) {
+    const { search, when, ...rest } = filters;
+    const params = new URLSearchParams();
+    Object.entries({ q: search, ...rest, when: when === 'past' ? 'past' : '', ...extra })
+        .forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+    const queryString = params.toString();
+    return queryString ? `/?${queryString}` : '/';
+}
 
 /**
  * GET /
- * Home page - Displays all available events
+ * Home page - Upcoming events, or the past events archive
  * 
- * This route fetches all events from local JSON storage and renders
- * them on the index page with Bootstrap styling.
+ * Query parameters: q (search title, venue, organizer and description),
+ * category, club, from and to (YYYY-MM-DD), when=past, sort=soonest|latest,
+ * and the page cursors after/before.
  * Public route - no authentication required.
  */
 router.get('/', async (req, res) => {
     try {
-        // Query the local storage to fetch all events
-        // Events are automatically sorted by date
-        const result = await db.query(
-            'SELECT * FROM events ORDER BY date ASC'
-        );
-        
-        // db.query returns [events], so extract the first element
-        const events = (Array.isArray(result) && result.length > 0) ? result[0] : [];
-        
-        console.log('Home page - Events fetched:', Array.isArray(events) ? events.length : 0, 'events');
-        if (Array.isArray(events) && events.length > 0) {
-            console.log('Sample event:', events[0]);
-        }
-        
-        // Render the index.ejs template with the events data
-        // The events array will be available in the template as 'events'
+        const filters = readListingFilters(req.query);
+
+        // One page of events, read with indexed queries (see listEvents)
+        const page = await db.listEvents({
+            ...filters,
+            after: typeof req.query.after === 'string' ? req.query.after : '',
+            before: typeof req.query.before === 'string' ? req.query.before : ''
+        });
+        const now = new Date();
+        const events = page.events.map(event => ({
+            ...event,
+            seatsRemaining: db.getSeatsRemaining(event),
+            registrationState: db.getRegistrationWindow(event, now).state,
+            registrationBlocker: db.getRegistrationWindowBlocker(event, now)
+        }));
+
+        // The logged-in student's registrations, to show "Registered" / "Waitlisted #N"
+        const myRegistrations = await db.getRegistrationStatusesForUser(req.session?.user);
+
         res.render('index', {
-            title: 'MUJ Events',
-            events: Array.isArray(events) ? events : [],
+            title: filters.when === 'past' ? 'Past Events - MUJ Events' : 'MUJ Events',
+            events: events,
+            myRegistrations: myRegistrations,
+            filters: filters,
+            categories: db.EVENT_CATEGORIES,
+            isFiltered: Boolean(filters.search || filters.category || filters.club || filters.from || filters.to),
+            upcomingUrl: listingUrl({ ...filters, when: 'upcoming', sort: '' }),
+            pastUrl: listingUrl({ ...filters, when: 'past', sort: '' }),
+            clearUrl: listingUrl({ when: filters.when }),
+            nextUrl: page.nextCursor ? listingUrl(filters, { after: page.nextCursor }) : null,
+            prevUrl: page.prevCursor ? listingUrl(filters, { before: page.prevCursor }) : null,
             message: req.query.message || null, // For success/error messages
             messageType: req.query.type || null
         });
@@ -53,9 +104,12 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /event/:eventId
- * Event details page with list of students attending
+ * Event details page with the students attending
  * 
- * Shows event details and list of all students registered for this event.
+ * How much of the attendee list is shown depends on the event's
+ * attendeeVisibility setting and students' opt-outs; admins see the
+ * full list with emails. Students in a team see their team's invite
+ * code and members.
  */
 router.get('/event/:eventId', async (req, res) => {
     try {
@@ -67,25 +121,51 @@ router.get('/event/:eventId', async (req, res) => {
         }
 
         // Fetch event details
-        const [events] = await db.query(
-            'SELECT * FROM events WHERE id = ?',
-            [eventId]
-        );
+        const event = await db.getEventById(eventId);
 
-        if (!events || events.length === 0) {
+        // Unpublished and archived events are only visible to the people managing them
+        const canManage = db.canManageEvent(req.session?.user, event);
+        if (!event || (!db.isEventPublished(event) && !canManage)) {
             return res.redirect('/?message=Event not found&type=danger');
         }
 
-        const event = events[0];
+        // Who is attending, limited to what this viewer may see
+        // (see getAttendeeList: emails only go to admins and the club's organizers)
+        const attendeeList = await db.getAttendeeList(event, { isManager: canManage });
+        // Teams wait as one, so only count the places on the waitlist
+        const waitlistCount = (await db.getRegistrationsByEventId(eventId))
+            .filter(reg => db.getRegistrationStatus(reg) === db.REGISTRATION_STATUS.WAITLISTED
+                && reg.teamRole !== db.TEAM_ROLES.MEMBER).length;
+
+        const myRegistrations = await db.getRegistrationStatusesForUser(req.session?.user);
+        const myRegistration = myRegistrations[event.id] || null;
+        const myTeam = myRegistration && myRegistration.team_id
+            ? {
+                team: await db.getTeamById(myRegistration.team_id),
+                members: await db.getTeamMembers(myRegistration.team_id)
+            }
+            : null;
 
-        // Fetch all registrations for this event
-        const registrations = await db.getRegistrationsByEventId(eventId);
+        // Logged-in students are told up front if they may not register
+        const account = req.session?.user ? await db.getUserByUid(req.session.user.uid) : null;
 
         // Render event details page
         res.render('event-details', {
             title: event.title,
             event: event,
-            registrations: registrations || [],
+            status: db.getEventStatus(event),
+            durationMinutes: db.getEventDurationMinutes(event),
+            seatsRemaining: db.getSeatsRemaining(event),
+            registrationWindow: db.getRegistrationWindow(event),
+            registrationBlocker: db.getRegistrationWindowBlocker(event),
+            formatTimestamp: formatTimestamp,
+            myRegistration: myRegistration,
+            myTeam: myTeam,
+            teamLimits: db.getTeamSizeLimits(event),
+            eligibility: db.getEligibilityRules(event),
+            eligibilityBlocker: account ? db.getEligibilityBlocker(event, account) : null,
+            attendeeList: attendeeList,
+            waitlistCount: waitlistCount,
             message: req.query.message || null,
             messageType: req.query.type || null
         });
@@ -0,0 +1,191 @@
+/**
+ * Feedback Routes
+ *
+ * This file handles post-event feedback surveys: the form students fill
+ * in once an event is over, and the report and CSV download organizers
+ * use to see how it went. Responses are anonymous in the report.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireEventManager, requireStudent } = require('../config/auth');
+const registrationExport = require('../config/export');
+
+/**
+ * Load a registration the logged-in student may send feedback for
+ * @param {Object} req - Express request (after requireStudent)
+ * @returns {Promise<{registration: Object, event: Object|null}|null>} Null if it is not theirs
+ */
+async function loadOwnRegistration(req) {
+    const registration = await db.getRegistrationById(req.params.registrationId);
+    if (!db.isRegistrationOwnedBy(registration, req.user)) {
+        return null;
+    }
+    return { registration, event: await db.getEventById(registration.event_id) };
+}
+
+/**
+ * Render the feedback form
+ * @param {Object} res - Express response
+ * @param {Object} registration - Registration sending feedback
+ * @param {Object} event - Event the feedback is about
+ * @param {Object} [options]
+ * @param {Object} [options.values] - What was submitted, after a failed submit
+ * @param {string} [options.message] - Alert to show
+ * @param {string} [options.messageType] - Alert style
+ */
+function renderFeedbackForm(res, registration, event, options = {}) {
+    res.render('feedback', {
+        title: `Feedback - ${event.title}`,
+        registration: registration,
+        event: event,
+        questions: db.getFeedbackQuestions(event),
+        ratings: db.FEEDBACK_RATINGS,
+        closesAt: db.getFeedbackClosesAt(event).toISOString(),
+        formatTimestamp: registrationExport.formatTimestamp,
+        values: options.values || {},
+        message: options.message || null,
+        messageType: options.messageType || null
+    });
+}
+
+/**
+ * GET /feedback/:registrationId
+ * Feedback form for one of the logged-in student's registrations
+ *
+ * Open from the end of the event until FEEDBACK_WINDOW_DAYS later, to
+ * students who had a place. Requires student authentication.
+ */
+router.get('/feedback/:registrationId', requireStudent, async (req, res) => {
+    try {
+        const found = await loadOwnRegistration(req);
+        if (!found) {
+            return res.redirect('/profile?message=Registration not found&type=danger');
+        }
+        const { registration, event } = found;
+
+        if (await db.getFeedbackByRegistrationId(registration.id)) {
+            return res.redirect('/profile?message=You have already sent feedback for this event. Thank you!&type=info');
+        }
+        const blocker = db.getFeedbackBlocker(event, registration);
+        if (blocker) {
+            return res.redirect(`/profile?message=${encodeURIComponent(blocker)}&type=warning`);
+        }
+
+        renderFeedbackForm(res, registration, event);
+    } catch (error) {
+        console.error('Error loading feedback form:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load the feedback form. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /feedback/:registrationId
+ * Send feedback for one of the logged-in student's registrations
+ *
+ * Each registration can send feedback once.
+ * Requires student authentication.
+ */
+router.post('/feedback/:registrationId', requireStudent, async (req, res) => {
+    try {
+        const found = await loadOwnRegistration(req);
+        if (!found) {
+            return res.redirect('/profile?message=Registration not found&type=danger');
+        }
+        const { registration, event } = found;
+
+        const blocker = db.getFeedbackBlocker(event, registration);
+        if (blocker) {
+            return res.redirect(`/profile?message=${encodeURIComponent(blocker)}&type=warning`);
+        }
+
+        // Re-show the form with what was chosen, so nothing has to be re-entered
+        const { feedback, errors } = db.validateFeedback(event, req.body);
+        if (errors.length > 0) {
+            res.status(400);
+            return renderFeedbackForm(res, registration, event, {
+                values: req.body,
+                message: errors.join('. '),
+                messageType: 'danger'
+            });
+        }
+
+        await db.submitFeedback(registration, feedback);
+        console.log(`✅ Feedback received for event ${event.id} (${feedback.rating}★)`);
+
+        res.redirect(`/profile?message=${encodeURIComponent(`Thanks for your feedback on ${event.title}!`)}&type=success`);
+    } catch (error) {
+        if (error.code === 'FEEDBACK_ALREADY_SENT') {
+            return res.redirect('/profile?message=You have already sent feedback for this event. Thank you!&type=info');
+        }
+        console.error('Error saving feedback:', error);
+        res.redirect('/profile?message=Failed to send feedback. Please try again.&type=danger');
+    }
+});
+
+/**
+ * GET /admin/events/:id/feedback
+ * Feedback report for an event
+ *
+ * Ratings, response rate, per-question results and comments.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/feedback', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+
+        res.render('admin-event-feedback', {
+            title: `Feedback - ${event.title}`,
+            event: event,
+            report: await db.getFeedbackReport(event),
+            ratings: db.FEEDBACK_RATINGS,
+            opensAt: db.getEventEnd(event).toISOString(),
+            closesAt: db.getFeedbackClosesAt(event).toISOString(),
+            formatTimestamp: registrationExport.formatTimestamp,
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error loading feedback report:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load the feedback report. Please try again.'
+        });
+    }
+});
+
+/**
+ * GET /admin/events/:id/feedback/export
+ * Download an event's feedback as a CSV file
+ *
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/feedback/export', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+
+        const [responses, registrations] = await Promise.all([
+            db.getFeedbackByEventId(event.id),
+            db.getRegistrationsByEventId(event.id)
+        ]);
+        const table = registrationExport.buildFeedbackTable(event, responses, registrations);
+
+        res.attachment(registrationExport.exportFilename(event, 'csv', 'feedback'));
+        res.type('text/csv; charset=utf-8').send(registrationExport.toCsv(table));
+    } catch (error) {
+        console.error('Error exporting feedback:', error);
+        res.redirect(`/admin/events/${req.params.id}/feedback?message=Failed to export feedback&type=danger`);
+    }
+});
+
+module.exports = router;
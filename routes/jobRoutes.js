@@ -0,0 +1,63 @@
+/**
+ * Background Job Routes
+ *
+ * This file handles the admin page for the job scheduler
+ * (reminders and digests): what is coming up, what failed,
+ * and retrying failed jobs.
+ * All routes require admin authentication.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireAdmin } = require('../config/auth');
+const { runDueJobs } = require('../config/scheduler');
+const { formatTimestamp } = require('../config/export');
+
+/**
+ * GET /admin/jobs
+ * Upcoming and failed background jobs
+ */
+router.get('/admin/jobs', requireAdmin, async (req, res) => {
+    try {
+        const upcomingJobs = await db.getUpcomingJobs();
+        const failedJobs = await db.getFailedJobs();
+
+        res.render('admin-jobs', {
+            title: 'Admin - Scheduled Jobs',
+            upcomingJobs: upcomingJobs,
+            failedJobs: failedJobs,
+            formatTimestamp: formatTimestamp,
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load scheduled jobs. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /admin/jobs/:id/retry
+ * Run a failed job again
+ */
+router.post('/admin/jobs/:id/retry', requireAdmin, async (req, res) => {
+    try {
+        const job = await db.retryJob(req.params.id);
+        if (!job) {
+            return res.redirect('/admin/jobs?message=Job not found or not failed&type=warning');
+        }
+
+        runDueJobs().catch(error => console.error('❌ Error running jobs:', error));
+        res.redirect(`/admin/jobs?message=${encodeURIComponent(`${job.label} queued to run again`)}&type=success`);
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.redirect('/admin/jobs?message=Failed to retry job&type=danger');
+    }
+});
+
+// Export the router to be used in server.js
+module.exports = router;
@@ -8,14 +8,153 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
-const { requireAdmin, requireStudent } = require('../config/auth');
+const { requireAdmin, requireOrganizer, requireEventManager, requireStudent } = require('../config/auth');
+const {
+    uploadPoster,
+    uploadImportFile,
+    posterUrlFor,
+    isUploadUrl,
+    removeUploadedFile,
+    removePosterFile
+} = require('../config/uploads');
+const registrationExport = require('../config/export');
+const eventImport = require('../config/import');
+const mail = require('../config/mail');
+const { registrationRateLimit } = require('../config/security');
+const { scheduleEventPublish } = require('../config/scheduler');
+
+/**
+ * Work out the poster URL for a create/edit submission
+ * An uploaded file wins, then the "remove" checkbox, then a typed URL,
+ * and otherwise the current poster is kept. A typed /uploads/ URL is
+ * ignored: only this event's own upload may point at an uploaded file.
+ * @param {Object} req - Express request (after uploadPoster)
+ * @param {string} [currentUrl] - Poster URL the event has now
+ * @returns {string} Poster URL to save
+ */
+function resolvePosterUrl(req, currentUrl = '') {
+    if (req.file) return posterUrlFor(req.file);
+    if (req.body.removePoster) return '';
+    if (req.body.posterUrl && !isUploadUrl(req.body.posterUrl)) return req.body.posterUrl;
+    return currentUrl;
+}
+
+/**
+ * Clubs a user can run events for: every club for admins, their own
+ * clubs for organizers
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<Object>>} Clubs sorted by name
+ */
+async function getClubChoices(user) {
+    const clubs = await db.getAllClubs();
+    return clubs.filter(club => db.canManageClub(user, club.id));
+}
+
+/**
+ * Check the club chosen on an event form. An event of a club shows the
+ * club's name as its organizer.
+ * @param {Object} user - req.user
+ * @param {Object} eventData - Submitted event fields; organizer is set from the club
+ * @returns {Promise<string|null>} Problem with the choice, if any
+ */
+async function applyEventClub(user, eventData) {
+    const { club, error } = await db.resolveEventClub(user, eventData.clubId);
+    if (club) {
+        eventData.organizer = club.name;
+    }
+    return error;
+}
+
+/**
+ * Status for a new event from the button pressed on the create form:
+ * "Submit for Review", or "Publish" for admins; otherwise a draft
+ * @param {Object} user - req.user
+ * @param {string} action - req.body.action
+ * @returns {string} One of db.EVENT_STATUS
+ */
+function getRequestedStatus(user, action) {
+    if (action === 'publish' && user.role === 'admin') return db.EVENT_STATUS.PUBLISHED;
+    if (action === 'submit') return db.EVENT_STATUS.PENDING;
+    return db.EVENT_STATUS.DRAFT;
+}
+
+/**
+ * Confirmation message for an event that has just changed status
+ * @param {Object} event - Event after the change
+ * @returns {string}
+ */
+function describeEventStatus(event) {
+    switch (db.getEventStatus(event)) {
+        case db.EVENT_STATUS.PENDING:
+            return `${event.title} submitted for review`;
+        case db.EVENT_STATUS.SCHEDULED:
+            return `${event.title} will go live at ${registrationExport.formatTimestamp(event.publishAt)} (IST)`;
+        case db.EVENT_STATUS.PUBLISHED:
+            return `${event.title} is live`;
+        default:
+            return `${event.title} saved as a draft`;
+    }
+}
+
+// Team problems the student can fix on the registration form
+const TEAM_ERROR_CODES = ['TEAM_REQUIRED', 'INVALID_TEAM_NAME', 'TEAM_NAME_TAKEN', 'TEAM_NOT_FOUND', 'TEAM_FULL'];
+
+/**
+ * Read the create-or-join team choice from a registration form
+ * @param {Object} body - req.body
+ * @returns {{choice: string, name: string, inviteCode: string}}
+ */
+function readTeamForm(body) {
+    return {
+        choice: body.teamChoice === 'join' ? 'join' : 'create',
+        name: String(body.teamName || ''),
+        inviteCode: String(body.inviteCode || '')
+    };
+}
+
+/**
+ * Render the registration form for an event
+ * @param {Object} req - Express request (after requireStudent)
+ * @param {Object} res - Express response
+ * @param {Object} event - Event to register for
+ * @param {Object} [options]
+ * @param {Object} [options.answers] - Answers to show in the custom fields (after a failed submit)
+ * @param {boolean} [options.hideFromAttendees] - State of the opt-out box; defaults to the profile setting
+ * @param {Object} [options.team] - Team choice to show, from readTeamForm()
+ * @param {string} [options.message] - Alert to show
+ * @param {string} [options.messageType] - Alert style
+ */
+async function renderRegisterForm(req, res, event, options = {}) {
+    // Name, email and the opt-out checkbox come from the student's profile
+    const account = (await db.getUserByUid(req.user.uid)) || req.user;
+
+    res.render('register', {
+        title: `Register for ${event.title}`,
+        event: event,
+        account: account,
+        eligibility: db.getEligibilityRules(event),
+        eligibilityBlocker: db.getEligibilityBlocker(event, account),
+        alreadyRegistered: await db.isUserRegisteredForEvent(account, event.id),
+        registrationFields: db.getRegistrationFields(event),
+        answers: options.answers || {},
+        teamLimits: db.getTeamSizeLimits(event),
+        team: options.team || readTeamForm({}),
+        hideFromAttendees: options.hideFromAttendees === undefined
+            ? Boolean(account.hideFromAttendeeLists)
+            : options.hideFromAttendees,
+        message: options.message || null,
+        messageType: options.messageType || null
+    });
+}
 
 /**
  * GET /register/:eventId
  * Registration form page
  * 
  * This route displays the registration form for a specific event.
- * It fetches the event details from local storage and pre-fills the form.
+ * The student registers as themselves: name and email come from their
+ * account, and students the event is not open to are told why. Outside
+ * the event's registration window students go back to the event page.
  * 
  * Requires student authentication.
  */
@@ -28,25 +167,25 @@ router.get('/register/:eventId', requireStudent, async (req, res) => {
             return res.redirect('/?message=Invalid event ID&type=danger');
         }
 
-        // Fetch event details from Firestore
-        const [events] = await db.query(
-            'SELECT * FROM events WHERE id = ?',
-            [eventId]
-        );
+        // Fetch event details
+        const event = await db.getEventById(eventId);
 
-        // Check if event exists
-        if (!events || events.length === 0) {
+        // Check if event exists (only published events take registrations)
+        if (!db.isEventPublished(event)) {
             return res.redirect('/?message=Event not found&type=danger');
         }
 
-        const event = events[0];
+        const windowBlocker = db.getRegistrationWindowBlocker(event);
+        if (windowBlocker) {
+            return res.redirect(`/event/${event.id}?message=${encodeURIComponent(windowBlocker)}&type=warning`);
+        }
 
-        // Render registration form with event data
-        res.render('register', {
-            title: `Register for ${event.title}`,
-            event: event,
-            message: req.query.message || null,
-            messageType: req.query.type || null
+        // Render registration form with event data. Invite links carry
+        // the team's code, so members only have to press Register
+        await renderRegisterForm(req, res, event, {
+            team: req.query.code ? readTeamForm({ teamChoice: 'join', inviteCode: req.query.code }) : undefined,
+            message: req.query.message,
+            messageType: req.query.type
         });
     } catch (error) {
         console.error('Error fetching event:', error);
@@ -62,67 +201,113 @@ router.get('/register/:eventId', requireStudent, async (req, res) => {
  * Handle registration form submission
  * 
  * This route processes the registration form data:
- * 1. Validates input data
- * 2. Saves registration to local JSON file
- * 3. Redirects with success/error message
+ * 1. Takes the name and email from the student's account
+ * 2. Checks the event is taking registrations, and its eligibility rules
+ * 3. Validates the answers to the event's own registration fields
+ * 4. For team events, creates the student's team or joins them to one
+ * 5. Takes a seat, or a waitlist place if the event is full
+ * 6. Redirects with success/error message
  * 
- * Requires student authentication.
+ * Requires student authentication. Rate limited per IP address and per student.
  */
-router.post('/register', requireStudent, async (req, res) => {
+router.post('/register', requireStudent, registrationRateLimit, async (req, res) => {
     try {
-        // Extract form data from request body
-        // express.urlencoded middleware makes this available
-        const { name, email, event_id } = req.body;
+        const event_id = req.body.event_id;
+        if (!event_id) {
+            return res.redirect('/?message=Invalid event ID&type=danger');
+        }
 
-        // Server-side validation
-        if (!name || !email || !event_id) {
-            return res.redirect(
-                `/register/${event_id}?message=All fields are required&type=danger`
-            );
+        // Students register as themselves, never with a typed name or email
+        const account = (await db.getUserByUid(req.user.uid)) || req.user;
+        const name = String(account.name || '').trim();
+        if (!name) {
+            return res.redirect('/profile?message=Add your name to your profile before registering&type=warning');
         }
 
-        // Validate email format (basic validation)
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.redirect(
-                `/register/${event_id}?message=Invalid email format&type=danger`
-            );
+        const event = await db.getEventById(event_id);
+        if (!db.isEventPublished(event)) {
+            return res.redirect('/?message=Event not found&type=danger');
         }
 
-        // Check if event exists
-        const [events] = await db.query(
-            'SELECT id FROM events WHERE id = ?',
-            [event_id]
-        );
+        // Checked here and again in createRegistration, so forms posted
+        // directly (or left open past the deadline) are turned away too
+        const windowBlocker = db.getRegistrationWindowBlocker(event);
+        if (windowBlocker) {
+            console.warn(`⚠️ Registration for event ${event_id} refused: ${windowBlocker}`);
+            return res.redirect(`/event/${event_id}?message=${encodeURIComponent(windowBlocker)}&type=warning`);
+        }
 
-        if (!events || events.length === 0) {
-            return res.redirect(
-                `/register/${event_id}?message=Event not found&type=danger`
-            );
+        const blocker = db.getEligibilityBlocker(event, account);
+        if (blocker) {
+            console.warn(`⚠️ User ${req.user.uid} is not eligible for event ${event_id}: ${blocker}`);
+            return res.redirect(`/register/${event_id}?message=${encodeURIComponent(blocker)}&type=danger`);
         }
 
-        // Check for duplicate registration (same email for same event)
-        const [existing] = await db.query(
-            'SELECT id FROM registrations WHERE email = ? AND event_id = ?',
-            [email, event_id]
-        );
+        // Re-show the form with what was typed, so nothing has to be re-entered
+        const team = readTeamForm(req.body);
+        const { answers, errors } = db.validateRegistrationAnswers(event, req.body.answers);
+        if (errors.length > 0) {
+            res.status(400);
+            return renderRegisterForm(req, res, event, {
+                answers: req.body.answers,
+                hideFromAttendees: Boolean(req.body.hideFromAttendees),
+                team,
+                message: errors.join('. '),
+                messageType: 'danger'
+            });
+        }
+
+        // Save registration. Seat allocation and the duplicate check run in
+        // one transaction, so concurrent submissions cannot double-register
+        // or overfill the event
+        let registration;
+        try {
+            registration = await db.createRegistration({
+                name,
+                email: account.email,
+                event_id,
+                uid: req.user.uid,
+                hideFromAttendees: Boolean(req.body.hideFromAttendees),
+                answers,
+                team: !event.teamEvent ? undefined
+                    : team.choice === 'join' ? { inviteCode: team.inviteCode } : { name: team.name }
+            });
+        } catch (error) {
+            if (!TEAM_ERROR_CODES.includes(error.code)) throw error;
+            res.status(error.code === 'TEAM_NOT_FOUND' ? 404 : 409);
+            return renderRegisterForm(req, res, event, {
+                answers: req.body.answers,
+                hideFromAttendees: Boolean(req.body.hideFromAttendees),
+                team,
+                message: error.message,
+                messageType: 'danger'
+            });
+        }
 
-        if (existing && existing.length > 0) {
+        // Queued, not sent inline: a mail server problem must not fail the registration
+        await mail.sendRegistrationConfirmation(registration, await db.getEventById(event_id));
+
+        if (registration.status === db.REGISTRATION_STATUS.WAITLISTED) {
+            const position = await db.getWaitlistPosition(registration);
             return res.redirect(
-                `/register/${event_id}?message=You are already registered for this event&type=warning`
+                `/event/${event_id}?message=${encodeURIComponent(`This event is full. You are #${position} on the waitlist`)}&type=warning`
             );
         }
 
-        // Save registration to local JSON file
-        // The db.query method handles the file operations
-        await db.query(
-            'INSERT INTO registrations (name, email, event_id) VALUES (?, ?, ?)',
-            [name.trim(), email.trim(), event_id]
-        );
-
-        // Redirect to home page with success message
-        res.redirect('/?message=Registration successful!&type=success');
+        // Show the ticket for the new registration
+        res.redirect(`/tickets/${registration.id}?message=Registration successful!&type=success`);
     } catch (error) {
+        if (error.code === 'ALREADY_REGISTERED') {
+            return res.redirect(
+                `/register/${req.body.event_id}?message=You are already registered for this event&type=warning`
+            );
+        }
+        if (error.code === 'EVENT_NOT_FOUND') {
+            return res.redirect('/?message=Event not found&type=danger');
+        }
+        if (error.code === 'REGISTRATION_NOT_OPEN' || error.code === 'REGISTRATION_CLOSED') {
+            return res.redirect(`/event/${req.body.event_id}?message=${encodeURIComponent(error.message)}&type=warning`);
+        }
         console.error('Error registering participant:', error);
         res.redirect(
             `/?message=Registration failed. Please try again.&type=danger`
@@ -130,35 +315,70 @@ router.post('/register', requireStudent, async (req, res) => {
     }
 });
 
+/**
+ * POST /registrations/:id/cancel
+ * Cancel one of the logged-in student's own registrations
+ * 
+ * Allowed until CANCELLATION_CUTOFF_HOURS before the event starts.
+ * The freed seat goes to the next student on the waitlist. A team
+ * leader cancelling cancels the whole team.
+ * Requires student authentication.
+ */
+router.post('/registrations/:id/cancel', requireStudent, async (req, res) => {
+    try {
+        const registration = await db.getRegistrationById(req.params.id);
+
+        if (!db.isRegistrationOwnedBy(registration, req.user)) {
+            return res.redirect('/profile?message=Registration not found&type=danger');
+        }
+
+        const event = await db.getEventById(registration.event_id);
+        const blocker = db.getCancellationBlocker(event);
+        if (blocker) {
+            return res.redirect(`/profile?message=${encodeURIComponent(blocker)}&type=warning`);
+        }
+
+        const result = await db.cancelRegistration(registration.id);
+        if (!result) {
+            return res.redirect('/profile?message=This registration is already cancelled&type=warning');
+        }
+        await mail.sendWaitlistPromotions(result.promoted, event);
+        await mail.sendTeamCancelled(result.teammates, event);
+
+        const title = event ? event.title : 'the event';
+        const teamNote = result.teammates.length > 0
+            ? `, together with your team ${result.registration.teamName}`
+            : '';
+        res.redirect(`/profile?message=${encodeURIComponent(`Your registration for ${title} was cancelled${teamNote}`)}&type=success`);
+    } catch (error) {
+        console.error('Error cancelling registration:', error);
+        res.redirect('/profile?message=Failed to cancel registration&type=danger');
+    }
+});
+
 /**
  * GET /admin
  * Admin panel - View all registrations
  * 
  * This route displays all registrations with event details.
- * Uses a JOIN-like operation to combine data from registrations and events.
- * Requires admin authentication.
+ * Registrations are joined with their events in the repository layer.
+ * Organizers only see registrations for their clubs' events.
+ * Requires organizer or admin authentication.
  */
-router.get('/admin', requireAdmin, async (req, res) => {
+router.get('/admin', requireOrganizer, async (req, res) => {
     try {
         // Fetch all registrations with event details
-        // The query method performs a JOIN-like operation on JSON data
-        const [registrations] = await db.query(`
-            SELECT 
-                r.id,
-                r.name,
-                r.email,
-                e.title as event_title,
-                e.date as event_date,
-                e.venue as event_venue
-            FROM registrations r
-            INNER JOIN events e ON r.event_id = e.id
-            ORDER BY r.id DESC
-        `);
+        const registrations = await db.getRegistrationsWithEvents({
+            clubIds: req.user.role === 'admin' ? null : req.user.clubIds
+        });
+        const events = (await db.getAllEvents({ includeArchived: true }))
+            .filter(event => db.canManageEvent(req.user, event));
 
         // Render admin page with registrations data
         res.render('admin', {
             title: 'Admin Panel - All Registrations',
-            registrations: registrations || [],
+            registrations: registrations,
+            events: events,
             message: req.query.message || null,
             messageType: req.query.type || null
         });
@@ -171,27 +391,109 @@ router.get('/admin', requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /admin/registrations/export?format=csv|xlsx&event=<id>
+ * Download registrations as a CSV or Excel file
+ * 
+ * Without an event ID every registration across all events is exported
+ * (for organizers, across their clubs' events).
+ * Requires organizer or admin authentication.
+ */
+router.get('/admin/registrations/export', requireOrganizer, async (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!registrationExport.EXPORT_FORMATS.includes(format)) {
+            return res.redirect('/admin?message=Export format must be csv or xlsx&type=danger');
+        }
+
+        let event = null;
+        if (req.query.event) {
+            event = await db.getEventById(req.query.event);
+            if (!event || !db.canManageEvent(req.user, event)) {
+                return res.redirect('/admin?message=Event not found&type=danger');
+            }
+        }
+
+        const rows = await registrationExport.getExportRows(event, {
+            clubIds: req.user.role === 'admin' ? null : req.user.clubIds
+        });
+        const table = registrationExport.buildExportTable(rows);
+
+        res.attachment(registrationExport.exportFilename(event, format));
+        if (format === 'xlsx') {
+            res.send(await registrationExport.toXlsx(table));
+        } else {
+            res.type('text/csv; charset=utf-8').send(registrationExport.toCsv(table));
+        }
+    } catch (error) {
+        console.error('Error exporting registrations:', error);
+        res.redirect('/admin?message=Failed to export registrations&type=danger');
+    }
+});
+
+/**
+ * POST /admin/registrations/:id/cancel
+ * Cancel a registration
+ * 
+ * The freed seat goes to the next student on the waitlist. Cancelling a
+ * team leader's registration cancels the whole team.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/registrations/:id/cancel', requireOrganizer, async (req, res) => {
+    try {
+        const registration = await db.getRegistrationById(req.params.id);
+        const event = registration && await db.getEventById(registration.event_id);
+        if (req.user.role !== 'admin' && !db.canManageEvent(req.user, event)) {
+            return res.redirect('/admin?message=Registration not found or already cancelled&type=warning');
+        }
+
+        const result = await db.cancelRegistration(req.params.id);
+        if (!result) {
+            return res.redirect('/admin?message=Registration not found or already cancelled&type=warning');
+        }
+        if (result.promoted.length > 0) {
+            await mail.sendWaitlistPromotions(result.promoted, event);
+        }
+        await mail.sendTeamCancelled(result.teammates, event);
+
+        const teamNote = result.teammates.length > 0
+            ? ` Team ${result.registration.teamName} was cancelled with it (${result.teammates.length} more).`
+            : '';
+        const promotedNote = result.promoted.length > 0
+            ? ` ${result.promoted.map(reg => reg.name).join(', ')} moved off the waitlist.`
+            : '';
+        res.redirect(`/admin?message=${encodeURIComponent('Registration cancelled.' + teamNote + promotedNote)}&type=success`);
+    } catch (error) {
+        console.error('Error cancelling registration:', error);
+        res.redirect('/admin?message=Failed to cancel registration&type=danger');
+    }
+});
+
 /**
  * GET /admin/events
  * Admin dashboard - Manage events
  * 
  * This route displays the admin dashboard for managing events.
- * Requires admin authentication.
+ * Organizers see and create their clubs' events only; admins also see
+ * the events waiting for their review.
+ * Requires organizer or admin authentication.
  */
-router.get('/admin/events', requireAdmin, async (req, res) => {
+router.get('/admin/events', requireOrganizer, async (req, res) => {
     try {
-        const result = await db.query('SELECT * FROM events ORDER BY date ASC');
-        // db.query returns [events], so extract the first element
-        const events = (Array.isArray(result) && result.length > 0) ? result[0] : [];
-        
-        console.log('Admin events page - Events fetched:', Array.isArray(events) ? events.length : 0, 'events');
-        if (Array.isArray(events) && events.length > 0) {
-            console.log('Sample event:', events[0]);
-        }
-        
+        const events = (await db.getAllEvents({ includeArchived: true }))
+            .filter(event => db.canManageEvent(req.user, event));
+
         res.render('admin-events', {
             title: 'Admin - Manage Events',
-            events: Array.isArray(events) ? events : [],
+            events: events.filter(event => !db.isEventArchived(event)),
+            archivedEvents: events.filter(event => db.isEventArchived(event)),
+            pendingEvents: req.user.role === 'admin'
+                ? events.filter(event => db.getEventStatus(event) === db.EVENT_STATUS.PENDING)
+                : [],
+            getEventStatus: db.getEventStatus,
+            formatTimestamp: registrationExport.formatTimestamp,
+            categories: db.EVENT_CATEGORIES,
+            clubs: await getClubChoices(req.user),
             message: req.query.message || null,
             messageType: req.query.type || null
         });
@@ -208,52 +510,405 @@ router.get('/admin/events', requireAdmin, async (req, res) => {
  * POST /admin/events
  * Create a new event
  * 
- * Requires admin authentication.
+ * The event is saved as a draft, submitted for review, or (by admins)
+ * published or scheduled, depending on the button pressed.
+ * Organizers create events for one of their clubs.
+ * Requires organizer or admin authentication.
  */
-router.post('/admin/events', requireAdmin, async (req, res) => {
+router.post('/admin/events', requireOrganizer, uploadPoster, async (req, res) => {
     try {
-        const { title, date, venue } = req.body;
-        
-        console.log('📥 Received event creation request:', { title, date, venue });
+        console.log('📥 Received event creation request:', req.body.title);
+
+        if (req.uploadError) {
+            return res.redirect(`/admin/events?message=${encodeURIComponent(req.uploadError)}&type=danger`);
+        }
 
         // Validation
-        if (!title || !date || !venue) {
-            console.warn('⚠️  Validation failed: Missing required fields');
-            return res.redirect('/admin/events?message=All fields are required&type=danger');
+        const eventData = { ...req.body, posterUrl: resolvePosterUrl(req) };
+        const { errors } = db.validateEventData(eventData);
+        const clubError = await applyEventClub(req.user, eventData);
+        if (clubError) {
+            errors.push(clubError);
+        }
+        if (errors.length > 0) {
+            console.warn('⚠️  Validation failed:', errors);
+            await removeUploadedFile(req.file && posterUrlFor(req.file));
+            return res.redirect(`/admin/events?message=${encodeURIComponent(errors.join('. '))}&type=danger`);
         }
 
-        // Create event using db query interface
-        console.log('🔄 Calling db.query to create event...');
-        const result = await db.query(
-            'INSERT INTO events (title, date, venue) VALUES (?, ?, ?)',
-            [title.trim(), date, venue.trim()]
-        );
-        
-        console.log('✅ Event creation query completed, result:', result);
+        // Create event
+        const event = await db.createEvent(eventData, { status: getRequestedStatus(req.user, req.body.action) });
+        if (db.getEventStatus(event) === db.EVENT_STATUS.SCHEDULED) {
+            await scheduleEventPublish(event);
+        }
 
-        res.redirect('/admin/events?message=Event created successfully&type=success');
+        res.redirect(`/admin/events?message=${encodeURIComponent(describeEventStatus(event))}&type=success`);
     } catch (error) {
         console.error('❌ Error creating event in route:', error);
         console.error('Error stack:', error.stack);
-        res.redirect('/admin/events?message=Failed to create event: ' + error.message + '&type=danger');
+        res.redirect(`/admin/events?message=${encodeURIComponent('Failed to create event: ' + error.message)}&type=danger`);
     }
 });
 
 /**
- * POST /admin/events/:id/delete
- * Delete an event
+ * POST /admin/events/import
+ * Upload a CSV or JSON file of events and preview the import
+ * 
+ * Every row is validated and shown with its errors. The valid rows are
+ * kept in the session until the admin confirms the import.
+ * Requires admin authentication.
+ */
+router.post('/admin/events/import', requireAdmin, uploadImportFile, async (req, res) => {
+    try {
+        if (req.uploadError || !req.file) {
+            const error = req.uploadError || 'Choose a CSV or JSON file to import';
+            return res.redirect(`/admin/events?message=${encodeURIComponent(error)}&type=danger`);
+        }
+
+        let parsed;
+        try {
+            parsed = eventImport.parseEventFile(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.redirect(`/admin/events?message=${encodeURIComponent('Could not read file: ' + error.message)}&type=danger`);
+        }
+
+        const preview = eventImport.previewImport(parsed.rows, await db.getAllEvents());
+        const validRows = preview.filter(row => row.errors.length === 0);
+
+        req.session.eventImport = {
+            filename: req.file.originalname,
+            rows: validRows.map(row => ({ number: row.number, fields: row.data }))
+        };
+
+        res.render('admin-events-import', {
+            title: 'Admin - Import Events',
+            filename: req.file.originalname,
+            preview: preview,
+            validCount: validRows.length,
+            ignoredColumns: parsed.ignoredColumns,
+            message: null,
+            messageType: null
+        });
+    } catch (error) {
+        console.error('❌ Error previewing event import:', error);
+        res.redirect('/admin/events?message=Failed to read import file&type=danger');
+    }
+});
+
+/**
+ * POST /admin/events/import/confirm
+ * Create the valid events from the previewed import in one batch
+ * 
+ * Rows are checked again, so events added since the preview are not duplicated.
+ * Requires admin authentication.
+ */
+router.post('/admin/events/import/confirm', requireAdmin, async (req, res) => {
+    try {
+        const pending = req.session.eventImport;
+        if (!pending || pending.rows.length === 0) {
+            return res.redirect('/admin/events?message=Nothing to import. Upload a file first.&type=warning');
+        }
+
+        const preview = eventImport.previewImport(pending.rows, await db.getAllEvents());
+        const created = await eventImport.importEvents(preview);
+        delete req.session.eventImport;
+
+        const skipped = preview.length - created.length;
+        const note = skipped > 0 ? ` ${skipped} row(s) skipped because they now clash with existing events.` : '';
+        res.redirect(`/admin/events?message=${encodeURIComponent(`Imported ${created.length} event(s) from ${pending.filename}.${note}`)}&type=success`);
+    } catch (error) {
+        console.error('❌ Error importing events:', error);
+        res.redirect(`/admin/events?message=${encodeURIComponent('Failed to import events: ' + error.message)}&type=danger`);
+    }
+});
+
+/**
+ * GET /admin/events/:id/edit
+ * Edit event form
+ * 
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/edit', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+
+        res.render('admin-event-edit', {
+            title: `Edit ${event.title}`,
+            event: event,
+            status: db.getEventStatus(event),
+            review: event.review || null,
+            formatTimestamp: registrationExport.formatTimestamp,
+            categories: db.EVENT_CATEGORIES,
+            clubs: await getClubChoices(req.user),
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error loading event for editing:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load event. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /admin/events/:id/edit
+ * Save changes to an event
+ * 
+ * The event keeps its ID, so existing registrations stay attached.
+ * Organizers can move the event between their own clubs. Their changes
+ * to an event that is waiting for review or scheduled send it (back) for
+ * review; published events stay live, so registered students keep them.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/edit', requireEventManager, uploadPoster, async (req, res) => {
+    const eventId = req.params.id;
+    try {
+        const event = await db.getEventById(eventId);
+        if (!event) {
+            await removeUploadedFile(req.file && posterUrlFor(req.file));
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+
+        const eventData = { ...req.body, posterUrl: resolvePosterUrl(req, event.posterUrl) };
+        const { data, errors } = db.validateEventData(eventData);
+        if (req.uploadError) {
+            errors.unshift(req.uploadError);
+        }
+        const clubError = await applyEventClub(req.user, eventData);
+        if (clubError) {
+            errors.push(clubError);
+        }
+        // Existing registrations were made with (or without) teams
+        if (Boolean(data.teamEvent) !== Boolean(event.teamEvent)
+            && (await db.getRegistrationsByEventId(eventId)).length > 0) {
+            errors.push('Team registration cannot be switched on or off once students have registered');
+        }
+
+        if (errors.length > 0) {
+            if (req.file) {
+                await removeUploadedFile(eventData.posterUrl);
+            }
+            // Re-render with the submitted values so nothing typed is lost
+            return res.status(400).render('admin-event-edit', {
+                title: `Edit ${event.title}`,
+                event: { ...eventData, id: eventId, posterUrl: event.posterUrl },
+                status: db.getEventStatus(event),
+                review: event.review || null,
+                formatTimestamp: registrationExport.formatTimestamp,
+                categories: db.EVENT_CATEGORIES,
+                clubs: await getClubChoices(req.user),
+                message: errors.join('. '),
+                messageType: 'danger'
+            });
+        }
+
+        const needsReview = req.user.role !== 'admin';
+        const updated = await db.updateEvent(eventId, eventData, { needsReview });
+        if (db.getEventStatus(updated) === db.EVENT_STATUS.SCHEDULED) {
+            await scheduleEventPublish(updated);
+        }
+
+        // A raised capacity frees seats for the waitlist
+        const promoted = await db.fillWaitlist(eventId);
+        if (promoted.length > 0) {
+            console.log(`✅ Promoted ${promoted.length} registration(s) off the waitlist for event ${eventId}`);
+        }
+
+        // Email registrants about a changed date, time or venue. Promoted
+        // students get their promotion email with the new details instead.
+        const promotedIds = new Set(promoted.map(reg => reg.id));
+        const registrations = await db.getRegistrationsByEventId(eventId);
+        await mail.sendEventUpdated(event, updated, registrations.filter(reg => !promotedIds.has(reg.id)));
+        await mail.sendWaitlistPromotions(promoted, updated);
+
+        // Clean up the old poster file once it has been replaced or removed
+        if (event.posterUrl && event.posterUrl !== eventData.posterUrl) {
+            await removePosterFile(event.posterUrl);
+        }
+
+        const sentForReview = needsReview && updated.status === db.EVENT_STATUS.PENDING;
+        res.redirect(sentForReview
+            ? `/admin/events?message=${encodeURIComponent(`${updated.title} updated and sent for review`)}&type=success`
+            : '/admin/events?message=Event updated successfully&type=success');
+    } catch (error) {
+        console.error('❌ Error updating event:', error);
+        res.redirect(`/admin/events/${eventId}/edit?message=${encodeURIComponent('Failed to update event: ' + error.message)}&type=danger`);
+    }
+});
+
+// ============================================
+// PUBLISHING WORKFLOW
+// ============================================
+
+/**
+ * POST /admin/events/:id/submit
+ * Submit a draft for an admin to review
+ * 
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/submit', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.submitEventForReview(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found or not a draft&type=warning');
+        }
+
+        res.redirect(`/admin/events?message=${encodeURIComponent(describeEventStatus(event))}&type=success`);
+    } catch (error) {
+        console.error('Error submitting event for review:', error);
+        res.redirect('/admin/events?message=Failed to submit the event&type=danger');
+    }
+});
+
+/**
+ * POST /admin/events/:id/approve
+ * Approve an event (or publish a draft): it goes live now, or at its
+ * publish time if that is still to come
  * 
  * Requires admin authentication.
  */
-router.post('/admin/events/:id/delete', requireAdmin, async (req, res) => {
+router.post('/admin/events/:id/approve', requireAdmin, async (req, res) => {
+    try {
+        const event = await db.approveEvent(req.params.id, {
+            reviewer: req.user.email,
+            comment: req.body.comment
+        });
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found or already decided&type=warning');
+        }
+        if (db.getEventStatus(event) === db.EVENT_STATUS.SCHEDULED) {
+            await scheduleEventPublish(event);
+        }
+
+        res.redirect(`/admin/events?message=${encodeURIComponent(describeEventStatus(event))}&type=success`);
+    } catch (error) {
+        console.error('Error approving event:', error);
+        res.redirect('/admin/events?message=Failed to approve the event&type=danger');
+    }
+});
+
+/**
+ * POST /admin/events/:id/reject
+ * Send an event back to its organizers as a draft, with a comment
+ * saying what to change
+ * 
+ * Requires admin authentication.
+ */
+router.post('/admin/events/:id/reject', requireAdmin, async (req, res) => {
+    const page = `/admin/events/${req.params.id}/edit`;
+    try {
+        if (!String(req.body.comment || '').trim()) {
+            return res.redirect(`${page}?message=Say what needs to change when sending an event back&type=warning`);
+        }
+
+        const event = await db.rejectEvent(req.params.id, {
+            reviewer: req.user.email,
+            comment: req.body.comment
+        });
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found or not waiting for review&type=warning');
+        }
+
+        res.redirect(`/admin/events?message=${encodeURIComponent(`${event.title} sent back to its organizers`)}&type=success`);
+    } catch (error) {
+        console.error('Error rejecting event:', error);
+        res.redirect('/admin/events?message=Failed to send the event back&type=danger');
+    }
+});
+
+/**
+ * POST /admin/events/:id/archive
+ * Archive (soft-delete) an event
+ * 
+ * The event is hidden from students but keeps its registrations so it
+ * can be restored. Registered students are notified of the cancellation
+ * in the app and by email.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/archive', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.archiveEvent(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found or already archived&type=warning');
+        }
+
+        const registrations = await db.getRegistrationsByEventId(event.id);
+        const notified = await db.notifyEventRegistrants(db.NOTIFICATION_TYPES.EVENT_CANCELLED, event, registrations);
+        await mail.sendEventCancelled(event, registrations);
+
+        res.redirect(`/admin/events?message=${encodeURIComponent(`${event.title} archived. ${notified} student(s) notified.`)}&type=success`);
+    } catch (error) {
+        console.error('Error archiving event:', error);
+        res.redirect('/admin/events?message=Failed to archive event&type=danger');
+    }
+});
+
+/**
+ * POST /admin/events/:id/restore
+ * Restore an archived event
+ * 
+ * Students who are still registered are told the event is back on.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/restore', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.restoreEvent(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found or not archived&type=warning');
+        }
+
+        const registrations = await db.getRegistrationsByEventId(event.id);
+        await db.notifyEventRegistrants(db.NOTIFICATION_TYPES.EVENT_RESTORED, event, registrations);
+
+        res.redirect(`/admin/events?message=${encodeURIComponent(`${event.title} restored`)}&type=success`);
+    } catch (error) {
+        console.error('Error restoring event:', error);
+        res.redirect('/admin/events?message=Failed to restore event&type=danger');
+    }
+});
+
+/**
+ * POST /admin/events/:id/delete
+ * Permanently delete an archived event
+ * 
+ * Its registrations are archived (kept with a snapshot of the event) or,
+ * with registrations=delete, removed before the event in batched writes.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/delete', requireEventManager, async (req, res) => {
     try {
         const eventId = req.params.id;
-        
-        // Delete event from Firestore
-        await db.deleteEvent(eventId);
 
-        res.redirect('/admin/events?message=Event deleted successfully&type=success');
+        const event = await db.getEventById(eventId);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=warning');
+        }
+        if (!db.isEventArchived(event)) {
+            return res.redirect('/admin/events?message=Archive the event before deleting it permanently&type=warning');
+        }
+
+        const keepRegistrations = req.body.registrations !== 'delete';
+        const result = await db.deleteEvent(eventId, { keepRegistrations });
+        if (!result) {
+            return res.redirect('/admin/events?message=Event not found&type=warning');
+        }
+        await removePosterFile(event.posterUrl);
+        await removeUploadedFile(event.certificateTemplate && event.certificateTemplate.backgroundUrl);
+
+        const count = result.registrations.length;
+        const note = keepRegistrations
+            ? `${count} active registration(s) archived.`
+            : 'Its registrations were removed.';
+        res.redirect(`/admin/events?message=${encodeURIComponent(`${event.title} deleted permanently. ${note}`)}&type=success`);
     } catch (error) {
+        if (error.code === 'EVENT_DELETE_INCOMPLETE') {
+            return res.redirect(`/admin/events?message=${encodeURIComponent(error.message)}&type=warning`);
+        }
         console.error('Error deleting event:', error);
         res.redirect('/admin/events?message=Failed to delete event&type=danger');
     }
@@ -0,0 +1,191 @@
+/**
+ * Ticket and Check-in Routes
+ *
+ * This file handles QR-code tickets for students and the on-site
+ * check-in screen volunteers use to scan or type ticket tokens.
+ * Attendance is stored on the registration record.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireAuth, requireEventManager } = require('../config/auth');
+const tickets = require('../config/tickets');
+
+/**
+ * GET /tickets/:id
+ * Ticket page for a registration
+ *
+ * Shows the QR code for confirmed registrations.
+ * Students can only see their own tickets; organizers can see the
+ * tickets for their clubs' events, and admins can see any.
+ */
+router.get('/tickets/:id', requireAuth, async (req, res) => {
+    try {
+        const registration = await db.getRegistrationById(req.params.id);
+        const event = registration && await db.getEventById(registration.event_id);
+        const canView = registration
+            && (req.user.role === 'admin' || db.isRegistrationOwnedBy(registration, req.user)
+                || db.canManageEvent(req.user, event));
+
+        if (!canView) {
+            return res.status(404).render('error', {
+                title: 'Ticket Not Found',
+                message: 'This ticket does not exist or belongs to someone else.'
+            });
+        }
+
+        const status = db.getRegistrationStatus(registration);
+
+        let token = null;
+        let qrCode = null;
+        if (event && status === db.REGISTRATION_STATUS.CONFIRMED) {
+            token = tickets.createTicketToken(registration);
+            qrCode = await tickets.renderTicketQr(token);
+        }
+
+        res.render('ticket', {
+            title: event ? `Ticket - ${event.title}` : 'Ticket',
+            registration: registration,
+            event: event,
+            status: status,
+            waitlistPosition: await db.getWaitlistPosition(registration),
+            token: token,
+            qrCode: qrCode,
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error loading ticket:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load ticket. Please try again.'
+        });
+    }
+});
+
+/**
+ * GET /admin/events/:id/checkin
+ * Check-in screen for an event
+ *
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/checkin', requireEventManager, async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+
+        res.render('admin-checkin', {
+            title: `Check-in - ${event.title}`,
+            event: event,
+            stats: await db.getCheckInStats(event.id),
+            result: null
+        });
+    } catch (error) {
+        console.error('Error loading check-in screen:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load check-in screen. Please try again.'
+        });
+    }
+});
+
+/**
+ * GET /admin/events/:id/checkin/stats
+ * Live checked-in count for the check-in screen (JSON)
+ *
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.get('/admin/events/:id/checkin/stats', requireEventManager, async (req, res) => {
+    try {
+        res.json(await db.getCheckInStats(req.params.id));
+    } catch (error) {
+        console.error('Error loading check-in stats:', error);
+        res.status(500).json({ error: 'Failed to load check-in stats' });
+    }
+});
+
+/**
+ * Check a ticket token in for an event
+ * @param {string} eventId - Event the desk is checking in for
+ * @param {string} token - Token as scanned or typed
+ * @param {string} adminUid - UID of the admin at the desk
+ * @returns {Promise<{outcome: string, message: string, name?: string, checkedInAt?: string}>}
+ *          outcome is 'checked_in', 'duplicate' or 'rejected'
+ */
+async function checkInToken(eventId, token, adminUid) {
+    const registrationId = tickets.getTicketRegistrationId(token);
+    const registration = registrationId && await db.getRegistrationById(registrationId);
+
+    if (!registration || !tickets.isValidTicketToken(token, registration)) {
+        return { outcome: 'rejected', message: 'Invalid ticket' };
+    }
+    if (registration.event_id !== String(eventId)) {
+        return { outcome: 'rejected', name: registration.name, message: 'This ticket is for a different event' };
+    }
+
+    try {
+        const result = await db.checkInRegistration(registration.id, { checkedInBy: adminUid });
+        if (!result) {
+            return { outcome: 'rejected', message: 'Invalid ticket' };
+        }
+        return {
+            outcome: result.alreadyCheckedIn ? 'duplicate' : 'checked_in',
+            name: result.registration.name,
+            checkedInAt: result.registration.checkedInAt,
+            message: result.alreadyCheckedIn ? 'Already checked in' : 'Checked in'
+        };
+    } catch (error) {
+        if (error.code === 'NOT_CONFIRMED' || error.code === 'TEAM_TOO_SMALL') {
+            return { outcome: 'rejected', name: registration.name, message: error.message };
+        }
+        throw error;
+    }
+}
+
+/**
+ * POST /admin/events/:id/checkin
+ * Check in a scanned or typed ticket token
+ *
+ * Answers with JSON for the check-in screen's script, or re-renders
+ * the screen for plain form submissions.
+ * Requires organizer (of the event's club) or admin authentication.
+ */
+router.post('/admin/events/:id/checkin', requireEventManager, async (req, res) => {
+    const wantsJson = req.is('application/json');
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return wantsJson
+                ? res.status(404).json({ error: 'Event not found' })
+                : res.redirect('/admin/events?message=Event not found&type=danger');
+        }
+
+        const result = await checkInToken(event.id, req.body.token, req.user.uid);
+        const stats = await db.getCheckInStats(event.id);
+        if (result.outcome !== 'rejected') {
+            console.log(`✅ Check-in for event ${event.id}: ${result.name} (${result.outcome})`);
+        }
+
+        if (wantsJson) {
+            return res.json({ ...result, stats });
+        }
+        res.render('admin-checkin', {
+            title: `Check-in - ${event.title}`,
+            event: event,
+            stats: stats,
+            result: result
+        });
+    } catch (error) {
+        console.error('Error checking in ticket:', error);
+        if (wantsJson) {
+            return res.status(500).json({ error: 'Check-in failed. Please try again.' });
+        }
+        res.redirect(`/admin/events/${req.params.id}/checkin`);
+    }
+});
+
+// Export the router to be used in server.js
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * User Management Routes
+ *
+ * This file handles the admin console for user accounts:
+ * listing and searching users, promoting/demoting roles,
+ * and disabling or re-enabling accounts.
+ * All routes require admin authentication.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { requireAdmin } = require('../config/auth');
+const { revokeUserSessions } = require('../config/sessions');
+
+/**
+ * GET /admin/users
+ * User management console
+ *
+ * Supports ?search= (name or email) and ?role= filters.
+ */
+router.get('/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const search = String(req.query.search || '');
+        const role = db.ROLES.includes(req.query.role) ? req.query.role : '';
+
+        const users = await db.listUsers({ search, role });
+
+        res.render('admin-users', {
+            title: 'Admin - Manage Users',
+            users: users,
+            roles: db.ROLES,
+            search: search,
+            role: role,
+            message: req.query.message || null,
+            messageType: req.query.type || null
+        });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load users. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /admin/users/:uid/role
+ * Promote or demote a user
+ *
+ * Admins cannot change their own role, so there is always at least
+ * the acting admin left. The user is logged out everywhere and picks up
+ * the new role when they log in again.
+ */
+router.post('/admin/users/:uid/role', requireAdmin, async (req, res) => {
+    try {
+        const uid = req.params.uid;
+        const { role } = req.body;
+
+        if (!db.ROLES.includes(role)) {
+            return res.redirect('/admin/users?message=Invalid role&type=danger');
+        }
+
+        if (uid === req.user.uid) {
+            return res.redirect('/admin/users?message=You cannot change your own role&type=warning');
+        }
+
+        const user = await db.updateUserRole(uid, role);
+        if (!user) {
+            return res.redirect('/admin/users?message=User not found&type=danger');
+        }
+        await revokeUserSessions(uid);
+
+        res.redirect(`/admin/users?message=${encodeURIComponent(`${user.email} is now ${role}`)}&type=success`);
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        res.redirect('/admin/users?message=Failed to update role&type=danger');
+    }
+});
+
+/**
+ * POST /admin/users/:uid/disable
+ * Disable a user account and log it out everywhere
+ */
+router.post('/admin/users/:uid/disable', requireAdmin, async (req, res) => {
+    try {
+        const uid = req.params.uid;
+
+        if (uid === req.user.uid) {
+            return res.redirect('/admin/users?message=You cannot disable your own account&type=warning');
+        }
+
+        const user = await db.setUserDisabled(uid, true);
+        if (!user) {
+            return res.redirect('/admin/users?message=User not found&type=danger');
+        }
+        await revokeUserSessions(uid);
+
+        res.redirect(`/admin/users?message=${encodeURIComponent(`${user.email} has been disabled`)}&type=success`);
+    } catch (error) {
+        console.error('Error disabling user:', error);
+        res.redirect('/admin/users?message=Failed to disable user&type=danger');
+    }
+});
+
+/**
+ * POST /admin/users/:uid/enable
+ * Re-enable a disabled user account
+ */
+router.post('/admin/users/:uid/enable', requireAdmin, async (req, res) => {
+    try {
+        const user = await db.setUserDisabled(req.params.uid, false);
+        if (!user) {
+            return res.redirect('/admin/users?message=User not found&type=danger');
+        }
+
+        res.redirect(`/admin/users?message=${encodeURIComponent(`${user.email} has been enabled`)}&type=success`);
+    } catch (error) {
+        console.error('Error enabling user:', error);
+        res.redirect('/admin/users?message=Failed to enable user&type=danger');
+    }
+});
+
+// Export the router to be used in server.js
+module.exports = router;
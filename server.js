@@ -7,7 +7,6 @@
 
 const express = require('express');
 const path = require('path');
-const session = require('express-session');
 const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
@@ -15,6 +14,19 @@ require('dotenv').config();
 const eventRoutes = require('./routes/eventRoutes');
 const registerRoutes = require('./routes/registerRoutes');
 const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const ticketRoutes = require('./routes/ticketRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const feedbackRoutes = require('./routes/feedbackRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
+const clubRoutes = require('./routes/clubRoutes');
+const apiRoutes = require('./routes/apiRoutes');
+const { apiErrorHandler } = require('./config/api');
+const { startMailWorker } = require('./config/mail');
+const { startScheduler } = require('./config/scheduler');
+const { createSessionMiddleware } = require('./config/sessions');
+const { securityHeaders, csrfProtection } = require('./config/security');
 
 // Initialize Express application
 const app = express();
@@ -24,19 +36,22 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE CONFIGURATION
 // ============================================
 
+// Behind a reverse proxy (e.g. TRUST_PROXY=1), use the client address and
+// protocol it forwards, for rate limits and secure cookies
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Security headers, including the Content-Security-Policy
+app.use(securityHeaders());
+
 // Cookie parser middleware
 app.use(cookieParser());
 
 // Session middleware
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'event-registration-secret-key-change-in-production',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        secure: false, // Set to true in production with HTTPS
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    }
-}));
+// Sessions are kept in the database so logins survive restarts (see config/sessions.js)
+app.use(createSessionMiddleware());
 
 // Parse URL-encoded bodies (form data)
 // This middleware allows us to access form data via req.body
@@ -49,6 +64,9 @@ app.use(express.json());
 // This allows direct access to CSS, JS, and image files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Require a CSRF token on every state-changing request (see config/security.js)
+app.use(csrfProtection);
+
 // Set EJS as the templating engine
 // EJS allows us to create dynamic HTML templates
 app.set('view engine', 'ejs');
@@ -67,6 +85,10 @@ app.use((req, res, next) => {
     next();
 });
 
+// Mount the JSON REST API (bearer-token auth, JSON errors; see routes/apiRoutes.js).
+// Its error handler also answers malformed JSON bodies sent to the API.
+app.use('/api/v1', apiRoutes, apiErrorHandler);
+
 // Mount authentication routes
 app.use('/', authRoutes);
 
@@ -78,6 +100,27 @@ app.use('/', eventRoutes);
 // All routes defined in registerRoutes.js will be prefixed with '/'
 app.use('/', registerRoutes);
 
+// Mount user management routes (admin only)
+app.use('/', userRoutes);
+
+// Mount ticket and check-in routes
+app.use('/', ticketRoutes);
+
+// Mount calendar (.ics) routes
+app.use('/', calendarRoutes);
+
+// Mount scheduled job routes (admin only)
+app.use('/', jobRoutes);
+
+// Mount post-event feedback routes
+app.use('/', feedbackRoutes);
+
+// Mount certificate routes (verification pages are public)
+app.use('/', certificateRoutes);
+
+// Mount club pages (public) and club management (admin only)
+app.use('/', clubRoutes);
+
 // ============================================
 // ERROR HANDLING MIDDLEWARE
 // ============================================
@@ -108,5 +151,11 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`🚀 Server is running on http://localhost:${PORT}`);
     console.log(`📝 Event Registration System is ready!`);
+
+    // Deliver queued emails, retrying any that failed earlier
+    startMailWorker();
+
+    // Plan and run reminders and digests
+    startScheduler();
 });
 
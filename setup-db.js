@@ -3,13 +3,27 @@
  * 
  * This script initializes the local JSON data files with seed data.
  * Run this script to create the data directory and populate initial events.
+ * The JSON storage backend (DB_BACKEND=json) reads and writes these files.
+ * 
+ * Events can also be seeded from a CSV or JSON file with the same importer
+ * as the admin "Import Events" form (see config/import.js). Imported events
+ * go to the local data files, or to DB_BACKEND if it is set.
  * 
  * Usage: node setup-db.js
+ *        node setup-db.js --import events.csv
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 
+// Event file given with --import, if any
+const importArgIndex = process.argv.indexOf('--import');
+const IMPORT_FILE = importArgIndex === -1 ? null : process.argv[importArgIndex + 1];
+if (importArgIndex !== -1 && !IMPORT_FILE) {
+    console.error('❌ Usage: node setup-db.js --import <events.csv|events.json>');
+    process.exit(1);
+}
+
 // Data directory and file paths
 const DATA_DIR = path.join(__dirname, 'data');
 const EVENTS_FILE = path.join(DATA_DIR, 'events.json');
@@ -24,22 +38,69 @@ const seedEvents = [
         id: 1,
         title: 'Tech Innovators Summit',
         date: '2025-12-01',
-        venue: 'Auditorium A'
+        venue: 'Auditorium A',
+        description: 'Talks and demos from student founders and industry guests.',
+        startTime: '10:00',
+        endTime: '16:00',
+        category: 'Technical',
+        organizer: 'Tech Club',
+        contact: '',
+        posterUrl: ''
     },
     {
         id: 2,
         title: 'AI Workshop',
         date: '2025-12-05',
-        venue: 'Lab 3'
+        venue: 'Lab 3',
+        description: 'Hands-on introduction to building and training neural networks.',
+        startTime: '14:00',
+        endTime: '17:00',
+        category: 'Workshop',
+        organizer: 'AI Club',
+        contact: '',
+        posterUrl: ''
     },
     {
         id: 3,
         title: 'Cultural Fest',
         date: '2025-12-10',
-        venue: 'Main Ground'
+        venue: 'Main Ground',
+        description: 'Music, dance and food stalls from every club on campus.',
+        startTime: '17:00',
+        endTime: '22:00',
+        category: 'Cultural',
+        organizer: 'Cultural Committee',
+        contact: '',
+        posterUrl: ''
     }
 ];
 
+/**
+ * Import events from a CSV or JSON file through the repository layer.
+ * Rows with errors are reported and skipped.
+ * @param {string} file - Path to the file
+ */
+async function importEventsFromFile(file) {
+    const { setStorage, createJsonStorage } = require('./config/storage');
+    const db = require('./config/db');
+    const eventImport = require('./config/import');
+
+    if (!process.env.DB_BACKEND) {
+        setStorage(createJsonStorage({ dataDir: DATA_DIR }));
+    }
+
+    console.log(`\n📥 Importing events from ${file}...`);
+    const parsed = eventImport.parseEventFile(await fs.readFile(file), file);
+    const preview = eventImport.previewImport(parsed.rows, await db.getAllEvents());
+
+    preview
+        .filter(row => row.errors.length > 0)
+        .forEach(row => console.log(`   ⚠️  Row ${row.number} skipped: ${row.errors.join('. ')}`));
+
+    const created = await eventImport.importEvents(preview);
+    console.log(`✅ Imported ${created.length} of ${preview.length} event(s)`);
+}
+
 /**
  * Main setup function
  * Creates data directory and initializes JSON files
@@ -61,7 +122,10 @@ async function setupData() {
             eventsExist = false;
         }
         
-        if (!eventsExist) {
+        if (!eventsExist && IMPORT_FILE) {
+            // Events come from the import file instead of the seed data
+            await fs.writeFile(EVENTS_FILE, JSON.stringify([], null, 2), 'utf8');
+        } else if (!eventsExist) {
             // Create events.json with seed data
             console.log('\n📋 Creating events.json with seed data...');
             await fs.writeFile(
@@ -121,6 +185,10 @@ async function setupData() {
             console.log(`\n⚠️  Users file already exists with ${existingUsers.length} user(s).`);
         }
         
+        if (IMPORT_FILE) {
+            await importEventsFromFile(IMPORT_FILE);
+        }
+        
         // Verify setup
         console.log('\n🔍 Verifying setup...');
         const events = JSON.parse(await fs.readFile(EVENTS_FILE, 'utf8'));
@@ -141,7 +209,7 @@ async function setupData() {
         
         console.log('\n✅ Local data setup completed successfully!');
         console.log('📂 Data files are stored in: ' + DATA_DIR);
-        console.log('🚀 You can now start the server with: node server.js\n');
+        console.log('🚀 Start the server on this data with: DB_BACKEND=json node server.js\n');
         
     } catch (error) {
         console.error('\n❌ Error setting up data:', error.message);
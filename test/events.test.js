@@ -0,0 +1,62 @@
+/**
+ * Editing events, run against the in-memory storage backend: node --test
+ */
+
+process.env.DB_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../config/db');
+
+const EVENT = {
+    title: 'Photography Walk',
+    date: '2099-03-05',
+    startTime: '07:00',
+    endTime: '09:30',
+    venue: 'Main Gate',
+    description: 'Sunrise photo walk around campus',
+    category: 'Cultural',
+    organizer: 'Shutterbugs',
+    contact: 'photo@muj.manipal.edu',
+    capacity: '10'
+};
+
+test('an edit keeps the event\'s ID, registrations and seat counts', async () => {
+    const event = await db.createEvent(EVENT, { status: db.EVENT_STATUS.PUBLISHED });
+    const registration = await db.createRegistration({
+        event_id: event.id,
+        uid: 'kim',
+        name: 'Kim',
+        email: 'kim@muj.manipal.edu'
+    });
+
+    const updated = await db.updateEvent(event.id, { ...EVENT, venue: 'Main Gate (north side)', endTime: '10:00' });
+    assert.strictEqual(updated.id, event.id);
+    assert.strictEqual(updated.venue, 'Main Gate (north side)');
+    assert.strictEqual(db.getEventDurationMinutes(updated), 180);
+    assert.strictEqual(updated.seatsTaken, 1);
+    assert.strictEqual(updated.sequence, event.sequence + 1);
+
+    const registrations = await db.getRegistrationsByEventId(event.id);
+    assert.deepStrictEqual(registrations.map(reg => reg.id), [registration.id]);
+});
+
+test('an invalid edit is refused and leaves the event as it was', async () => {
+    const event = await db.createEvent(EVENT);
+    await assert.rejects(db.updateEvent(event.id, { ...EVENT, title: '', endTime: '06:00' }));
+    assert.strictEqual((await db.getEventById(event.id)).title, EVENT.title);
+});
+
+test('updating an event that does not exist returns null', async () => {
+    assert.strictEqual(await db.updateEvent('missing', EVENT), null);
+});
+
+test('poster URLs must be web links or this site\'s own poster uploads', () => {
+    const posterError = 'Poster URL must start with http:// or https://';
+    const errorsFor = posterUrl => db.validateEventData({ ...EVENT, posterUrl }).errors;
+
+    assert.deepStrictEqual(errorsFor('https://example.com/poster.png'), []);
+    assert.deepStrictEqual(errorsFor('/uploads/posters/0123abcd.png'), []);
+    assert.deepStrictEqual(errorsFor('/uploads/certificates/0123abcd.png'), [posterError]);
+    assert.deepStrictEqual(errorsFor('javascript:alert(1)'), [posterError]);
+});
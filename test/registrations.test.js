@@ -0,0 +1,101 @@
+/**
+ * Seat limits and the waitlist, run against the in-memory storage
+ * backend: node --test
+ */
+
+process.env.DB_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../config/db');
+
+/**
+ * Publish an event open for registration with the given capacity
+ */
+function createEvent(capacity) {
+    return db.createEvent({
+        title: 'Intro to Rust',
+        date: '2099-02-10',
+        startTime: '14:00',
+        endTime: '16:00',
+        venue: 'Lab 3',
+        description: 'A hands-on workshop',
+        category: 'Workshop',
+        organizer: 'Coding Club',
+        contact: 'coding@muj.manipal.edu',
+        capacity: String(capacity)
+    }, { status: db.EVENT_STATUS.PUBLISHED });
+}
+
+/**
+ * Register a student for an event under their own uid and email
+ */
+function register(event, uid) {
+    return db.createRegistration({
+        event_id: event.id,
+        uid: uid,
+        name: uid,
+        email: `${uid}@muj.manipal.edu`
+    });
+}
+
+test('registrations past the capacity join the waitlist in order', async () => {
+    const event = await createEvent(2);
+    const [first, second, third, fourth] = [
+        await register(event, 'alice'),
+        await register(event, 'bob'),
+        await register(event, 'carol'),
+        await register(event, 'dave')
+    ];
+
+    assert.deepStrictEqual([first, second, third, fourth].map(reg => reg.status),
+        ['confirmed', 'confirmed', 'waitlisted', 'waitlisted']);
+    assert.strictEqual(await db.getWaitlistPosition(third), 1);
+    assert.strictEqual(await db.getWaitlistPosition(fourth), 2);
+
+    const stored = await db.getEventById(event.id);
+    assert.strictEqual(stored.seatsTaken, 2);
+    assert.strictEqual(stored.waitlistCount, 2);
+});
+
+test('concurrent registrations never take more seats than the capacity', async () => {
+    const event = await createEvent(3);
+    const uids = Array.from({ length: 10 }, (_, i) => `student${i}`);
+    const registrations = await Promise.all(uids.map(uid => register(event, uid)));
+
+    assert.strictEqual(registrations.filter(reg => reg.status === 'confirmed').length, 3);
+    assert.strictEqual(registrations.filter(reg => reg.status === 'waitlisted').length, 7);
+    assert.strictEqual((await db.getEventById(event.id)).seatsTaken, 3);
+});
+
+test('a student cannot register twice for the same event', async () => {
+    const event = await createEvent(5);
+    await register(event, 'erin');
+    await assert.rejects(register(event, 'erin'), { code: 'ALREADY_REGISTERED' });
+});
+
+test('cancelling a confirmed registration promotes the first on the waitlist', async () => {
+    const event = await createEvent(1);
+    const confirmed = await register(event, 'frank');
+    const waiting = await register(event, 'grace');
+    const later = await register(event, 'heidi');
+
+    const { promoted } = await db.cancelRegistration(confirmed.id);
+    assert.deepStrictEqual(promoted.map(reg => reg.id), [waiting.id]);
+    assert.strictEqual(db.getRegistrationStatus(await db.getRegistrationById(waiting.id)), 'confirmed');
+    assert.strictEqual(await db.getWaitlistPosition(await db.getRegistrationById(later.id)), 1);
+
+    const stored = await db.getEventById(event.id);
+    assert.strictEqual(stored.seatsTaken, 1);
+    assert.strictEqual(stored.waitlistCount, 1);
+});
+
+test('raising the capacity moves students off the waitlist', async () => {
+    const event = await createEvent(1);
+    await register(event, 'ivan');
+    const waiting = await register(event, 'judy');
+
+    await db.updateEvent(event.id, { ...event, capacity: '2' });
+    const promoted = await db.fillWaitlist(event.id);
+    assert.deepStrictEqual(promoted.map(reg => reg.id), [waiting.id]);
+});
@@ -0,0 +1,113 @@
+/**
+ * CSRF protection for state-changing requests: node --test
+ */
+
+process.env.DB_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { csrfProtection } = require('../config/security');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '..', 'views'));
+    app.use(cookieParser());
+    app.use(express.urlencoded({ extended: true }));
+    app.use(express.json());
+    // Locals the page header expects, as server.js sets them
+    app.use((req, res, next) => {
+        res.locals.user = null;
+        res.locals.cspNonce = '';
+        next();
+    });
+    app.use(csrfProtection);
+    app.get('/form', (req, res) => res.json({ token: res.locals.csrfToken }));
+    app.post('/submit', (req, res) => res.json({ ok: true }));
+    app.post('/api/v1/events', (req, res) => res.json({ ok: true }));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Load the form page as a browser would, keeping its CSRF cookie
+ * @returns {Promise<{cookie: string, token: string}>}
+ */
+async function openForm() {
+    const response = await fetch(`${baseUrl}/form`);
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const { token } = await response.json();
+    return { cookie, token };
+}
+
+/**
+ * POST a form body with the given cookie
+ */
+function postForm(url, cookie, fields) {
+    return fetch(`${baseUrl}${url}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: cookie },
+        body: new URLSearchParams(fields).toString()
+    });
+}
+
+test('a form post with the page\'s token is accepted', async () => {
+    const { cookie, token } = await openForm();
+    const response = await postForm('/submit', cookie, { _csrf: token });
+    assert.strictEqual(response.status, 200);
+});
+
+test('a token in the X-CSRF-Token header is accepted', async () => {
+    const { cookie, token } = await openForm();
+    const response = await fetch(`${baseUrl}/submit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Cookie: cookie, 'X-CSRF-Token': token },
+        body: '{}'
+    });
+    assert.strictEqual(response.status, 200);
+});
+
+test('a form post without a token is rejected', async () => {
+    const { cookie } = await openForm();
+    const response = await postForm('/submit', cookie, { title: 'Cross-site' });
+    assert.strictEqual(response.status, 403);
+    assert.match(await response.text(), /Form Expired/);
+});
+
+test('a token issued to another browser is rejected', async () => {
+    const { cookie } = await openForm();
+    const other = await openForm();
+    const response = await postForm('/submit', cookie, { _csrf: other.token });
+    assert.strictEqual(response.status, 403);
+});
+
+test('a JSON request without a token gets a JSON 403', async () => {
+    const { cookie } = await openForm();
+    const response = await fetch(`${baseUrl}/submit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Cookie: cookie },
+        body: '{}'
+    });
+    assert.strictEqual(response.status, 403);
+    assert.match((await response.json()).error, /CSRF/);
+});
+
+test('the bearer-token API is exempt', async () => {
+    const response = await fetch(`${baseUrl}/api/v1/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+    });
+    assert.strictEqual(response.status, 200);
+});
@@ -0,0 +1,76 @@
+/**
+ * Team size rules for team events, run against the in-memory storage
+ * backend: node --test
+ */
+
+process.env.DB_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../config/db');
+const { getStorage } = require('../config/storage');
+
+/**
+ * Publish a team event for teams of 3-4 that is open for registration
+ */
+function createTeamEvent() {
+    return db.createEvent({
+        title: 'Campus Hackathon',
+        date: '2099-01-15',
+        startTime: '09:00',
+        endTime: '18:00',
+        venue: 'Main Auditorium',
+        description: 'Build something in a day',
+        category: 'Technical',
+        organizer: 'Coding Club',
+        contact: 'coding@muj.manipal.edu',
+        teamEvent: 'true',
+        minTeamSize: '3',
+        maxTeamSize: '4'
+    }, { status: db.EVENT_STATUS.PUBLISHED });
+}
+
+/**
+ * Register a student for an event under their own uid and email
+ */
+function register(event, uid, team) {
+    return db.createRegistration({
+        event_id: event.id,
+        uid: uid,
+        name: uid,
+        email: `${uid}@muj.manipal.edu`,
+        team: team
+    });
+}
+
+test('an under-sized team cannot check in until it reaches the minimum size', async () => {
+    const event = await createTeamEvent();
+    const leader = await register(event, 'leader', { name: 'Null Pointers' });
+    const { inviteCode } = await getStorage().get('teams', leader.team_id);
+    const member = await register(event, 'member1', { inviteCode });
+
+    assert.strictEqual(leader.status, db.REGISTRATION_STATUS.CONFIRMED);
+    for (const registration of [leader, member]) {
+        await assert.rejects(db.checkInRegistration(registration.id), { code: 'TEAM_TOO_SMALL' });
+    }
+    const row = (await db.getRegistrationsWithEvents()).find(reg => reg.id === leader.id);
+    assert.strictEqual(row.teamShortfall, 1);
+
+    await register(event, 'member2', { inviteCode });
+    const result = await db.checkInRegistration(member.id);
+    assert.strictEqual(result.alreadyCheckedIn, false);
+    assert.ok(result.registration.checkedInAt);
+    const rows = await db.getRegistrationsWithEvents();
+    assert.strictEqual(rows.find(reg => reg.id === leader.id).teamShortfall, 0);
+});
+
+test('a team that drops below the minimum size cannot check in again', async () => {
+    const event = await createTeamEvent();
+    const leader = await register(event, 'leader2', { name: 'Off By One' });
+    const { inviteCode } = await getStorage().get('teams', leader.team_id);
+    const member = await register(event, 'member3', { inviteCode });
+    await register(event, 'member4', { inviteCode });
+
+    await db.cancelRegistration(member.id);
+    await assert.rejects(db.checkInRegistration(leader.id), { code: 'TEAM_TOO_SMALL' });
+});
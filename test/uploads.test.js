@@ -0,0 +1,86 @@
+/**
+ * Poster uploads: only real images are stored, under an extension from
+ * their type: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const {
+    UPLOADS_DIR,
+    uploadPoster,
+    posterUrlFor,
+    uploadedFilePath,
+    removeUploadedFile
+} = require('../config/uploads');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+let server;
+let baseUrl;
+const stored = [];
+
+test.before(async () => {
+    const app = express();
+    app.post('/poster', uploadPoster, (req, res) => {
+        const url = req.file ? posterUrlFor(req.file) : null;
+        if (url) stored.push(url);
+        res.json({ url, error: req.uploadError || null });
+    });
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await Promise.all(stored.map(removeUploadedFile));
+    await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Upload a poster file the way a browser form would
+ * @returns {Promise<{url: string|null, error: string|null}>}
+ */
+async function uploadFile(content, filename, type) {
+    const form = new FormData();
+    form.append('poster', new Blob([content], { type }), filename);
+    const response = await fetch(`${baseUrl}/poster`, { method: 'POST', body: form });
+    return response.json();
+}
+
+test('a PNG is stored with a .png extension whatever it was called', async () => {
+    const { url, error } = await uploadFile(PNG, 'poster.html', 'image/png');
+    assert.strictEqual(error, null);
+    assert.match(url, /^\/uploads\/posters\/[0-9a-f]{24}\.png$/);
+});
+
+test('an HTML file sent as image/png is rejected and not kept', async () => {
+    const posters = () => fs.readdirSync(path.join(UPLOADS_DIR, 'posters')).length;
+    const before = posters();
+    const { url, error } = await uploadFile('<script>alert(1)</script>', 'evil.html', 'image/png');
+    assert.strictEqual(url, null);
+    assert.strictEqual(error, 'Poster must be a JPEG, PNG, WebP or GIF image');
+    assert.strictEqual(posters(), before);
+});
+
+test('an image sent as a different image type is rejected', async () => {
+    const { url, error } = await uploadFile(PNG, 'poster.jpg', 'image/jpeg');
+    assert.strictEqual(url, null);
+    assert.ok(error);
+});
+
+test('files of other types are rejected before they are stored', async () => {
+    const { url, error } = await uploadFile('alert(1)', 'app.js', 'text/javascript');
+    assert.strictEqual(url, null);
+    assert.ok(error);
+});
+
+test('uploaded file URLs cannot point outside the uploads folder', () => {
+    assert.strictEqual(uploadedFilePath('/uploads/../server.js'), null);
+    assert.strictEqual(uploadedFilePath('https://example.com/poster.png'), null);
+});
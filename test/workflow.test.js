@@ -0,0 +1,115 @@
+/**
+ * Draft, review and publish workflow, run against the in-memory storage
+ * backend: node --test
+ */
+
+process.env.DB_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../config/db');
+
+const { DRAFT, PENDING, SCHEDULED, PUBLISHED } = db.EVENT_STATUS;
+const REVIEWER = 'admin@muj.manipal.edu';
+
+const EVENT = {
+    title: 'Robotics Demo Day',
+    date: '2099-04-20',
+    startTime: '11:00',
+    endTime: '15:00',
+    venue: 'Innovation Lab',
+    description: 'Teams show off their robots',
+    category: 'Technical',
+    organizer: 'Robotics Club',
+    contact: 'robotics@muj.manipal.edu'
+};
+
+/**
+ * Edit an event the way an organizer's save does
+ */
+function organizerEdit(event, changes) {
+    return db.updateEvent(event.id, { ...EVENT, ...changes }, { needsReview: true });
+}
+
+test('a new event is a draft that students cannot see or register for', async () => {
+    const event = await db.createEvent(EVENT);
+    assert.strictEqual(db.getEventStatus(event), DRAFT);
+
+    const { events } = await db.listEvents({ now: new Date('2099-01-01T00:00:00Z') });
+    assert.ok(!events.some(listed => listed.id === event.id));
+    await assert.rejects(db.createRegistration({
+        event_id: event.id,
+        uid: 'lee',
+        name: 'Lee',
+        email: 'lee@muj.manipal.edu'
+    }), { code: 'EVENT_NOT_FOUND' });
+});
+
+test('a submitted event is published once approved', async () => {
+    const event = await db.createEvent(EVENT);
+    const pending = await db.submitEventForReview(event.id);
+    assert.strictEqual(db.getEventStatus(pending), PENDING);
+    assert.ok((await db.getPendingEvents()).some(waiting => waiting.id === event.id));
+
+    const approved = await db.approveEvent(event.id, { reviewer: REVIEWER, comment: 'Looks good' });
+    assert.strictEqual(db.getEventStatus(approved), PUBLISHED);
+    assert.strictEqual(approved.review.decision, 'approved');
+
+    const { events } = await db.listEvents({ now: new Date('2099-01-01T00:00:00Z') });
+    assert.ok(events.some(listed => listed.id === event.id));
+});
+
+test('a rejected event goes back to draft with the reviewer\'s comment', async () => {
+    const event = await db.createEvent(EVENT);
+    await db.submitEventForReview(event.id);
+
+    const rejected = await db.rejectEvent(event.id, { reviewer: REVIEWER, comment: 'Add a contact number' });
+    assert.strictEqual(db.getEventStatus(rejected), DRAFT);
+    assert.deepStrictEqual([rejected.review.decision, rejected.review.comment], ['rejected', 'Add a contact number']);
+    assert.strictEqual(await db.rejectEvent(event.id, { reviewer: REVIEWER, comment: 'Again' }), null);
+});
+
+test('an approved event with a future publish time is scheduled until then', async () => {
+    const event = await db.createEvent({ ...EVENT, publishAt: '2099-01-10T09:00' });
+    await db.submitEventForReview(event.id);
+
+    const approved = await db.approveEvent(event.id, { reviewer: REVIEWER, now: new Date('2099-01-01T00:00:00Z') });
+    assert.strictEqual(db.getEventStatus(approved), SCHEDULED);
+    assert.strictEqual(await db.publishScheduledEvent(event.id, new Date('2099-01-05T00:00:00Z')), null);
+
+    const published = await db.publishScheduledEvent(event.id, new Date('2099-01-10T04:00:00Z'));
+    assert.strictEqual(db.getEventStatus(published), PUBLISHED);
+});
+
+test('organizer edits send pending and scheduled events back for review', async () => {
+    const pending = await db.createEvent(EVENT, { status: PENDING });
+    assert.strictEqual(db.getEventStatus(await organizerEdit(pending, { venue: 'Hall B' })), PENDING);
+
+    const scheduled = await db.createEvent({ ...EVENT, publishAt: '2099-01-10T09:00' }, { status: PUBLISHED });
+    assert.strictEqual(db.getEventStatus(scheduled), SCHEDULED);
+    const edited = await organizerEdit(scheduled, { venue: 'Hall B', publishAt: '2099-01-10T09:00' });
+    assert.strictEqual(db.getEventStatus(edited), PENDING);
+});
+
+test('organizer edits keep drafts as drafts and published events live', async () => {
+    const draft = await db.createEvent(EVENT);
+    assert.strictEqual(db.getEventStatus(await organizerEdit(draft, { venue: 'Hall B' })), DRAFT);
+
+    const live = await db.createEvent(EVENT, { status: PUBLISHED });
+    const registration = await db.createRegistration({
+        event_id: live.id,
+        uid: 'mia',
+        name: 'Mia',
+        email: 'mia@muj.manipal.edu'
+    });
+    const edited = await organizerEdit(live, { venue: 'Innovation Lab, 2nd floor' });
+    assert.strictEqual(db.getEventStatus(edited), PUBLISHED);
+    assert.ok(db.isEventPublished(edited));
+    assert.strictEqual((await db.getRegistrationById(registration.id)).status, 'confirmed');
+});
+
+test('admin edits leave the status alone', async () => {
+    const scheduled = await db.createEvent({ ...EVENT, publishAt: '2099-01-10T09:00' }, { status: PUBLISHED });
+    const edited = await db.updateEvent(scheduled.id, { ...EVENT, venue: 'Hall C', publishAt: '2099-01-10T09:00' });
+    assert.strictEqual(db.getEventStatus(edited), SCHEDULED);
+});